@@ -4,9 +4,13 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { connectDB } = require('../config/database');
-const { initializeDatabase } = require('../config/initDb');
+const { assertSchemaUpToDate } = require('../config/migrate');
+const { assertMailConfigured } = require('../services/mailer');
 const errorHandler = require('../middleware/errorHandler');
 
+// Refuse to load without a way to deliver reset and verification emails
+assertMailConfigured();
+
 const app = express();
 
 // Middleware
@@ -26,6 +30,10 @@ app.use('/logs', require('../routes/logs'));
 app.use('/notifications', require('../routes/notifications'));
 app.use('/analytics', require('../routes/analytics'));
 app.use('/streaks', require('../routes/streaks'));
+app.use('/calendar', require('../routes/calendar'));
+app.use('/achievements', require('../routes/achievements'));
+app.use('/habits', require('../routes/habits'));
+app.use('/cron', require('../routes/cron'));
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -50,19 +58,21 @@ let dbInitialized = false;
 
 const initializeIfNeeded = async () => {
   if (!dbInitialized) {
-    try {
-      await connectDB();
-      await initializeDatabase();
-      dbInitialized = true;
-      console.log('✅ Database initialized for serverless function');
-    } catch (error) {
-      console.error('❌ Database initialization failed:', error);
-    }
+    await connectDB();
+    await assertSchemaUpToDate();
+    dbInitialized = true;
+    console.log('✅ Database schema verified for serverless function');
   }
 };
 
 // Serverless function handler
 module.exports = async (req, res) => {
-  await initializeIfNeeded();
+  try {
+    await initializeIfNeeded();
+  } catch (error) {
+    // Not cached, so the next invocation checks again once migrations have run
+    console.error('❌ Database initialization failed:', error.message);
+    return res.status(503).json({ error: 'Service unavailable: database schema is not up to date' });
+  }
   return app(req, res);
 };
\ No newline at end of file
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key for the session-level advisory lock that serialises migration runs
+const MIGRATION_LOCK_KEY = 726354;
+
+/**
+ * Load migration modules from the migrations directory, ordered by version
+ * @returns {Array} Array of { version, name, up, down }
+ */
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return { version: parseInt(version), name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return result.rows;
+};
+
+// Run a callback on a dedicated client holding the migration lock
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+// Run a single migration step and its bookkeeping in one transaction
+const runInTransaction = async (client, callback) => {
+  await client.query('BEGIN');
+  try {
+    await callback();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Apply all pending migrations, optionally stopping at a target version
+ * @param {number} [targetVersion] - Highest version to apply
+ * @returns {Array} Migrations that were applied
+ */
+const migrateUp = async (targetVersion) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map(m => m.version));
+    const pending = migrations.filter(m =>
+      !appliedVersions.has(m.version) && (targetVersion === undefined || m.version <= targetVersion)
+    );
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+    }
+
+    return pending;
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back
+ * @returns {Array} Migrations that were rolled back
+ */
+const migrateDown = async (steps = 1) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const record of applied) {
+      const migration = migrations.find(m => m.version === record.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${record.version}_${record.name}: file not found`);
+      }
+
+      console.log(`⬇️  Rolling back migration ${migration.version}_${migration.name}`);
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  });
+};
+
+/**
+ * Compare applied migrations in the database with the migration files
+ * @returns {Object} Applied, pending and unknown migrations
+ */
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+
+  await ensureMigrationsTable(pool);
+  const applied = await getAppliedMigrations(pool);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  return {
+    applied,
+    pending: migrations
+      .filter(m => !appliedVersions.has(m.version))
+      .map(m => ({ version: m.version, name: m.name })),
+    unknown: applied.filter(m => !knownVersions.has(m.version)),
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0
+  };
+};
+
+/**
+ * Throw if the database has pending migrations; used to refuse startup
+ */
+const assertSchemaUpToDate = async () => {
+  const status = await getMigrationStatus();
+
+  if (status.unknown.length > 0) {
+    console.warn(`⚠️  Database has migrations not present in this build: ${status.unknown.map(m => m.version).join(', ')}`);
+  }
+
+  if (status.pending.length > 0) {
+    const error = new Error(
+      `Database schema is behind (version ${status.currentVersion}, expected ${status.latestVersion}). ` +
+      `Pending migrations: ${status.pending.map(m => `${m.version}_${m.name}`).join(', ')}. Run "npm run migrate".`
+    );
+    error.code = 'SCHEMA_BEHIND';
+    throw error;
+  }
+
+  return status;
+};
+
+/**
+ * Create a new migration file with the next version number
+ * @param {string} name - Migration name (snake_case)
+ * @returns {string} Path of the created file
+ */
+const createMigration = (name) => {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Migration name must contain only letters, numbers, underscores and dashes');
+  }
+
+  const migrations = loadMigrations();
+  const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const filePath = path.join(MIGRATIONS_DIR, `${String(nextVersion).padStart(3, '0')}_${name}.js`);
+
+  fs.writeFileSync(filePath, `const up = async (client) => {
+};
+
+const down = async (client) => {
+};
+
+module.exports = { up, down };
+`);
+
+  return filePath;
+};
+
+const runCli = async (command, arg) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(arg !== undefined ? parseInt(arg) : undefined);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database schema is up to date');
+      break;
+    }
+
+    case 'down': {
+      const rolledBack = await migrateDown(arg !== undefined ? parseInt(arg) : 1);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus();
+      status.applied.forEach(m => console.log(`  [x] ${m.version}_${m.name} (${new Date(m.applied_at).toISOString()})`));
+      status.pending.forEach(m => console.log(`  [ ] ${m.version}_${m.name}`));
+      console.log(`Current version: ${status.currentVersion}, latest: ${status.latestVersion}`);
+      break;
+    }
+
+    case 'create':
+      console.log(`✅ Created ${createMigration(arg)}`);
+      break;
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up [version], down [steps], status or create <name>.`);
+  }
+};
+
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  runCli(command, arg)
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  assertSchemaUpToDate,
+  createMigration
+};
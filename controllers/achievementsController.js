@@ -0,0 +1,36 @@
+const {
+  evaluateBadges,
+  getAchievements: loadAchievements,
+  getCatalog: loadCatalog
+} = require('../services/achievementService');
+
+const getAchievements = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Catches up on badges whose criteria were met before they were added
+    await evaluateBadges(userId);
+    const achievements = await loadAchievements(userId);
+
+    res.json(achievements);
+  } catch (error) {
+    console.error('Get achievements error:', error);
+    res.status(500).json({ error: 'Failed to retrieve achievements' });
+  }
+};
+
+const getCatalog = async (req, res) => {
+  try {
+    const badges = await loadCatalog(req.user.id);
+
+    res.json({ badges });
+  } catch (error) {
+    console.error('Get badge catalog error:', error);
+    res.status(500).json({ error: 'Failed to retrieve badge catalog' });
+  }
+};
+
+module.exports = {
+  getAchievements,
+  getCatalog
+};
@@ -1,7 +1,12 @@
 const { pool } = require('../config/database');
 const AnalyticsService = require('../services/analyticsService');
+const { ExportService, SUPPORTED_FORMATS, parseExportMetrics } = require('../services/exportService');
+const { recordAchievementNotifications, recordInsightMilestones } = require('../services/inboxService');
+const { REMINDER_FREQUENCIES, parseReminderTime, getReminderDeliveries } = require('../services/reminderScheduler');
+const { parseTermId } = require('../services/termService');
 
 const analyticsService = new AnalyticsService();
+const exportService = new ExportService(analyticsService);
 
 const getHealthAnalytics = async (req, res) => {
   try {
@@ -14,7 +19,7 @@ const getHealthAnalytics = async (req, res) => {
       success: true,
       data: healthData,
       timeRange: parseInt(timeRange),
-      metrics: metrics === 'all' ? ['water', 'exercise', 'period', 'constipation', 'kriya', 'typing'] : metrics.split(',')
+      metrics: metrics === 'all' ? ['water', 'exercise', 'sleep', 'period', 'cycle', 'symptoms', 'constipation', 'kriya', 'typing', 'habits'] : metrics.split(',')
     });
   } catch (error) {
     console.error('Health analytics error:', error);
@@ -29,14 +34,23 @@ const getEducationAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
     const { timeRange = '30', subjects = 'all' } = req.query;
+    const termId = parseTermId(req.query.termId);
     
-    const educationData = await analyticsService.calculateEducationProgress(userId, timeRange, subjects);
+    if (termId === null) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'termId must be a term ID' 
+      });
+    }
+    
+    const educationData = await analyticsService.calculateEducationProgress(userId, timeRange, subjects, termId || null);
     
     res.json({
       success: true,
       data: educationData,
       timeRange: parseInt(timeRange),
-      subjects: subjects === 'all' ? 'all' : subjects.split(',')
+      subjects: subjects === 'all' ? 'all' : subjects.split(','),
+      termId: termId || null
     });
   } catch (error) {
     console.error('Education analytics error:', error);
@@ -55,6 +69,13 @@ const getPersonalizedInsights = async (req, res) => {
     // Generate insights using the analytics service
     const rawInsights = await analyticsService.generateInsights(userId);
     
+    // Keep milestones in the inbox; a failed write should not fail the insights response
+    try {
+      await recordInsightMilestones(userId, rawInsights.milestones || []);
+    } catch (inboxError) {
+      console.error('Milestone inbox error:', inboxError);
+    }
+    
     // Apply filters if provided
     let filteredInsights = rawInsights.insights;
     let filteredRecommendations = rawInsights.recommendations;
@@ -216,6 +237,12 @@ const checkGoalAchievements = async (req, res) => {
     const achievedGoals = await analyticsService.checkGoalAchievements(userId);
     const notifications = analyticsService.generateAchievementNotifications(userId, achievedGoals);
     
+    try {
+      await recordAchievementNotifications(userId, notifications);
+    } catch (inboxError) {
+      console.error('Achievement inbox error:', inboxError);
+    }
+    
     res.json({
       success: true,
       data: {
@@ -288,7 +315,31 @@ const setGoalReminder = async (req, res) => {
   try {
     const userId = req.user.id;
     const goalId = req.params.id;
-    const { enabled, frequency, time, message } = req.body;
+    const { enabled, frequency = 'daily', time, message, day_of_week } = req.body;
+    
+    if (enabled) {
+      if (!REMINDER_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Frequency must be one of: ${REMINDER_FREQUENCIES.join(', ')}` 
+        });
+      }
+      
+      if (time !== undefined && time !== null && parseReminderTime(time) === null) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Time must be in HH:MM format' 
+        });
+      }
+      
+      const dayOfWeek = parseInt(day_of_week);
+      if (frequency === 'weekly' && (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Weekly reminders require day_of_week between 0 (Sunday) and 6 (Saturday)' 
+        });
+      }
+    }
     
     // Verify the goal belongs to the user
     const goalCheck = await pool.query(
@@ -306,12 +357,12 @@ const setGoalReminder = async (req, res) => {
     if (enabled) {
       // Create or update reminder
       const result = await pool.query(
-        `INSERT INTO goal_reminders (user_id, goal_id, frequency, time, message, enabled) 
-         VALUES ($1, $2, $3, $4, $5, $6) 
+        `INSERT INTO goal_reminders (user_id, goal_id, frequency, time, message, enabled, day_of_week) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7) 
          ON CONFLICT (user_id, goal_id) 
-         DO UPDATE SET frequency = $3, time = $4, message = $5, enabled = $6, updated_at = CURRENT_TIMESTAMP
+         DO UPDATE SET frequency = $3, time = $4, message = $5, enabled = $6, day_of_week = $7, updated_at = CURRENT_TIMESTAMP
          RETURNING *`,
-        [userId, goalId, frequency, time, message || null, enabled]
+        [userId, goalId, frequency, time || null, message || null, enabled, frequency === 'weekly' ? parseInt(day_of_week) : null]
       );
       
       res.json({
@@ -340,20 +391,64 @@ const setGoalReminder = async (req, res) => {
   }
 };
 
-const exportAnalytics = async (req, res) => {
+const getGoalReminderDeliveries = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { format = 'pdf', timeRange = '90', metrics = 'all' } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const deliveries = await getReminderDeliveries(userId, { days, limit });
     
-    // For now, return a placeholder response
-    // PDF generation will be implemented in task 12
     res.json({
       success: true,
-      message: 'Export functionality will be implemented in a future update',
-      requestedFormat: format,
-      timeRange: parseInt(timeRange),
-      metrics: metrics
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Goal reminder deliveries error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch goal reminders' 
     });
+  }
+};
+
+const exportAnalytics = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { format = 'pdf', timeRange = '90', metrics = 'all' } = req.query;
+    
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Format must be one of: ${SUPPORTED_FORMATS.join(', ')}` 
+      });
+    }
+    
+    const days = parseInt(timeRange);
+    if (isNaN(days) || days <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Time range must be a positive number of days' 
+      });
+    }
+    
+    const { requested, invalid } = parseExportMetrics(metrics);
+    if (invalid.length > 0 || requested.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: invalid.length > 0 ? `Unknown metrics: ${invalid.join(', ')}` : 'At least one metric is required' 
+      });
+    }
+    
+    const file = await exportService.exportReport(userId, {
+      format,
+      timeRange: days,
+      metrics: requested
+    });
+    
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
   } catch (error) {
     console.error('Export error:', error);
     res.status(500).json({ 
@@ -408,6 +503,7 @@ module.exports = {
   getGoalStreaks,
   getGoalCompletionStats,
   setGoalReminder,
+  getGoalReminderDeliveries,
   exportAnalytics,
   categorizeInsights,
   groupBySeverity,
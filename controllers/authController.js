@@ -1,12 +1,23 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessionService');
+const accountService = require('../services/accountService');
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
-};
+// Session IDs are SERIAL, so anything larger cannot exist
+const MAX_SESSION_ID = 2147483647;
+
+// Device details recorded against a session so users can tell them apart
+const getDeviceInfo = (req) => ({
+  deviceName: req.body && req.body.deviceName ? String(req.body.deviceName).slice(0, 200) : null,
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
 
 const signup = async (req, res) => {
   try {
@@ -42,7 +53,14 @@ const signup = async (req, res) => {
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
+    const { token, refreshToken, expiresIn } = await createSession(user.id, getDeviceInfo(req));
+
+    // A mail outage should not block sign-up; the user can resend verification later
+    try {
+      await accountService.sendVerificationEmail(user.id, user.email);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
       message: 'User created successfully',
@@ -50,9 +68,12 @@ const signup = async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
+        email_verified: false,
         created_at: user.created_at
       },
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -71,7 +92,7 @@ const login = async (req, res) => {
 
     // Find user (allow login with username or email)
     const result = await pool.query(
-      'SELECT id, username, email, password FROM users WHERE username = $1 OR email = $1',
+      'SELECT id, username, email, password, email_verified_at FROM users WHERE username = $1 OR email = $1',
       [username]
     );
 
@@ -87,8 +108,8 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user.id, getDeviceInfo(req));
 
     // Get user profile data
     const profileResult = await pool.query(
@@ -103,7 +124,7 @@ const login = async (req, res) => {
       pool.query('SELECT COUNT(*) as count FROM tasks WHERE user_id = $1', [user.id]),
       pool.query('SELECT COUNT(*) as count FROM education_tasks WHERE user_id = $1', [user.id]),
       pool.query('SELECT COUNT(*) as count FROM nptel_courses WHERE user_id = $1', [user.id]),
-      pool.query('SELECT COUNT(*) as count FROM study_logs WHERE user_id = $1', [user.id])
+      pool.query('SELECT COUNT(*) as count FROM study_sleep_logs WHERE user_id = $1 AND study_hours > 0', [user.id])
     ]);
 
     res.json({
@@ -112,6 +133,7 @@ const login = async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
+        email_verified: !!user.email_verified_at,
         profile: {
           full_name: profile.full_name || '',
           bio: profile.bio || '',
@@ -126,6 +148,8 @@ const login = async (req, res) => {
         }
       },
       token,
+      refreshToken,
+      expiresIn,
       dataExists: {
         tasks: parseInt(tasksCount.rows[0].count) > 0,
         educationTasks: parseInt(educationTasksCount.rows[0].count) > 0,
@@ -139,4 +163,193 @@ const login = async (req, res) => {
   }
 };
 
-module.exports = { signup, login };
\ No newline at end of file
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, getDeviceInfo(req));
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout', req.user.id);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+};
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.sessionId);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+};
+
+const deleteSession = async (req, res) => {
+  try {
+    const sessionId = Number(req.params.id);
+    if (!Number.isInteger(sessionId) || sessionId < 1) {
+      return res.status(400).json({ error: 'id must be a session ID' });
+    }
+    if (sessionId > MAX_SESSION_ID) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(sessionId, 'user_revoked', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'user_revoked', req.sessionId);
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revoked
+    });
+  } catch (error) {
+    console.error('Delete sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await accountService.requestPasswordReset(email);
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    await accountService.resetPassword(token, password);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const user = await accountService.verifyEmail(token);
+
+    res.json({
+      message: 'Email verified successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        email_verified: true
+      }
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const email = await accountService.resendVerification(req.user.id);
+
+    res.json({
+      message: 'Verification email sent',
+      email
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+};
+
+module.exports = {
+  signup,
+  login,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { pool } = require('../config/database');
+const {
+  buildCalendar,
+  issueFeedToken,
+  findFeedUser,
+  getCalendarEvents
+} = require('../services/calendarService');
+
+const buildFeedUrl = (req, token) => {
+  const baseUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${baseUrl}/calendar/${token}.ics`;
+};
+
+const getFeed = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    // The URL itself can't be shown again; only its hash is stored
+    const feed = result.rows[0];
+    res.json({
+      feed: {
+        enabled: Boolean(feed),
+        createdAt: feed ? feed.created_at : null,
+        lastAccessedAt: feed ? feed.last_accessed_at : null
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to retrieve calendar feed' });
+  }
+};
+
+const createFeed = async (req, res) => {
+  try {
+    const token = await issueFeedToken(req.user.id);
+
+    res.status(201).json({
+      message: 'Calendar feed URL created. Any earlier URL no longer works.',
+      url: buildFeedUrl(req, token)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+};
+
+const deleteFeed = async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM calendar_feeds WHERE user_id = $1 RETURNING id', [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to turn off calendar feed' });
+  }
+};
+
+const getCalendar = async (req, res) => {
+  try {
+    const userId = await findFeedUser(req.params.token);
+    if (!userId) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const now = new Date();
+    const { timezone, events } = await getCalendarEvents(userId, now);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="hersphere.ics"');
+    res.send(buildCalendar(events, { timezone, now }));
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+};
+
+module.exports = {
+  getFeed,
+  createFeed,
+  deleteFeed,
+  getCalendar
+};
@@ -0,0 +1,22 @@
+const { processDueReminders } = require('../services/reminderScheduler');
+const { processAssignmentReminders } = require('../services/assignmentService');
+
+const runReminders = async (req, res) => {
+  try {
+    const result = await processDueReminders();
+    const assignmentResult = await processAssignmentReminders();
+
+    res.json({
+      message: 'Reminders processed successfully',
+      result,
+      assignments: assignmentResult
+    });
+  } catch (error) {
+    console.error('Cron reminders error:', error);
+    res.status(500).json({ error: 'Failed to process reminders' });
+  }
+};
+
+module.exports = {
+  runReminders
+};
@@ -0,0 +1,179 @@
+const { pool } = require('../config/database');
+const { FLOW_LEVELS, getCycleOverview } = require('../services/cycleService');
+const { isValidDate, toDateString } = require('../utils/helpers');
+
+// A bleeding day this long after the last cycle start begins a new cycle
+const NEW_CYCLE_MIN_GAP_DAYS = 15;
+
+const getCycle = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const overview = await getCycleOverview(userId);
+
+    res.json({
+      message: 'Cycle data retrieved successfully',
+      cycle: overview
+    });
+  } catch (error) {
+    console.error('Get cycle error:', error);
+    res.status(500).json({ error: 'Failed to retrieve cycle data' });
+  }
+};
+
+const addCycle = async (req, res) => {
+  try {
+    const { start_date, end_date, notes } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidDate(start_date)) {
+      return res.status(400).json({ error: 'Start date is required (YYYY-MM-DD)' });
+    }
+
+    if (end_date && (!isValidDate(end_date) || end_date < start_date)) {
+      return res.status(400).json({ error: 'End date must be a valid date on or after the start date' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO menstrual_cycles (user_id, start_date, end_date, notes) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, start_date)
+       DO UPDATE SET end_date = COALESCE($3, menstrual_cycles.end_date), notes = COALESCE($4, menstrual_cycles.notes), updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, start_date, end_date || null, notes || null]
+    );
+
+    res.status(201).json({
+      message: 'Cycle saved successfully',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add cycle error:', error);
+    res.status(500).json({ error: 'Failed to save cycle' });
+  }
+};
+
+const updateCycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { end_date, notes } = req.body;
+    const userId = req.user.id;
+
+    if (end_date && !isValidDate(end_date)) {
+      return res.status(400).json({ error: 'End date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const existing = await pool.query(
+      'SELECT start_date FROM menstrual_cycles WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    if (end_date && end_date < toDateString(existing.rows[0].start_date)) {
+      return res.status(400).json({ error: 'End date must be on or after the start date' });
+    }
+
+    const result = await pool.query(
+      'UPDATE menstrual_cycles SET end_date = COALESCE($1, end_date), notes = COALESCE($2, notes), updated_at = CURRENT_TIMESTAMP WHERE id = $3 AND user_id = $4 RETURNING *',
+      [end_date || null, notes, id, userId]
+    );
+
+    res.json({
+      message: 'Cycle updated successfully',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update cycle error:', error);
+    res.status(500).json({ error: 'Failed to update cycle' });
+  }
+};
+
+const deleteCycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM menstrual_cycles WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cycle not found' });
+    }
+
+    res.json({ message: 'Cycle deleted successfully' });
+  } catch (error) {
+    console.error('Delete cycle error:', error);
+    res.status(500).json({ error: 'Failed to delete cycle' });
+  }
+};
+
+const logCycleDay = async (req, res) => {
+  try {
+    const { date, flow, symptoms, mood, notes } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'Date is required (YYYY-MM-DD)' });
+    }
+
+    if (flow && !FLOW_LEVELS.includes(flow)) {
+      return res.status(400).json({ error: `Flow must be one of: ${FLOW_LEVELS.join(', ')}` });
+    }
+
+    if (symptoms !== undefined && (!Array.isArray(symptoms) || symptoms.some(s => typeof s !== 'string'))) {
+      return res.status(400).json({ error: 'Symptoms must be an array of strings' });
+    }
+
+    // Attach the day to the cycle it falls in, starting a new cycle on a fresh bleed
+    const latestCycle = await pool.query(
+      'SELECT id, start_date FROM menstrual_cycles WHERE user_id = $1 AND start_date <= $2 ORDER BY start_date DESC LIMIT 1',
+      [userId, date]
+    );
+
+    let cycleId = latestCycle.rows.length > 0 ? latestCycle.rows[0].id : null;
+    let cycleStarted = false;
+    const isBleeding = ['light', 'medium', 'heavy'].includes(flow);
+    const daysSinceStart = cycleId
+      ? Math.round((new Date(date) - new Date(toDateString(latestCycle.rows[0].start_date))) / (1000 * 60 * 60 * 24))
+      : null;
+
+    if (isBleeding && (cycleId === null || daysSinceStart >= NEW_CYCLE_MIN_GAP_DAYS)) {
+      const newCycle = await pool.query(
+        'INSERT INTO menstrual_cycles (user_id, start_date) VALUES ($1, $2) RETURNING id',
+        [userId, date]
+      );
+      cycleId = newCycle.rows[0].id;
+      cycleStarted = true;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO period_day_logs (user_id, cycle_id, date, flow, symptoms, mood, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, date)
+       DO UPDATE SET cycle_id = $2, flow = COALESCE($4, period_day_logs.flow), symptoms = COALESCE($5, period_day_logs.symptoms),
+                     mood = COALESCE($6, period_day_logs.mood), notes = COALESCE($7, period_day_logs.notes), updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, cycleId, date, flow || null, symptoms || null, mood || null, notes || null]
+    );
+
+    res.status(201).json({
+      message: 'Cycle day logged successfully',
+      entry: result.rows[0],
+      cycleStarted
+    });
+  } catch (error) {
+    console.error('Log cycle day error:', error);
+    res.status(500).json({ error: 'Failed to log cycle day' });
+  }
+};
+
+module.exports = {
+  getCycle,
+  addCycle,
+  updateCycle,
+  deleteCycle,
+  logCycleDay
+};
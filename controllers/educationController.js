@@ -1,25 +1,87 @@
 const { pool } = require('../config/database');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { upsertStudySleepLog } = require('../services/studySleepService');
+const { isValidDate, toDateString, getUserLocalDate } = require('../utils/helpers');
+const { parseTermId, resolveTermId } = require('../services/termService');
+const {
+  validateCourseFields,
+  calculateEligibility,
+  getCourseWeeks,
+  createCourseWeeks,
+  recalculateCourseProgress
+} = require('../services/nptelService');
+const {
+  DEFAULT_REMINDER_DAYS,
+  validateAssignmentFields,
+  resolveAssignmentStatus,
+  buildAgenda
+} = require('../services/assignmentService');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+const { evaluateBadges } = require('../services/achievementService');
+
+const INVALID_TERM_FILTER = 'term_id must be a term ID';
+const INVALID_DUE_DATE = 'due_date must be a YYYY-MM-DD date';
+
+/**
+ * Add an optional ?term_id filter to a list query
+ * @returns {string|null} - SQL condition, '' without a filter, or null when invalid
+ */
+const addTermFilter = (query, params, column) => {
+  const termId = parseTermId(query.term_id);
+  if (termId === undefined) return '';
+  if (termId === null) return null;
+  params.push(termId);
+  return ` AND ${column} = $${params.length}`;
+};
 
 // NPTEL Courses Controllers
 const addNPTELCourse = async (req, res) => {
   try {
-    const { title, instructor, duration } = req.body;
+    const {
+      title, instructor, duration, term_id, total_weeks, start_date,
+      exam_registered, exam_date, exam_score, best_of, assignment_weight, min_assignment_percent, min_exam_percent
+    } = req.body;
     const userId = req.user.id;
 
     if (!title || !instructor) {
       return res.status(400).json({ error: 'Title and instructor are required' });
     }
 
+    const validationError = validateCourseFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const termId = await resolveTermId(userId, term_id);
+
     const result = await pool.query(
-      'INSERT INTO nptel_courses (user_id, title, instructor, duration) VALUES ($1, $2, $3, $4) RETURNING *',
-      [userId, title, instructor, duration || '8 weeks']
+      `INSERT INTO nptel_courses (user_id, title, instructor, duration, term_id, total_weeks, start_date,
+         exam_registered, exam_date, exam_score, best_of, assignment_weight, min_assignment_percent, min_exam_percent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, 25), COALESCE($13, 40), COALESCE($14, 40))
+       RETURNING *`,
+      [
+        userId, title, instructor, duration || (total_weeks ? `${total_weeks} weeks` : '8 weeks'), termId,
+        total_weeks || null, start_date || null, exam_registered === true, exam_date || null,
+        exam_score === undefined ? null : exam_score, best_of || null,
+        assignment_weight === undefined ? null : assignment_weight,
+        min_assignment_percent === undefined ? null : min_assignment_percent,
+        min_exam_percent === undefined ? null : min_exam_percent
+      ]
     );
 
+    const course = result.rows[0];
+    if (total_weeks) {
+      await createCourseWeeks(course.id, total_weeks, start_date || null);
+    }
+
     res.status(201).json({
       message: 'NPTEL course added successfully',
-      course: result.rows[0]
+      course
     });
   } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Add NPTEL course error:', error);
     res.status(500).json({ error: 'Failed to add NPTEL course' });
   }
@@ -28,28 +90,40 @@ const addNPTELCourse = async (req, res) => {
 const getNPTELCourses = async (req, res) => {
   try {
     const userId = req.user.id;
-    
-    // Get courses with their tasks
+    const list = parseListQuery(req.query, { column: 'c.created_at', type: 'timestamp', idColumn: 'c.id' });
+
+    const params = [userId];
+    const termFilter = addTermFilter(req.query, params, 'c.term_id');
+    if (termFilter === null) {
+      return res.status(400).json({ error: INVALID_TERM_FILTER });
+    }
+
+    // Get courses with their tasks in one query
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
     const coursesResult = await pool.query(
-      'SELECT * FROM nptel_courses WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+      `SELECT c.*${cursorColumn},
+         COALESCE((SELECT json_agg(t ORDER BY t.created_at DESC) FROM nptel_course_tasks t
+                   WHERE t.course_id = c.id), '[]') as tasks
+       FROM nptel_courses c WHERE c.user_id = $1${termFilter}${conditions} ${orderBy}`,
+      params
     );
 
-    const courses = [];
-    for (const course of coursesResult.rows) {
-      const tasksResult = await pool.query(
-        'SELECT * FROM nptel_course_tasks WHERE course_id = $1 ORDER BY created_at DESC',
-        [course.id]
-      );
-      
-      courses.push({
-        ...course,
-        tasks: tasksResult.rows
-      });
-    }
+    const { items: courses, pagination } = buildPage(list, coursesResult.rows);
+    const weeksByCourse = await getCourseWeeks(courses.map(course => course.id));
+    const { today } = await getUserLocalDate(userId);
 
-    res.json({ courses });
+    res.json({
+      courses: courses.map(course => ({
+        ...course,
+        weeks: weeksByCourse[course.id],
+        eligibility: calculateEligibility(course, weeksByCourse[course.id], today)
+      })),
+      pagination
+    });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get NPTEL courses error:', error);
     res.status(500).json({ error: 'Failed to retrieve NPTEL courses' });
   }
@@ -58,23 +132,54 @@ const getNPTELCourses = async (req, res) => {
 const updateNPTELCourse = async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { title, instructor, duration, progress, enrolled } = req.body;
+    const { term_id } = req.body;
     const userId = req.user.id;
 
-    const result = await pool.query(
-      'UPDATE nptel_courses SET title = $1, instructor = $2, duration = $3, progress = $4, enrolled = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND user_id = $7 RETURNING *',
-      [title, instructor, duration, progress, enrolled, courseId, userId]
+    const validationError = validateCourseFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM nptel_courses WHERE id = $1 AND user_id = $2',
+      [courseId, userId]
     );
 
-    if (result.rows.length === 0) {
+    if (existing.rows.length === 0) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
+    // Unspecified fields keep their current values; term_id: null moves the course out of its term
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const termId = term_id !== undefined ? await resolveTermId(userId, term_id) : current.term_id;
+
+    const result = await pool.query(
+      `UPDATE nptel_courses SET title = $1, instructor = $2, duration = $3, progress = $4, enrolled = $5,
+         term_id = $8, total_weeks = $9, start_date = $10, exam_registered = $11, exam_date = $12,
+         exam_score = $13, best_of = $14, assignment_weight = $15, min_assignment_percent = $16, min_exam_percent = $17,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7 RETURNING *`,
+      [
+        pick('title'), pick('instructor'), pick('duration'), pick('progress'), pick('enrolled'), courseId, userId, termId,
+        pick('total_weeks'), toDateString(pick('start_date')), pick('exam_registered'), toDateString(pick('exam_date')), pick('exam_score'),
+        pick('best_of'), pick('assignment_weight'), pick('min_assignment_percent'), pick('min_exam_percent')
+      ]
+    );
+
+    // Added weeks are created; weeks past a shortened course stay until deleted
+    if (req.body.total_weeks && req.body.total_weeks !== current.total_weeks) {
+      await createCourseWeeks(current.id, req.body.total_weeks, toDateString(pick('start_date')));
+    }
+
     res.json({
       message: 'Course updated successfully',
       course: result.rows[0]
     });
   } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Update NPTEL course error:', error);
     res.status(500).json({ error: 'Failed to update course' });
   }
@@ -105,12 +210,15 @@ const deleteNPTELCourse = async (req, res) => {
 const addCourseTask = async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { title, description } = req.body;
+    const { title, description, due_date } = req.body;
     const userId = req.user.id;
 
     if (!title) {
       return res.status(400).json({ error: 'Task title is required' });
     }
+    if (due_date && !isValidDate(due_date)) {
+      return res.status(400).json({ error: INVALID_DUE_DATE });
+    }
 
     // Verify course belongs to user
     const courseCheck = await pool.query(
@@ -123,8 +231,8 @@ const addCourseTask = async (req, res) => {
     }
 
     const result = await pool.query(
-      'INSERT INTO nptel_course_tasks (course_id, title, description) VALUES ($1, $2, $3) RETURNING *',
-      [courseId, title, description]
+      'INSERT INTO nptel_course_tasks (course_id, title, description, due_date) VALUES ($1, $2, $3, $4) RETURNING *',
+      [courseId, title, description, due_date || null]
     );
 
     res.status(201).json({
@@ -140,9 +248,13 @@ const addCourseTask = async (req, res) => {
 const updateCourseTask = async (req, res) => {
   try {
     const { courseId, taskId } = req.params;
-    const { title, description, completed } = req.body;
+    const { title, description, completed, due_date } = req.body;
     const userId = req.user.id;
 
+    if (due_date && !isValidDate(due_date)) {
+      return res.status(400).json({ error: INVALID_DUE_DATE });
+    }
+
     // Verify course belongs to user
     const courseCheck = await pool.query(
       'SELECT id FROM nptel_courses WHERE id = $1 AND user_id = $2',
@@ -153,9 +265,12 @@ const updateCourseTask = async (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
 
+    // The due date only changes when sent; null clears it
     const result = await pool.query(
-      'UPDATE nptel_course_tasks SET title = $1, description = $2, completed = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND course_id = $5 RETURNING *',
-      [title, description, completed, taskId, courseId]
+      `UPDATE nptel_course_tasks SET title = $1, description = $2, completed = $3,
+         due_date = CASE WHEN $6 THEN $7::DATE ELSE due_date END, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND course_id = $5 RETURNING *`,
+      [title, description, completed, taskId, courseId, due_date !== undefined, due_date || null]
     );
 
     if (result.rows.length === 0) {
@@ -163,18 +278,7 @@ const updateCourseTask = async (req, res) => {
     }
 
     // Update course progress
-    const tasksResult = await pool.query(
-      'SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE completed = true) as completed FROM nptel_course_tasks WHERE course_id = $1',
-      [courseId]
-    );
-
-    const { total, completed: completedCount } = tasksResult.rows[0];
-    const progress = total > 0 ? Math.round((completedCount / total) * 100) : 0;
-
-    await pool.query(
-      'UPDATE nptel_courses SET progress = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [progress, courseId]
-    );
+    await recalculateCourseProgress(courseId);
 
     res.json({
       message: 'Task updated successfully',
@@ -217,24 +321,7 @@ const deleteCourseTask = async (req, res) => {
   }
 };
 
-// Subject and Task Controllers (for the route imports)
-const getSubjects = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    // For now, return a basic subject structure
-    const subjects = [
-      { code: 'CS101', name: 'Computer Science Fundamentals', units: [] },
-      { code: 'MATH201', name: 'Advanced Mathematics', units: [] }
-    ];
-
-    res.json({ subjects });
-  } catch (error) {
-    console.error('Get subjects error:', error);
-    res.status(500).json({ error: 'Failed to retrieve subjects' });
-  }
-};
-
+// Task Controllers
 const addTask = async (req, res) => {
   try {
     const { code, unitId } = req.params;
@@ -343,8 +430,8 @@ const addResearchProject = async (req, res) => {
     if (subject_code) {
       console.log('Looking for subject with code:', subject_code);
       const subjectResult = await pool.query(
-        'SELECT id FROM subjects WHERE code = $1',
-        [subject_code]
+        'SELECT id FROM subjects WHERE code = $1 AND user_id = $2',
+        [subject_code, userId]
       );
       
       console.log('Subject query result:', subjectResult.rows);
@@ -386,31 +473,86 @@ const addResearchProject = async (req, res) => {
 const getAssignments = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'deadline', defaultSort: 'asc' });
 
+    const params = [userId];
+    const termFilter = addTermFilter(req.query, params, 'term_id');
+    if (termFilter === null) {
+      return res.status(400).json({ error: INVALID_TERM_FILTER });
+    }
+
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM assignments WHERE user_id = $1 ORDER BY deadline ASC',
-      [userId]
+      `SELECT *,
+         COALESCE((SELECT json_agg(aa ORDER BY aa.created_at) FROM assignment_attachments aa
+                   WHERE aa.assignment_id = assignments.id), '[]') as attachments
+       FROM assignments WHERE user_id = $1${termFilter}${conditions} ${orderBy}`,
+      params
     );
 
-    res.json({ assignments: result.rows });
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({ assignments: items, pagination });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get assignments error:', error);
     res.status(500).json({ error: 'Failed to retrieve assignments' });
   }
 };
 
+const getAssignmentAgenda = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const params = [userId];
+    const termFilter = addTermFilter(req.query, params, 'term_id');
+    if (termFilter === null) {
+      return res.status(400).json({ error: INVALID_TERM_FILTER });
+    }
+
+    const { today } = await getUserLocalDate(userId);
+
+    const result = await pool.query(
+      `SELECT * FROM assignments
+       WHERE user_id = $1 AND status NOT IN ('submitted', 'graded')${termFilter}
+       ORDER BY deadline ASC`,
+      params
+    );
+
+    res.json({ agenda: buildAgenda(result.rows, today) });
+  } catch (error) {
+    console.error('Get assignment agenda error:', error);
+    res.status(500).json({ error: 'Failed to retrieve assignment agenda' });
+  }
+};
+
 const addAssignment = async (req, res) => {
   try {
-    const { title, description, deadline, subject } = req.body;
+    const { title, description, deadline, subject, term_id, priority, estimated_minutes, status, reminder_days_before } = req.body;
     const userId = req.user.id;
 
     if (!title || !deadline) {
       return res.status(400).json({ error: 'Title and deadline are required' });
     }
 
+    const validationError = validateAssignmentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const termId = await resolveTermId(userId, term_id);
+    const progress = resolveAssignmentStatus({}, { status, completed: req.body.completed });
+
     const result = await pool.query(
-      'INSERT INTO assignments (user_id, title, description, deadline, subject) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [userId, title, description, deadline, subject]
+      `INSERT INTO assignments (user_id, title, description, deadline, subject, term_id,
+         priority, estimated_minutes, status, completed, submitted_at, reminder_days_before)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+      [
+        userId, title, description, deadline, subject, termId,
+        priority || 'medium', estimated_minutes || null, progress.status, progress.completed, progress.submittedAt,
+        reminder_days_before === undefined ? DEFAULT_REMINDER_DAYS : reminder_days_before
+      ]
     );
 
     res.status(201).json({
@@ -418,6 +560,9 @@ const addAssignment = async (req, res) => {
       assignment: result.rows[0]
     });
   } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Add assignment error:', error);
     res.status(500).json({ error: 'Failed to add assignment' });
   }
@@ -426,23 +571,53 @@ const addAssignment = async (req, res) => {
 const updateAssignment = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    const { title, description, deadline, subject, completed } = req.body;
+    const { term_id, status, completed } = req.body;
     const userId = req.user.id;
 
-    const result = await pool.query(
-      'UPDATE assignments SET title = $1, description = $2, deadline = $3, subject = $4, completed = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND user_id = $7 RETURNING *',
-      [title, description, deadline, subject, completed, assignmentId, userId]
+    const validationError = validateAssignmentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM assignments WHERE id = $1 AND user_id = $2',
+      [assignmentId, userId]
     );
 
-    if (result.rows.length === 0) {
+    if (existing.rows.length === 0) {
       return res.status(404).json({ error: 'Assignment not found' });
     }
 
+    // Unspecified fields keep their current values; term_id: null moves the assignment out of its term
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const termId = term_id !== undefined ? await resolveTermId(userId, term_id) : current.term_id;
+    const progress = resolveAssignmentStatus(current, { status, completed });
+
+    const result = await pool.query(
+      `UPDATE assignments SET title = $1, description = $2, deadline = $3, subject = $4, completed = $5,
+         term_id = $8, priority = $9, estimated_minutes = $10, status = $11,
+         submitted_at = $12, reminder_days_before = $13, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7 RETURNING *`,
+      [
+        pick('title'), pick('description'), pick('deadline'), pick('subject'), progress.completed,
+        assignmentId, userId, termId,
+        pick('priority'), pick('estimated_minutes'), progress.status, progress.submittedAt, pick('reminder_days_before')
+      ]
+    );
+
+    if (progress.completed && !current.completed) {
+      await evaluateBadges(userId);
+    }
+
     res.json({
       message: 'Assignment updated successfully',
       assignment: result.rows[0]
     });
   } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Update assignment error:', error);
     res.status(500).json({ error: 'Failed to update assignment' });
   }
@@ -469,19 +644,90 @@ const deleteAssignment = async (req, res) => {
   }
 };
 
+const addAssignmentAttachment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const assignment = await pool.query(
+      'SELECT id FROM assignments WHERE id = $1 AND user_id = $2',
+      [assignmentId, userId]
+    );
+
+    if (assignment.rows.length === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const uploaded = await uploadToCloudinary(req.file.buffer, {
+      folder: 'hersphere'
+    });
+
+    const result = await pool.query(
+      `INSERT INTO assignment_attachments (assignment_id, user_id, file_url, file_type, file_name)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [assignmentId, userId, uploaded.secure_url, req.file.mimetype, req.file.originalname || null]
+    );
+
+    res.status(201).json({
+      message: 'Attachment added successfully',
+      attachment: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add assignment attachment error:', error);
+    res.status(500).json({ error: 'Failed to add attachment' });
+  }
+};
+
+const deleteAssignmentAttachment = async (req, res) => {
+  try {
+    const { assignmentId, attachmentId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM assignment_attachments WHERE id = $1 AND assignment_id = $2 AND user_id = $3 RETURNING id',
+      [attachmentId, assignmentId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete assignment attachment error:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+};
+
 // Research Project Task Controllers
 const getResearchTasks = async (req, res) => {
   try {
     const { subjectCode } = req.params;
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'created_at', type: 'timestamp' });
 
+    const params = [userId, subjectCode];
+    const termFilter = addTermFilter(req.query, params, 'term_id');
+    if (termFilter === null) {
+      return res.status(400).json({ error: INVALID_TERM_FILTER });
+    }
+
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM research_tasks WHERE user_id = $1 AND subject_code = $2 ORDER BY created_at DESC',
-      [userId, subjectCode]
+      `SELECT *${cursorColumn} FROM research_tasks WHERE user_id = $1 AND subject_code = $2${termFilter}${conditions} ${orderBy}`,
+      params
     );
 
-    res.json({ tasks: result.rows });
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({ tasks: items, pagination });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get research tasks error:', error);
     res.status(500).json({ error: 'Failed to retrieve research tasks' });
   }
@@ -490,16 +736,18 @@ const getResearchTasks = async (req, res) => {
 const addResearchTask = async (req, res) => {
   try {
     const { subjectCode } = req.params;
-    const { title, description, type } = req.body;
+    const { title, description, type, term_id } = req.body;
     const userId = req.user.id;
 
     if (!title) {
       return res.status(400).json({ error: 'Task title is required' });
     }
 
+    const termId = await resolveTermId(userId, term_id);
+
     const result = await pool.query(
-      'INSERT INTO research_tasks (user_id, subject_code, title, description, type) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [userId, subjectCode, title, description, type || 'Other']
+      'INSERT INTO research_tasks (user_id, subject_code, title, description, type, term_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [userId, subjectCode, title, description, type || 'Other', termId]
     );
 
     res.status(201).json({
@@ -507,6 +755,9 @@ const addResearchTask = async (req, res) => {
       task: result.rows[0]
     });
   } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Add research task error:', error);
     res.status(500).json({ error: 'Failed to add research task' });
   }
@@ -515,12 +766,16 @@ const addResearchTask = async (req, res) => {
 const updateResearchTask = async (req, res) => {
   try {
     const { subjectCode, taskId } = req.params;
-    const { title, description, type, completed } = req.body;
+    const { title, description, type, completed, term_id } = req.body;
     const userId = req.user.id;
 
+    // A task only moves term when term_id is sent; null moves it out of its term
+    const termGiven = term_id !== undefined;
+    const termId = termGiven ? await resolveTermId(userId, term_id) : null;
+
     const result = await pool.query(
-      'UPDATE research_tasks SET title = $1, description = $2, type = $3, completed = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND user_id = $6 AND subject_code = $7 RETURNING *',
-      [title, description, type, completed, taskId, userId, subjectCode]
+      'UPDATE research_tasks SET title = $1, description = $2, type = $3, completed = $4, term_id = CASE WHEN $9 THEN $8 ELSE term_id END, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND user_id = $6 AND subject_code = $7 RETURNING *',
+      [title, description, type, completed, taskId, userId, subjectCode, termId, termGiven]
     );
 
     if (result.rows.length === 0) {
@@ -532,6 +787,9 @@ const updateResearchTask = async (req, res) => {
       task: result.rows[0]
     });
   } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Update research task error:', error);
     res.status(500).json({ error: 'Failed to update research task' });
   }
@@ -562,14 +820,21 @@ const deleteResearchTask = async (req, res) => {
 const getStudySleepLogs = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
 
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM study_sleep_logs WHERE user_id = $1 ORDER BY date DESC',
-      [userId]
+      `SELECT * FROM study_sleep_logs WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
-    res.json({ logs: result.rows });
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({ logs: items, pagination });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get study/sleep logs error:', error);
     res.status(500).json({ error: 'Failed to retrieve study/sleep logs' });
   }
@@ -584,35 +849,12 @@ const addStudySleepLog = async (req, res) => {
       return res.status(400).json({ error: 'Date is required' });
     }
 
-    // Check if a log already exists for this user and date
-    const existingLog = await pool.query(
-      'SELECT id FROM study_sleep_logs WHERE user_id = $1 AND date = $2',
-      [userId, date]
-    );
+    const { log, created } = await upsertStudySleepLog(userId, date, { studyHours, sleepHours, studyNotes, sleepNotes });
 
-    if (existingLog.rows.length > 0) {
-      // Update existing log instead of creating a new one
-      const result = await pool.query(
-        'UPDATE study_sleep_logs SET study_hours = $1, sleep_hours = $2, study_notes = $3, sleep_notes = $4, updated_at = CURRENT_TIMESTAMP WHERE user_id = $5 AND date = $6 RETURNING *',
-        [studyHours || 0, sleepHours || 8, studyNotes, sleepNotes, userId, date]
-      );
-
-      res.json({
-        message: 'Study/sleep log updated successfully',
-        log: result.rows[0]
-      });
-    } else {
-      // Create new log
-      const result = await pool.query(
-        'INSERT INTO study_sleep_logs (user_id, date, study_hours, sleep_hours, study_notes, sleep_notes) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-        [userId, date, studyHours || 0, sleepHours || 8, studyNotes, sleepNotes]
-      );
-
-      res.status(201).json({
-        message: 'Study/sleep log added successfully',
-        log: result.rows[0]
-      });
-    }
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Study/sleep log added successfully' : 'Study/sleep log updated successfully',
+      log
+    });
   } catch (error) {
     console.error('Add study/sleep log error:', error);
     res.status(500).json({ error: 'Failed to add study/sleep log' });
@@ -625,8 +867,12 @@ const updateStudySleepLog = async (req, res) => {
     const { date, studyHours, sleepHours, studyNotes, sleepNotes } = req.body;
     const userId = req.user.id;
 
+    // studyHours is the hand-logged part; study_hours adds the study timer to it
     const result = await pool.query(
-      'UPDATE study_sleep_logs SET date = $1, study_hours = $2, sleep_hours = $3, study_notes = $4, sleep_notes = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND user_id = $7 RETURNING *',
+      `UPDATE study_sleep_logs SET date = $1, manual_study_hours = $2, sleep_hours = $3,
+         sleep_hours_source = CASE WHEN $3::DECIMAL IS NULL THEN NULL ELSE 'manual' END,
+         study_notes = $4, sleep_notes = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7 RETURNING *`,
       [date, studyHours, sleepHours, studyNotes, sleepNotes, logId, userId]
     );
 
@@ -647,14 +893,21 @@ const updateStudySleepLog = async (req, res) => {
 const getUserTasks = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'created_at', type: 'timestamp' });
 
+    const params = [userId];
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM education_tasks WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+      `SELECT *${cursorColumn} FROM education_tasks WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
-    res.json({ tasks: result.rows });
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({ tasks: items, pagination });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get user tasks error:', error);
     res.status(500).json({ error: 'Failed to retrieve tasks' });
   }
@@ -664,14 +917,21 @@ const getUnitTasks = async (req, res) => {
   try {
     const { code, unitId } = req.params;
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'created_at', type: 'timestamp' });
 
+    const params = [userId, code, unitId];
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM education_tasks WHERE user_id = $1 AND subject_code = $2 AND unit_id = $3 ORDER BY created_at DESC',
-      [userId, code, unitId]
+      `SELECT *${cursorColumn} FROM education_tasks WHERE user_id = $1 AND subject_code = $2 AND unit_id = $3${conditions} ${orderBy}`,
+      params
     );
 
-    res.json({ tasks: result.rows });
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({ tasks: items, pagination });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get unit tasks error:', error);
     res.status(500).json({ error: 'Failed to retrieve unit tasks' });
   }
@@ -687,7 +947,6 @@ module.exports = {
   updateCourseTask,
   deleteCourseTask,
   // Education route functions
-  getSubjects,
   addTask,
   updateTask,
   deleteTask,
@@ -700,6 +959,9 @@ module.exports = {
   addAssignment,
   updateAssignment,
   deleteAssignment,
+  getAssignmentAgenda,
+  addAssignmentAttachment,
+  deleteAssignmentAttachment,
   // Research task functions
   getResearchTasks,
   addResearchTask,
@@ -0,0 +1,285 @@
+const { pool } = require('../config/database');
+const { parseTermId, resolveTermId } = require('../services/termService');
+const {
+  validateGradingScale,
+  validateAssessment,
+  isGraded,
+  requiredScoreForGrade,
+  getGradingScale,
+  getGradeReport
+} = require('../services/gradeService');
+
+const findAssignment = async (userId, assignmentId) => {
+  const result = await pool.query('SELECT id FROM assignments WHERE id = $1 AND user_id = $2', [assignmentId, userId]);
+  return result.rows[0] || null;
+};
+
+// Only one assessment per subject is the final
+const clearOtherFinals = async (userId, subjectId, assessmentId) => {
+  await pool.query(
+    'UPDATE assessments SET is_final = false WHERE user_id = $1 AND subject_id = $2 AND is_final = true AND id <> $3',
+    [userId, subjectId, assessmentId || 0]
+  );
+};
+
+const getGrades = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const requestedTerm = parseTermId(req.query.term_id);
+    if (requestedTerm === null) {
+      return res.status(400).json({ error: 'term_id must be a term ID' });
+    }
+
+    // The term GPA is for the active term unless another is asked for
+    const termId = await resolveTermId(userId, requestedTerm);
+    const report = await getGradeReport(userId, termId);
+
+    res.json({ termId, ...report });
+  } catch (error) {
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Get grades error:', error);
+    res.status(500).json({ error: 'Failed to retrieve grades' });
+  }
+};
+
+const getScale = async (req, res) => {
+  try {
+    const scale = await getGradingScale(req.user.id);
+
+    res.json({ scale });
+  } catch (error) {
+    console.error('Get grading scale error:', error);
+    res.status(500).json({ error: 'Failed to retrieve grading scale' });
+  }
+};
+
+const updateScale = async (req, res) => {
+  try {
+    const { name, max_points, bands } = req.body;
+    const userId = req.user.id;
+
+    const scale = {
+      name,
+      maxPoints: max_points,
+      bands: Array.isArray(bands) ?
+        bands.map(band => ({ grade: band && band.grade, minPercent: band && band.min_percent, points: band && band.points })) :
+        bands
+    };
+
+    const validationError = validateGradingScale(scale);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const storedBands = scale.bands
+      .map(band => ({ ...band, grade: band.grade.trim() }))
+      .sort((a, b) => b.minPercent - a.minPercent);
+
+    await pool.query(
+      `INSERT INTO grading_scales (user_id, name, max_points, bands)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id) DO UPDATE SET name = $2, max_points = $3, bands = $4, updated_at = CURRENT_TIMESTAMP`,
+      [userId, name.trim(), max_points, JSON.stringify(storedBands)]
+    );
+
+    res.json({
+      message: 'Grading scale updated successfully',
+      scale: { name: name.trim(), maxPoints: max_points, bands: storedBands, isDefault: false }
+    });
+  } catch (error) {
+    console.error('Update grading scale error:', error);
+    res.status(500).json({ error: 'Failed to update grading scale' });
+  }
+};
+
+const resetScale = async (req, res) => {
+  try {
+    await pool.query('DELETE FROM grading_scales WHERE user_id = $1', [req.user.id]);
+
+    res.json({
+      message: 'Grading scale reset to the default',
+      scale: await getGradingScale(req.user.id)
+    });
+  } catch (error) {
+    console.error('Reset grading scale error:', error);
+    res.status(500).json({ error: 'Failed to reset grading scale' });
+  }
+};
+
+const addAssessment = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { title, type, weight, max_marks, score, is_final, date, assignment_id } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateAssessment(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const subject = await pool.query('SELECT id FROM subjects WHERE id = $1 AND user_id = $2', [subjectId, userId]);
+    if (subject.rows.length === 0) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+    if (assignment_id && !await findAssignment(userId, assignment_id)) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    if (is_final) {
+      await clearOtherFinals(userId, subjectId, null);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO assessments (user_id, subject_id, assignment_id, title, type, weight, max_marks, score, is_final, date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [
+        userId, subjectId, assignment_id || null, title.trim(),
+        type || (assignment_id ? 'assignment' : 'exam'),
+        weight, max_marks, score === undefined ? null : score, is_final === true, date || null
+      ]
+    );
+
+    res.status(201).json({
+      message: 'Assessment added successfully',
+      assessment: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add assessment error:', error);
+    res.status(500).json({ error: 'Failed to add assessment' });
+  }
+};
+
+const updateAssessment = async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const userId = req.user.id;
+
+    const existing = await pool.query(
+      'SELECT * FROM assessments WHERE id = $1 AND user_id = $2',
+      [assessmentId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const merged = {
+      title: pick('title'),
+      type: pick('type'),
+      weight: req.body.weight !== undefined ? req.body.weight : parseFloat(current.weight),
+      max_marks: req.body.max_marks !== undefined ? req.body.max_marks : parseFloat(current.max_marks),
+      score: req.body.score !== undefined ? req.body.score : (current.score === null ? null : parseFloat(current.score)),
+      is_final: pick('is_final')
+    };
+
+    const validationError = validateAssessment({ ...merged, date: req.body.date });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (req.body.assignment_id && !await findAssignment(userId, req.body.assignment_id)) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    if (merged.is_final && !current.is_final) {
+      await clearOtherFinals(userId, current.subject_id, current.id);
+    }
+
+    const result = await pool.query(
+      `UPDATE assessments SET title = $1, type = $2, weight = $3, max_marks = $4, score = $5, is_final = $6,
+         date = $7, assignment_id = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9 AND user_id = $10 RETURNING *`,
+      [
+        merged.title.trim(), merged.type, merged.weight, merged.max_marks, merged.score, merged.is_final,
+        pick('date'), pick('assignment_id'), current.id, userId
+      ]
+    );
+
+    res.json({
+      message: 'Assessment updated successfully',
+      assessment: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update assessment error:', error);
+    res.status(500).json({ error: 'Failed to update assessment' });
+  }
+};
+
+const deleteAssessment = async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM assessments WHERE id = $1 AND user_id = $2 RETURNING id',
+      [assessmentId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    res.json({ message: 'Assessment deleted successfully' });
+  } catch (error) {
+    console.error('Delete assessment error:', error);
+    res.status(500).json({ error: 'Failed to delete assessment' });
+  }
+};
+
+const getRequiredScore = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { grade, assessment_id } = req.query;
+    const userId = req.user.id;
+
+    if (!grade) {
+      return res.status(400).json({ error: 'grade is required' });
+    }
+
+    const assessments = await pool.query(
+      'SELECT * FROM assessments WHERE subject_id = $1 AND user_id = $2 ORDER BY id',
+      [subjectId, userId]
+    );
+
+    // Solve for the named assessment, or the subject's final
+    const target = assessment_id ?
+      assessments.rows.find(a => String(a.id) === String(assessment_id)) :
+      assessments.rows.find(a => a.is_final);
+
+    if (!target) {
+      return res.status(404).json({
+        error: assessment_id ? 'Assessment not found' : 'No final assessment for this subject; pass assessment_id'
+      });
+    }
+    if (isGraded(target)) {
+      return res.status(400).json({ error: 'This assessment already has a score' });
+    }
+
+    const scale = await getGradingScale(userId);
+    const required = requiredScoreForGrade(assessments.rows, target, grade, scale);
+    if (!required) {
+      return res.status(400).json({ error: `grade must be one of: ${scale.bands.map(band => band.grade).join(', ')}` });
+    }
+
+    res.json({ required });
+  } catch (error) {
+    console.error('Get required score error:', error);
+    res.status(500).json({ error: 'Failed to calculate required score' });
+  }
+};
+
+module.exports = {
+  getGrades,
+  getScale,
+  updateScale,
+  resetScale,
+  addAssessment,
+  updateAssessment,
+  deleteAssessment,
+  getRequiredScore
+};
@@ -0,0 +1,260 @@
+const { pool } = require('../config/database');
+const {
+  ALL_DAYS,
+  habitKey,
+  validateHabit,
+  validateCheckin,
+  resolveCheckin,
+  toHabit,
+  findHabit,
+  getHabits
+} = require('../services/habitService');
+const { recomputeStreak } = require('../services/streakService');
+const { getUserLocalDate } = require('../utils/helpers');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+
+const DUPLICATE_NAME_ERROR = 'You already have a habit with this name';
+
+const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const listHabits = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { today } = await getUserLocalDate(userId);
+
+    const habits = await getHabits(userId, today, req.query.include_archived === 'true');
+
+    res.json({ habits });
+  } catch (error) {
+    console.error('Get habits error:', error);
+    res.status(500).json({ error: 'Failed to retrieve habits' });
+  }
+};
+
+const addHabit = async (req, res) => {
+  try {
+    const { name, icon, kind, target, unit, schedule_days } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateHabit(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // A yes/no habit is met by checking it off
+    const result = await pool.query(
+      `INSERT INTO habits (user_id, name, icon, kind, target, unit, schedule_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        userId, name.trim(), optionalText(icon), kind,
+        kind === 'boolean' || target === undefined || target === null ? 1 : target,
+        optionalText(unit), schedule_days || ALL_DAYS
+      ]
+    );
+
+    res.status(201).json({
+      message: 'Habit added successfully',
+      habit: toHabit(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: DUPLICATE_NAME_ERROR });
+    }
+    console.error('Add habit error:', error);
+    res.status(500).json({ error: 'Failed to add habit' });
+  }
+};
+
+const updateHabit = async (req, res) => {
+  try {
+    const { habitId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateHabit(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const current = await findHabit(userId, habitId);
+    if (!current) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+    // Past check-ins were recorded against the habit's kind
+    if (req.body.kind !== undefined && req.body.kind !== current.kind) {
+      return res.status(400).json({ error: 'kind cannot be changed' });
+    }
+
+    // Unspecified fields keep their current values
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const pickText = (field) => (req.body[field] !== undefined ? optionalText(req.body[field]) : current[field]);
+    const target = current.kind === 'boolean' || req.body.target === undefined || req.body.target === null ?
+      parseFloat(current.target) : req.body.target;
+    const scheduleDays = req.body.schedule_days ? req.body.schedule_days : current.schedule_days;
+
+    const result = await pool.query(
+      `UPDATE habits SET name = $1, icon = $2, target = $3, unit = $4, schedule_days = $5, archived = $6,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 AND user_id = $8 RETURNING *`,
+      [
+        req.body.name !== undefined ? req.body.name.trim() : current.name,
+        pickText('icon'), target, pickText('unit'), scheduleDays, pick('archived'), habitId, userId
+      ]
+    );
+
+    // A new target re-marks which past days met it
+    const targetChanged = target !== parseFloat(current.target);
+    if (targetChanged) {
+      await pool.query(
+        'UPDATE habit_checkins SET completed = value >= $1, updated_at = CURRENT_TIMESTAMP WHERE habit_id = $2',
+        [target, habitId]
+      );
+    }
+    if (targetChanged || scheduleDays.join() !== current.schedule_days.join()) {
+      await recomputeStreak(userId, habitKey(current.id));
+    }
+
+    res.json({
+      message: 'Habit updated successfully',
+      habit: toHabit(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: DUPLICATE_NAME_ERROR });
+    }
+    console.error('Update habit error:', error);
+    res.status(500).json({ error: 'Failed to update habit' });
+  }
+};
+
+const deleteHabit = async (req, res) => {
+  try {
+    const { habitId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM habits WHERE id = $1 AND user_id = $2 RETURNING id',
+      [habitId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+
+    // Check-ins cascade; the streak row is keyed by activity type
+    await pool.query(
+      'DELETE FROM user_streaks WHERE user_id = $1 AND activity_type = $2',
+      [userId, habitKey(result.rows[0].id)]
+    );
+
+    res.json({ message: 'Habit deleted successfully' });
+  } catch (error) {
+    console.error('Delete habit error:', error);
+    res.status(500).json({ error: 'Failed to delete habit' });
+  }
+};
+
+const getCheckins = async (req, res) => {
+  try {
+    const { habitId } = req.params;
+    const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    if (!await findHabit(userId, habitId)) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+
+    const params = [userId, habitId];
+    const { conditions, orderBy } = buildListClauses(list, params);
+    const result = await pool.query(
+      `SELECT * FROM habit_checkins WHERE user_id = $1 AND habit_id = $2${conditions} ${orderBy}`,
+      params
+    );
+
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({ checkins: items, pagination });
+  } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get habit check-ins error:', error);
+    res.status(500).json({ error: 'Failed to retrieve check-ins' });
+  }
+};
+
+// Check in for a day; a second check-in for the same day replaces the first
+const addCheckin = async (req, res) => {
+  try {
+    const { habitId } = req.params;
+    const { date, notes } = req.body;
+    const userId = req.user.id;
+
+    const habit = await findHabit(userId, habitId);
+    if (!habit) {
+      return res.status(404).json({ error: 'Habit not found' });
+    }
+
+    const validationError = validateCheckin(habit, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { value, completed } = resolveCheckin(habit, req.body);
+    const result = await pool.query(
+      `INSERT INTO habit_checkins (habit_id, user_id, date, value, completed, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (habit_id, date) DO UPDATE SET
+         value = EXCLUDED.value, completed = EXCLUDED.completed, notes = EXCLUDED.notes, updated_at = CURRENT_TIMESTAMP
+       RETURNING *, (xmax = 0) AS inserted`,
+      [habit.id, userId, date, value, completed, optionalText(notes)]
+    );
+    const { inserted, ...checkin } = result.rows[0];
+
+    const streak = await recomputeStreak(userId, habitKey(habit.id));
+
+    res.status(inserted ? 201 : 200).json({
+      message: inserted ? 'Check-in added successfully' : 'Check-in updated successfully',
+      checkin,
+      streak: streak.success ? streak.data : null
+    });
+  } catch (error) {
+    console.error('Add habit check-in error:', error);
+    res.status(500).json({ error: 'Failed to save check-in' });
+  }
+};
+
+const deleteCheckin = async (req, res) => {
+  try {
+    const { habitId, checkinId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM habit_checkins WHERE id = $1 AND habit_id = $2 AND user_id = $3 RETURNING *',
+      [checkinId, habitId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Check-in not found' });
+    }
+
+    await recomputeStreak(userId, habitKey(result.rows[0].habit_id));
+
+    res.json({
+      message: 'Check-in deleted successfully',
+      checkin: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Delete habit check-in error:', error);
+    res.status(500).json({ error: 'Failed to delete check-in' });
+  }
+};
+
+module.exports = {
+  listHabits,
+  addHabit,
+  updateHabit,
+  deleteHabit,
+  getCheckins,
+  addCheckin,
+  deleteCheckin
+};
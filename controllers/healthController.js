@@ -1,6 +1,30 @@
 const { pool } = require('../config/database');
 const { uploadToCloudinary } = require('../config/cloudinary');
-const { updateUserStreak, getUserStreak } = require('../services/streakService');
+const { isStreakActivityType, recomputeStreak } = require('../services/streakService');
+const { getUserLocalDate } = require('../utils/helpers');
+const { estimateExercise, validateExerciseFields } = require('../services/exerciseService');
+const { validateTypingSession, normalizeKeyErrors } = require('../services/typingService');
+const { validateKriyaSession } = require('../services/kriyaService');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+
+// Preset container sizes (ml) used when a drink is logged without an amount
+const WATER_CONTAINERS = {
+  cup: 200,
+  glass: 250,
+  bottle: 500,
+  large_bottle: 1000
+};
+const MAX_WATER_ENTRY_ML = 5000;
+
+const getDailyWaterTotal = async (userId, date) => {
+  const result = await pool.query(
+    'SELECT amount_ml, entry_count FROM water_intake WHERE user_id = $1 AND date = $2',
+    [userId, date]
+  );
+  return result.rows.length > 0 ?
+    { amount_ml: result.rows[0].amount_ml, entry_count: result.rows[0].entry_count } :
+    { amount_ml: 0, entry_count: 0 };
+};
 
 const uploadHealthDocument = async (req, res) => {
   try {
@@ -46,6 +70,12 @@ const addPeriodEntry = async (req, res) => {
       [userId, pain_start_date, notes || null]
     );
 
+    // Keep the cycle model in step with legacy period entries
+    await pool.query(
+      'INSERT INTO menstrual_cycles (user_id, start_date, notes) VALUES ($1, $2, $3) ON CONFLICT (user_id, start_date) DO NOTHING',
+      [userId, pain_start_date, notes || null]
+    );
+
     res.status(201).json({
       message: 'Period entry added successfully',
       entry: result.rows[0]
@@ -82,24 +112,39 @@ const addConstipationEntry = async (req, res) => {
 
 const addWaterIntake = async (req, res) => {
   try {
-    const { date, amount_ml } = req.body;
+    const { date, amount_ml, container, logged_at } = req.body;
     const userId = req.user.id;
 
-    if (!date || !amount_ml || amount_ml <= 0) {
-      return res.status(400).json({ error: 'Date and valid amount (ml) are required' });
+    if (container && container !== 'custom' && !WATER_CONTAINERS[container]) {
+      return res.status(400).json({ error: `Container must be one of: ${[...Object.keys(WATER_CONTAINERS), 'custom'].join(', ')}` });
+    }
+
+    const amount = amount_ml || WATER_CONTAINERS[container];
+    if (!amount || amount <= 0 || amount > MAX_WATER_ENTRY_ML) {
+      return res.status(400).json({ error: `A valid amount (1-${MAX_WATER_ENTRY_ML} ml) or container is required` });
     }
 
+    const loggedAt = logged_at ? new Date(logged_at) : new Date();
+    if (isNaN(loggedAt.getTime())) {
+      return res.status(400).json({ error: 'logged_at must be a valid timestamp' });
+    }
+
+    // Without an explicit date, the drink counts towards the user's local day
+    const entryDate = date || (await getUserLocalDate(userId, loggedAt)).today;
+
     const result = await pool.query(
-      'INSERT INTO water_intake (user_id, date, amount_ml) VALUES ($1, $2, $3) ON CONFLICT (user_id, date) DO UPDATE SET amount_ml = $3, created_at = CURRENT_TIMESTAMP RETURNING *',
-      [userId, date, amount_ml]
+      'INSERT INTO water_intake_entries (user_id, date, logged_at, amount_ml, container) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [userId, entryDate, loggedAt, amount, container || 'custom']
     );
 
-    // Update water intake streak
-    await updateUserStreak(userId, 'water', date, true);
+    const dailyTotal = await getDailyWaterTotal(userId, entryDate);
+
+    await recomputeStreak(userId, 'water');
 
     res.status(201).json({
-      message: 'Water intake updated successfully',
-      entry: result.rows[0]
+      message: 'Water intake logged successfully',
+      entry: result.rows[0],
+      dailyTotal
     });
   } catch (error) {
     console.error('Water intake error:', error);
@@ -107,26 +152,100 @@ const addWaterIntake = async (req, res) => {
   }
 };
 
+const undoLastWaterIntake = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `DELETE FROM water_intake_entries
+       WHERE id = (SELECT id FROM water_intake_entries WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1)
+       RETURNING *`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No water intake entry to undo' });
+    }
+
+    const removed = result.rows[0];
+    await recomputeStreak(userId, 'water');
+
+    res.json({
+      message: 'Last water intake entry removed',
+      deletedEntry: removed,
+      dailyTotal: await getDailyWaterTotal(userId, removed.date)
+    });
+  } catch (error) {
+    console.error('Undo water intake error:', error);
+    res.status(500).json({ error: 'Failed to undo water intake' });
+  }
+};
+
+const deleteWaterIntakeEntry = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM water_intake_entries WHERE id = $1 AND user_id = $2 RETURNING *',
+      [entryId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Water intake entry not found' });
+    }
+
+    const removed = result.rows[0];
+    await recomputeStreak(userId, 'water');
+
+    res.json({
+      message: 'Water intake entry deleted successfully',
+      deletedEntry: removed,
+      dailyTotal: await getDailyWaterTotal(userId, removed.date)
+    });
+  } catch (error) {
+    console.error('Delete water intake error:', error);
+    res.status(500).json({ error: 'Failed to delete water intake entry' });
+  }
+};
+
+const getUserWeight = async (userId) => {
+  const result = await pool.query('SELECT weight_kg FROM user_profiles WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 && result.rows[0].weight_kg ? parseFloat(result.rows[0].weight_kg) : null;
+};
+
 const addExerciseEntry = async (req, res) => {
   try {
-    const { date, activity_type, footsteps } = req.body;
+    const { date, activity_type, footsteps, duration_minutes, distance_km, rpe, heart_rate_zone, notes } = req.body;
     const userId = req.user.id;
 
-    if (!date || !activity_type || !footsteps) {
-      return res.status(400).json({ error: 'Date, activity type, and footsteps are required' });
+    if (!date || !activity_type || (!footsteps && !duration_minutes)) {
+      return res.status(400).json({ error: 'Date, activity type, and footsteps or duration are required' });
     }
 
-    if (footsteps < 1 || footsteps > 10000) {
-      return res.status(400).json({ error: 'Footsteps must be between 1 and 10,000' });
+    const validationError = validateExerciseFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
+    const estimate = estimateExercise({
+      activityType: activity_type,
+      durationMinutes: duration_minutes,
+      footsteps,
+      rpe,
+      heartRateZone: heart_rate_zone,
+      weightKg: await getUserWeight(userId)
+    });
+
     const result = await pool.query(
-      'INSERT INTO exercise_tracker (user_id, date, activity_type, footsteps) VALUES ($1, $2, $3, $4) RETURNING *',
-      [userId, date, activity_type, footsteps]
+      `INSERT INTO exercise_tracker
+        (user_id, date, activity_type, footsteps, duration_minutes, distance_km, rpe, heart_rate_zone, met_value, calories_burned, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [userId, date, activity_type, footsteps || null, duration_minutes || null, distance_km ?? null,
+        rpe || null, heart_rate_zone || null, estimate.met, estimate.calories, notes || null]
     );
 
-    // Update exercise streak
-    await updateUserStreak(userId, 'exercise', date, true);
+    await recomputeStreak(userId, 'exercise');
 
     res.status(201).json({
       message: 'Exercise entry added successfully',
@@ -138,25 +257,100 @@ const addExerciseEntry = async (req, res) => {
   }
 };
 
+const updateExerciseEntry = async (req, res) => {
+  try {
+    const { exerciseId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateExerciseFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT * FROM exercise_tracker WHERE id = $1 AND user_id = $2',
+      [exerciseId, userId]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Exercise entry not found' });
+    }
+
+    // Fields left out of the body keep their current values; null clears optional ones
+    const fields = ['date', 'activity_type', 'footsteps', 'duration_minutes', 'distance_km', 'rpe', 'heart_rate_zone', 'notes'];
+    const updated = { ...existingResult.rows[0] };
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updated[field] = req.body[field];
+    });
+
+    if (!updated.date || !updated.activity_type) {
+      return res.status(400).json({ error: 'Date and activity type cannot be cleared' });
+    }
+
+    if (!updated.footsteps && !updated.duration_minutes) {
+      return res.status(400).json({ error: 'An exercise entry needs footsteps or a duration' });
+    }
+
+    const estimate = estimateExercise({
+      activityType: updated.activity_type,
+      durationMinutes: updated.duration_minutes,
+      footsteps: updated.footsteps,
+      rpe: updated.rpe,
+      heartRateZone: updated.heart_rate_zone,
+      weightKg: await getUserWeight(userId)
+    });
+
+    const result = await pool.query(
+      `UPDATE exercise_tracker SET
+        date = $1, activity_type = $2, footsteps = $3, duration_minutes = $4, distance_km = $5,
+        rpe = $6, heart_rate_zone = $7, met_value = $8, calories_burned = $9, notes = $10, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $11 AND user_id = $12 RETURNING *`,
+      [updated.date, updated.activity_type, updated.footsteps || null, updated.duration_minutes || null, updated.distance_km ?? null,
+        updated.rpe || null, updated.heart_rate_zone || null, estimate.met, estimate.calories, updated.notes || null, exerciseId, userId]
+    );
+
+    // Moving an entry to another day can change the streak
+    await recomputeStreak(userId, 'exercise');
+
+    res.json({
+      message: 'Exercise entry updated successfully',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update exercise entry error:', error);
+    res.status(500).json({ error: 'Failed to update exercise entry' });
+  }
+};
+
+// Log a meditation session; a day can hold several
 const addKriyaEntry = async (req, res) => {
   try {
-    const { date, notes, completed = true } = req.body;
+    const { date, started_at, duration_minutes, practice_type, calm_before, calm_after, empty_stomach, notes } = req.body;
     const userId = req.user.id;
 
-    if (!date) {
-      return res.status(400).json({ error: 'Date is required' });
+    const validationError = validateKriyaSession(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
+    // Without an explicit date, the session counts towards the user's local day
+    const startedAt = started_at ? new Date(started_at) : null;
+    const sessionDate = date || (await getUserLocalDate(userId, startedAt)).today;
+
     const result = await pool.query(
-      'INSERT INTO shambhavi_kriya (user_id, date, notes) VALUES ($1, $2, $3) ON CONFLICT (user_id, date) DO UPDATE SET notes = $3, created_at = CURRENT_TIMESTAMP RETURNING *',
-      [userId, date, notes || null]
+      `INSERT INTO shambhavi_kriya (user_id, date, started_at, duration_minutes, practice_type, calm_before, calm_after, empty_stomach, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [
+        userId, sessionDate, startedAt, duration_minutes || null, practice_type || 'kriya',
+        calm_before || null, calm_after || null,
+        typeof empty_stomach === 'boolean' ? empty_stomach : null, notes || null
+      ]
     );
 
-    // Update kriya streak with completion status
-    await updateUserStreak(userId, 'kriya', date, completed);
+    await recomputeStreak(userId, 'kriya');
 
     res.status(201).json({
-      message: 'Shambhavi Kriya entry updated successfully',
+      message: 'Shambhavi Kriya session logged successfully',
       entry: result.rows[0]
     });
   } catch (error) {
@@ -165,6 +359,79 @@ const addKriyaEntry = async (req, res) => {
   }
 };
 
+const updateKriyaEntry = async (req, res) => {
+  try {
+    const { kriyaId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateKriyaSession(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM shambhavi_kriya WHERE id = $1 AND user_id = $2',
+      [kriyaId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Kriya session not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+
+    const result = await pool.query(
+      `UPDATE shambhavi_kriya SET date = $1, started_at = $2, duration_minutes = $3, practice_type = $4, calm_before = $5,
+         calm_after = $6, empty_stomach = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9 AND user_id = $10 RETURNING *`,
+      [
+        pick('date'), pick('started_at'), pick('duration_minutes'), pick('practice_type'), pick('calm_before'),
+        pick('calm_after'), pick('empty_stomach'), pick('notes'), kriyaId, userId
+      ]
+    );
+
+    if (req.body.date !== undefined) {
+      await recomputeStreak(userId, 'kriya');
+    }
+
+    res.json({
+      message: 'Kriya session updated successfully',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update kriya entry error:', error);
+    res.status(500).json({ error: 'Failed to update Kriya session' });
+  }
+};
+
+const deleteKriyaEntry = async (req, res) => {
+  try {
+    const { kriyaId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM shambhavi_kriya WHERE id = $1 AND user_id = $2 RETURNING *',
+      [kriyaId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Kriya session not found' });
+    }
+
+    await recomputeStreak(userId, 'kriya');
+
+    res.json({
+      message: 'Kriya session deleted successfully',
+      deletedEntry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Delete kriya entry error:', error);
+    res.status(500).json({ error: 'Failed to delete Kriya session' });
+  }
+};
+
 const addTypingEntry = async (req, res) => {
   try {
     const { date, completed } = req.body;
@@ -179,8 +446,7 @@ const addTypingEntry = async (req, res) => {
       [userId, date, completed]
     );
 
-    // Update typing streak with completion status
-    await updateUserStreak(userId, 'typing', date, completed);
+    await recomputeStreak(userId, 'typing');
 
     res.status(201).json({
       message: 'Typing practice entry updated successfully',
@@ -192,19 +458,65 @@ const addTypingEntry = async (req, res) => {
   }
 };
 
+// Log one typing test's results; its day counts as practised
+const addTypingSession = async (req, res) => {
+  try {
+    const { date, wpm, raw_wpm, accuracy, duration_seconds, test_mode, key_errors, notes } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateTypingSession(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO typing_sessions (user_id, date, wpm, raw_wpm, accuracy, duration_seconds, test_mode, key_errors, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [
+        userId, date, wpm, raw_wpm === undefined ? null : raw_wpm, accuracy, duration_seconds,
+        test_mode || 'time', JSON.stringify(normalizeKeyErrors(key_errors)), notes || null
+      ]
+    );
+
+    await pool.query(
+      'INSERT INTO typing_practice (user_id, date, completed) VALUES ($1, $2, true) ON CONFLICT (user_id, date) DO UPDATE SET completed = true',
+      [userId, date]
+    );
+
+    await recomputeStreak(userId, 'typing');
+
+    res.status(201).json({
+      message: 'Typing session logged successfully',
+      session: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Typing session error:', error);
+    res.status(500).json({ error: 'Failed to log typing session' });
+  }
+};
+
 // GET endpoints for retrieving data
 const getHealthUploads = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'created_at', type: 'timestamp' });
+
+    const params = [userId];
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM health_uploads WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+      `SELECT *${cursorColumn} FROM health_uploads WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
-      uploads: result.rows
+      uploads: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get health uploads error:', error);
     res.status(500).json({ error: 'Failed to retrieve health uploads' });
   }
@@ -342,15 +654,24 @@ const deleteHealthDocument = async (req, res) => {
 const getPeriodEntries = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'pain_start_date' });
+
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM period_tracker WHERE user_id = $1 ORDER BY pain_start_date DESC',
-      [userId]
+      `SELECT * FROM period_tracker WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
-      entries: result.rows
+      entries: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get period entries error:', error);
     res.status(500).json({ error: 'Failed to retrieve period entries' });
   }
@@ -359,32 +680,93 @@ const getPeriodEntries = async (req, res) => {
 const getWaterIntake = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM water_intake WHERE user_id = $1 ORDER BY date DESC',
-      [userId]
+      `SELECT * FROM water_intake WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
-      entries: result.rows
+      entries: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get water intake error:', error);
     res.status(500).json({ error: 'Failed to retrieve water intake' });
   }
 };
 
+const getWaterIntakeEntries = async (req, res) => {
+  try {
+    const { date } = req.query;
+    const userId = req.user.id;
+
+    // A single day is returned whole; the history is paged
+    if (date) {
+      const result = await pool.query(
+        'SELECT * FROM water_intake_entries WHERE user_id = $1 AND date = $2 ORDER BY logged_at ASC',
+        [userId, date]
+      );
+
+      return res.json({
+        entries: result.rows,
+        totalAmount: result.rows.reduce((sum, entry) => sum + entry.amount_ml, 0),
+        containers: WATER_CONTAINERS
+      });
+    }
+
+    const list = parseListQuery(req.query, { column: 'logged_at', type: 'timestamptz' });
+    const params = [userId];
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
+    const result = await pool.query(
+      `SELECT *${cursorColumn} FROM water_intake_entries WHERE user_id = $1${conditions} ${orderBy}`,
+      params
+    );
+
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({
+      entries: items,
+      totalAmount: items.reduce((sum, entry) => sum + entry.amount_ml, 0),
+      containers: WATER_CONTAINERS,
+      pagination
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get water intake entries error:', error);
+    res.status(500).json({ error: 'Failed to retrieve water intake entries' });
+  }
+};
+
 const getExerciseEntries = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM exercise_tracker WHERE user_id = $1 ORDER BY date DESC',
-      [userId]
+      `SELECT * FROM exercise_tracker WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
-      entries: result.rows
+      entries: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get exercise entries error:', error);
     res.status(500).json({ error: 'Failed to retrieve exercise entries' });
   }
@@ -393,15 +775,24 @@ const getExerciseEntries = async (req, res) => {
 const getKriyaEntries = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM shambhavi_kriya WHERE user_id = $1 ORDER BY date DESC',
-      [userId]
+      `SELECT * FROM shambhavi_kriya WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
-      entries: result.rows
+      entries: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get kriya entries error:', error);
     res.status(500).json({ error: 'Failed to retrieve kriya entries' });
   }
@@ -410,20 +801,80 @@ const getKriyaEntries = async (req, res) => {
 const getTypingEntries = async (req, res) => {
   try {
     const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
     const result = await pool.query(
-      'SELECT * FROM typing_practice WHERE user_id = $1 ORDER BY date DESC',
-      [userId]
+      `SELECT * FROM typing_practice WHERE user_id = $1${conditions} ${orderBy}`,
+      params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
-      entries: result.rows
+      entries: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get typing entries error:', error);
     res.status(500).json({ error: 'Failed to retrieve typing entries' });
   }
 };
 
+const getTypingSessions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
+    const result = await pool.query(
+      `SELECT * FROM typing_sessions WHERE user_id = $1${conditions} ${orderBy}`,
+      params
+    );
+
+    const { items, pagination } = buildPage(list, result.rows);
+    res.json({
+      sessions: items,
+      pagination
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get typing sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve typing sessions' });
+  }
+};
+
+// The day's completed flag stays as it is
+const deleteTypingSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM typing_sessions WHERE id = $1 AND user_id = $2 RETURNING *',
+      [sessionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Typing session not found' });
+    }
+
+    res.json({
+      message: 'Typing session deleted successfully',
+      deletedSession: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Delete typing session error:', error);
+    res.status(500).json({ error: 'Failed to delete typing session' });
+  }
+};
+
 const deleteExerciseEntry = async (req, res) => {
   try {
     const { exerciseId } = req.params;
@@ -438,6 +889,8 @@ const deleteExerciseEntry = async (req, res) => {
       return res.status(404).json({ error: 'Exercise entry not found' });
     }
 
+    await recomputeStreak(userId, 'exercise');
+
     res.json({
       message: 'Exercise entry deleted successfully',
       deletedEntry: result.rows[0]
@@ -453,12 +906,11 @@ const getUserStreakData = async (req, res) => {
     const { activityType } = req.params;
     const userId = req.user.id;
 
-    const validActivityTypes = ['typing', 'kriya', 'water', 'exercise'];
-    if (!validActivityTypes.includes(activityType)) {
+    if (!isStreakActivityType(activityType)) {
       return res.status(400).json({ error: 'Invalid activity type' });
     }
 
-    const result = await getUserStreak(userId, activityType);
+    const result = await recomputeStreak(userId, activityType);
     
     if (result.success) {
       res.json({
@@ -466,7 +918,7 @@ const getUserStreakData = async (req, res) => {
         streak: result.data
       });
     } else {
-      res.status(500).json({ error: result.error });
+      res.status(result.status).json({ error: result.error });
     }
   } catch (error) {
     console.error('Get user streak error:', error);
@@ -479,17 +931,26 @@ module.exports = {
   addPeriodEntry,
   addConstipationEntry,
   addWaterIntake,
+  undoLastWaterIntake,
+  deleteWaterIntakeEntry,
   addExerciseEntry,
+  updateExerciseEntry,
   addKriyaEntry,
+  updateKriyaEntry,
+  deleteKriyaEntry,
   addTypingEntry,
+  addTypingSession,
   getHealthUploads,
   getHealthDocumentsFolder,
   deleteHealthDocument,
   getPeriodEntries,
   getWaterIntake,
+  getWaterIntakeEntries,
   getExerciseEntries,
   getKriyaEntries,
   getTypingEntries,
+  getTypingSessions,
+  deleteTypingSession,
   deleteExerciseEntry,
   getUserStreakData
 };
\ No newline at end of file
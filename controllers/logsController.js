@@ -1,4 +1,9 @@
 const { pool } = require('../config/database');
+const { upsertStudySleepLog, toStudyLog, toSleepLog } = require('../services/studySleepService');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+
+// These endpoints predate study_sleep_logs; they now read and write it and
+// keep their original request and response shapes.
 
 const addStudyLog = async (req, res) => {
   try {
@@ -13,14 +18,11 @@ const addStudyLog = async (req, res) => {
       return res.status(400).json({ error: 'Study hours must be between 1 and 12' });
     }
 
-    const result = await pool.query(
-      'INSERT INTO study_logs (user_id, date, hours) VALUES ($1, $2, $3) ON CONFLICT (user_id, date) DO UPDATE SET hours = $3, created_at = CURRENT_TIMESTAMP RETURNING *',
-      [userId, date, hours]
-    );
+    const { log } = await upsertStudySleepLog(userId, date, { studyHours: hours });
 
     res.status(201).json({
       message: 'Study log updated successfully',
-      log: result.rows[0]
+      log: toStudyLog(log)
     });
   } catch (error) {
     console.error('Study log error:', error);
@@ -41,14 +43,11 @@ const addSleepLog = async (req, res) => {
       return res.status(400).json({ error: 'Sleep hours must be between 4 and 12' });
     }
 
-    const result = await pool.query(
-      'INSERT INTO sleep_logs (user_id, date, hours) VALUES ($1, $2, $3) ON CONFLICT (user_id, date) DO UPDATE SET hours = $3, created_at = CURRENT_TIMESTAMP RETURNING *',
-      [userId, date, hours]
-    );
+    const { log } = await upsertStudySleepLog(userId, date, { sleepHours: hours });
 
     res.status(201).json({
       message: 'Sleep log updated successfully',
-      log: result.rows[0]
+      log: toSleepLog(log)
     });
   } catch (error) {
     console.error('Sleep log error:', error);
@@ -59,44 +58,41 @@ const addSleepLog = async (req, res) => {
 const getUserLogs = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { start_date, end_date, type } = req.query;
+    const { type } = req.query;
+    const list = parseListQuery(req.query, { column: 'date' });
 
-    let whereClause = 'WHERE user_id = $1';
-    let params = [userId];
+    // Page over the days that have the requested kind of log
+    const hasStudy = 'study_hours > 0';
+    const hasSleep = 'sleep_hours IS NOT NULL';
+    const typeFilter = type === 'study' ? hasStudy : type === 'sleep' ? hasSleep : `(${hasStudy} OR ${hasSleep})`;
 
-    if (start_date) {
-      params.push(start_date);
-      whereClause += ` AND date >= $${params.length}`;
-    }
-
-    if (end_date) {
-      params.push(end_date);
-      whereClause += ` AND date <= $${params.length}`;
-    }
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
+    const result = await pool.query(
+      `SELECT * FROM study_sleep_logs WHERE user_id = $1 AND ${typeFilter}${conditions} ${orderBy}`,
+      params
+    );
 
+    const { items, pagination } = buildPage(list, result.rows);
     const logs = {};
 
     if (!type || type === 'study') {
-      const studyResult = await pool.query(
-        `SELECT * FROM study_logs ${whereClause} ORDER BY date DESC`,
-        params
-      );
-      logs.study_logs = studyResult.rows;
+      logs.study_logs = items.filter(row => row.study_hours !== null && parseFloat(row.study_hours) > 0).map(toStudyLog);
     }
 
     if (!type || type === 'sleep') {
-      const sleepResult = await pool.query(
-        `SELECT * FROM sleep_logs ${whereClause} ORDER BY date DESC`,
-        params
-      );
-      logs.sleep_logs = sleepResult.rows;
+      logs.sleep_logs = items.filter(row => row.sleep_hours !== null).map(toSleepLog);
     }
 
     res.json({
       message: 'Logs retrieved successfully',
-      ...logs
+      ...logs,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get logs error:', error);
     res.status(500).json({ error: 'Failed to retrieve logs' });
   }
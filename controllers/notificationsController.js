@@ -1,4 +1,14 @@
 const { pool } = require('../config/database');
+const {
+  INBOX_TYPES,
+  INBOX_STATUSES,
+  listInboxItems,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  archiveItem
+} = require('../services/inboxService');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
 
 const createNotification = async (req, res) => {
   try {
@@ -33,6 +43,7 @@ const getNotifications = async (req, res) => {
   try {
     const userId = req.user.id;
     const { type, is_active } = req.query;
+    const list = parseListQuery(req.query, { column: 'created_at', type: 'timestamp' });
 
     let whereClause = 'WHERE user_id = $1';
     let params = [userId];
@@ -47,16 +58,22 @@ const getNotifications = async (req, res) => {
       whereClause += ` AND is_active = $${params.length}`;
     }
 
+    const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
     const result = await pool.query(
-      `SELECT * FROM notifications ${whereClause} ORDER BY created_at DESC`,
+      `SELECT *${cursorColumn} FROM notifications ${whereClause}${conditions} ${orderBy}`,
       params
     );
 
+    const { items, pagination } = buildPage(list, result.rows);
     res.json({
       message: 'Notifications retrieved successfully',
-      notifications: result.rows
+      notifications: items,
+      pagination
     });
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get notifications error:', error);
     res.status(500).json({ error: 'Failed to retrieve notifications' });
   }
@@ -114,9 +131,109 @@ const deleteNotification = async (req, res) => {
   }
 };
 
+const getInbox = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status = 'active', type } = req.query;
+    const list = parseListQuery(req.query, { column: 'created_at', type: 'timestamptz' });
+
+    if (!INBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${INBOX_STATUSES.join(', ')}` });
+    }
+
+    if (type && !INBOX_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid inbox item type' });
+    }
+
+    const [inbox, unreadCount] = await Promise.all([
+      listInboxItems(userId, list, { status, type }),
+      getUnreadCount(userId)
+    ]);
+
+    res.json({
+      message: 'Inbox retrieved successfully',
+      items: inbox.items,
+      pagination: inbox.pagination,
+      unreadCount
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get inbox error:', error);
+    res.status(500).json({ error: 'Failed to retrieve inbox' });
+  }
+};
+
+const getInboxUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.id);
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get inbox unread count error:', error);
+    res.status(500).json({ error: 'Failed to retrieve unread count' });
+  }
+};
+
+const markInboxItemRead = async (req, res) => {
+  try {
+    const item = await markAsRead(req.user.id, req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Inbox item not found' });
+    }
+
+    res.json({
+      message: 'Inbox item marked as read',
+      item
+    });
+  } catch (error) {
+    console.error('Mark inbox item read error:', error);
+    res.status(500).json({ error: 'Failed to mark inbox item as read' });
+  }
+};
+
+const markAllInboxItemsRead = async (req, res) => {
+  try {
+    const updated = await markAllAsRead(req.user.id);
+
+    res.json({
+      message: 'All inbox items marked as read',
+      updated
+    });
+  } catch (error) {
+    console.error('Mark all inbox items read error:', error);
+    res.status(500).json({ error: 'Failed to mark inbox items as read' });
+  }
+};
+
+const archiveInboxItem = async (req, res) => {
+  try {
+    const item = await archiveItem(req.user.id, req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Inbox item not found' });
+    }
+
+    res.json({
+      message: 'Inbox item archived',
+      item
+    });
+  } catch (error) {
+    console.error('Archive inbox item error:', error);
+    res.status(500).json({ error: 'Failed to archive inbox item' });
+  }
+};
+
 module.exports = {
   createNotification,
   getNotifications,
   updateNotification,
-  deleteNotification
+  deleteNotification,
+  getInbox,
+  getInboxUnreadCount,
+  markInboxItemRead,
+  markAllInboxItemsRead,
+  archiveInboxItem
 };
\ No newline at end of file
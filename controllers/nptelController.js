@@ -0,0 +1,278 @@
+const { pool } = require('../config/database');
+const { toDateString, getUserLocalDate } = require('../utils/helpers');
+const {
+  validateWeek,
+  validateLecture,
+  calculateEligibility,
+  getCourseWeeks,
+  recalculateCourseProgress
+} = require('../services/nptelService');
+
+const findCourse = async (userId, courseId) => {
+  const result = await pool.query('SELECT * FROM nptel_courses WHERE id = $1 AND user_id = $2', [courseId, userId]);
+  return result.rows[0] || null;
+};
+
+const findWeek = async (userId, courseId, weekId) => {
+  const result = await pool.query(
+    `SELECT w.* FROM nptel_course_weeks w
+     JOIN nptel_courses c ON c.id = w.course_id
+     WHERE w.id = $1 AND w.course_id = $2 AND c.user_id = $3`,
+    [weekId, courseId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const getCourse = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const userId = req.user.id;
+
+    const course = await findCourse(userId, courseId);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const weeksByCourse = await getCourseWeeks([course.id]);
+    const { today } = await getUserLocalDate(userId);
+
+    res.json({
+      course: {
+        ...course,
+        weeks: weeksByCourse[course.id],
+        eligibility: calculateEligibility(course, weeksByCourse[course.id], today)
+      }
+    });
+  } catch (error) {
+    console.error('Get NPTEL course error:', error);
+    res.status(500).json({ error: 'Failed to retrieve course' });
+  }
+};
+
+const addWeek = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { week_number, title, has_assignment, assignment_due_date, assignment_submitted, assignment_score } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateWeek(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await findCourse(userId, courseId)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const scored = assignment_score !== undefined && assignment_score !== null;
+    const result = await pool.query(
+      `INSERT INTO nptel_course_weeks
+         (course_id, week_number, title, has_assignment, assignment_due_date, assignment_submitted, assignment_score)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (course_id, week_number) DO NOTHING
+       RETURNING *`,
+      [
+        courseId, week_number, title ? title.trim() : null, has_assignment !== false, assignment_due_date || null,
+        assignment_submitted === true || scored, scored ? assignment_score : null
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `Week ${week_number} already exists for this course` });
+    }
+
+    await recalculateCourseProgress(courseId);
+
+    res.status(201).json({
+      message: 'Week added successfully',
+      week: { ...result.rows[0], lectures: [] }
+    });
+  } catch (error) {
+    console.error('Add NPTEL week error:', error);
+    res.status(500).json({ error: 'Failed to add week' });
+  }
+};
+
+const updateWeek = async (req, res) => {
+  try {
+    const { courseId, weekId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateWeek(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const current = await findWeek(userId, courseId, weekId);
+    if (!current) {
+      return res.status(404).json({ error: 'Week not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const score = pick('assignment_score');
+    // A scored assignment has been submitted
+    const submitted = score !== null ? true : pick('assignment_submitted');
+
+    const result = await pool.query(
+      `UPDATE nptel_course_weeks SET week_number = $1, title = $2, has_assignment = $3, assignment_due_date = $4,
+         assignment_submitted = $5, assignment_score = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 RETURNING *`,
+      [
+        pick('week_number'), pick('title'), pick('has_assignment'), toDateString(pick('assignment_due_date')),
+        submitted, score, current.id
+      ]
+    );
+
+    await recalculateCourseProgress(courseId);
+
+    res.json({
+      message: 'Week updated successfully',
+      week: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Week ${req.body.week_number} already exists for this course` });
+    }
+    console.error('Update NPTEL week error:', error);
+    res.status(500).json({ error: 'Failed to update week' });
+  }
+};
+
+const deleteWeek = async (req, res) => {
+  try {
+    const { courseId, weekId } = req.params;
+    const userId = req.user.id;
+
+    const week = await findWeek(userId, courseId, weekId);
+    if (!week) {
+      return res.status(404).json({ error: 'Week not found' });
+    }
+
+    await pool.query('DELETE FROM nptel_course_weeks WHERE id = $1', [week.id]);
+    await recalculateCourseProgress(courseId);
+
+    res.json({ message: 'Week deleted successfully' });
+  } catch (error) {
+    console.error('Delete NPTEL week error:', error);
+    res.status(500).json({ error: 'Failed to delete week' });
+  }
+};
+
+const addLecture = async (req, res) => {
+  try {
+    const { courseId, weekId } = req.params;
+    const { title, duration_minutes, completed, position } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateLecture(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await findWeek(userId, courseId, weekId)) {
+      return res.status(404).json({ error: 'Week not found' });
+    }
+
+    // New lectures go to the end of the week unless placed
+    const result = await pool.query(
+      `INSERT INTO nptel_week_lectures (week_id, title, duration_minutes, completed, position)
+       VALUES ($1, $2, $3, $4, COALESCE($5, (SELECT COUNT(*) FROM nptel_week_lectures WHERE week_id = $1)))
+       RETURNING *`,
+      [weekId, title.trim(), duration_minutes || null, completed === true, position === undefined ? null : position]
+    );
+
+    await recalculateCourseProgress(courseId);
+
+    res.status(201).json({
+      message: 'Lecture added successfully',
+      lecture: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add NPTEL lecture error:', error);
+    res.status(500).json({ error: 'Failed to add lecture' });
+  }
+};
+
+const updateLecture = async (req, res) => {
+  try {
+    const { courseId, weekId, lectureId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateLecture(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await findWeek(userId, courseId, weekId)) {
+      return res.status(404).json({ error: 'Week not found' });
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM nptel_week_lectures WHERE id = $1 AND week_id = $2',
+      [lectureId, weekId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Lecture not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+
+    const result = await pool.query(
+      `UPDATE nptel_week_lectures SET title = $1, duration_minutes = $2, completed = $3, position = $4,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 RETURNING *`,
+      [pick('title').trim(), pick('duration_minutes'), pick('completed'), pick('position'), current.id]
+    );
+
+    await recalculateCourseProgress(courseId);
+
+    res.json({
+      message: 'Lecture updated successfully',
+      lecture: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update NPTEL lecture error:', error);
+    res.status(500).json({ error: 'Failed to update lecture' });
+  }
+};
+
+const deleteLecture = async (req, res) => {
+  try {
+    const { courseId, weekId, lectureId } = req.params;
+    const userId = req.user.id;
+
+    if (!await findWeek(userId, courseId, weekId)) {
+      return res.status(404).json({ error: 'Week not found' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM nptel_week_lectures WHERE id = $1 AND week_id = $2 RETURNING id',
+      [lectureId, weekId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lecture not found' });
+    }
+
+    await recalculateCourseProgress(courseId);
+
+    res.json({ message: 'Lecture deleted successfully' });
+  } catch (error) {
+    console.error('Delete NPTEL lecture error:', error);
+    res.status(500).json({ error: 'Failed to delete lecture' });
+  }
+};
+
+module.exports = {
+  getCourse,
+  addWeek,
+  updateWeek,
+  deleteWeek,
+  addLecture,
+  updateLecture,
+  deleteLecture
+};
@@ -1,4 +1,7 @@
 const { pool } = require('../config/database');
+const { isValidTimezone } = require('../utils/helpers');
+const { requestEmailChange } = require('../services/accountService');
+const { parseTermId } = require('../services/termService');
 
 // Get user profile
 const getProfile = async (req, res) => {
@@ -7,7 +10,7 @@ const getProfile = async (req, res) => {
 
     // Get user basic info
     const userResult = await pool.query(
-      'SELECT id, username, email, created_at FROM users WHERE id = $1',
+      'SELECT id, username, email, email_verified_at, pending_email, created_at FROM users WHERE id = $1',
       [userId]
     );
 
@@ -29,6 +32,8 @@ const getProfile = async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
+        email_verified: !!user.email_verified_at,
+        pending_email: user.pending_email || null,
         created_at: user.created_at,
         profile: {
           full_name: profile.full_name || '',
@@ -40,7 +45,10 @@ const getProfile = async (req, res) => {
           emergency_contact: profile.emergency_contact || '',
           health_conditions: profile.health_conditions || '',
           goals: profile.goals || '',
-          preferences: profile.preferences || {}
+          preferences: profile.preferences || {},
+          timezone: profile.timezone || 'UTC',
+          weight_kg: profile.weight_kg ? parseFloat(profile.weight_kg) : null,
+          sleep_target_hours: profile.sleep_target_hours ? parseFloat(profile.sleep_target_hours) : null
         }
       }
     });
@@ -65,10 +73,26 @@ const updateProfile = async (req, res) => {
       emergency_contact,
       health_conditions,
       goals,
-      preferences
+      preferences,
+      timezone,
+      weight_kg,
+      sleep_target_hours
     } = req.body;
 
-    // Update user email if provided
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    if (weight_kg !== undefined && weight_kg !== null && !(Number(weight_kg) >= 20 && Number(weight_kg) <= 400)) {
+      return res.status(400).json({ error: 'Weight must be between 20 and 400 kg' });
+    }
+
+    if (sleep_target_hours !== undefined && sleep_target_hours !== null && !(Number(sleep_target_hours) >= 4 && Number(sleep_target_hours) <= 12)) {
+      return res.status(400).json({ error: 'Sleep target must be between 4 and 12 hours' });
+    }
+
+    // An email change only takes effect once the new address is verified
+    let pendingEmail = null;
     if (email) {
       // First check if the email is different from the user's current email
       const currentUserEmail = await pool.query(
@@ -87,12 +111,10 @@ const updateProfile = async (req, res) => {
         if (emailCheck.rows.length > 0) {
           return res.status(400).json({ error: 'Email already exists' });
         }
-      }
 
-      await pool.query(
-        'UPDATE users SET email = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [email, userId]
-      );
+        await requestEmailChange(userId, email);
+        pendingEmail = email;
+      }
     }
 
     // Update or create user profile
@@ -162,6 +184,24 @@ const updateProfile = async (req, res) => {
       paramIndex++;
     }
     
+    if (timezone !== undefined) {
+      updateFields.push(`timezone = $${paramIndex}`);
+      updateValues.push(timezone);
+      paramIndex++;
+    }
+    
+    if (weight_kg !== undefined) {
+      updateFields.push(`weight_kg = $${paramIndex}`);
+      updateValues.push(weight_kg);
+      paramIndex++;
+    }
+    
+    if (sleep_target_hours !== undefined) {
+      updateFields.push(`sleep_target_hours = $${paramIndex}`);
+      updateValues.push(sleep_target_hours);
+      paramIndex++;
+    }
+    
     // Add updated_at timestamp
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     
@@ -189,8 +229,11 @@ const updateProfile = async (req, res) => {
     const profileResult = await pool.query(query, updateValues);
 
     res.json({
-      message: 'Profile updated successfully',
-      profile: profileResult.rows[0]
+      message: pendingEmail
+        ? 'Profile updated successfully. Check your new email address to confirm the change.'
+        : 'Profile updated successfully',
+      profile: profileResult.rows[0],
+      pending_email: pendingEmail
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -203,6 +246,13 @@ const getDashboardData = async (req, res) => {
   try {
     const userId = req.user.id;
 
+    // Education data can be narrowed to one academic term
+    const termId = parseTermId(req.query.termId);
+    if (termId === null) {
+      return res.status(400).json({ error: 'termId must be a term ID' });
+    }
+    const termParams = termId ? [userId, termId] : [userId];
+
     // Get all user data in parallel
     const [
       userProfile,
@@ -219,14 +269,15 @@ const getDashboardData = async (req, res) => {
       shambhaviKriya,
       userStreaks,
       notifications,
-      userGoals
+      userGoals,
+      academicTerms
     ] = await Promise.all([
       // User profile
       pool.query(`
         SELECT u.id, u.username, u.email, u.created_at,
                p.full_name, p.bio, p.avatar_url, p.date_of_birth, 
                p.location, p.phone, p.emergency_contact, p.health_conditions, 
-               p.goals, p.preferences
+               p.goals, p.preferences, p.timezone, p.weight_kg, p.sleep_target_hours
         FROM users u
         LEFT JOIN user_profiles p ON u.id = p.user_id
         WHERE u.id = $1
@@ -236,7 +287,12 @@ const getDashboardData = async (req, res) => {
       pool.query('SELECT * FROM tasks WHERE user_id = $1 ORDER BY created_at DESC', [userId]),
 
       // Education tasks
-      pool.query('SELECT * FROM education_tasks WHERE user_id = $1 ORDER BY created_at DESC', [userId]),
+      pool.query(`
+        SELECT et.* FROM education_tasks et
+        ${termId ? 'JOIN subjects s ON s.user_id = et.user_id AND s.code = et.subject_code AND s.term_id = $2' : ''}
+        WHERE et.user_id = $1
+        ORDER BY et.created_at DESC
+      `, termParams),
 
       // NPTEL courses with tasks
       pool.query(`
@@ -252,19 +308,19 @@ const getDashboardData = async (req, res) => {
                ) FILTER (WHERE t.id IS NOT NULL), '[]') as tasks
         FROM nptel_courses c
         LEFT JOIN nptel_course_tasks t ON c.id = t.course_id
-        WHERE c.user_id = $1
+        WHERE c.user_id = $1 ${termId ? 'AND c.term_id = $2' : ''}
         GROUP BY c.id
         ORDER BY c.created_at DESC
-      `, [userId]),
+      `, termParams),
 
       // Research projects
       pool.query('SELECT * FROM research_projects WHERE user_id = $1 ORDER BY created_at DESC', [userId]),
 
-      // Study logs (legacy - keep for backward compatibility)
-      pool.query('SELECT * FROM study_logs WHERE user_id = $1 ORDER BY date DESC LIMIT 30', [userId]),
+      // Study logs (legacy shape, read from study_sleep_logs)
+      pool.query('SELECT id, user_id, date, study_hours as hours, updated_at as created_at FROM study_sleep_logs WHERE user_id = $1 AND study_hours > 0 ORDER BY date DESC LIMIT 30', [userId]),
 
-      // Sleep logs (legacy - keep for backward compatibility)
-      pool.query('SELECT * FROM sleep_logs WHERE user_id = $1 ORDER BY date DESC LIMIT 30', [userId]),
+      // Sleep logs (legacy shape, read from study_sleep_logs)
+      pool.query('SELECT id, user_id, date, sleep_hours as hours, updated_at as created_at FROM study_sleep_logs WHERE user_id = $1 AND sleep_hours IS NOT NULL ORDER BY date DESC LIMIT 30', [userId]),
 
       // Study & Sleep logs (new combined table)
       pool.query('SELECT * FROM study_sleep_logs WHERE user_id = $1 ORDER BY date DESC LIMIT 30', [userId]),
@@ -288,7 +344,10 @@ const getDashboardData = async (req, res) => {
       pool.query('SELECT * FROM notifications WHERE user_id = $1 AND is_active = true ORDER BY created_at DESC', [userId]),
 
       // User goals
-      pool.query('SELECT * FROM user_goals WHERE user_id = $1 ORDER BY created_at DESC', [userId])
+      pool.query('SELECT * FROM user_goals WHERE user_id = $1 ORDER BY created_at DESC', [userId]),
+
+      // Academic terms
+      pool.query('SELECT * FROM academic_terms WHERE user_id = $1 ORDER BY start_date DESC', [userId])
     ]);
 
     const user = userProfile.rows[0];
@@ -309,7 +368,10 @@ const getDashboardData = async (req, res) => {
           emergency_contact: user.emergency_contact || '',
           health_conditions: user.health_conditions || '',
           goals: user.goals || '',
-          preferences: user.preferences || {}
+          preferences: user.preferences || {},
+          timezone: user.timezone || 'UTC',
+          weight_kg: user.weight_kg ? parseFloat(user.weight_kg) : null,
+          sleep_target_hours: user.sleep_target_hours ? parseFloat(user.sleep_target_hours) : null
         }
       },
       data: {
@@ -326,8 +388,10 @@ const getDashboardData = async (req, res) => {
         shambhaviKriya: shambhaviKriya.rows,
         userStreaks: userStreaks.rows,
         notifications: notifications.rows,
-        userGoals: userGoals.rows
-      }
+        userGoals: userGoals.rows,
+        academicTerms: academicTerms.rows
+      },
+      termId: termId || null
     });
   } catch (error) {
     console.error('Get dashboard data error:', error);
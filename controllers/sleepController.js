@@ -0,0 +1,193 @@
+const { pool } = require('../config/database');
+const { toDateString, isValidTimezone, getZonedParts } = require('../utils/helpers');
+const {
+  isLikelyNap,
+  validateSleepSession,
+  getSleepSettings,
+  getSleepOverview,
+  syncDailySleepHours
+} = require('../services/sleepService');
+
+const MAX_OVERVIEW_DAYS = 365;
+
+/**
+ * Work out the wake date and nap flag for a session in the user's timezone
+ */
+const describeSession = (start, end, isNap, timezone) => {
+  const zone = isValidTimezone(timezone) ? timezone : 'UTC';
+  const durationMinutes = Math.round((end - start) / 60000);
+  return {
+    date: getZonedParts(end, zone).date,
+    isNap: typeof isNap === 'boolean' ? isNap : isLikelyNap(durationMinutes, getZonedParts(start, zone).minutes)
+  };
+};
+
+const findOverlappingSession = async (userId, start, end, excludeId = null) => {
+  const result = await pool.query(
+    'SELECT id FROM sleep_sessions WHERE user_id = $1 AND sleep_start < $3 AND sleep_end > $2 AND ($4::INTEGER IS NULL OR id <> $4) LIMIT 1',
+    [userId, start, end, excludeId]
+  );
+  return result.rows[0] || null;
+};
+
+const getSleep = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_OVERVIEW_DAYS);
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const overview = await getSleepOverview(userId, startDate);
+
+    res.json({
+      message: 'Sleep data retrieved successfully',
+      sleep: overview
+    });
+  } catch (error) {
+    console.error('Get sleep error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sleep data' });
+  }
+};
+
+const addSleepSession = async (req, res) => {
+  try {
+    const { sleep_start, sleep_end, is_nap, quality, awakenings, notes } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateSleepSession(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const start = new Date(sleep_start);
+    const end = new Date(sleep_end);
+
+    if (await findOverlappingSession(userId, start, end)) {
+      return res.status(409).json({ error: 'This session overlaps another logged sleep session' });
+    }
+
+    const { timezone } = await getSleepSettings(userId);
+    const { date, isNap } = describeSession(start, end, is_nap, timezone);
+
+    const result = await pool.query(
+      `INSERT INTO sleep_sessions (user_id, date, sleep_start, sleep_end, is_nap, quality, awakenings, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [userId, date, start, end, isNap, quality || null, awakenings === undefined ? null : awakenings, notes || null]
+    );
+
+    const dailyHours = await syncDailySleepHours(userId, date);
+
+    res.status(201).json({
+      message: 'Sleep session logged successfully',
+      session: result.rows[0],
+      dailyHours
+    });
+  } catch (error) {
+    console.error('Add sleep session error:', error);
+    res.status(500).json({ error: 'Failed to log sleep session' });
+  }
+};
+
+const updateSleepSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const existing = await pool.query(
+      'SELECT * FROM sleep_sessions WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Sleep session not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const merged = {
+      sleep_start: pick('sleep_start'),
+      sleep_end: pick('sleep_end'),
+      quality: pick('quality'),
+      awakenings: pick('awakenings'),
+      notes: pick('notes')
+    };
+
+    const validationError = validateSleepSession(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const start = new Date(merged.sleep_start);
+    const end = new Date(merged.sleep_end);
+
+    if (await findOverlappingSession(userId, start, end, current.id)) {
+      return res.status(409).json({ error: 'This session overlaps another logged sleep session' });
+    }
+
+    // Re-infer the nap flag only when the times change and the user didn't set it
+    const timesChanged = req.body.sleep_start !== undefined || req.body.sleep_end !== undefined;
+    const napSetting = req.body.is_nap !== undefined ? req.body.is_nap : (timesChanged ? undefined : current.is_nap);
+
+    const { timezone } = await getSleepSettings(userId);
+    const { date, isNap } = describeSession(start, end, napSetting, timezone);
+
+    const result = await pool.query(
+      `UPDATE sleep_sessions
+       SET date = $1, sleep_start = $2, sleep_end = $3, is_nap = $4, quality = $5, awakenings = $6, notes = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 AND user_id = $9
+       RETURNING *`,
+      [date, start, end, isNap, merged.quality, merged.awakenings, merged.notes, current.id, userId]
+    );
+
+    const previousDate = toDateString(current.date);
+    if (previousDate !== date) {
+      await syncDailySleepHours(userId, previousDate);
+    }
+    const dailyHours = await syncDailySleepHours(userId, date);
+
+    res.json({
+      message: 'Sleep session updated successfully',
+      session: result.rows[0],
+      dailyHours
+    });
+  } catch (error) {
+    console.error('Update sleep session error:', error);
+    res.status(500).json({ error: 'Failed to update sleep session' });
+  }
+};
+
+const deleteSleepSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM sleep_sessions WHERE id = $1 AND user_id = $2 RETURNING date',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Sleep session not found' });
+    }
+
+    const date = toDateString(result.rows[0].date);
+    const dailyHours = await syncDailySleepHours(userId, date);
+
+    res.json({
+      message: 'Sleep session deleted successfully',
+      dailyHours
+    });
+  } catch (error) {
+    console.error('Delete sleep session error:', error);
+    res.status(500).json({ error: 'Failed to delete sleep session' });
+  }
+};
+
+module.exports = {
+  getSleep,
+  addSleepSession,
+  updateSleepSession,
+  deleteSleepSession
+};
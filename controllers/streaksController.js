@@ -1,87 +1,78 @@
-const { pool } = require('../config/database');
-
-// Update streak for an activity
-const updateStreak = async (req, res) => {
+const {
+  STREAK_ACTIVITY_TYPES,
+  isStreakActivityType,
+  validateStreakSettings,
+  recomputeStreak
+} = require('../services/streakService');
+const { getActiveHabitKeys } = require('../services/habitService');
+
+const INVALID_ACTIVITY_TYPE = `Activity type must be one of: ${STREAK_ACTIVITY_TYPES.join(', ')}, or habit:<id>`;
+
+const formatStreak = (activityType, data) => ({
+  activity_type: activityType,
+  current_streak: data.currentStreak,
+  longest_streak: data.longestStreak,
+  last_activity_date: data.lastActivityDate,
+  streak_start_date: data.streakStartDate,
+  grace_days: data.graceDays,
+  freezes_available: data.freezesAvailable,
+  freezes_used: data.freezesUsed,
+  frozen_dates: data.frozenDates
+});
+
+// Recompute a streak from its tracker data
+const recalculateStreak = async (req, res) => {
   try {
     const { activityType } = req.params;
-    const { date } = req.body;
     const userId = req.user.id;
 
-    if (!activityType || !date) {
-      return res.status(400).json({ error: 'Activity type and date are required' });
+    if (!isStreakActivityType(activityType)) {
+      return res.status(400).json({ error: INVALID_ACTIVITY_TYPE });
     }
 
-    const activityDate = new Date(date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    activityDate.setHours(0, 0, 0, 0);
-
-    // Get current streak data
-    const streakResult = await pool.query(
-      'SELECT * FROM user_streaks WHERE user_id = $1 AND activity_type = $2',
-      [userId, activityType]
-    );
-
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let lastActivityDate = null;
-
-    if (streakResult.rows.length > 0) {
-      const streak = streakResult.rows[0];
-      currentStreak = streak.current_streak;
-      longestStreak = streak.longest_streak;
-      lastActivityDate = streak.last_activity_date ? new Date(streak.last_activity_date) : null;
+    const result = await recomputeStreak(userId, activityType);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Calculate new streak
-    if (lastActivityDate) {
-      const daysDiff = Math.floor((activityDate - lastActivityDate) / (1000 * 60 * 60 * 24));
-      
-      if (daysDiff === 1) {
-        // Consecutive day - increment streak
-        currentStreak += 1;
-      } else if (daysDiff === 0) {
-        // Same day - no change
-        // Don't update streak
-      } else {
-        // Gap in days - reset streak
-        currentStreak = 1;
-      }
-    } else {
-      // First activity
-      currentStreak = 1;
+    res.json({
+      message: 'Streak recalculated successfully',
+      streak: formatStreak(activityType, result.data)
+    });
+  } catch (error) {
+    console.error('Recalculate streak error:', error);
+    res.status(500).json({ error: 'Failed to recalculate streak' });
+  }
+};
+
+// Change a streak's grace days
+const updateStreakSettings = async (req, res) => {
+  try {
+    const { activityType } = req.params;
+    const { grace_days } = req.body;
+    const userId = req.user.id;
+
+    if (!isStreakActivityType(activityType)) {
+      return res.status(400).json({ error: INVALID_ACTIVITY_TYPE });
     }
 
-    // Update longest streak if current is higher
-    if (currentStreak > longestStreak) {
-      longestStreak = currentStreak;
+    const validationError = validateStreakSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Update or insert streak record
-    if (streakResult.rows.length > 0) {
-      await pool.query(
-        'UPDATE user_streaks SET current_streak = $1, longest_streak = $2, last_activity_date = $3, updated_at = CURRENT_TIMESTAMP WHERE user_id = $4 AND activity_type = $5',
-        [currentStreak, longestStreak, date, userId, activityType]
-      );
-    } else {
-      await pool.query(
-        'INSERT INTO user_streaks (user_id, activity_type, current_streak, longest_streak, last_activity_date) VALUES ($1, $2, $3, $4, $5)',
-        [userId, activityType, currentStreak, longestStreak, date]
-      );
+    const result = await recomputeStreak(userId, activityType, { graceDays: grace_days });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
     res.json({
-      message: 'Streak updated successfully',
-      streak: {
-        activity_type: activityType,
-        current_streak: currentStreak,
-        longest_streak: longestStreak,
-        last_activity_date: date
-      }
+      message: 'Streak settings updated successfully',
+      streak: formatStreak(activityType, result.data)
     });
   } catch (error) {
-    console.error('Update streak error:', error);
-    res.status(500).json({ error: 'Failed to update streak' });
+    console.error('Update streak settings error:', error);
+    res.status(500).json({ error: 'Failed to update streak settings' });
   }
 };
 
@@ -90,19 +81,17 @@ const getUserStreaks = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const result = await pool.query(
-      'SELECT * FROM user_streaks WHERE user_id = $1 ORDER BY activity_type',
-      [userId]
-    );
+    // Custom habits are listed after the built-in trackers
+    const activityTypes = [...STREAK_ACTIVITY_TYPES, ...await getActiveHabitKeys(userId)];
 
     const streaks = {};
-    result.rows.forEach(row => {
-      streaks[row.activity_type] = {
-        current_streak: row.current_streak,
-        longest_streak: row.longest_streak,
-        last_activity_date: row.last_activity_date
-      };
-    });
+    for (const activityType of activityTypes) {
+      const result = await recomputeStreak(userId, activityType);
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      streaks[activityType] = formatStreak(activityType, result.data);
+    }
 
     res.json({ streaks });
   } catch (error) {
@@ -117,35 +106,16 @@ const getActivityStreak = async (req, res) => {
     const { activityType } = req.params;
     const userId = req.user.id;
 
-    if (!activityType) {
-      return res.status(400).json({ error: 'Activity type is required' });
+    if (!isStreakActivityType(activityType)) {
+      return res.status(400).json({ error: INVALID_ACTIVITY_TYPE });
     }
 
-    const result = await pool.query(
-      'SELECT * FROM user_streaks WHERE user_id = $1 AND activity_type = $2',
-      [userId, activityType]
-    );
-
-    if (result.rows.length === 0) {
-      return res.json({
-        streak: {
-          activity_type: activityType,
-          current_streak: 0,
-          longest_streak: 0,
-          last_activity_date: null
-        }
-      });
+    const result = await recomputeStreak(userId, activityType);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const streak = result.rows[0];
-    res.json({
-      streak: {
-        activity_type: activityType,
-        current_streak: streak.current_streak,
-        longest_streak: streak.longest_streak,
-        last_activity_date: streak.last_activity_date
-      }
-    });
+    res.json({ streak: formatStreak(activityType, result.data) });
   } catch (error) {
     console.error('Get activity streak error:', error);
     res.status(500).json({ error: 'Failed to retrieve streak' });
@@ -153,7 +123,8 @@ const getActivityStreak = async (req, res) => {
 };
 
 module.exports = {
-  updateStreak,
+  recalculateStreak,
+  updateStreakSettings,
   getUserStreaks,
   getActivityStreak
-};
\ No newline at end of file
+};
@@ -0,0 +1,197 @@
+const { pool } = require('../config/database');
+const { getUserLocalDate } = require('../utils/helpers');
+const {
+  withTimer,
+  startStudySession,
+  pauseStudySession,
+  resumeStudySession,
+  stopStudySession,
+  syncDailyStudyHours,
+  summarizeStudySessions
+} = require('../services/studySessionService');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+
+const SESSION_COLUMNS = `
+  ss.*, s.code as subject_code, s.name as subject_name,
+  u.unit_number, u.title as unit_title, c.title as course_title`;
+
+const SESSION_JOINS = `
+  LEFT JOIN subjects s ON ss.subject_id = s.id
+  LEFT JOIN units u ON ss.unit_id = u.id
+  LEFT JOIN nptel_courses c ON ss.nptel_course_id = c.id`;
+
+// Service errors carry the HTTP status to respond with
+const sendSessionError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+const getStudySessions = async (req, res) => {
+  try {
+    const { subject_code } = req.query;
+    const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'ss.date', idColumn: 'ss.id' });
+
+    const filterParams = [userId];
+    let subjectFilter = '';
+    if (subject_code) {
+      filterParams.push(subject_code);
+      subjectFilter = ` AND s.code = $${filterParams.length}`;
+    }
+
+    const params = [...filterParams];
+    const { conditions, orderBy } = buildListClauses(list, params);
+    const result = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM study_sessions ss ${SESSION_JOINS}
+       WHERE ss.user_id = $1${subjectFilter}${conditions} ${orderBy}`,
+      params
+    );
+
+    // The summary covers the whole date range, not just this page
+    const summaryParams = [...filterParams];
+    const { conditions: rangeConditions } = buildListClauses({ ...list, after: null }, summaryParams);
+    const completed = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM study_sessions ss ${SESSION_JOINS}
+       WHERE ss.user_id = $1${subjectFilter}${rangeConditions} AND ss.status = 'completed'`,
+      summaryParams
+    );
+
+    const { items, pagination } = buildPage(list, result.rows);
+    const now = new Date();
+    res.json({
+      sessions: items.map(session => withTimer(session, now)),
+      summary: summarizeStudySessions(completed.rows),
+      pagination
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get study sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve study sessions' });
+  }
+};
+
+const getActiveStudySession = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `SELECT ${SESSION_COLUMNS} FROM study_sessions ss ${SESSION_JOINS}
+       WHERE ss.user_id = $1 AND ss.status IN ('running', 'paused')`,
+      [userId]
+    );
+
+    res.json({ session: result.rows.length > 0 ? withTimer(result.rows[0]) : null });
+  } catch (error) {
+    console.error('Get active study session error:', error);
+    res.status(500).json({ error: 'Failed to retrieve active study session' });
+  }
+};
+
+const startSession = async (req, res) => {
+  try {
+    const { subject_code, unit_id, unit_number, nptel_course_id, planned_minutes, notes } = req.body;
+    const userId = req.user.id;
+
+    // The session counts towards the user's local day
+    const { today } = await getUserLocalDate(userId);
+
+    const session = await startStudySession(userId, {
+      subjectCode: subject_code,
+      unitId: unit_id,
+      unitNumber: unit_number,
+      nptelCourseId: nptel_course_id,
+      plannedMinutes: planned_minutes,
+      notes,
+      date: today
+    });
+
+    res.status(201).json({
+      message: 'Study session started',
+      session: withTimer(session)
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to start study session');
+  }
+};
+
+const pauseSession = async (req, res) => {
+  try {
+    const session = await pauseStudySession(req.user.id, req.params.sessionId);
+
+    res.json({
+      message: 'Study session paused',
+      session: withTimer(session)
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to pause study session');
+  }
+};
+
+const resumeSession = async (req, res) => {
+  try {
+    const session = await resumeStudySession(req.user.id, req.params.sessionId);
+
+    res.json({
+      message: 'Study session resumed',
+      session: withTimer(session)
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to resume study session');
+  }
+};
+
+const stopSession = async (req, res) => {
+  try {
+    const { session, dailyStudyHours } = await stopStudySession(req.user.id, req.params.sessionId);
+
+    res.json({
+      message: 'Study session completed',
+      session: withTimer(session),
+      dailyStudyHours
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to stop study session');
+  }
+};
+
+const deleteStudySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM study_sessions WHERE id = $1 AND user_id = $2 RETURNING date, status',
+      [sessionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Study session not found' });
+    }
+
+    const dailyStudyHours = result.rows[0].status === 'completed' ?
+      await syncDailyStudyHours(userId, result.rows[0].date) : undefined;
+
+    res.json({
+      message: 'Study session deleted successfully',
+      dailyStudyHours
+    });
+  } catch (error) {
+    console.error('Delete study session error:', error);
+    res.status(500).json({ error: 'Failed to delete study session' });
+  }
+};
+
+module.exports = {
+  getStudySessions,
+  getActiveStudySession,
+  startSession,
+  pauseSession,
+  resumeSession,
+  stopSession,
+  deleteStudySession
+};
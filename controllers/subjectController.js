@@ -0,0 +1,339 @@
+const { pool } = require('../config/database');
+const {
+  validateSubject,
+  validateUnit,
+  getSubjectTree,
+  reorderSubjects,
+  reorderUnits,
+  isIdList
+} = require('../services/subjectService');
+const { parseTermId, resolveTermId } = require('../services/termService');
+
+const DUPLICATE_CODE_ERROR = 'You already have a subject with this code';
+
+const findSubject = async (userId, subjectId) => {
+  const result = await pool.query('SELECT * FROM subjects WHERE id = $1 AND user_id = $2', [subjectId, userId]);
+  return result.rows[0] || null;
+};
+
+const getSubjects = async (req, res) => {
+  try {
+    const termId = parseTermId(req.query.term_id);
+    if (termId === null) {
+      return res.status(400).json({ error: 'term_id must be a term ID' });
+    }
+
+    const subjects = await getSubjectTree(req.user.id, termId);
+
+    res.json({ subjects });
+  } catch (error) {
+    console.error('Get subjects error:', error);
+    res.status(500).json({ error: 'Failed to retrieve subjects' });
+  }
+};
+
+const addSubject = async (req, res) => {
+  try {
+    const { code, name, credits, exam_date, term_id, units = [] } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateSubject(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!Array.isArray(units)) {
+      return res.status(400).json({ error: 'units must be a list' });
+    }
+    for (const unit of units) {
+      const unitError = validateUnit(unit || {});
+      if (unitError) {
+        return res.status(400).json({ error: `Invalid unit: ${unitError}` });
+      }
+    }
+
+    const termId = await resolveTermId(userId, term_id);
+
+    // New subjects go to the end of the list
+    const result = await pool.query(
+      `INSERT INTO subjects (user_id, code, name, credits, exam_date, term_id, position)
+       VALUES ($1, $2, $3, $4, $5, $6, (SELECT COALESCE(MAX(position) + 1, 0) FROM subjects WHERE user_id = $1))
+       RETURNING *`,
+      [userId, code.trim(), name.trim(), credits === undefined ? null : credits, exam_date || null, termId]
+    );
+    const subject = result.rows[0];
+
+    subject.units = [];
+    if (units.length > 0) {
+      const unitResult = await pool.query(
+        `INSERT INTO units (subject_id, unit_number, title, weight, exam_date, position)
+         SELECT $1, COALESCE(u.unit_number, u.position::INTEGER), u.title, COALESCE(u.weight, 1), u.exam_date, u.position - 1
+         FROM unnest($2::int[], $3::text[], $4::numeric[], $5::date[]) WITH ORDINALITY as u(unit_number, title, weight, exam_date, position)
+         RETURNING *`,
+        [
+          subject.id,
+          units.map(unit => unit.unit_number || null),
+          units.map(unit => unit.title.trim()),
+          units.map(unit => unit.weight || null),
+          units.map(unit => unit.exam_date || null)
+        ]
+      );
+      subject.units = unitResult.rows;
+    }
+
+    res.status(201).json({
+      message: 'Subject added successfully',
+      subject
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: DUPLICATE_CODE_ERROR });
+    }
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Add subject error:', error);
+    res.status(500).json({ error: 'Failed to add subject' });
+  }
+};
+
+const updateSubject = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateSubject(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const current = await findSubject(userId, subjectId);
+    if (!current) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const code = req.body.code !== undefined ? req.body.code.trim() : current.code;
+    const termId = req.body.term_id !== undefined ? await resolveTermId(userId, req.body.term_id) : current.term_id;
+
+    const result = await pool.query(
+      `UPDATE subjects SET code = $1, name = $2, credits = $3, exam_date = $4, term_id = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7 RETURNING *`,
+      [code, req.body.name !== undefined ? req.body.name.trim() : current.name, pick('credits'), pick('exam_date'), termId, subjectId, userId]
+    );
+
+    // Tasks refer to their subject by code
+    if (code !== current.code) {
+      await pool.query(
+        'UPDATE education_tasks SET subject_code = $1 WHERE user_id = $2 AND subject_code = $3',
+        [code, userId, current.code]
+      );
+      await pool.query(
+        'UPDATE research_tasks SET subject_code = $1 WHERE user_id = $2 AND subject_code = $3',
+        [code, userId, current.code]
+      );
+    }
+
+    res.json({
+      message: 'Subject updated successfully',
+      subject: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: DUPLICATE_CODE_ERROR });
+    }
+    if (error.code === 'TERM_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Update subject error:', error);
+    res.status(500).json({ error: 'Failed to update subject' });
+  }
+};
+
+const deleteSubject = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM subjects WHERE id = $1 AND user_id = $2 RETURNING code',
+      [subjectId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    // Unit tasks go with their units
+    await pool.query(
+      'DELETE FROM education_tasks WHERE user_id = $1 AND subject_code = $2',
+      [userId, result.rows[0].code]
+    );
+
+    res.json({ message: 'Subject deleted successfully' });
+  } catch (error) {
+    console.error('Delete subject error:', error);
+    res.status(500).json({ error: 'Failed to delete subject' });
+  }
+};
+
+const updateSubjectOrder = async (req, res) => {
+  try {
+    const { subject_ids } = req.body;
+
+    if (!isIdList(subject_ids)) {
+      return res.status(400).json({ error: 'subject_ids must be a list of distinct subject IDs' });
+    }
+
+    const reordered = await reorderSubjects(req.user.id, subject_ids);
+    if (reordered === 0) {
+      return res.status(404).json({ error: 'One or more subjects not found' });
+    }
+
+    res.json({ message: 'Subjects reordered successfully' });
+  } catch (error) {
+    console.error('Reorder subjects error:', error);
+    res.status(500).json({ error: 'Failed to reorder subjects' });
+  }
+};
+
+const addUnit = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { unit_number, title, weight, exam_date } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateUnit(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await findSubject(userId, subjectId)) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    // New units go to the end of the subject, numbered after the last one
+    const result = await pool.query(
+      `INSERT INTO units (subject_id, unit_number, title, weight, exam_date, position)
+       SELECT $1, COALESCE($2::INTEGER, MAX(unit_number) + 1, 1), $3, COALESCE($4::NUMERIC, 1), $5::DATE, COALESCE(MAX(position) + 1, 0)
+       FROM units WHERE subject_id = $1
+       RETURNING *`,
+      [subjectId, unit_number || null, title.trim(), weight || null, exam_date || null]
+    );
+
+    res.status(201).json({
+      message: 'Unit added successfully',
+      unit: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add unit error:', error);
+    res.status(500).json({ error: 'Failed to add unit' });
+  }
+};
+
+const updateUnit = async (req, res) => {
+  try {
+    const { subjectId, unitId } = req.params;
+    const userId = req.user.id;
+
+    const validationError = validateUnit(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await pool.query(
+      `SELECT u.* FROM units u JOIN subjects s ON s.id = u.subject_id
+       WHERE u.id = $1 AND u.subject_id = $2 AND s.user_id = $3`,
+      [unitId, subjectId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+
+    const result = await pool.query(
+      `UPDATE units SET unit_number = $1, title = $2, weight = $3, exam_date = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 RETURNING *`,
+      [
+        pick('unit_number') || current.unit_number,
+        req.body.title !== undefined ? req.body.title.trim() : current.title,
+        pick('weight') || 1,
+        pick('exam_date'),
+        current.id
+      ]
+    );
+
+    res.json({
+      message: 'Unit updated successfully',
+      unit: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update unit error:', error);
+    res.status(500).json({ error: 'Failed to update unit' });
+  }
+};
+
+const deleteUnit = async (req, res) => {
+  try {
+    const { subjectId, unitId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `DELETE FROM units u USING subjects s
+       WHERE u.id = $1 AND u.subject_id = $2 AND s.id = u.subject_id AND s.user_id = $3
+       RETURNING u.id, s.code`,
+      [unitId, subjectId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    await pool.query(
+      'DELETE FROM education_tasks WHERE user_id = $1 AND subject_code = $2 AND unit_id = $3',
+      [userId, result.rows[0].code, result.rows[0].id]
+    );
+
+    res.json({ message: 'Unit deleted successfully' });
+  } catch (error) {
+    console.error('Delete unit error:', error);
+    res.status(500).json({ error: 'Failed to delete unit' });
+  }
+};
+
+const updateUnitOrder = async (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { unit_ids } = req.body;
+
+    if (!isIdList(unit_ids)) {
+      return res.status(400).json({ error: 'unit_ids must be a list of distinct unit IDs' });
+    }
+
+    const reordered = await reorderUnits(req.user.id, subjectId, unit_ids);
+    if (reordered === 0) {
+      return res.status(404).json({ error: 'One or more units not found' });
+    }
+
+    res.json({ message: 'Units reordered successfully' });
+  } catch (error) {
+    console.error('Reorder units error:', error);
+    res.status(500).json({ error: 'Failed to reorder units' });
+  }
+};
+
+module.exports = {
+  getSubjects,
+  addSubject,
+  updateSubject,
+  deleteSubject,
+  updateSubjectOrder,
+  addUnit,
+  updateUnit,
+  deleteUnit,
+  updateUnitOrder
+};
@@ -0,0 +1,308 @@
+const { pool } = require('../config/database');
+const { isValidDate, toDateString } = require('../utils/helpers');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+
+const MIN_SEVERITY = 0;
+const MAX_SEVERITY = 5;
+
+const isValidScore = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+const getSymptomTypes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `SELECT id, name, category, user_id IS NOT NULL as is_custom
+       FROM symptom_types
+       WHERE user_id IS NULL OR user_id = $1
+       ORDER BY is_custom ASC, category ASC, name ASC`,
+      [userId]
+    );
+
+    res.json({
+      message: 'Symptom types retrieved successfully',
+      types: result.rows
+    });
+  } catch (error) {
+    console.error('Get symptom types error:', error);
+    res.status(500).json({ error: 'Failed to retrieve symptom types' });
+  }
+};
+
+const addSymptomType = async (req, res) => {
+  try {
+    const { name, category } = req.body;
+    const userId = req.user.id;
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmedName || trimmedName.length > 50) {
+      return res.status(400).json({ error: 'Name is required (max 50 characters)' });
+    }
+
+    // A custom type may not shadow a built-in or another of the user's own types
+    const existing = await pool.query(
+      'SELECT id FROM symptom_types WHERE (user_id IS NULL OR user_id = $1) AND LOWER(name) = LOWER($2)',
+      [userId, trimmedName]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A symptom with this name already exists' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO symptom_types (user_id, name, category) VALUES ($1, $2, $3) RETURNING id, name, category',
+      [userId, trimmedName, category || 'other']
+    );
+
+    res.status(201).json({
+      message: 'Symptom type created successfully',
+      type: { ...result.rows[0], is_custom: true }
+    });
+  } catch (error) {
+    console.error('Add symptom type error:', error);
+    res.status(500).json({ error: 'Failed to create symptom type' });
+  }
+};
+
+const deleteSymptomType = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Built-in types have no owner, so they can never match here
+    const result = await pool.query(
+      'DELETE FROM symptom_types WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Custom symptom type not found' });
+    }
+
+    res.json({ message: 'Symptom type and its logs deleted successfully' });
+  } catch (error) {
+    console.error('Delete symptom type error:', error);
+    res.status(500).json({ error: 'Failed to delete symptom type' });
+  }
+};
+
+const getSymptomLogs = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const list = parseListQuery(req.query, { column: 'date' });
+
+    // Page over journal days. A day appears once, so the id tie-breaker is constant.
+    const params = [userId];
+    const { conditions, orderBy } = buildListClauses(list, params);
+    const dayResult = await pool.query(
+      `SELECT date, 1 as id FROM (
+         SELECT date FROM symptom_logs WHERE user_id = $1
+         UNION
+         SELECT date FROM mood_logs WHERE user_id = $1
+       ) journal_days WHERE TRUE${conditions} ${orderBy}`,
+      params
+    );
+    const { items: dayRows, pagination } = buildPage(list, dayResult.rows);
+    const dates = dayRows.map(row => toDateString(row.date));
+
+    const [symptoms, moods] = dates.length === 0 ? [{ rows: [] }, { rows: [] }] : await Promise.all([
+      pool.query(
+        `SELECT sl.id, sl.date, sl.severity, sl.notes, st.id as symptom_type_id, st.name, st.category
+         FROM symptom_logs sl
+         JOIN symptom_types st ON sl.symptom_type_id = st.id
+         WHERE sl.user_id = $1 AND sl.date = ANY($2::date[])
+         ORDER BY sl.date DESC, st.name ASC`,
+        [userId, dates]
+      ),
+      pool.query(
+        'SELECT id, date, mood, energy, notes FROM mood_logs WHERE user_id = $1 AND date = ANY($2::date[])',
+        [userId, dates]
+      )
+    ]);
+
+    // Group into one journal entry per day, in page order
+    const days = {};
+    dates.forEach(date => {
+      days[date] = { date, symptoms: [], mood: null };
+    });
+
+    symptoms.rows.forEach(row => {
+      const { date, ...entry } = row;
+      days[toDateString(date)].symptoms.push(entry);
+    });
+    moods.rows.forEach(row => {
+      const { date, ...entry } = row;
+      days[toDateString(date)].mood = entry;
+    });
+
+    res.json({
+      message: 'Symptom journal retrieved successfully',
+      days: dates.map(date => days[date]),
+      pagination
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get symptom logs error:', error);
+    res.status(500).json({ error: 'Failed to retrieve symptom journal' });
+  }
+};
+
+const addSymptomLog = async (req, res) => {
+  try {
+    const { date, symptom_type_id, severity, notes } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidDate(date) || !symptom_type_id) {
+      return res.status(400).json({ error: 'Date (YYYY-MM-DD) and symptom_type_id are required' });
+    }
+
+    if (!isValidScore(severity, MIN_SEVERITY, MAX_SEVERITY)) {
+      return res.status(400).json({ error: `Severity must be a whole number from ${MIN_SEVERITY} to ${MAX_SEVERITY}` });
+    }
+
+    const typeCheck = await pool.query(
+      'SELECT id, name FROM symptom_types WHERE id = $1 AND (user_id IS NULL OR user_id = $2)',
+      [symptom_type_id, userId]
+    );
+
+    if (typeCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Symptom type not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO symptom_logs (user_id, symptom_type_id, date, severity, notes) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, symptom_type_id, date)
+       DO UPDATE SET severity = $4, notes = COALESCE($5, symptom_logs.notes), updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, symptom_type_id, date, severity, notes || null]
+    );
+
+    res.status(201).json({
+      message: 'Symptom logged successfully',
+      entry: { ...result.rows[0], name: typeCheck.rows[0].name }
+    });
+  } catch (error) {
+    console.error('Add symptom log error:', error);
+    res.status(500).json({ error: 'Failed to log symptom' });
+  }
+};
+
+const updateSymptomLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { severity, notes } = req.body;
+    const userId = req.user.id;
+
+    if (severity !== undefined && !isValidScore(severity, MIN_SEVERITY, MAX_SEVERITY)) {
+      return res.status(400).json({ error: `Severity must be a whole number from ${MIN_SEVERITY} to ${MAX_SEVERITY}` });
+    }
+
+    const result = await pool.query(
+      'UPDATE symptom_logs SET severity = COALESCE($1, severity), notes = COALESCE($2, notes), updated_at = CURRENT_TIMESTAMP WHERE id = $3 AND user_id = $4 RETURNING *',
+      [severity === undefined ? null : severity, notes, id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Symptom log not found' });
+    }
+
+    res.json({
+      message: 'Symptom log updated successfully',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update symptom log error:', error);
+    res.status(500).json({ error: 'Failed to update symptom log' });
+  }
+};
+
+const deleteSymptomLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM symptom_logs WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Symptom log not found' });
+    }
+
+    res.json({ message: 'Symptom log deleted successfully' });
+  } catch (error) {
+    console.error('Delete symptom log error:', error);
+    res.status(500).json({ error: 'Failed to delete symptom log' });
+  }
+};
+
+const addMoodLog = async (req, res) => {
+  try {
+    const { date, mood, energy, notes } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'Date is required (YYYY-MM-DD)' });
+    }
+
+    if (!isValidScore(mood, 1, 5)) {
+      return res.status(400).json({ error: 'Mood must be a whole number from 1 to 5' });
+    }
+
+    if (energy !== undefined && energy !== null && !isValidScore(energy, 1, 5)) {
+      return res.status(400).json({ error: 'Energy must be a whole number from 1 to 5' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO mood_logs (user_id, date, mood, energy, notes) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, date)
+       DO UPDATE SET mood = $3, energy = COALESCE($4, mood_logs.energy), notes = COALESCE($5, mood_logs.notes), updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, date, mood, energy || null, notes || null]
+    );
+
+    res.status(201).json({
+      message: 'Mood logged successfully',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add mood log error:', error);
+    res.status(500).json({ error: 'Failed to log mood' });
+  }
+};
+
+const deleteMoodLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM mood_logs WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Mood log not found' });
+    }
+
+    res.json({ message: 'Mood log deleted successfully' });
+  } catch (error) {
+    console.error('Delete mood log error:', error);
+    res.status(500).json({ error: 'Failed to delete mood log' });
+  }
+};
+
+module.exports = {
+  getSymptomTypes,
+  addSymptomType,
+  deleteSymptomType,
+  getSymptomLogs,
+  addSymptomLog,
+  updateSymptomLog,
+  deleteSymptomLog,
+  addMoodLog,
+  deleteMoodLog
+};
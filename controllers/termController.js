@@ -0,0 +1,145 @@
+const { pool } = require('../config/database');
+const { toDateString, getUserLocalDate } = require('../utils/helpers');
+const {
+  validateTerm,
+  deactivateOtherTerms,
+  getTermArchive
+} = require('../services/termService');
+
+const getTerms = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'SELECT * FROM academic_terms WHERE user_id = $1 ORDER BY start_date DESC',
+      [userId]
+    );
+
+    res.json({ terms: result.rows });
+  } catch (error) {
+    console.error('Get terms error:', error);
+    res.status(500).json({ error: 'Failed to retrieve terms' });
+  }
+};
+
+const getArchivedTerms = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { today } = await getUserLocalDate(userId);
+    const terms = await getTermArchive(userId, today);
+
+    res.json({ terms });
+  } catch (error) {
+    console.error('Get archived terms error:', error);
+    res.status(500).json({ error: 'Failed to retrieve archived terms' });
+  }
+};
+
+const addTerm = async (req, res) => {
+  try {
+    const { name, start_date, end_date, is_active } = req.body;
+    const userId = req.user.id;
+
+    const validationError = validateTerm(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (is_active) {
+      await deactivateOtherTerms(userId, null);
+    }
+
+    const result = await pool.query(
+      'INSERT INTO academic_terms (user_id, name, start_date, end_date, is_active) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [userId, name.trim(), start_date, end_date, is_active === true]
+    );
+
+    res.status(201).json({
+      message: 'Term added successfully',
+      term: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Add term error:', error);
+    res.status(500).json({ error: 'Failed to add term' });
+  }
+};
+
+const updateTerm = async (req, res) => {
+  try {
+    const { termId } = req.params;
+    const userId = req.user.id;
+
+    const existing = await pool.query(
+      'SELECT * FROM academic_terms WHERE id = $1 AND user_id = $2',
+      [termId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    // Unspecified fields keep their current values
+    const current = existing.rows[0];
+    const pick = (field) => (req.body[field] !== undefined ? req.body[field] : current[field]);
+    const merged = {
+      name: pick('name'),
+      start_date: req.body.start_date !== undefined ? req.body.start_date : toDateString(current.start_date),
+      end_date: req.body.end_date !== undefined ? req.body.end_date : toDateString(current.end_date),
+      is_active: pick('is_active')
+    };
+
+    const validationError = validateTerm(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (merged.is_active && !current.is_active) {
+      await deactivateOtherTerms(userId, current.id);
+    }
+
+    const result = await pool.query(
+      `UPDATE academic_terms SET name = $1, start_date = $2, end_date = $3, is_active = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND user_id = $6 RETURNING *`,
+      [merged.name.trim(), merged.start_date, merged.end_date, merged.is_active, current.id, userId]
+    );
+
+    res.json({
+      message: 'Term updated successfully',
+      term: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update term error:', error);
+    res.status(500).json({ error: 'Failed to update term' });
+  }
+};
+
+const deleteTerm = async (req, res) => {
+  try {
+    const { termId } = req.params;
+    const userId = req.user.id;
+
+    // Subjects, assignments, courses and research tasks stay, outside any term
+    const result = await pool.query(
+      'DELETE FROM academic_terms WHERE id = $1 AND user_id = $2 RETURNING id',
+      [termId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    res.json({ message: 'Term deleted successfully' });
+  } catch (error) {
+    console.error('Delete term error:', error);
+    res.status(500).json({ error: 'Failed to delete term' });
+  }
+};
+
+module.exports = {
+  getTerms,
+  getArchivedTerms,
+  addTerm,
+  updateTerm,
+  deleteTerm
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 
@@ -11,22 +12,35 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    if (!decoded.sid) {
+      return res.status(401).json({ error: 'Session expired - please log in again' });
+    }
     
-    // Verify user still exists
-    const userResult = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [decoded.userId]);
+    // Verify user still exists and the session has not been revoked
+    const userResult = await pool.query(
+      `SELECT u.id, u.username, u.email
+       FROM users u
+       JOIN user_sessions s ON s.user_id = u.id
+       WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+      [decoded.userId, decoded.sid]
+    );
     
     if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token - user not found' });
+      return res.status(401).json({ error: 'Invalid token - session revoked or user not found' });
     }
 
     req.user = userResult.rows[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(403).json({ error: 'Invalid token' });
     }
+    // 401 tells the client to exchange its refresh token at /auth/refresh
     if (error.name === 'TokenExpiredError') {
-      return res.status(403).json({ error: 'Token expired' });
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
     }
     
     console.error('Auth middleware error:', error);
@@ -34,4 +48,22 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+// Scheduled jobs (Vercel Cron) authenticate with a shared secret instead of a user token
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'Cron endpoints are not configured' });
+  }
+
+  const authHeader = req.headers['authorization'] || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const provided = Buffer.from(authHeader);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+
+  next();
+};
+
+module.exports = { authenticateToken, authenticateCron };
\ No newline at end of file
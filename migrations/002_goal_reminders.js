@@ -0,0 +1,25 @@
+// Goal reminders are written by POST /analytics/goals/:id/reminder but the
+// table was never part of the schema.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS goal_reminders (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      goal_id INTEGER REFERENCES user_goals(id) ON DELETE CASCADE,
+      frequency VARCHAR(20) NOT NULL DEFAULT 'daily',
+      time TIME,
+      message TEXT,
+      enabled BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, goal_id)
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS goal_reminders');
+};
+
+module.exports = { up, down };
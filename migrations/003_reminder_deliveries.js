@@ -0,0 +1,36 @@
+// Reminder scheduling: users get a timezone, weekly reminders get a weekday,
+// and every evaluated reminder period is recorded exactly once in
+// goal_reminder_deliveries (delivered or skipped because the goal was met).
+
+const up = async (client) => {
+  await client.query(`ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC'`);
+
+  await client.query('ALTER TABLE goal_reminders ADD COLUMN IF NOT EXISTS day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS goal_reminder_deliveries (
+      id SERIAL PRIMARY KEY,
+      reminder_id INTEGER REFERENCES goal_reminders(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      goal_id INTEGER REFERENCES user_goals(id) ON DELETE CASCADE,
+      period_key VARCHAR(10) NOT NULL, -- local date (YYYY-MM-DD) the reminder was due on
+      scheduled_for TIMESTAMPTZ NOT NULL,
+      status VARCHAR(20) NOT NULL, -- 'delivered' or 'skipped'
+      title VARCHAR(200) NOT NULL,
+      message TEXT,
+      progress INTEGER,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(reminder_id, period_key)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_goal_reminder_deliveries_user ON goal_reminder_deliveries (user_id, scheduled_for DESC)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS goal_reminder_deliveries');
+  await client.query('ALTER TABLE goal_reminders DROP COLUMN IF EXISTS day_of_week');
+  await client.query('ALTER TABLE user_profiles DROP COLUMN IF EXISTS timezone');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Persistent in-app inbox. The existing notifications table only holds
+// recurring reminder definitions; inbox items are one-off events with
+// read/archive state. dedupe_key lets writers record an event at most once.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS inbox_notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(30) NOT NULL, -- 'achievement', 'milestone', 'streak', 'reminder'
+      title VARCHAR(200) NOT NULL,
+      message TEXT,
+      data JSONB,
+      priority VARCHAR(10) DEFAULT 'medium',
+      dedupe_key VARCHAR(255),
+      read_at TIMESTAMPTZ,
+      archived_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, dedupe_key)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_inbox_notifications_user ON inbox_notifications (user_id, created_at DESC)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_inbox_notifications_unread ON inbox_notifications (user_id) WHERE read_at IS NULL AND archived_at IS NULL');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS inbox_notifications');
+};
+
+module.exports = { up, down };
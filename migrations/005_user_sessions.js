@@ -0,0 +1,42 @@
+// Device sessions and rotating refresh tokens. Access tokens carry the session
+// id so revoking a session cuts off its access tokens immediately. Refresh
+// tokens are stored as SHA-256 hashes, never in plain text.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      device_name VARCHAR(200),
+      user_agent TEXT,
+      ip_address VARCHAR(64),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      revoked_reason VARCHAR(50) -- 'logout', 'user_revoked', 'refresh_token_reuse', 'password_reset'
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER REFERENCES user_sessions(id) ON DELETE CASCADE,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS refresh_tokens');
+  await client.query('DROP TABLE IF EXISTS user_sessions');
+};
+
+module.exports = { up, down };
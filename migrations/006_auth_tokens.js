@@ -0,0 +1,31 @@
+// Single-use tokens for password reset and email verification, plus the
+// verification state on users. An email change is held in pending_email
+// until the new address is verified.
+
+const up = async (client) => {
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ');
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(100)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL, -- 'password_reset' or 'email_verification'
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      email VARCHAR(100) NOT NULL, -- address the token was sent to
+      expires_at TIMESTAMPTZ NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens (user_id, purpose)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS auth_tokens');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS pending_email');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+// Menstrual cycles with per-day flow, symptom and mood logs. Existing
+// period_tracker entries are backfilled as cycle starts; period_tracker stays
+// for the legacy /health/period endpoints, which now also write a cycle.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS menstrual_cycles (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, start_date),
+      CHECK (end_date IS NULL OR end_date >= start_date)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS period_day_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      cycle_id INTEGER REFERENCES menstrual_cycles(id) ON DELETE SET NULL,
+      date DATE NOT NULL,
+      flow VARCHAR(10) CHECK (flow IN ('none', 'spotting', 'light', 'medium', 'heavy')),
+      symptoms TEXT[] DEFAULT '{}',
+      mood VARCHAR(30),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  await client.query(`
+    INSERT INTO menstrual_cycles (user_id, start_date, notes)
+    SELECT DISTINCT ON (user_id, pain_start_date) user_id, pain_start_date, notes
+    FROM period_tracker
+    ORDER BY user_id, pain_start_date, created_at
+    ON CONFLICT (user_id, start_date) DO NOTHING
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS period_day_logs');
+  await client.query('DROP TABLE IF EXISTS menstrual_cycles');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,86 @@
+// Daily symptom and mood journal. Symptom types are configurable: built-in
+// types have a NULL user_id and users can add their own. Each logged symptom
+// carries a 0-5 severity (0 = explicitly absent).
+
+const BUILT_IN_SYMPTOMS = [
+  ['Cramps', 'menstrual'],
+  ['Bloating', 'digestive'],
+  ['Constipation', 'digestive'],
+  ['Nausea', 'digestive'],
+  ['Headache', 'pain'],
+  ['Back pain', 'pain'],
+  ['Breast tenderness', 'menstrual'],
+  ['Acne', 'skin'],
+  ['Fatigue', 'energy'],
+  ['Insomnia', 'sleep'],
+  ['Anxiety', 'mental'],
+  ['Irritability', 'mental']
+];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS symptom_types (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(50) NOT NULL,
+      category VARCHAR(30) DEFAULT 'other',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Names are unique among built-ins and within each user's own types
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_symptom_types_builtin_name
+    ON symptom_types (LOWER(name)) WHERE user_id IS NULL
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_symptom_types_user_name
+    ON symptom_types (user_id, LOWER(name)) WHERE user_id IS NOT NULL
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS symptom_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      symptom_type_id INTEGER NOT NULL REFERENCES symptom_types(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      severity SMALLINT NOT NULL CHECK (severity >= 0 AND severity <= 5),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, symptom_type_id, date)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_symptom_logs_user_date ON symptom_logs (user_id, date)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS mood_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      mood SMALLINT NOT NULL CHECK (mood >= 1 AND mood <= 5),
+      energy SMALLINT CHECK (energy >= 1 AND energy <= 5),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  for (const [name, category] of BUILT_IN_SYMPTOMS) {
+    await client.query(
+      `INSERT INTO symptom_types (user_id, name, category)
+       SELECT NULL, $1::VARCHAR, $2 WHERE NOT EXISTS (SELECT 1 FROM symptom_types WHERE user_id IS NULL AND LOWER(name) = LOWER($1))`,
+      [name, category]
+    );
+  }
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS mood_logs');
+  await client.query('DROP TABLE IF EXISTS symptom_logs');
+  await client.query('DROP TABLE IF EXISTS symptom_types');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,71 @@
+// Append-only water log: one row per drink with its timestamp and container.
+// The old per-day water_intake table is folded into the log (one entry per
+// day) and replaced by a view of daily totals with the same columns, so
+// analytics and goal queries keep reading water_intake unchanged.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS water_intake_entries (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      logged_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      amount_ml INTEGER NOT NULL CHECK (amount_ml > 0 AND amount_ml <= 5000),
+      container VARCHAR(20) DEFAULT 'custom',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_water_entries_user_date ON water_intake_entries (user_id, date)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_water_entries_user_created ON water_intake_entries (user_id, created_at DESC)');
+
+  // Old rows only had the time of the last overwrite; keep it when it falls on the day
+  await client.query(`
+    INSERT INTO water_intake_entries (user_id, date, logged_at, amount_ml, container, created_at)
+    SELECT user_id, date,
+           CASE WHEN DATE(created_at) = date THEN created_at ELSE date + TIME '12:00' END,
+           amount_ml, 'custom', created_at
+    FROM water_intake
+    WHERE amount_ml > 0
+  `);
+
+  await client.query('DROP TABLE water_intake');
+
+  await client.query(`
+    CREATE VIEW water_intake AS
+    SELECT MIN(id) as id,
+           user_id,
+           date,
+           SUM(amount_ml)::INTEGER as amount_ml,
+           COUNT(*)::INTEGER as entry_count,
+           MAX(created_at) as created_at
+    FROM water_intake_entries
+    GROUP BY user_id, date
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP VIEW IF EXISTS water_intake');
+
+  await client.query(`
+    CREATE TABLE water_intake (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      amount_ml INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  await client.query(`
+    INSERT INTO water_intake (user_id, date, amount_ml, created_at)
+    SELECT user_id, date, SUM(amount_ml), MAX(created_at)
+    FROM water_intake_entries
+    GROUP BY user_id, date
+  `);
+
+  await client.query('DROP TABLE IF EXISTS water_intake_entries');
+};
+
+module.exports = { up, down };
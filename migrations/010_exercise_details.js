@@ -0,0 +1,62 @@
+// Richer exercise entries: duration, distance, intensity (RPE or heart-rate
+// zone) and an estimated MET-based calorie burn. Footsteps become optional and
+// lose the 10,000 cap; an entry needs either steps or a duration. Profiles gain
+// a body weight used for the calorie estimate.
+
+const up = async (client) => {
+  await client.query('ALTER TABLE exercise_tracker DROP CONSTRAINT IF EXISTS exercise_tracker_footsteps_check');
+
+  await client.query(`
+    ALTER TABLE exercise_tracker
+      ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes >= 1 AND duration_minutes <= 1440),
+      ADD COLUMN IF NOT EXISTS distance_km DECIMAL(6,2) CHECK (distance_km >= 0),
+      ADD COLUMN IF NOT EXISTS rpe SMALLINT CHECK (rpe >= 1 AND rpe <= 10),
+      ADD COLUMN IF NOT EXISTS heart_rate_zone SMALLINT CHECK (heart_rate_zone >= 1 AND heart_rate_zone <= 5),
+      ADD COLUMN IF NOT EXISTS met_value DECIMAL(4,1),
+      ADD COLUMN IF NOT EXISTS calories_burned INTEGER,
+      ADD COLUMN IF NOT EXISTS notes TEXT,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query(`
+    ALTER TABLE exercise_tracker
+      ADD CONSTRAINT exercise_tracker_footsteps_range CHECK (footsteps >= 1 AND footsteps <= 100000),
+      ADD CONSTRAINT exercise_tracker_has_measure CHECK (footsteps IS NOT NULL OR duration_minutes IS NOT NULL) NOT VALID
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_exercise_tracker_user_date ON exercise_tracker (user_id, date)');
+
+  await client.query(`
+    ALTER TABLE user_profiles
+      ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(5,1) CHECK (weight_kg >= 20 AND weight_kg <= 400)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE user_profiles DROP COLUMN IF EXISTS weight_kg');
+  await client.query('DROP INDEX IF EXISTS idx_exercise_tracker_user_date');
+
+  await client.query(`
+    ALTER TABLE exercise_tracker
+      DROP CONSTRAINT IF EXISTS exercise_tracker_has_measure,
+      DROP CONSTRAINT IF EXISTS exercise_tracker_footsteps_range
+  `);
+
+  // Entries that no longer fit the old model cannot be kept
+  await client.query('DELETE FROM exercise_tracker WHERE footsteps IS NULL OR footsteps > 10000');
+
+  await client.query(`
+    ALTER TABLE exercise_tracker
+      DROP COLUMN IF EXISTS duration_minutes,
+      DROP COLUMN IF EXISTS distance_km,
+      DROP COLUMN IF EXISTS rpe,
+      DROP COLUMN IF EXISTS heart_rate_zone,
+      DROP COLUMN IF EXISTS met_value,
+      DROP COLUMN IF EXISTS calories_burned,
+      DROP COLUMN IF EXISTS notes,
+      DROP COLUMN IF EXISTS updated_at,
+      ADD CONSTRAINT exercise_tracker_footsteps_check CHECK (footsteps >= 1 AND footsteps <= 10000)
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// Make study_sleep_logs the single source of study and sleep hours. Rows from
+// the legacy study_logs and sleep_logs tables are merged in (the most recent
+// write wins when both models have a value for the same day), then the legacy
+// tables are dropped. /logs now reads and writes study_sleep_logs as well.
+//
+// Study and sleep hours lose their defaults (0 and 8), so a day with only one
+// of them logged no longer gets a made-up value for the other.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      ALTER COLUMN study_hours DROP DEFAULT,
+      ALTER COLUMN sleep_hours DROP DEFAULT
+  `);
+
+  await client.query(`
+    INSERT INTO study_sleep_logs (user_id, date, study_hours, sleep_hours, created_at, updated_at)
+    SELECT COALESCE(st.user_id, sp.user_id),
+           COALESCE(st.date, sp.date),
+           st.hours,
+           sp.hours,
+           LEAST(COALESCE(st.created_at, sp.created_at), COALESCE(sp.created_at, st.created_at)),
+           GREATEST(COALESCE(st.created_at, sp.created_at), COALESCE(sp.created_at, st.created_at))
+    FROM study_logs st
+    FULL OUTER JOIN sleep_logs sp ON st.user_id = sp.user_id AND st.date = sp.date
+    ON CONFLICT (user_id, date) DO UPDATE SET
+      study_hours = CASE
+        WHEN EXCLUDED.study_hours IS NOT NULL AND EXCLUDED.updated_at > study_sleep_logs.updated_at THEN EXCLUDED.study_hours
+        ELSE COALESCE(study_sleep_logs.study_hours, EXCLUDED.study_hours)
+      END,
+      sleep_hours = CASE
+        WHEN EXCLUDED.sleep_hours IS NOT NULL AND EXCLUDED.updated_at > study_sleep_logs.updated_at THEN EXCLUDED.sleep_hours
+        ELSE COALESCE(study_sleep_logs.sleep_hours, EXCLUDED.sleep_hours)
+      END,
+      updated_at = GREATEST(study_sleep_logs.updated_at, EXCLUDED.updated_at)
+  `);
+
+  await client.query('DROP TABLE study_logs');
+  await client.query('DROP TABLE sleep_logs');
+};
+
+const down = async (client) => {
+  await client.query(`
+    CREATE TABLE study_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      hours INTEGER CHECK (hours >= 1 AND hours <= 12),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE sleep_logs (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      hours INTEGER CHECK (hours >= 4 AND hours <= 12),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, date)
+    )
+  `);
+
+  // The legacy tables only held whole hours
+  await client.query(`
+    INSERT INTO study_logs (user_id, date, hours, created_at)
+    SELECT user_id, date, ROUND(study_hours), updated_at FROM study_sleep_logs WHERE ROUND(study_hours) >= 1
+  `);
+  await client.query(`
+    INSERT INTO sleep_logs (user_id, date, hours, created_at)
+    SELECT user_id, date, ROUND(sleep_hours), updated_at FROM study_sleep_logs WHERE sleep_hours IS NOT NULL
+  `);
+
+  await client.query('UPDATE study_sleep_logs SET study_hours = 0 WHERE study_hours IS NULL');
+  await client.query('UPDATE study_sleep_logs SET sleep_hours = 8 WHERE sleep_hours IS NULL');
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      ALTER COLUMN study_hours SET DEFAULT 0,
+      ALTER COLUMN sleep_hours SET DEFAULT 8
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Sleep sessions with real bed and wake times, a quality rating, awakenings and
+// naps. Each session belongs to the local date the user woke up on; the day's
+// total is kept in study_sleep_logs.sleep_hours, which now accepts 0-24 hours
+// so short nights fit. sleep_hours_source records whether the day's hours were
+// logged by hand or summed from sessions; sessions never overwrite a manual
+// value. Profiles gain a nightly sleep target for sleep debt.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sleep_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      sleep_start TIMESTAMPTZ NOT NULL,
+      sleep_end TIMESTAMPTZ NOT NULL,
+      is_nap BOOLEAN NOT NULL DEFAULT FALSE,
+      quality SMALLINT CHECK (quality >= 1 AND quality <= 5),
+      awakenings SMALLINT CHECK (awakenings >= 0 AND awakenings <= 50),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT sleep_sessions_duration CHECK (sleep_end > sleep_start AND sleep_end - sleep_start <= INTERVAL '24 hours')
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_sleep_sessions_user_date ON sleep_sessions (user_id, date)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_sleep_sessions_user_start ON sleep_sessions (user_id, sleep_start)');
+
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      DROP CONSTRAINT IF EXISTS study_sleep_logs_sleep_hours_check,
+      ADD CONSTRAINT study_sleep_logs_sleep_hours_range CHECK (sleep_hours >= 0 AND sleep_hours <= 24),
+      ADD COLUMN IF NOT EXISTS sleep_hours_source VARCHAR(10) CHECK (sleep_hours_source IN ('manual', 'sessions'))
+  `);
+  await client.query("UPDATE study_sleep_logs SET sleep_hours_source = 'manual' WHERE sleep_hours IS NOT NULL");
+
+  await client.query(`
+    ALTER TABLE user_profiles
+      ADD COLUMN IF NOT EXISTS sleep_target_hours DECIMAL(3,1) CHECK (sleep_target_hours >= 4 AND sleep_target_hours <= 12)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE user_profiles DROP COLUMN IF EXISTS sleep_target_hours');
+
+  // Totals outside the old 4-12 hour range can't be kept
+  await client.query('UPDATE study_sleep_logs SET sleep_hours = NULL WHERE sleep_hours < 4 OR sleep_hours > 12');
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      DROP COLUMN IF EXISTS sleep_hours_source,
+      DROP CONSTRAINT IF EXISTS study_sleep_logs_sleep_hours_range,
+      ADD CONSTRAINT study_sleep_logs_sleep_hours_check CHECK (sleep_hours >= 4 AND sleep_hours <= 12)
+  `);
+
+  await client.query('DROP TABLE IF EXISTS sleep_sessions');
+};
+
+module.exports = { up, down };
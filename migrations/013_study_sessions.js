@@ -0,0 +1,56 @@
+// Timed study sessions (start / pause / resume / stop, optionally as pomodoros)
+// attached to a subject and unit or to an NPTEL course. A user has at most one
+// running or paused session. Completed sessions are summed into
+// study_sleep_logs.session_study_hours and added to any hand-logged hours in
+// study_hours, which now accepts up to 24 hours.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS study_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL,
+      unit_id INTEGER REFERENCES units(id) ON DELETE SET NULL,
+      nptel_course_id INTEGER REFERENCES nptel_courses(id) ON DELETE SET NULL,
+      date DATE NOT NULL,
+      status VARCHAR(10) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'paused', 'completed')),
+      planned_minutes INTEGER CHECK (planned_minutes >= 1 AND planned_minutes <= 240),
+      started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      paused_at TIMESTAMPTZ,
+      paused_seconds INTEGER NOT NULL DEFAULT 0,
+      ended_at TIMESTAMPTZ,
+      duration_minutes INTEGER CHECK (duration_minutes >= 0),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_study_sessions_one_active
+    ON study_sessions (user_id) WHERE status IN ('running', 'paused')
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_study_sessions_user_date ON study_sessions (user_id, date)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_study_sessions_subject ON study_sessions (subject_id, user_id)');
+
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      DROP CONSTRAINT IF EXISTS study_sleep_logs_study_hours_check,
+      ADD CONSTRAINT study_sleep_logs_study_hours_range CHECK (study_hours >= 0 AND study_hours <= 24),
+      ADD COLUMN IF NOT EXISTS session_study_hours DECIMAL(4,1) CHECK (session_study_hours >= 0 AND session_study_hours <= 24)
+  `);
+};
+
+const down = async (client) => {
+  await client.query('UPDATE study_sleep_logs SET study_hours = 12 WHERE study_hours > 12');
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      DROP COLUMN IF EXISTS session_study_hours,
+      DROP CONSTRAINT IF EXISTS study_sleep_logs_study_hours_range,
+      ADD CONSTRAINT study_sleep_logs_study_hours_check CHECK (study_hours >= 0 AND study_hours <= 12)
+  `);
+
+  await client.query('DROP TABLE IF EXISTS study_sessions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,126 @@
+// Subjects and units become per-user. Subjects gain a credit weight, an exam
+// date and a display position; units gain a position, a weight within their
+// subject and an exam date. Subject codes are unique per user instead of
+// globally.
+//
+// The predefined economics subjects from the baseline were shared by everyone.
+// Each user who has data against one of them gets their own copy (with its
+// units), their rows are repointed at the copy, and the shared rows are removed.
+
+// (user_id, subject_id) pairs for every row that points at a shared subject
+const SHARED_SUBJECT_USAGE = `
+  SELECT et.user_id, s.id as subject_id FROM education_tasks et JOIN subjects s ON s.code = et.subject_code
+  UNION SELECT rt.user_id, s.id FROM research_tasks rt JOIN subjects s ON s.code = rt.subject_code
+  UNION SELECT t.user_id, un.subject_id FROM tasks t JOIN units un ON un.id = t.unit_id
+  UNION SELECT nt.user_id, nt.subject_id FROM nptel_tasks nt
+  UNION SELECT rp.user_id, rp.subject_id FROM research_projects rp
+  UNION SELECT ss.user_id, ss.subject_id FROM study_sessions ss
+`;
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE subjects
+      ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS credits DECIMAL(4,1) CHECK (credits >= 0 AND credits <= 40),
+      ADD COLUMN IF NOT EXISTS exam_date DATE,
+      ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query(`
+    ALTER TABLE units
+      ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS weight DECIMAL(5,2) NOT NULL DEFAULT 1 CHECK (weight > 0),
+      ADD COLUMN IF NOT EXISTS exam_date DATE,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query('UPDATE units SET position = unit_number - 1');
+  await client.query('ALTER TABLE subjects DROP CONSTRAINT IF EXISTS subjects_code_key');
+
+  // Copy each used shared subject for its user, keeping the old -> new id mapping
+  await client.query(`
+    CREATE TEMP TABLE subject_copies ON COMMIT DROP AS
+    SELECT s.id as old_id, usage.user_id, nextval('subjects_id_seq') as new_id,
+           s.code, s.name,
+           ROW_NUMBER() OVER (PARTITION BY usage.user_id ORDER BY s.code) - 1 as position
+    FROM (${SHARED_SUBJECT_USAGE}) usage
+    JOIN subjects s ON s.id = usage.subject_id AND s.user_id IS NULL
+    WHERE usage.user_id IS NOT NULL
+  `);
+  await client.query(`
+    INSERT INTO subjects (id, user_id, code, name, position)
+    SELECT new_id, user_id, code, name, position FROM subject_copies
+  `);
+
+  await client.query(`
+    CREATE TEMP TABLE unit_copies ON COMMIT DROP AS
+    SELECT un.id as old_id, sc.user_id, nextval('units_id_seq') as new_id, sc.new_id as subject_id,
+           un.unit_number, un.title, un.position
+    FROM subject_copies sc
+    JOIN units un ON un.subject_id = sc.old_id
+  `);
+  await client.query(`
+    INSERT INTO units (id, subject_id, unit_number, title, position)
+    SELECT new_id, subject_id, unit_number, title, position FROM unit_copies
+  `);
+
+  // Repoint each user's rows at their own copies
+  await client.query('UPDATE tasks t SET unit_id = uc.new_id FROM unit_copies uc WHERE t.unit_id = uc.old_id AND t.user_id = uc.user_id');
+  await client.query('UPDATE education_tasks et SET unit_id = uc.new_id FROM unit_copies uc WHERE et.unit_id = uc.old_id AND et.user_id = uc.user_id');
+  await client.query('UPDATE nptel_tasks nt SET subject_id = sc.new_id FROM subject_copies sc WHERE nt.subject_id = sc.old_id AND nt.user_id = sc.user_id');
+  await client.query('UPDATE research_projects rp SET subject_id = sc.new_id FROM subject_copies sc WHERE rp.subject_id = sc.old_id AND rp.user_id = sc.user_id');
+  await client.query('UPDATE study_sessions ss SET subject_id = sc.new_id FROM subject_copies sc WHERE ss.subject_id = sc.old_id AND ss.user_id = sc.user_id');
+  await client.query('UPDATE study_sessions ss SET unit_id = uc.new_id FROM unit_copies uc WHERE ss.unit_id = uc.old_id AND ss.user_id = uc.user_id');
+
+  await client.query('DELETE FROM subjects WHERE user_id IS NULL');
+
+  await client.query('ALTER TABLE subjects ALTER COLUMN user_id SET NOT NULL');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_user_code ON subjects (user_id, UPPER(code))');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_units_subject_position ON units (subject_id, position)');
+};
+
+const down = async (client) => {
+  // Fold per-user subjects back into one shared subject per code
+  await client.query(`
+    CREATE TEMP TABLE subject_keepers ON COMMIT DROP AS
+    SELECT id, MIN(id) OVER (PARTITION BY UPPER(code)) as keep_id FROM subjects
+  `);
+  await client.query(`
+    CREATE TEMP TABLE unit_keepers ON COMMIT DROP AS
+    SELECT un.id, MIN(kept.id) as keep_id
+    FROM units un
+    JOIN subject_keepers sk ON sk.id = un.subject_id
+    JOIN units kept ON kept.subject_id = sk.keep_id AND kept.unit_number = un.unit_number
+    GROUP BY un.id
+  `);
+
+  await client.query('UPDATE tasks t SET unit_id = uk.keep_id FROM unit_keepers uk WHERE t.unit_id = uk.id');
+  await client.query('UPDATE education_tasks et SET unit_id = uk.keep_id FROM unit_keepers uk WHERE et.unit_id = uk.id');
+  await client.query('UPDATE study_sessions ss SET unit_id = uk.keep_id FROM unit_keepers uk WHERE ss.unit_id = uk.id');
+  await client.query('UPDATE nptel_tasks nt SET subject_id = sk.keep_id FROM subject_keepers sk WHERE nt.subject_id = sk.id');
+  await client.query('UPDATE research_projects rp SET subject_id = sk.keep_id FROM subject_keepers sk WHERE rp.subject_id = sk.id');
+  await client.query('UPDATE study_sessions ss SET subject_id = sk.keep_id FROM subject_keepers sk WHERE ss.subject_id = sk.id');
+  await client.query('DELETE FROM subjects s USING subject_keepers sk WHERE s.id = sk.id AND sk.keep_id <> sk.id');
+
+  await client.query('DROP INDEX IF EXISTS idx_units_subject_position');
+  await client.query('DROP INDEX IF EXISTS idx_subjects_user_code');
+  await client.query(`
+    ALTER TABLE units
+      DROP COLUMN IF EXISTS position,
+      DROP COLUMN IF EXISTS weight,
+      DROP COLUMN IF EXISTS exam_date,
+      DROP COLUMN IF EXISTS updated_at
+  `);
+  await client.query(`
+    ALTER TABLE subjects
+      DROP COLUMN IF EXISTS user_id,
+      DROP COLUMN IF EXISTS credits,
+      DROP COLUMN IF EXISTS exam_date,
+      DROP COLUMN IF EXISTS position,
+      DROP COLUMN IF EXISTS updated_at,
+      ADD CONSTRAINT subjects_code_key UNIQUE (code)
+  `);
+};
+
+module.exports = { up, down };
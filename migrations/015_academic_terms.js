@@ -0,0 +1,40 @@
+// Academic terms (semesters). Subjects, assignments, NPTEL courses and research
+// tasks can belong to a term so each term's work can be viewed and analysed on
+// its own. At most one term per user is active; new items default to it.
+
+const TERM_SCOPED_TABLES = ['subjects', 'assignments', 'nptel_courses', 'research_tasks'];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS academic_terms (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT academic_terms_dates CHECK (end_date >= start_date)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_academic_terms_user_dates ON academic_terms (user_id, start_date DESC)');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_academic_terms_one_active ON academic_terms (user_id) WHERE is_active');
+
+  for (const table of TERM_SCOPED_TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS term_id INTEGER REFERENCES academic_terms(id) ON DELETE SET NULL`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_term ON ${table} (term_id)`);
+  }
+};
+
+const down = async (client) => {
+  for (const table of TERM_SCOPED_TABLES) {
+    await client.query(`DROP INDEX IF EXISTS idx_${table}_term`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS term_id`);
+  }
+
+  await client.query('DROP TABLE IF EXISTS academic_terms CASCADE');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+// Assessment scores and grading scales. Each assessment (exam, quiz,
+// assignment, ...) belongs to one of the user's subjects, carries a weight
+// towards the subject grade and its maximum marks, and can link to an
+// assignment. A user's grading scale maps percentages to grades and grade
+// points; users without one get the default scale in gradeService.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS grading_scales (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      max_points DECIMAL(5,2) NOT NULL CHECK (max_points > 0 AND max_points <= 100),
+      bands JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS assessments (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+      assignment_id INTEGER REFERENCES assignments(id) ON DELETE SET NULL,
+      title VARCHAR(200) NOT NULL,
+      type VARCHAR(20) NOT NULL DEFAULT 'exam'
+        CHECK (type IN ('exam', 'quiz', 'assignment', 'project', 'lab', 'other')),
+      weight DECIMAL(5,2) NOT NULL CHECK (weight > 0 AND weight <= 100),
+      max_marks DECIMAL(6,2) NOT NULL CHECK (max_marks > 0),
+      score DECIMAL(6,2) CHECK (score >= 0),
+      is_final BOOLEAN NOT NULL DEFAULT FALSE,
+      date DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT assessments_score_within_max CHECK (score IS NULL OR score <= max_marks)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assessments_user_subject ON assessments (user_id, subject_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assessments_assignment ON assessments (assignment_id)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS assessments CASCADE');
+  await client.query('DROP TABLE IF EXISTS grading_scales CASCADE');
+};
+
+module.exports = { up, down };
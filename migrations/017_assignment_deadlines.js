@@ -0,0 +1,53 @@
+// Assignment priority, estimated effort, workflow status and reminders, plus
+// submission attachments. `completed` stays and follows the status: an
+// assignment is completed once it is submitted or graded.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE assignments
+      ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'medium'
+        CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+      ADD COLUMN IF NOT EXISTS estimated_minutes INTEGER CHECK (estimated_minutes > 0 AND estimated_minutes <= 10000),
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'not_started'
+        CHECK (status IN ('not_started', 'in_progress', 'submitted', 'graded')),
+      ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS reminder_days_before INTEGER DEFAULT 2
+        CHECK (reminder_days_before >= 0 AND reminder_days_before <= 30)
+  `);
+
+  await client.query(`
+    UPDATE assignments SET status = 'submitted', submitted_at = COALESCE(submitted_at, updated_at)
+    WHERE completed = true AND status = 'not_started'
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assignments_user_deadline ON assignments (user_id, deadline)');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS assignment_attachments (
+      id SERIAL PRIMARY KEY,
+      assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      file_url TEXT NOT NULL,
+      file_type VARCHAR(100),
+      file_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assignment_attachments_assignment ON assignment_attachments (assignment_id)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS assignment_attachments CASCADE');
+  await client.query('DROP INDEX IF EXISTS idx_assignments_user_deadline');
+  await client.query(`
+    ALTER TABLE assignments
+      DROP COLUMN IF EXISTS priority,
+      DROP COLUMN IF EXISTS estimated_minutes,
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS submitted_at,
+      DROP COLUMN IF EXISTS reminder_days_before
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Secret-token iCalendar feeds, one per user. Only a hash of the token is
+// stored; rotating replaces it, so the old feed URL stops working.
+// NPTEL course tasks gain a due date to show in the feed.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      last_accessed_at TIMESTAMPTZ
+    )
+  `);
+
+  await client.query('ALTER TABLE nptel_course_tasks ADD COLUMN IF NOT EXISTS due_date DATE');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE nptel_course_tasks DROP COLUMN IF EXISTS due_date');
+  await client.query('DROP TABLE IF EXISTS calendar_feeds');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// NPTEL courses as weeks of lectures, each with a scored assignment, plus
+// exam registration and the certificate rule: the average of the best N
+// weekly assignments and the exam score, each with its own minimum.
+// Existing courses get their weeks from the free-text duration ('8 weeks').
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE nptel_courses
+      ADD COLUMN IF NOT EXISTS total_weeks INTEGER CHECK (total_weeks BETWEEN 1 AND 52),
+      ADD COLUMN IF NOT EXISTS start_date DATE,
+      ADD COLUMN IF NOT EXISTS exam_registered BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS exam_date DATE,
+      ADD COLUMN IF NOT EXISTS exam_score DECIMAL(5,2) CHECK (exam_score BETWEEN 0 AND 100),
+      ADD COLUMN IF NOT EXISTS best_of INTEGER CHECK (best_of BETWEEN 1 AND 52),
+      ADD COLUMN IF NOT EXISTS assignment_weight DECIMAL(5,2) NOT NULL DEFAULT 25
+        CHECK (assignment_weight > 0 AND assignment_weight < 100),
+      ADD COLUMN IF NOT EXISTS min_assignment_percent DECIMAL(5,2) NOT NULL DEFAULT 40
+        CHECK (min_assignment_percent BETWEEN 0 AND 100),
+      ADD COLUMN IF NOT EXISTS min_exam_percent DECIMAL(5,2) NOT NULL DEFAULT 40
+        CHECK (min_exam_percent BETWEEN 0 AND 100)
+  `);
+
+  await client.query(`
+    UPDATE nptel_courses SET total_weeks = LEAST(substring(duration from '(\\d+)')::INTEGER, 52)
+    WHERE total_weeks IS NULL AND duration ~* '^\\s*\\d+\\s*weeks?\\s*$' AND substring(duration from '(\\d+)')::INTEGER > 0
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS nptel_course_weeks (
+      id SERIAL PRIMARY KEY,
+      course_id INTEGER NOT NULL REFERENCES nptel_courses(id) ON DELETE CASCADE,
+      week_number INTEGER NOT NULL CHECK (week_number BETWEEN 1 AND 52),
+      title VARCHAR(200),
+      has_assignment BOOLEAN NOT NULL DEFAULT TRUE,
+      assignment_due_date DATE,
+      assignment_submitted BOOLEAN NOT NULL DEFAULT FALSE,
+      assignment_score DECIMAL(5,2) CHECK (assignment_score BETWEEN 0 AND 100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (course_id, week_number)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS nptel_week_lectures (
+      id SERIAL PRIMARY KEY,
+      week_id INTEGER NOT NULL REFERENCES nptel_course_weeks(id) ON DELETE CASCADE,
+      title VARCHAR(200) NOT NULL,
+      duration_minutes INTEGER CHECK (duration_minutes > 0),
+      completed BOOLEAN NOT NULL DEFAULT FALSE,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_nptel_week_lectures_week ON nptel_week_lectures (week_id)');
+
+  await client.query(`
+    INSERT INTO nptel_course_weeks (course_id, week_number)
+    SELECT c.id, n FROM nptel_courses c CROSS JOIN LATERAL generate_series(1, c.total_weeks) n
+    WHERE c.total_weeks IS NOT NULL
+    ON CONFLICT (course_id, week_number) DO NOTHING
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS nptel_week_lectures');
+  await client.query('DROP TABLE IF EXISTS nptel_course_weeks');
+  await client.query(`
+    ALTER TABLE nptel_courses
+      DROP COLUMN IF EXISTS total_weeks,
+      DROP COLUMN IF EXISTS start_date,
+      DROP COLUMN IF EXISTS exam_registered,
+      DROP COLUMN IF EXISTS exam_date,
+      DROP COLUMN IF EXISTS exam_score,
+      DROP COLUMN IF EXISTS best_of,
+      DROP COLUMN IF EXISTS assignment_weight,
+      DROP COLUMN IF EXISTS min_assignment_percent,
+      DROP COLUMN IF EXISTS min_exam_percent
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Streaks are derived from the tracker tables instead of being bumped per
+// request. Each habit gets grace days (missed days in a row that do not break
+// it) and a bank of streak freezes, earned by keeping a streak going, that
+// cover longer gaps. Rows for activity types without a tracker are dropped:
+// they were only ever written by POST /streaks/:activityType.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE user_streaks
+      ADD COLUMN IF NOT EXISTS grace_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_days >= 0 AND grace_days <= 3),
+      ADD COLUMN IF NOT EXISTS freezes_available INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS freezes_used INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS streak_start_date DATE
+  `);
+
+  await client.query(`
+    DELETE FROM user_streaks WHERE activity_type NOT IN ('typing', 'kriya', 'water', 'exercise')
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE user_streaks
+      DROP COLUMN IF EXISTS grace_days,
+      DROP COLUMN IF EXISTS freezes_available,
+      DROP COLUMN IF EXISTS freezes_used,
+      DROP COLUMN IF EXISTS streak_start_date
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Badges a user has earned. The badge catalog itself lives in
+// services/achievementService.js; each award keeps the XP it was worth at the
+// time, so a user's XP is the sum over their badges.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_badges (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      badge_key VARCHAR(50) NOT NULL,
+      xp INTEGER NOT NULL DEFAULT 0,
+      awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, badge_key)
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS user_badges CASCADE');
+};
+
+module.exports = { up, down };
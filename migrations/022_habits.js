@@ -0,0 +1,47 @@
+// User-defined habits with daily check-ins, next to the built-in trackers.
+// A habit is a yes/no (boolean), a count or a duration in minutes, with a daily
+// target; schedule_days lists the weekdays it is due (0 = Sunday). A check-in
+// stores the day's value and whether it met the target.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS habits (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      icon VARCHAR(20),
+      kind VARCHAR(20) NOT NULL CHECK (kind IN ('boolean', 'count', 'duration')),
+      target NUMERIC(10,2) NOT NULL DEFAULT 1 CHECK (target > 0),
+      unit VARCHAR(30),
+      schedule_days INTEGER[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+      archived BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, name)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS habit_checkins (
+      id SERIAL PRIMARY KEY,
+      habit_id INTEGER NOT NULL REFERENCES habits(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      value NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+      completed BOOLEAN NOT NULL DEFAULT false,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(habit_id, date)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_habit_checkins_user_date ON habit_checkins(user_id, date)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS habit_checkins CASCADE');
+  await client.query('DROP TABLE IF EXISTS habits CASCADE');
+};
+
+module.exports = { up, down };
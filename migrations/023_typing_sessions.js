@@ -0,0 +1,30 @@
+// Typing practice results. Each test is stored as a session with its speed,
+// accuracy, duration, test mode and errors per key; typing_practice keeps the
+// per-day completed flag that the typing streak reads, and logging a session
+// marks its day completed.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS typing_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      wpm DECIMAL(5,1) NOT NULL CHECK (wpm >= 0 AND wpm <= 300),
+      raw_wpm DECIMAL(5,1) CHECK (raw_wpm >= 0 AND raw_wpm <= 300),
+      accuracy DECIMAL(5,2) NOT NULL CHECK (accuracy >= 0 AND accuracy <= 100),
+      duration_seconds INTEGER NOT NULL CHECK (duration_seconds >= 1 AND duration_seconds <= 7200),
+      test_mode VARCHAR(20) NOT NULL DEFAULT 'time' CHECK (test_mode IN ('time', 'words', 'quote', 'custom')),
+      key_errors JSONB NOT NULL DEFAULT '{}',
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_typing_sessions_user_date ON typing_sessions (user_id, date)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS typing_sessions CASCADE');
+};
+
+module.exports = { up, down };
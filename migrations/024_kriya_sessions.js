@@ -0,0 +1,47 @@
+// Meditation sessions in shambhavi_kriya. A day can now hold several sessions,
+// each with an optional start time, duration, practice type (kriya, pranayama
+// or another meditation), calm rating before and after (1-5) and whether it was
+// on an empty stomach. Existing rows become kriya sessions without details.
+
+const up = async (client) => {
+  await client.query('ALTER TABLE shambhavi_kriya DROP CONSTRAINT IF EXISTS shambhavi_kriya_user_id_date_key');
+
+  await client.query(`
+    ALTER TABLE shambhavi_kriya
+      ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes >= 1 AND duration_minutes <= 300),
+      ADD COLUMN IF NOT EXISTS practice_type VARCHAR(20) NOT NULL DEFAULT 'kriya'
+        CHECK (practice_type IN ('kriya', 'pranayama', 'meditation')),
+      ADD COLUMN IF NOT EXISTS calm_before SMALLINT CHECK (calm_before >= 1 AND calm_before <= 5),
+      ADD COLUMN IF NOT EXISTS calm_after SMALLINT CHECK (calm_after >= 1 AND calm_after <= 5),
+      ADD COLUMN IF NOT EXISTS empty_stomach BOOLEAN,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_shambhavi_kriya_user_date ON shambhavi_kriya (user_id, date)');
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_shambhavi_kriya_user_date');
+
+  // Only the first session of each day fits the old one-row-per-day table
+  await client.query(`
+    DELETE FROM shambhavi_kriya k
+    USING shambhavi_kriya first
+    WHERE k.user_id = first.user_id AND k.date = first.date AND k.id > first.id
+  `);
+
+  await client.query(`
+    ALTER TABLE shambhavi_kriya
+      DROP COLUMN IF EXISTS started_at,
+      DROP COLUMN IF EXISTS duration_minutes,
+      DROP COLUMN IF EXISTS practice_type,
+      DROP COLUMN IF EXISTS calm_before,
+      DROP COLUMN IF EXISTS calm_after,
+      DROP COLUMN IF EXISTS empty_stomach,
+      DROP COLUMN IF EXISTS updated_at,
+      ADD CONSTRAINT shambhavi_kriya_user_id_date_key UNIQUE (user_id, date)
+  `);
+};
+
+module.exports = { up, down };
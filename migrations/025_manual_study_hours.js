@@ -0,0 +1,44 @@
+// Keep hand-logged study hours in their own column. study_hours becomes a
+// generated column, the manual hours plus the study timer hours capped at 24,
+// so a client writing back the total it read no longer counts the timer twice.
+//
+// Existing manual hours are recovered as study_hours minus the timer part.
+// A day that was already capped at 24 cannot give back more than that.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      ADD COLUMN IF NOT EXISTS manual_study_hours DECIMAL(4,1) CHECK (manual_study_hours >= 0 AND manual_study_hours <= 24)
+  `);
+
+  await client.query(`
+    UPDATE study_sleep_logs
+    SET manual_study_hours = study_hours - COALESCE(session_study_hours, 0)
+    WHERE study_hours IS NOT NULL AND (session_study_hours IS NULL OR study_hours > session_study_hours)
+  `);
+
+  await client.query('ALTER TABLE study_sleep_logs DROP COLUMN study_hours');
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      ADD COLUMN study_hours DECIMAL(4,1) GENERATED ALWAYS AS (
+        CASE
+          WHEN manual_study_hours IS NULL AND session_study_hours IS NULL THEN NULL
+          ELSE LEAST(COALESCE(manual_study_hours, 0) + COALESCE(session_study_hours, 0), 24)
+        END
+      ) STORED
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE study_sleep_logs ADD COLUMN stored_study_hours DECIMAL(4,1)');
+  await client.query('UPDATE study_sleep_logs SET stored_study_hours = study_hours');
+  await client.query('ALTER TABLE study_sleep_logs DROP COLUMN study_hours');
+  await client.query(`
+    ALTER TABLE study_sleep_logs
+      DROP COLUMN IF EXISTS manual_study_hours,
+      ADD CONSTRAINT study_sleep_logs_study_hours_range CHECK (stored_study_hours >= 0 AND stored_study_hours <= 24)
+  `);
+  await client.query('ALTER TABLE study_sleep_logs RENAME COLUMN stored_study_hours TO study_hours');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getAchievements,
+  getCatalog
+} = require('../controllers/achievementsController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /achievements - Earned badges, total XP and level
+router.get('/', getAchievements);
+
+// GET /achievements/catalog - Every badge with progress towards it
+router.get('/catalog', getCatalog);
+
+module.exports = router;
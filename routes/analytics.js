@@ -11,6 +11,7 @@ const {
   getGoalStreaks,
   getGoalCompletionStats,
   setGoalReminder,
+  getGoalReminderDeliveries,
   exportAnalytics
 } = require('../controllers/analyticsController');
 
@@ -47,6 +48,9 @@ router.get('/goals/streaks', getGoalStreaks);
 // GET /analytics/goals/stats - Get goal completion statistics
 router.get('/goals/stats', getGoalCompletionStats);
 
+// GET /analytics/goals/reminders - List upcoming and past reminder deliveries
+router.get('/goals/reminders', getGoalReminderDeliveries);
+
 // POST /analytics/goals/:id/reminder - Set a reminder for a goal
 router.post('/goals/:id/reminder', setGoalReminder);
 
@@ -1,5 +1,18 @@
 const express = require('express');
-const { signup, login } = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  signup,
+  login,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
 
 const router = express.Router();
 
@@ -9,4 +22,31 @@ router.post('/signup', signup);
 // POST /auth/login
 router.post('/login', login);
 
+// POST /auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', refresh);
+
+// POST /auth/logout - Revoke the current session
+router.post('/logout', authenticateToken, logout);
+
+// GET /auth/sessions - List active sessions per device
+router.get('/sessions', authenticateToken, getSessions);
+
+// DELETE /auth/sessions - Revoke every session except the current one
+router.delete('/sessions', authenticateToken, deleteOtherSessions);
+
+// DELETE /auth/sessions/:id - Revoke a single session
+router.delete('/sessions/:id', authenticateToken, deleteSession);
+
+// POST /auth/forgot-password - Email a password reset link
+router.post('/forgot-password', forgotPassword);
+
+// POST /auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', resetPassword);
+
+// POST /auth/verify-email - Confirm an email address with a verification token
+router.post('/verify-email', verifyEmail);
+
+// POST /auth/resend-verification - Send a new verification email
+router.post('/resend-verification', authenticateToken, resendVerification);
+
 module.exports = router;
\ No newline at end of file
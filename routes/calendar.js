@@ -0,0 +1,24 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getFeed,
+  createFeed,
+  deleteFeed,
+  getCalendar
+} = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// GET /calendar/feed - Whether the calendar feed is on and when it was last fetched
+router.get('/feed', authenticateToken, getFeed);
+
+// POST /calendar/feed - Create the feed URL, or rotate it so the old one stops working
+router.post('/feed', authenticateToken, createFeed);
+
+// DELETE /calendar/feed - Turn the feed off
+router.delete('/feed', authenticateToken, deleteFeed);
+
+// GET /calendar/:token.ics - The iCalendar feed itself (the secret token is the credential)
+router.get('/:token.ics', getCalendar);
+
+module.exports = router;
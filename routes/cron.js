@@ -0,0 +1,13 @@
+const express = require('express');
+const { authenticateCron } = require('../middleware/auth');
+const { runReminders } = require('../controllers/cronController');
+
+const router = express.Router();
+
+// Apply cron secret authentication to all routes
+router.use(authenticateCron);
+
+// GET /cron/reminders - Deliver due goal reminders (Vercel Cron)
+router.get('/reminders', runReminders);
+
+module.exports = router;
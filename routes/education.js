@@ -1,7 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { upload } = require('../config/cloudinary');
 const {
-  getSubjects,
   addTask,
   updateTask,
   deleteTask,
@@ -22,6 +22,9 @@ const {
   addAssignment,
   updateAssignment,
   deleteAssignment,
+  getAssignmentAgenda,
+  addAssignmentAttachment,
+  deleteAssignmentAttachment,
   // Research task functions
   getResearchTasks,
   addResearchTask,
@@ -32,15 +35,127 @@ const {
   addStudySleepLog,
   updateStudySleepLog
 } = require('../controllers/educationController');
+const {
+  getStudySessions,
+  getActiveStudySession,
+  startSession,
+  pauseSession,
+  resumeSession,
+  stopSession,
+  deleteStudySession
+} = require('../controllers/studySessionController');
+const {
+  getSubjects,
+  addSubject,
+  updateSubject,
+  deleteSubject,
+  updateSubjectOrder,
+  addUnit,
+  updateUnit,
+  deleteUnit,
+  updateUnitOrder
+} = require('../controllers/subjectController');
+const {
+  getTerms,
+  getArchivedTerms,
+  addTerm,
+  updateTerm,
+  deleteTerm
+} = require('../controllers/termController');
+const {
+  getGrades,
+  getScale,
+  updateScale,
+  resetScale,
+  addAssessment,
+  updateAssessment,
+  deleteAssessment,
+  getRequiredScore
+} = require('../controllers/gradeController');
+const {
+  getCourse,
+  addWeek,
+  updateWeek,
+  deleteWeek,
+  addLecture,
+  updateLecture,
+  deleteLecture
+} = require('../controllers/nptelController');
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
-// GET /education/subjects
+// Academic term routes
+// GET /education/terms
+router.get('/terms', getTerms);
+
+// GET /education/terms/archive - Past terms with what was completed in each
+router.get('/terms/archive', getArchivedTerms);
+
+// POST /education/terms
+router.post('/terms', addTerm);
+
+// PUT /education/terms/:termId
+router.put('/terms/:termId', updateTerm);
+
+// DELETE /education/terms/:termId
+router.delete('/terms/:termId', deleteTerm);
+
+// Subject and unit routes
+// GET /education/subjects - The user's subjects with units, task counts and completion
 router.get('/subjects', getSubjects);
 
+// POST /education/subjects - Add a subject, optionally with its units
+router.post('/subjects', addSubject);
+
+// PUT /education/subjects/order - Reorder subjects ({ subject_ids })
+router.put('/subjects/order', updateSubjectOrder);
+
+// PUT /education/subjects/:subjectId
+router.put('/subjects/:subjectId', updateSubject);
+
+// DELETE /education/subjects/:subjectId
+router.delete('/subjects/:subjectId', deleteSubject);
+
+// POST /education/subjects/:subjectId/units
+router.post('/subjects/:subjectId/units', addUnit);
+
+// PUT /education/subjects/:subjectId/units/order - Reorder units ({ unit_ids })
+router.put('/subjects/:subjectId/units/order', updateUnitOrder);
+
+// PUT /education/subjects/:subjectId/units/:unitId
+router.put('/subjects/:subjectId/units/:unitId', updateUnit);
+
+// DELETE /education/subjects/:subjectId/units/:unitId
+router.delete('/subjects/:subjectId/units/:unitId', deleteUnit);
+
+// Grade routes
+// GET /education/grades - Projected subject grades, term GPA and CGPA (optional term_id)
+router.get('/grades', getGrades);
+
+// GET /education/grades/scale
+router.get('/grades/scale', getScale);
+
+// PUT /education/grades/scale - Set the grading scale ({ name, max_points, bands })
+router.put('/grades/scale', updateScale);
+
+// DELETE /education/grades/scale - Go back to the default scale
+router.delete('/grades/scale', resetScale);
+
+// POST /education/subjects/:subjectId/assessments
+router.post('/subjects/:subjectId/assessments', addAssessment);
+
+// GET /education/subjects/:subjectId/required-score?grade=A - Score needed in the final for a grade
+router.get('/subjects/:subjectId/required-score', getRequiredScore);
+
+// PUT /education/assessments/:assessmentId
+router.put('/assessments/:assessmentId', updateAssessment);
+
+// DELETE /education/assessments/:assessmentId
+router.delete('/assessments/:assessmentId', deleteAssessment);
+
 // GET /education/tasks (get all user tasks)
 router.get('/tasks', getUserTasks);
 
@@ -69,6 +184,9 @@ router.get('/nptel/courses', getNPTELCourses);
 // POST /education/nptel/course
 router.post('/nptel/course', addNPTELCourse);
 
+// GET /education/nptel/course/:courseId - Course with its weeks, lectures and certificate eligibility
+router.get('/nptel/course/:courseId', getCourse);
+
 // PUT /education/nptel/course/:courseId
 router.put('/nptel/course/:courseId', updateNPTELCourse);
 
@@ -84,10 +202,31 @@ router.put('/nptel/course/:courseId/task/:taskId', updateCourseTask);
 // DELETE /education/nptel/course/:courseId/task/:taskId
 router.delete('/nptel/course/:courseId/task/:taskId', deleteCourseTask);
 
+// POST /education/nptel/course/:courseId/week
+router.post('/nptel/course/:courseId/week', addWeek);
+
+// PUT /education/nptel/course/:courseId/week/:weekId - Update a week, including its assignment score
+router.put('/nptel/course/:courseId/week/:weekId', updateWeek);
+
+// DELETE /education/nptel/course/:courseId/week/:weekId
+router.delete('/nptel/course/:courseId/week/:weekId', deleteWeek);
+
+// POST /education/nptel/course/:courseId/week/:weekId/lecture
+router.post('/nptel/course/:courseId/week/:weekId/lecture', addLecture);
+
+// PUT /education/nptel/course/:courseId/week/:weekId/lecture/:lectureId
+router.put('/nptel/course/:courseId/week/:weekId/lecture/:lectureId', updateLecture);
+
+// DELETE /education/nptel/course/:courseId/week/:weekId/lecture/:lectureId
+router.delete('/nptel/course/:courseId/week/:weekId/lecture/:lectureId', deleteLecture);
+
 // Assignment routes
 // GET /education/assignments
 router.get('/assignments', getAssignments);
 
+// GET /education/assignments/agenda - Open assignments grouped into overdue, today and this week
+router.get('/assignments/agenda', getAssignmentAgenda);
+
 // POST /education/assignment
 router.post('/assignment', addAssignment);
 
@@ -97,6 +236,12 @@ router.put('/assignment/:assignmentId', updateAssignment);
 // DELETE /education/assignment/:assignmentId
 router.delete('/assignment/:assignmentId', deleteAssignment);
 
+// POST /education/assignment/:assignmentId/attachments - Upload a submission file
+router.post('/assignment/:assignmentId/attachments', upload.single('file'), addAssignmentAttachment);
+
+// DELETE /education/assignment/:assignmentId/attachments/:attachmentId
+router.delete('/assignment/:assignmentId/attachments/:attachmentId', deleteAssignmentAttachment);
+
 // Research task routes
 // GET /education/research/subject/:subjectCode/tasks
 router.get('/research/subject/:subjectCode/tasks', getResearchTasks);
@@ -120,4 +265,26 @@ router.post('/study-sleep-log', addStudySleepLog);
 // PUT /education/study-sleep-log/:logId
 router.put('/study-sleep-log/:logId', updateStudySleepLog);
 
+// Study session timer routes
+// GET /education/study-sessions - Sessions with time per subject, unit and NPTEL course
+router.get('/study-sessions', getStudySessions);
+
+// GET /education/study-sessions/active - The running or paused session, if any
+router.get('/study-sessions/active', getActiveStudySession);
+
+// POST /education/study-sessions - Start a session for a subject/unit or NPTEL course
+router.post('/study-sessions', startSession);
+
+// POST /education/study-sessions/:sessionId/pause
+router.post('/study-sessions/:sessionId/pause', pauseSession);
+
+// POST /education/study-sessions/:sessionId/resume
+router.post('/study-sessions/:sessionId/resume', resumeSession);
+
+// POST /education/study-sessions/:sessionId/stop - Complete a session and update daily study hours
+router.post('/study-sessions/:sessionId/stop', stopSession);
+
+// DELETE /education/study-sessions/:sessionId
+router.delete('/study-sessions/:sessionId', deleteStudySession);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  listHabits,
+  addHabit,
+  updateHabit,
+  deleteHabit,
+  getCheckins,
+  addCheckin,
+  deleteCheckin
+} = require('../controllers/habitsController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// GET /habits - The user's habits with today's check-in (?include_archived=true for all)
+router.get('/', listHabits);
+
+// POST /habits - Define a habit
+router.post('/', addHabit);
+
+// PUT /habits/:habitId - Update or archive a habit
+router.put('/:habitId', updateHabit);
+
+// DELETE /habits/:habitId - Delete a habit with its check-ins
+router.delete('/:habitId', deleteHabit);
+
+// GET /habits/:habitId/checkins - A habit's check-ins
+router.get('/:habitId/checkins', getCheckins);
+
+// POST /habits/:habitId/checkins - Check in for a day
+router.post('/:habitId/checkins', addCheckin);
+
+// DELETE /habits/:habitId/checkins/:checkinId - Remove a check-in
+router.delete('/:habitId/checkins/:checkinId', deleteCheckin);
+
+module.exports = router;
@@ -6,20 +6,53 @@ const {
   addPeriodEntry,
   addConstipationEntry,
   addWaterIntake,
+  undoLastWaterIntake,
+  deleteWaterIntakeEntry,
   addExerciseEntry,
+  updateExerciseEntry,
   addKriyaEntry,
+  updateKriyaEntry,
+  deleteKriyaEntry,
   addTypingEntry,
+  addTypingSession,
   getHealthUploads,
   getHealthDocumentsFolder,
   deleteHealthDocument,
   getPeriodEntries,
   getWaterIntake,
+  getWaterIntakeEntries,
   getExerciseEntries,
   getKriyaEntries,
   getTypingEntries,
+  getTypingSessions,
+  deleteTypingSession,
   deleteExerciseEntry,
   getUserStreakData
 } = require('../controllers/healthController');
+const {
+  getCycle,
+  addCycle,
+  updateCycle,
+  deleteCycle,
+  logCycleDay
+} = require('../controllers/cycleController');
+const {
+  getSymptomTypes,
+  addSymptomType,
+  deleteSymptomType,
+  getSymptomLogs,
+  addSymptomLog,
+  updateSymptomLog,
+  deleteSymptomLog,
+  addMoodLog,
+  deleteMoodLog
+} = require('../controllers/symptomController');
+const {
+  getSleep,
+  addSleepSession,
+  updateSleepSession,
+  deleteSleepSession
+} = require('../controllers/sleepController');
 
 const router = express.Router();
 
@@ -32,21 +65,90 @@ router.post('/upload', upload.single('file'), uploadHealthDocument);
 // POST /health/period
 router.post('/period', addPeriodEntry);
 
+// GET /health/cycle - Cycle stats, current phase and predictions
+router.get('/cycle', getCycle);
+
+// POST /health/cycle - Record a cycle start (and optionally its end)
+router.post('/cycle', addCycle);
+
+// POST /health/cycle/days - Log flow, symptoms and mood for a day
+router.post('/cycle/days', logCycleDay);
+
+// PUT /health/cycle/:id - Set a cycle's end date or notes
+router.put('/cycle/:id', updateCycle);
+
+// DELETE /health/cycle/:id
+router.delete('/cycle/:id', deleteCycle);
+
+// GET /health/symptoms/types - Built-in and custom symptom types
+router.get('/symptoms/types', getSymptomTypes);
+
+// POST /health/symptoms/types - Add a custom symptom type
+router.post('/symptoms/types', addSymptomType);
+
+// DELETE /health/symptoms/types/:id - Delete a custom symptom type
+router.delete('/symptoms/types/:id', deleteSymptomType);
+
+// POST /health/symptoms/mood - Log mood and energy for a day
+router.post('/symptoms/mood', addMoodLog);
+
+// DELETE /health/symptoms/mood/:id
+router.delete('/symptoms/mood/:id', deleteMoodLog);
+
+// GET /health/symptoms - Symptom and mood journal grouped by day
+router.get('/symptoms', getSymptomLogs);
+
+// POST /health/symptoms - Log a symptom with a 0-5 severity
+router.post('/symptoms', addSymptomLog);
+
+// PUT /health/symptoms/:id
+router.put('/symptoms/:id', updateSymptomLog);
+
+// DELETE /health/symptoms/:id
+router.delete('/symptoms/:id', deleteSymptomLog);
+
+// GET /health/sleep - Sleep sessions, timing consistency, social jetlag and sleep debt
+router.get('/sleep', getSleep);
+
+// POST /health/sleep - Log a sleep session or nap
+router.post('/sleep', addSleepSession);
+
+// PUT /health/sleep/:id
+router.put('/sleep/:id', updateSleepSession);
+
+// DELETE /health/sleep/:id
+router.delete('/sleep/:id', deleteSleepSession);
+
 // POST /health/constipation
 router.post('/constipation', addConstipationEntry);
 
-// POST /health/water
+// POST /health/water - Log a drink (appends; daily totals are summed)
 router.post('/water', addWaterIntake);
 
+// DELETE /health/water/last - Undo the most recently logged drink
+router.delete('/water/last', undoLastWaterIntake);
+
+// DELETE /health/water/:entryId
+router.delete('/water/:entryId', deleteWaterIntakeEntry);
+
 // POST /health/exercise
 router.post('/exercise', addExerciseEntry);
 
-// POST /health/kriya
+// POST /health/kriya - Log a meditation session (several a day are kept)
 router.post('/kriya', addKriyaEntry);
 
+// PUT /health/kriya/:kriyaId - Edit a meditation session
+router.put('/kriya/:kriyaId', updateKriyaEntry);
+
+// DELETE /health/kriya/:kriyaId - Delete a meditation session
+router.delete('/kriya/:kriyaId', deleteKriyaEntry);
+
 // POST /health/typing
 router.post('/typing', addTypingEntry);
 
+// POST /health/typing/sessions - Log a typing test (WPM, accuracy, key errors); marks the day practised
+router.post('/typing/sessions', addTypingSession);
+
 // GET endpoints for retrieving data
 // GET /health/uploads
 router.get('/uploads', getHealthUploads);
@@ -60,9 +162,12 @@ router.delete('/documents/:documentId', deleteHealthDocument);
 // GET /health/period
 router.get('/period', getPeriodEntries);
 
-// GET /health/water
+// GET /health/water - Daily totals
 router.get('/water', getWaterIntake);
 
+// GET /health/water/entries - Individual drinks, optionally for one date
+router.get('/water/entries', getWaterIntakeEntries);
+
 // GET /health/exercise
 router.get('/exercise', getExerciseEntries);
 
@@ -72,6 +177,15 @@ router.get('/kriya', getKriyaEntries);
 // GET /health/typing
 router.get('/typing', getTypingEntries);
 
+// GET /health/typing/sessions
+router.get('/typing/sessions', getTypingSessions);
+
+// DELETE /health/typing/sessions/:sessionId
+router.delete('/typing/sessions/:sessionId', deleteTypingSession);
+
+// PUT /health/exercise/:exerciseId - Edit exercise entry (calories are re-estimated)
+router.put('/exercise/:exerciseId', updateExerciseEntry);
+
 // DELETE /health/exercise/:exerciseId - Delete exercise entry
 router.delete('/exercise/:exerciseId', deleteExerciseEntry);
 
@@ -4,7 +4,12 @@ const {
   getNotifications,
   createNotification,
   updateNotification,
-  deleteNotification
+  deleteNotification,
+  getInbox,
+  getInboxUnreadCount,
+  markInboxItemRead,
+  markAllInboxItemsRead,
+  archiveInboxItem
 } = require('../controllers/notificationsController');
 
 const router = express.Router();
@@ -12,6 +17,22 @@ const router = express.Router();
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
+// Inbox routes (declared before /:id so they are not captured by it)
+// GET /notifications/inbox - Paginated inbox items
+router.get('/inbox', getInbox);
+
+// GET /notifications/inbox/unread-count
+router.get('/inbox/unread-count', getInboxUnreadCount);
+
+// POST /notifications/inbox/read-all
+router.post('/inbox/read-all', markAllInboxItemsRead);
+
+// POST /notifications/inbox/:id/read
+router.post('/inbox/:id/read', markInboxItemRead);
+
+// POST /notifications/inbox/:id/archive
+router.post('/inbox/:id/archive', archiveInboxItem);
+
 // GET /notifications
 router.get('/', getNotifications);
 
@@ -11,8 +11,10 @@ router.get('/', authenticateToken, streaksController.getUserStreaks);
 // GET streak for specific activity
 router.get('/:activityType', authenticateToken, streaksController.getActivityStreak);
 
-// PUT/POST update streak for an activity
-router.put('/:activityType', authenticateToken, streaksController.updateStreak);
-router.post('/:activityType', authenticateToken, streaksController.updateStreak);
+// POST recompute a streak from its tracker data
+router.post('/:activityType', authenticateToken, streaksController.recalculateStreak);
 
-module.exports = router;
\ No newline at end of file
+// PUT update a streak's grace days ({ grace_days })
+router.put('/:activityType', authenticateToken, streaksController.updateStreakSettings);
+
+module.exports = router;
@@ -4,7 +4,9 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { connectDB } = require('./config/database');
-const { initializeDatabase } = require('./config/initDb');
+const { assertSchemaUpToDate } = require('./config/migrate');
+const { startReminderScheduler } = require('./services/reminderScheduler');
+const { assertMailConfigured } = require('./services/mailer');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -26,6 +28,10 @@ app.use('/logs', require('./routes/logs'));
 app.use('/notifications', require('./routes/notifications'));
 app.use('/analytics', require('./routes/analytics'));
 app.use('/streaks', require('./routes/streaks'));
+app.use('/calendar', require('./routes/calendar'));
+app.use('/achievements', require('./routes/achievements'));
+app.use('/habits', require('./routes/habits'));
+app.use('/cron', require('./routes/cron'));
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -53,9 +59,12 @@ const startServer = async () => {
     await connectDB();
     console.log('✅ Database connected successfully');
 
-    // Initialize database tables
-    await initializeDatabase();
-    console.log('✅ Database initialized successfully');
+    // Refuse to start against a schema that is missing migrations
+    await assertSchemaUpToDate();
+    console.log('✅ Database schema is up to date');
+
+    // Refuse to start without a way to deliver reset and verification emails
+    console.log(`✅ Mail transport: ${assertMailConfigured()}`);
 
     // Start the server on all interfaces for better connectivity
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -65,6 +74,9 @@ const startServer = async () => {
       console.log(`🤖 Android Emulator URL: http://10.0.2.2:${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
       console.log(`🎯 API ready for requests!`);
+
+      // Deliver goal reminders while the server is up
+      startReminderScheduler();
       console.log(`🔗 Testing connectivity...`);
 
       // Test server connectivity
@@ -0,0 +1,212 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { hashToken, revokeAllSessions } = require('./sessionService');
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+// Token lifetimes in minutes
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 60,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 24 * 60
+};
+
+const accountError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const buildAppLink = (pathName, token) => {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${pathName}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Issue a single-use token, invalidating any earlier unused token for the same purpose
+ * @param {number} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {string} email - Address the token is sent to
+ * @returns {string} - Raw token (only its hash is stored)
+ */
+const issueToken = async (userId, purpose, email) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+  await pool.query(
+    'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await pool.query(
+    'INSERT INTO auth_tokens (user_id, purpose, token_hash, email, expires_at) VALUES ($1, $2, $3, $4, $5)',
+    [userId, purpose, hashToken(token), email, expiresAt]
+  );
+
+  return token;
+};
+
+/**
+ * Use up a token. Marking it used and checking expiry happen in one statement,
+ * so a token can never be redeemed twice.
+ * @param {string} token - Raw token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} - The token row (user_id, email)
+ */
+const consumeToken = async (token, purpose) => {
+  const result = await pool.query(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id, email`,
+    [hashToken(token || ''), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    throw accountError('INVALID_TOKEN', 'Invalid or expired token');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Email a verification link to an address
+ * @param {number} userId - User ID
+ * @param {string} email - Address to verify
+ */
+const sendVerificationEmail = async (userId, email) => {
+  const token = await issueToken(userId, TOKEN_PURPOSES.EMAIL_VERIFICATION, email);
+  const link = buildAppLink('/verify-email', token);
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your HerSphere email address',
+    text: `Confirm this email address for your HerSphere account by opening the link below. It expires in 24 hours.\n\n${link}\n\nVerification token: ${token}`
+  });
+};
+
+/**
+ * Start a password reset. Does nothing (without saying so) for unknown
+ * addresses so the endpoint cannot be used to discover accounts.
+ * @param {string} email - Account email address
+ */
+const requestPasswordReset = async (email) => {
+  const result = await pool.query('SELECT id, email FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+  if (result.rows.length === 0) return;
+
+  const user = result.rows[0];
+  const token = await issueToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, user.email);
+  const link = buildAppLink('/reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your HerSphere password',
+    text: `Someone asked to reset the password for your HerSphere account. If it was you, open the link below within an hour. If not, you can ignore this email.\n\n${link}\n\nReset token: ${token}`
+  });
+};
+
+/**
+ * Set a new password with a reset token and sign out every session
+ * @param {string} token - Raw reset token
+ * @param {string} password - New password
+ * @returns {number} - User ID
+ */
+const resetPassword = async (token, password) => {
+  const { user_id: userId, email } = await consumeToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+  const hashedPassword = await bcrypt.hash(password, 12);
+
+  // Receiving the reset email also proves the user controls the address
+  await pool.query(
+    `UPDATE users SET password = $1,
+       email_verified_at = CASE WHEN email = $3 THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [hashedPassword, userId, email]
+  );
+
+  await revokeAllSessions(userId, 'password_reset');
+
+  return userId;
+};
+
+/**
+ * Verify an email address. If it matches a pending change, the change is applied.
+ * @param {string} token - Raw verification token
+ * @returns {Object} - { id, email, email_verified_at }
+ */
+const verifyEmail = async (token) => {
+  const { user_id: userId, email } = await consumeToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+  const userResult = await pool.query('SELECT id, email, pending_email FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+
+  if (!user || (user.email !== email && user.pending_email !== email)) {
+    throw accountError('STALE_TOKEN', 'This verification link is for an address no longer on the account');
+  }
+
+  if (user.pending_email === email) {
+    const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1 AND id != $2', [email, userId]);
+    if (emailCheck.rows.length > 0) {
+      throw accountError('EMAIL_TAKEN', 'Email already exists', 409);
+    }
+  }
+
+  const result = await pool.query(
+    `UPDATE users SET email = $2, pending_email = NULL, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING id, email, email_verified_at`,
+    [userId, email]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Hold an email change until the new address is verified
+ * @param {number} userId - User ID
+ * @param {string} email - Requested new address
+ */
+const requestEmailChange = async (userId, email) => {
+  await pool.query(
+    'UPDATE users SET pending_email = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [email, userId]
+  );
+  await sendVerificationEmail(userId, email);
+};
+
+/**
+ * Resend verification to the pending address, or the current one if unverified
+ * @param {number} userId - User ID
+ * @returns {string} - Address the email was sent to
+ */
+const resendVerification = async (userId) => {
+  const result = await pool.query(
+    'SELECT email, pending_email, email_verified_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  const target = user.pending_email || (user.email_verified_at ? null : user.email);
+  if (!target) {
+    throw accountError('ALREADY_VERIFIED', 'Email is already verified');
+  }
+
+  await sendVerificationEmail(userId, target);
+  return target;
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  issueToken,
+  consumeToken,
+  sendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  requestEmailChange,
+  resendVerification
+};
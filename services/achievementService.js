@@ -0,0 +1,224 @@
+const { pool } = require('../config/database');
+const { createInboxItem } = require('./inboxService');
+
+// Daily water total (ml) that counts as a goal day, matching the hydration milestone
+const WATER_GOAL_ML = 2000;
+// XP needed to go from level n to n + 1 grows by this much per level
+const LEVEL_XP_STEP = 100;
+
+/**
+ * Badge catalog. A badge is earned once its metric reaches the target;
+ * streak badges read the longest streak of their activity.
+ */
+const BADGES = [
+  {
+    key: 'first_exercise', name: 'First Steps', icon: '👟', category: 'health', xp: 10,
+    description: 'Log your first exercise session',
+    criteria: { metric: 'exercise_sessions', target: 1 }
+  },
+  {
+    key: 'water_streak_7', name: 'Hydration Habit', icon: '💧', category: 'health', xp: 50,
+    description: 'Log water 7 days in a row',
+    criteria: { metric: 'streak', activityType: 'water', target: 7 }
+  },
+  {
+    key: 'water_goal_30', name: 'Hydration Hero', icon: '🌊', category: 'health', xp: 100,
+    description: `Drink ${WATER_GOAL_ML} ml or more on 30 days`,
+    criteria: { metric: 'water_goal_days', target: 30 }
+  },
+  {
+    key: 'exercise_streak_14', name: 'Active Fortnight', icon: '🏃', category: 'health', xp: 100,
+    description: 'Exercise 14 days in a row',
+    criteria: { metric: 'streak', activityType: 'exercise', target: 14 }
+  },
+  {
+    key: 'kriya_streak_7', name: 'Steady Practice', icon: '🧘', category: 'wellness', xp: 50,
+    description: 'Practise Shambhavi Kriya 7 days in a row',
+    criteria: { metric: 'streak', activityType: 'kriya', target: 7 }
+  },
+  {
+    key: 'kriya_streak_30', name: 'Kriya Devotee', icon: '🪷', category: 'wellness', xp: 200,
+    description: 'Practise Shambhavi Kriya 30 days in a row',
+    criteria: { metric: 'streak', activityType: 'kriya', target: 30 }
+  },
+  {
+    key: 'typing_streak_7', name: 'Keyboard Regular', icon: '⌨️', category: 'skills', xp: 50,
+    description: 'Complete typing practice 7 days in a row',
+    criteria: { metric: 'streak', activityType: 'typing', target: 7 }
+  },
+  {
+    key: 'study_hours_100', name: 'Study Champion', icon: '📚', category: 'education', xp: 150,
+    description: 'Study for 100 hours in total',
+    criteria: { metric: 'study_hours', target: 100 }
+  },
+  {
+    key: 'first_assignment_on_time', name: 'On Time', icon: '⏰', category: 'education', xp: 10,
+    description: 'Submit an assignment by its deadline',
+    criteria: { metric: 'on_time_assignments', target: 1 }
+  },
+  {
+    key: 'assignments_on_time_10', name: 'Punctual Scholar', icon: '🎯', category: 'education', xp: 100,
+    description: 'Submit 10 assignments by their deadlines',
+    criteria: { metric: 'on_time_assignments', target: 10 }
+  },
+  {
+    key: 'first_nptel_complete', name: 'Course Finisher', icon: '🎓', category: 'education', xp: 150,
+    description: 'Take an NPTEL course to 100%',
+    criteria: { metric: 'completed_nptel_courses', target: 1 }
+  }
+];
+
+/**
+ * Load every metric the catalog's criteria use, in one query
+ * @param {number} userId - User ID
+ * @returns {Object} - Metric values, with longest streaks keyed by activity type
+ */
+const loadBadgeMetrics = async (userId) => {
+  const result = await pool.query(
+    `SELECT
+       (SELECT COALESCE(json_object_agg(activity_type, longest_streak), '{}') FROM user_streaks WHERE user_id = $1) as streaks,
+       (SELECT COUNT(*) FROM exercise_tracker WHERE user_id = $1)::int as exercise_sessions,
+       (SELECT COUNT(*) FROM water_intake WHERE user_id = $1 AND amount_ml >= $2)::int as water_goal_days,
+       (SELECT COALESCE(SUM(study_hours), 0) FROM study_sleep_logs WHERE user_id = $1)::float as study_hours,
+       -- submitted_at is wall-clock time in the session timezone, the deadline a date in the user's own
+       (SELECT COUNT(*) FROM assignments a
+        LEFT JOIN user_profiles p ON p.user_id = a.user_id
+        WHERE a.user_id = $1 AND a.submitted_at IS NOT NULL
+          AND (a.submitted_at::timestamptz AT TIME ZONE COALESCE(p.timezone, 'UTC'))::date <= a.deadline)::int as on_time_assignments,
+       (SELECT COUNT(*) FROM nptel_courses WHERE user_id = $1 AND progress >= 100)::int as completed_nptel_courses`,
+    [userId, WATER_GOAL_ML]
+  );
+  return result.rows[0];
+};
+
+/**
+ * How far a user is towards a badge
+ * @param {Object} badge - Catalog entry
+ * @param {Object} metrics - From loadBadgeMetrics
+ * @returns {Object} - { current, target, earned }
+ */
+const getBadgeProgress = (badge, metrics) => {
+  const { metric, activityType, target } = badge.criteria;
+  const value = metric === 'streak' ? metrics.streaks[activityType] : metrics[metric];
+  const current = Number(value) || 0;
+  return { current: Math.min(current, target), target, earned: current >= target };
+};
+
+/**
+ * Level for a total XP. Level n + 1 takes n * LEVEL_XP_STEP more XP than level n.
+ * @param {number} xp - Total XP
+ * @returns {Object} - { level, xp, levelStartXp, nextLevelXp, progress }
+ */
+const getLevel = (xp) => {
+  let level = 1;
+  let levelStartXp = 0;
+  while (xp >= levelStartXp + level * LEVEL_XP_STEP) {
+    levelStartXp += level * LEVEL_XP_STEP;
+    level += 1;
+  }
+  const nextLevelXp = levelStartXp + level * LEVEL_XP_STEP;
+
+  return {
+    level,
+    xp,
+    levelStartXp,
+    nextLevelXp,
+    progress: Math.round(100 * (xp - levelStartXp) / (nextLevelXp - levelStartXp))
+  };
+};
+
+/**
+ * Award every badge whose criteria are now met. Badges already held are
+ * left alone, so each is awarded once. New badges go to the inbox.
+ * Failures are logged rather than thrown, so a write never fails over a badge.
+ * @param {number} userId - User ID
+ * @returns {Array} - Newly awarded user_badges rows
+ */
+const evaluateBadges = async (userId) => {
+  try {
+    const metrics = await loadBadgeMetrics(userId);
+    const earned = BADGES.filter(badge => getBadgeProgress(badge, metrics).earned);
+    if (earned.length === 0) return [];
+
+    const result = await pool.query(
+      `INSERT INTO user_badges (user_id, badge_key, xp)
+       SELECT $1, badge.key, badge.xp FROM unnest($2::text[], $3::int[]) AS badge(key, xp)
+       ON CONFLICT (user_id, badge_key) DO NOTHING
+       RETURNING *`,
+      [userId, earned.map(badge => badge.key), earned.map(badge => badge.xp)]
+    );
+
+    for (const row of result.rows) {
+      const badge = BADGES.find(entry => entry.key === row.badge_key);
+      await createInboxItem(userId, {
+        type: 'achievement',
+        title: `Badge earned: ${badge.name} ${badge.icon}`,
+        message: `${badge.description}. +${badge.xp} XP`,
+        data: { badgeKey: badge.key, xp: badge.xp },
+        dedupeKey: `badge:${badge.key}`
+      });
+    }
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error evaluating badges:', error);
+    return [];
+  }
+};
+
+/**
+ * A user's badges, XP and level
+ * @param {number} userId - User ID
+ * @returns {Object} - { xp, level, badges }
+ */
+const getAchievements = async (userId) => {
+  const result = await pool.query(
+    'SELECT badge_key, xp, awarded_at FROM user_badges WHERE user_id = $1 ORDER BY awarded_at DESC',
+    [userId]
+  );
+
+  // Badges dropped from the catalog still count towards XP
+  const xp = result.rows.reduce((sum, row) => sum + row.xp, 0);
+  const badges = result.rows
+    .map(row => {
+      const badge = BADGES.find(entry => entry.key === row.badge_key);
+      return badge ? { ...badge, xp: row.xp, awardedAt: row.awarded_at } : null;
+    })
+    .filter(Boolean);
+
+  return { xp, level: getLevel(xp), badges };
+};
+
+/**
+ * The whole catalog with the user's progress on each badge
+ * @param {number} userId - User ID
+ * @returns {Array} - Catalog entries with progress, earned and awardedAt
+ */
+const getCatalog = async (userId) => {
+  const metrics = await loadBadgeMetrics(userId);
+  const awarded = await pool.query('SELECT badge_key, awarded_at FROM user_badges WHERE user_id = $1', [userId]);
+  const awardedAt = {};
+  awarded.rows.forEach(row => {
+    awardedAt[row.badge_key] = row.awarded_at;
+  });
+
+  return BADGES.map(badge => {
+    const progress = getBadgeProgress(badge, metrics);
+    return {
+      ...badge,
+      progress: { current: progress.current, target: progress.target },
+      earned: Boolean(awardedAt[badge.key]),
+      awardedAt: awardedAt[badge.key] || null
+    };
+  });
+};
+
+module.exports = {
+  BADGES,
+  WATER_GOAL_ML,
+  getBadgeProgress,
+  getLevel,
+  evaluateBadges,
+  getAchievements,
+  getCatalog
+};
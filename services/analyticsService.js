@@ -1,4 +1,32 @@
 const { pool } = require('../config/database');
+const { getCycleOverview, getPhaseOnDate } = require('./cycleService');
+const { toDateString, addDays } = require('../utils/helpers');
+const { normalizeActivityType, getIntensityLevel } = require('./exerciseService');
+const { getSleepOverview, summarizeClockTimes } = require('./sleepService');
+const { PRACTICE_TYPES } = require('./kriyaService');
+const { habitKey, parseHabitKey, isScheduledOn } = require('./habitService');
+
+// Severity (0-5) at or above which a symptom day counts as a flare-up
+const HIGH_SYMPTOM_SEVERITY = 3;
+// Fewest days on each side of a comparison before a correlation is reported
+const MIN_CORRELATION_DAYS = 3;
+// WHO guideline: at least 150 minutes of moderate activity a week
+const WEEKLY_ACTIVE_MINUTES_TARGET = 150;
+// Sleep debt (hours over the debt window) worth warning about
+const SLEEP_DEBT_WARNING_HOURS = 5;
+// Night-to-night bedtime spread (standard deviation) that counts as irregular
+const IRREGULAR_BEDTIME_MINUTES = 60;
+// Weekend shift in mid-sleep worth flagging as social jetlag
+const SOCIAL_JETLAG_WARNING_MINUTES = 60;
+// Typing accuracy (%) below which speed practice should give way to accuracy
+const TYPING_ACCURACY_TARGET = 95;
+// Most error-prone keys reported in typing analytics
+const WEAKEST_KEYS_LIMIT = 5;
+// Spread (standard deviation) of meditation start times still counted as a steady routine
+const STEADY_PRACTICE_TIME_MINUTES = 60;
+// Mood points (1-5) or sleep hours worth reporting as a practice effect
+const PRACTICE_MOOD_EFFECT = 0.3;
+const PRACTICE_SLEEP_EFFECT_HOURS = 0.25;
 
 class AnalyticsService {
   
@@ -22,7 +50,7 @@ class AnalyticsService {
     
     // Parse metrics
     const requestedMetrics = metrics === 'all' ? 
-      ['water', 'exercise', 'period', 'constipation', 'kriya', 'typing'] : 
+      ['water', 'exercise', 'sleep', 'period', 'cycle', 'symptoms', 'constipation', 'kriya', 'typing', 'habits'] : 
       metrics.split(',').map(m => m.trim());
     
     // Water intake analytics
@@ -35,11 +63,26 @@ class AnalyticsService {
       healthData.exercise = await this.getExerciseAnalytics(userId, startDate);
     }
     
+    // Sleep session analytics
+    if (requestedMetrics.includes('sleep')) {
+      healthData.sleep = await this.getSleepAnalytics(userId, startDate);
+    }
+    
     // Period tracking analytics
     if (requestedMetrics.includes('period')) {
       healthData.periodTracking = await this.getPeriodAnalytics(userId, startDate);
     }
     
+    // Menstrual cycle analytics
+    if (requestedMetrics.includes('cycle')) {
+      healthData.cycle = await this.getCycleAnalytics(userId, startDate);
+    }
+    
+    // Symptom and mood journal analytics
+    if (requestedMetrics.includes('symptoms')) {
+      healthData.symptoms = await this.getSymptomAnalytics(userId, startDate);
+    }
+    
     // Constipation analytics
     if (requestedMetrics.includes('constipation')) {
       healthData.constipation = await this.getConstipationAnalytics(userId, startDate);
@@ -55,6 +98,11 @@ class AnalyticsService {
       healthData.typing = await this.getTypingAnalytics(userId, startDate);
     }
     
+    // Custom habit analytics
+    if (requestedMetrics.includes('habits')) {
+      healthData.habits = await this.getHabitAnalytics(userId, startDate);
+    }
+    
     // Add summary statistics
     healthData.summary = await this.getHealthSummary(userId, startDate, requestedMetrics);
     
@@ -69,6 +117,7 @@ class AnalyticsService {
       `SELECT 
         DATE(date) as date,
         amount_ml,
+        entry_count,
         created_at
       FROM water_intake 
       WHERE user_id = $1 AND date >= $2 
@@ -91,10 +140,30 @@ class AnalyticsService {
     // Weekly breakdown for better insights
     const weeklyData = this.groupDataByWeek(daily, 'amount_ml');
     
+    // When in the day the user drinks, in their own timezone
+    const hourlyResult = await pool.query(
+      `SELECT 
+        EXTRACT(HOUR FROM e.logged_at AT TIME ZONE COALESCE(p.timezone, 'UTC'))::INTEGER as hour,
+        SUM(e.amount_ml)::INTEGER as amount_ml,
+        COUNT(*)::INTEGER as entries
+      FROM water_intake_entries e
+      LEFT JOIN user_profiles p ON p.user_id = e.user_id
+      WHERE e.user_id = $1 AND e.date >= $2
+      GROUP BY 1
+      ORDER BY 1`,
+      [userId, startDate]
+    );
+    const hourlyDistribution = this.buildHourlyDistribution(hourlyResult.rows, totalAmount);
+    const peakSlot = hourlyDistribution.reduce((peak, slot) => (slot.amount_ml > peak.amount_ml ? slot : peak));
+    
     return {
       daily,
       average,
       total: totalAmount,
+      averageEntriesPerDay: daily.length > 0 ?
+        parseFloat((daily.reduce((sum, entry) => sum + (entry.entry_count || 1), 0) / daily.length).toFixed(1)) : 0,
+      hourlyDistribution,
+      peakHour: peakSlot.amount_ml > 0 ? peakSlot.hour : null,
       trend: trendData.trend,
       trendPercentage: trendData.percentage,
       daysTracked: daily.length,
@@ -104,6 +173,30 @@ class AnalyticsService {
     };
   }
   
+  /**
+   * Spread hourly water totals over all 24 hours of the day
+   * @param {Array} rows - Rows with hour, amount_ml and entries
+   * @param {number} totalAmount - Total intake over the period, for percentages
+   * @returns {Array} One slot per hour
+   */
+  buildHourlyDistribution(rows, totalAmount) {
+    const byHour = {};
+    rows.forEach(row => {
+      byHour[row.hour] = row;
+    });
+    
+    return Array.from({ length: 24 }, (_, hour) => {
+      const row = byHour[hour];
+      const amount = row ? row.amount_ml : 0;
+      return {
+        hour,
+        amount_ml: amount,
+        entries: row ? row.entries : 0,
+        percentage: totalAmount > 0 ? Math.round((amount / totalAmount) * 100) : 0
+      };
+    });
+  }
+  
   /**
    * Get exercise analytics
    */
@@ -113,6 +206,11 @@ class AnalyticsService {
         DATE(date) as date,
         activity_type,
         footsteps,
+        duration_minutes,
+        distance_km,
+        rpe,
+        heart_rate_zone,
+        calories_burned,
         created_at
       FROM exercise_tracker 
       WHERE user_id = $1 AND date >= $2 
@@ -121,11 +219,15 @@ class AnalyticsService {
     );
     
     const daily = result.rows;
-    const totalSteps = daily.reduce((sum, entry) => sum + entry.footsteps, 0);
-    const averageSteps = daily.length > 0 ? Math.round(totalSteps / daily.length) : 0;
+    
+    // Steps are averaged over days with step counts, so duration-only sessions don't dilute them
+    const stepEntries = daily.filter(entry => entry.footsteps !== null && entry.footsteps !== undefined);
+    const totalSteps = stepEntries.reduce((sum, entry) => sum + entry.footsteps, 0);
+    const stepDays = new Set(stepEntries.map(entry => String(entry.date))).size;
+    const averageSteps = stepDays > 0 ? Math.round(totalSteps / stepDays) : 0;
     
     // Enhanced trend calculation
-    const trendData = this.calculateTrend(daily.map(d => d.footsteps));
+    const trendData = this.calculateTrend(stepEntries.map(d => d.footsteps));
     
     // Previous period comparison
     const previousPeriodData = await this.getPreviousPeriodComparison(
@@ -134,27 +236,73 @@ class AnalyticsService {
     
     // Activity type distribution
     const activityTypes = {};
+    const minutesByActivity = {};
+    const intensityBreakdown = { light: 0, moderate: 0, vigorous: 0, unrated: 0 };
     daily.forEach(entry => {
       activityTypes[entry.activity_type] = (activityTypes[entry.activity_type] || 0) + 1;
+      
+      const minutes = entry.duration_minutes || 0;
+      const activity = normalizeActivityType(entry.activity_type);
+      minutesByActivity[activity] = (minutesByActivity[activity] || 0) + minutes;
+      
+      const level = getIntensityLevel({ rpe: entry.rpe, heartRateZone: entry.heart_rate_zone });
+      intensityBreakdown[level || 'unrated'] += minutes;
     });
     
+    const totalMinutes = daily.reduce((sum, entry) => sum + (entry.duration_minutes || 0), 0);
+    const totalDistanceKm = parseFloat(daily.reduce((sum, entry) => sum + (parseFloat(entry.distance_km) || 0), 0).toFixed(2));
+    const totalCalories = daily.reduce((sum, entry) => sum + (entry.calories_burned || 0), 0);
+    const rpeValues = daily.filter(entry => entry.rpe).map(entry => entry.rpe);
+    const activeDays = new Set(daily.map(entry => String(entry.date))).size;
+    const weeks = Math.max(1, Math.ceil((new Date() - startDate) / (1000 * 60 * 60 * 24)) / 7);
+    
+    // Vigorous minutes count double towards the weekly target
+    const weeklyActiveMinutes = Math.round(
+      (intensityBreakdown.moderate + intensityBreakdown.unrated + intensityBreakdown.vigorous * 2 + intensityBreakdown.light * 0.5) / weeks
+    );
+    
     // Weekly breakdown
-    const weeklyData = this.groupDataByWeek(daily, 'footsteps');
+    const weeklyData = this.groupDataByWeek(stepEntries, 'footsteps');
     
     return {
       daily,
       totalSteps,
       averageSteps,
+      totalMinutes,
+      averageMinutesPerDay: activeDays > 0 ? Math.round(totalMinutes / activeDays) : 0,
+      weeklyActiveMinutes,
+      weeklyTargetMinutes: WEEKLY_ACTIVE_MINUTES_TARGET,
+      totalDistanceKm,
+      totalCalories,
+      averageRpe: rpeValues.length > 0 ? parseFloat((rpeValues.reduce((sum, v) => sum + v, 0) / rpeValues.length).toFixed(1)) : null,
+      intensityBreakdown,
+      minutesByActivity,
       trend: trendData.trend,
       trendPercentage: trendData.percentage,
       activityTypes,
       weeklyBreakdown: weeklyData,
       comparison: previousPeriodData,
-      daysTracked: daily.length,
+      daysTracked: activeDays,
       goalProgress: await this.calculateGoalProgress(userId, 'exercise_steps', averageSteps)
     };
   }
   
+  /**
+   * Get sleep analytics: durations, bedtime consistency, social jetlag and sleep
+   * debt against the user's target
+   */
+  async getSleepAnalytics(userId, startDate) {
+    const overview = await getSleepOverview(userId, startDate);
+    const trendData = this.calculateTrend(overview.daily.map(day => day.hours));
+    
+    return {
+      ...overview,
+      trend: trendData.trend,
+      trendPercentage: trendData.percentage,
+      goalProgress: await this.calculateGoalProgress(userId, 'sleep_hours', overview.averageHours)
+    };
+  }
+  
   /**
    * Get period tracking analytics
    */
@@ -176,6 +324,102 @@ class AnalyticsService {
     };
   }
   
+  /**
+   * Get menstrual cycle analytics. Averages and predictions use the full cycle
+   * history; only the listed cycles are limited to the time range.
+   */
+  async getCycleAnalytics(userId, startDate) {
+    const overview = await getCycleOverview(userId);
+    const rangeStart = startDate.toISOString().split('T')[0];
+    
+    return {
+      ...overview,
+      cyclesInRange: overview.history.filter(cycle => cycle.startDate >= rangeStart),
+      recentDayLogs: overview.recentDayLogs.filter(log => new Date(log.date) >= startDate)
+    };
+  }
+  
+  /**
+   * Get symptom and mood journal analytics. Each day also carries the sleep
+   * logged for it so symptoms can be correlated with sleep.
+   */
+  async getSymptomAnalytics(userId, startDate) {
+    const [symptomResult, moodResult, sleepResult] = await Promise.all([
+      pool.query(
+        `SELECT sl.date, sl.severity, st.name
+        FROM symptom_logs sl
+        JOIN symptom_types st ON sl.symptom_type_id = st.id
+        WHERE sl.user_id = $1 AND sl.date >= $2
+        ORDER BY sl.date ASC`,
+        [userId, startDate]
+      ),
+      pool.query(
+        'SELECT date, mood, energy FROM mood_logs WHERE user_id = $1 AND date >= $2 ORDER BY date ASC',
+        [userId, startDate]
+      ),
+      pool.query(
+        'SELECT date, sleep_hours FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND sleep_hours IS NOT NULL',
+        [userId, startDate]
+      )
+    ]);
+    
+    const sleepByDate = {};
+    sleepResult.rows.forEach(row => {
+      sleepByDate[toDateString(row.date)] = parseFloat(row.sleep_hours);
+    });
+    
+    const days = {};
+    const dayFor = (date) => {
+      const key = toDateString(date);
+      if (!days[key]) {
+        days[key] = { date: key, symptoms: {}, maxSeverity: 0, mood: null, energy: null, sleepHours: key in sleepByDate ? sleepByDate[key] : null };
+      }
+      return days[key];
+    };
+    
+    symptomResult.rows.forEach(row => {
+      const day = dayFor(row.date);
+      day.symptoms[row.name] = row.severity;
+      day.maxSeverity = Math.max(day.maxSeverity, row.severity);
+    });
+    moodResult.rows.forEach(row => {
+      const day = dayFor(row.date);
+      day.mood = row.mood;
+      day.energy = row.energy;
+    });
+    
+    const daily = Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+    
+    // Per-symptom summary, counting only days the symptom was actually present
+    const bySymptom = {};
+    symptomResult.rows.filter(row => row.severity > 0).forEach(row => {
+      if (!bySymptom[row.name]) bySymptom[row.name] = [];
+      bySymptom[row.name].push(row.severity);
+    });
+    const topSymptoms = Object.entries(bySymptom)
+      .map(([name, severities]) => ({
+        name,
+        daysReported: severities.length,
+        averageSeverity: parseFloat((severities.reduce((sum, v) => sum + v, 0) / severities.length).toFixed(1)),
+        highSeverityDays: severities.filter(v => v >= HIGH_SYMPTOM_SEVERITY).length
+      }))
+      .sort((a, b) => b.daysReported - a.daysReported || b.averageSeverity - a.averageSeverity);
+    
+    const presentSeverities = symptomResult.rows.filter(row => row.severity > 0).map(row => row.severity);
+    const moods = moodResult.rows.map(row => row.mood);
+    
+    return {
+      daily,
+      daysLogged: daily.length,
+      symptomFreeDays: daily.filter(day => Object.keys(day.symptoms).length > 0 && day.maxSeverity === 0).length,
+      highSeverityDays: daily.filter(day => day.maxSeverity >= HIGH_SYMPTOM_SEVERITY).length,
+      averageSeverity: presentSeverities.length > 0 ?
+        parseFloat((presentSeverities.reduce((sum, v) => sum + v, 0) / presentSeverities.length).toFixed(1)) : 0,
+      averageMood: moods.length > 0 ? parseFloat((moods.reduce((sum, v) => sum + v, 0) / moods.length).toFixed(1)) : null,
+      topSymptoms
+    };
+  }
+  
   /**
    * Get constipation analytics
    */
@@ -226,22 +470,32 @@ class AnalyticsService {
   }
   
   /**
-   * Get Shambhavi Kriya analytics
+   * Get Shambhavi Kriya and meditation analytics. daily lists every session;
+   * a day can hold several.
    */
   async getKriyaAnalytics(userId, startDate) {
     const result = await pool.query(
       `SELECT 
-        DATE(date) as date,
-        notes,
-        created_at
-      FROM shambhavi_kriya 
-      WHERE user_id = $1 AND date >= $2 
-      ORDER BY date ASC`,
+        DATE(k.date) as date,
+        k.practice_type,
+        k.duration_minutes,
+        k.calm_before,
+        k.calm_after,
+        k.empty_stomach,
+        (EXTRACT(HOUR FROM k.started_at AT TIME ZONE COALESCE(p.timezone, 'UTC')) * 60 +
+         EXTRACT(MINUTE FROM k.started_at AT TIME ZONE COALESCE(p.timezone, 'UTC')))::INTEGER as start_minutes,
+        k.notes,
+        k.created_at
+      FROM shambhavi_kriya k
+      LEFT JOIN user_profiles p ON p.user_id = k.user_id
+      WHERE k.user_id = $1 AND k.date >= $2 
+      ORDER BY k.date ASC, k.started_at ASC NULLS LAST, k.id ASC`,
       [userId, startDate]
     );
     
     const daily = result.rows;
     const totalSessions = daily.length;
+    const practiceDates = new Set(daily.map(entry => toDateString(entry.date)));
     
     // Calculate consistency trend (sessions per week)
     const weeklyData = this.groupDataByWeek(
@@ -254,10 +508,28 @@ class AnalyticsService {
       userId, 'shambhavi_kriya', '1', startDate
     );
     
+    const timed = daily.filter(entry => entry.duration_minutes !== null);
+    const totalMinutes = timed.reduce((sum, entry) => sum + entry.duration_minutes, 0);
+    
+    const byPracticeType = {};
+    PRACTICE_TYPES.forEach(type => {
+      const sessions = daily.filter(entry => entry.practice_type === type);
+      byPracticeType[type] = {
+        sessions: sessions.length,
+        minutes: sessions.reduce((sum, entry) => sum + (entry.duration_minutes || 0), 0)
+      };
+    });
+    
     return {
       daily,
       totalSessions,
-      daysTracked: daily.length,
+      daysTracked: practiceDates.size,
+      totalMinutes,
+      averageMinutes: timed.length > 0 ? Math.round(totalMinutes / timed.length) : 0,
+      byPracticeType,
+      timeOfDay: this.summarizePracticeTimes(daily.map(entry => entry.start_minutes).filter(minutes => minutes !== null)),
+      calm: this.summarizeCalmRatings(daily),
+      effects: await this.getKriyaEffects(userId, startDate, practiceDates),
       weeklyBreakdown: weeklyData,
       comparison: previousPeriodData,
       consistencyRate: await this.calculateConsistencyRate(userId, 'shambhavi_kriya', startDate),
@@ -265,6 +537,100 @@ class AnalyticsService {
     };
   }
   
+  /**
+   * Summarize when meditation sessions start
+   * @param {Array} startMinutes - Local minutes of day of timed sessions
+   * @returns {Object} Average start, spread, whether it is steady and sessions per part of day
+   */
+  summarizePracticeTimes(startMinutes) {
+    const { average, variabilityMinutes } = summarizeClockTimes(startMinutes, false);
+    const byPartOfDay = { morning: 0, afternoon: 0, evening: 0, night: 0 };
+    startMinutes.forEach(minutes => {
+      const hour = Math.floor(minutes / 60);
+      if (hour >= 4 && hour < 12) byPartOfDay.morning++;
+      else if (hour >= 12 && hour < 17) byPartOfDay.afternoon++;
+      else if (hour >= 17 && hour < 21) byPartOfDay.evening++;
+      else byPartOfDay.night++;
+    });
+    
+    return {
+      averageStartTime: average,
+      variabilityMinutes,
+      steady: variabilityMinutes !== null && variabilityMinutes <= STEADY_PRACTICE_TIME_MINUTES,
+      byPartOfDay,
+      timedSessions: startMinutes.length
+    };
+  }
+  
+  /**
+   * Average calm (1-5) before and after the sessions that rated both, and how
+   * often sessions were on an empty stomach
+   * @param {Array} sessions - Kriya sessions
+   * @returns {Object} Calm ratings and empty-stomach rate
+   */
+  summarizeCalmRatings(sessions) {
+    const rated = sessions.filter(entry => entry.calm_before !== null && entry.calm_after !== null);
+    const average = (values) => Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+    const recorded = sessions.filter(entry => entry.empty_stomach !== null);
+    
+    return {
+      ratedSessions: rated.length,
+      averageBefore: rated.length > 0 ? average(rated.map(entry => entry.calm_before)) : null,
+      averageAfter: rated.length > 0 ? average(rated.map(entry => entry.calm_after)) : null,
+      averageChange: rated.length > 0 ? average(rated.map(entry => entry.calm_after - entry.calm_before)) : null,
+      emptyStomachRate: recorded.length > 0 ?
+        Math.round((recorded.filter(entry => entry.empty_stomach).length / recorded.length) * 100) : null
+    };
+  }
+  
+  /**
+   * Compare mood on days with a session against days without, and sleep the
+   * night after. Sleep is logged on the day the user woke up, so a practice
+   * day's night is the next day's entry.
+   * @param {number} userId - User ID
+   * @param {Date} startDate - Start date for analysis
+   * @param {Set} practiceDates - Days with a session (YYYY-MM-DD)
+   * @returns {Object} Mood and sleep comparisons, null where there are too few days
+   */
+  async getKriyaEffects(userId, startDate, practiceDates) {
+    const moodResult = await pool.query(
+      'SELECT DATE(date) as date, mood FROM mood_logs WHERE user_id = $1 AND date >= $2',
+      [userId, startDate]
+    );
+    const sleepResult = await pool.query(
+      'SELECT DATE(date) as date, sleep_hours FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND sleep_hours IS NOT NULL',
+      [userId, startDate]
+    );
+    
+    const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const compare = (entries, practisedFor) => {
+      const practice = entries.filter(entry => practisedFor(entry.date)).map(entry => entry.value);
+      const other = entries.filter(entry => !practisedFor(entry.date)).map(entry => entry.value);
+      if (practice.length < MIN_CORRELATION_DAYS || other.length < MIN_CORRELATION_DAYS) {
+        return null;
+      }
+      const practiceAverage = Math.round(average(practice) * 10) / 10;
+      const otherAverage = Math.round(average(other) * 10) / 10;
+      return {
+        practiceDays: practiceAverage,
+        otherDays: otherAverage,
+        difference: Math.round((practiceAverage - otherAverage) * 10) / 10,
+        daysCompared: practice.length + other.length
+      };
+    };
+    
+    return {
+      mood: compare(
+        moodResult.rows.map(row => ({ date: toDateString(row.date), value: row.mood })),
+        date => practiceDates.has(date)
+      ),
+      sleep: compare(
+        sleepResult.rows.map(row => ({ date: toDateString(row.date), value: parseFloat(row.sleep_hours) })),
+        date => practiceDates.has(addDays(date, -1))
+      )
+    };
+  }
+  
   /**
    * Get typing practice analytics
    */
@@ -299,6 +665,8 @@ class AnalyticsService {
       'completion_numeric'
     );
     
+    const speed = await this.getTypingSpeedAnalytics(userId, startDate);
+    
     return {
       daily,
       completedCount,
@@ -309,7 +677,185 @@ class AnalyticsService {
       weeklyBreakdown: weeklyData,
       comparison: previousPeriodData,
       daysTracked: daily.length,
-      goalProgress: await this.calculateGoalProgress(userId, 'typing_completion_rate', completionRate)
+      speed,
+      personalBests: await this.getTypingPersonalBests(userId),
+      weakestKeys: await this.getWeakestTypingKeys(userId, startDate),
+      goalProgress: await this.calculateGoalProgress(userId, 'typing_completion_rate', completionRate),
+      speedGoalProgress: await this.calculateGoalProgress(userId, 'typing_wpm', speed.averageWpm)
+    };
+  }
+  
+  /**
+   * Get typing speed and accuracy per day from logged typing sessions
+   * @param {number} userId - User ID
+   * @param {Date} startDate - Start date for analysis
+   * @returns {Object} Daily averages, period averages and their trends
+   */
+  async getTypingSpeedAnalytics(userId, startDate) {
+    const result = await pool.query(
+      `SELECT 
+        DATE(date) as date,
+        AVG(wpm) as wpm,
+        AVG(raw_wpm) as raw_wpm,
+        AVG(accuracy) as accuracy,
+        MAX(wpm) as best_wpm,
+        COUNT(*) as sessions
+      FROM typing_sessions 
+      WHERE user_id = $1 AND date >= $2 
+      GROUP BY DATE(date)
+      ORDER BY date ASC`,
+      [userId, startDate]
+    );
+    
+    const round1 = (value) => Math.round(parseFloat(value) * 10) / 10;
+    const daily = result.rows.map(row => ({
+      date: row.date,
+      wpm: round1(row.wpm),
+      rawWpm: row.raw_wpm === null ? null : round1(row.raw_wpm),
+      accuracy: round1(row.accuracy),
+      bestWpm: round1(row.best_wpm),
+      sessions: parseInt(row.sessions)
+    }));
+    
+    // Averages over sessions, so a day with more tests weighs more
+    const sessions = daily.reduce((sum, day) => sum + day.sessions, 0);
+    const weightedAverage = (field) => sessions > 0 ?
+      Math.round(daily.reduce((sum, day) => sum + day[field] * day.sessions, 0) / sessions * 10) / 10 : 0;
+    
+    const wpmTrend = this.calculateTrend(daily.map(day => day.wpm));
+    const accuracyTrend = this.calculateTrend(daily.map(day => day.accuracy));
+    
+    return {
+      daily,
+      sessions,
+      averageWpm: weightedAverage('wpm'),
+      averageAccuracy: weightedAverage('accuracy'),
+      wpmTrend: wpmTrend.trend,
+      wpmTrendPercentage: wpmTrend.percentage,
+      accuracyTrend: accuracyTrend.trend,
+      accuracyTrendPercentage: accuracyTrend.percentage
+    };
+  }
+  
+  /**
+   * Get the fastest typing session ever logged in each test mode
+   * @param {number} userId - User ID
+   * @returns {Array} Personal bests by test mode
+   */
+  async getTypingPersonalBests(userId) {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (test_mode) test_mode, wpm, accuracy, duration_seconds, date
+      FROM typing_sessions 
+      WHERE user_id = $1 
+      ORDER BY test_mode, wpm DESC, accuracy DESC, date ASC`,
+      [userId]
+    );
+    
+    return result.rows.map(row => ({
+      testMode: row.test_mode,
+      wpm: parseFloat(row.wpm),
+      accuracy: parseFloat(row.accuracy),
+      durationSeconds: row.duration_seconds,
+      date: row.date
+    }));
+  }
+  
+  /**
+   * Get the keys with the most typing errors in the period
+   * @param {number} userId - User ID
+   * @param {Date} startDate - Start date for analysis
+   * @returns {Array} Keys with their error count and share of all errors
+   */
+  async getWeakestTypingKeys(userId, startDate) {
+    const result = await pool.query(
+      `SELECT 
+        e.key,
+        SUM(e.value::INTEGER) as errors,
+        SUM(SUM(e.value::INTEGER)) OVER () as total_errors
+      FROM typing_sessions s, jsonb_each_text(s.key_errors) e
+      WHERE s.user_id = $1 AND s.date >= $2 
+      GROUP BY e.key
+      ORDER BY errors DESC, e.key ASC
+      LIMIT $3`,
+      [userId, startDate, WEAKEST_KEYS_LIMIT]
+    );
+    
+    return result.rows.map(row => ({
+      key: row.key,
+      errors: parseInt(row.errors),
+      share: Math.round((parseInt(row.errors) / parseInt(row.total_errors)) * 100)
+    }));
+  }
+  
+  /**
+   * Get custom habit analytics. A habit's completion rate is the share of its
+   * scheduled days (since it was created) whose check-in met the target.
+   */
+  async getHabitAnalytics(userId, startDate) {
+    const habitsResult = await pool.query(
+      'SELECT * FROM habits WHERE user_id = $1 AND archived = false ORDER BY created_at, id',
+      [userId]
+    );
+    const checkinsResult = await pool.query(
+      `SELECT habit_id, DATE(date) as date, value, completed
+      FROM habit_checkins 
+      WHERE user_id = $1 AND date >= $2 
+      ORDER BY date ASC`,
+      [userId, startDate]
+    );
+    
+    const startDay = toDateString(startDate);
+    const today = toDateString(new Date());
+    const habits = [];
+    
+    for (const habit of habitsResult.rows) {
+      const daily = checkinsResult.rows
+        .filter(checkin => checkin.habit_id === habit.id)
+        .map(checkin => ({ date: checkin.date, value: parseFloat(checkin.value), completed: checkin.completed }));
+      
+      const createdDay = toDateString(habit.created_at);
+      let scheduledDays = 0;
+      for (let day = createdDay > startDay ? createdDay : startDay; day <= today; day = addDays(day, 1)) {
+        if (isScheduledOn(habit.schedule_days, day)) scheduledDays++;
+      }
+      
+      const completedDays = daily.filter(checkin => checkin.completed).length;
+      const averageValue = daily.length > 0 ?
+        Math.round((daily.reduce((sum, checkin) => sum + checkin.value, 0) / daily.length) * 10) / 10 : 0;
+      const trendData = this.calculateTrend(daily.map(checkin => checkin.value));
+      const key = habitKey(habit.id);
+      
+      habits.push({
+        id: habit.id,
+        key,
+        name: habit.name,
+        icon: habit.icon,
+        kind: habit.kind,
+        target: parseFloat(habit.target),
+        unit: habit.unit,
+        daily,
+        completedDays,
+        scheduledDays,
+        completionRate: scheduledDays > 0 ? Math.min(Math.round((completedDays / scheduledDays) * 100), 100) : 0,
+        averageValue,
+        trend: trendData.trend,
+        trendPercentage: trendData.percentage,
+        // Same measure as the habit's goals: days done for yes/no habits, otherwise the average day
+        goalProgress: await this.calculateGoalProgress(userId, key, habit.kind === 'boolean' ? completedDays : averageValue)
+      });
+    }
+    
+    const names = {};
+    habits.forEach(habit => {
+      names[habit.id] = habit.name;
+    });
+    
+    return {
+      habits,
+      checkins: checkinsResult.rows
+        .filter(checkin => names[checkin.habit_id])
+        .map(checkin => ({ date: checkin.date, habit: names[checkin.habit_id], value: parseFloat(checkin.value), completed: checkin.completed })),
+      daysTracked: new Set(checkinsResult.rows.map(checkin => toDateString(checkin.date))).size
     };
   }
   
@@ -338,13 +884,23 @@ class AnalyticsService {
         UNION
         SELECT date FROM exercise_tracker WHERE user_id = $1 AND date >= $2
         UNION
+        SELECT date FROM sleep_sessions WHERE user_id = $1 AND date >= $2
+        UNION
         SELECT date FROM constipation_tracker WHERE user_id = $1 AND date >= $2
         UNION
         SELECT date FROM shambhavi_kriya WHERE user_id = $1 AND date >= $2
         UNION
         SELECT date FROM typing_practice WHERE user_id = $1 AND date >= $2
         UNION
+        SELECT date FROM habit_checkins WHERE user_id = $1 AND date >= $2
+        UNION
         SELECT pain_start_date as date FROM period_tracker WHERE user_id = $1 AND pain_start_date >= $2
+        UNION
+        SELECT date FROM period_day_logs WHERE user_id = $1 AND date >= $2
+        UNION
+        SELECT date FROM symptom_logs WHERE user_id = $1 AND date >= $2
+        UNION
+        SELECT date FROM mood_logs WHERE user_id = $1 AND date >= $2
       ) all_dates`,
       [userId, startDate]
     );
@@ -363,10 +919,19 @@ class AnalyticsService {
         case 'exercise':
           tableName = 'exercise_tracker';
           break;
+        case 'sleep':
+          tableName = 'sleep_sessions';
+          break;
         case 'period':
           tableName = 'period_tracker';
           dateColumn = 'pain_start_date';
           break;
+        case 'cycle':
+          tableName = 'period_day_logs';
+          break;
+        case 'symptoms':
+          tableName = 'symptom_logs';
+          break;
         case 'constipation':
           tableName = 'constipation_tracker';
           break;
@@ -376,6 +941,9 @@ class AnalyticsService {
         case 'typing':
           tableName = 'typing_practice';
           break;
+        case 'habits':
+          tableName = 'habit_checkins';
+          break;
         default:
           continue;
       }
@@ -396,9 +964,10 @@ class AnalyticsService {
    * @param {number} userId - User ID
    * @param {string} timeRange - Time range in days
    * @param {string} subjects - Subject filter
+   * @param {number} termId - Only subjects in this academic term (optional)
    * @returns {Object} Education analytics data
    */
-  async calculateEducationProgress(userId, timeRange = '30', subjects = 'all') {
+  async calculateEducationProgress(userId, timeRange = '30', subjects = 'all', termId = null) {
     const days = parseInt(timeRange);
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
@@ -410,22 +979,22 @@ class AnalyticsService {
     };
     
     // Get subject progress data
-    educationData.subjectProgress = await this.getSubjectProgress(userId, startDate, subjects);
+    educationData.subjectProgress = await this.getSubjectProgress(userId, startDate, subjects, termId);
     
     // Get study hours analytics
     educationData.studyHours = await this.getStudyHoursAnalytics(userId, startDate);
     
     // Get task completion analytics
-    educationData.taskCompletion = await this.getTaskCompletionAnalytics(userId, startDate, subjects);
+    educationData.taskCompletion = await this.getTaskCompletionAnalytics(userId, startDate, subjects, termId);
     
     // Get unit-level progress
-    educationData.unitProgress = await this.getUnitProgress(userId, startDate, subjects);
+    educationData.unitProgress = await this.getUnitProgress(userId, startDate, subjects, termId);
     
     // Get study pattern analysis
-    educationData.studyPatterns = await this.getStudyPatternAnalysis(userId, startDate);
+    educationData.studyPatterns = await this.getStudyPatternAnalysis(userId, startDate, termId);
     
     // Calculate overall education summary
-    educationData.summary = await this.getEducationSummary(userId, startDate, subjects);
+    educationData.summary = await this.getEducationSummary(userId, startDate, subjects, termId);
     
     return educationData;
   }
@@ -502,6 +1071,14 @@ class AnalyticsService {
       milestones.push(...exerciseInsights.milestones);
     }
     
+    // Sleep insights
+    if (healthData.sleep) {
+      const sleepInsights = this.analyzeSleepPatterns(healthData.sleep);
+      insights.push(...sleepInsights.insights);
+      recommendations.push(...sleepInsights.recommendations);
+      milestones.push(...sleepInsights.milestones);
+    }
+    
     // Constipation insights
     if (healthData.constipation) {
       const constipationInsights = this.analyzeConstipationPatterns(healthData.constipation);
@@ -623,6 +1200,24 @@ class AnalyticsService {
       }
     }
     
+    // Study hours after full vs short nights of sleep
+    if (healthData.sleep && educationData.studyHours) {
+      const sleepStudyInsights = this.analyzeSleepStudyCorrelation(healthData.sleep, educationData.studyHours);
+      insights.push(...sleepStudyInsights.insights);
+      recommendations.push(...sleepStudyInsights.recommendations);
+    }
+    
+    // Symptom correlations with cycle phase, sleep and study hours
+    if (healthData.symptoms) {
+      const symptomInsights = this.analyzeSymptomCorrelations(
+        healthData.symptoms,
+        healthData.cycle,
+        educationData.studyHours
+      );
+      insights.push(...symptomInsights.insights);
+      recommendations.push(...symptomInsights.recommendations);
+    }
+    
     // Overall wellness-productivity correlation
     const overallWellnessInsight = this.analyzeOverallWellnessProductivity(healthData, educationData);
     if (overallWellnessInsight) {
@@ -718,6 +1313,11 @@ class AnalyticsService {
     const last30Days = new Date();
     last30Days.setDate(last30Days.getDate() - 30);
     
+    const habitId = parseHabitKey(metric);
+    if (habitId !== null) {
+      return this.getHabitMetricValue(userId, habitId, last30Days);
+    }
+    
     switch (metric) {
       case 'water_intake':
         const waterResult = await pool.query(
@@ -733,13 +1333,31 @@ class AnalyticsService {
         );
         return stepsResult.rows[0].avg_value ? Math.round(parseFloat(stepsResult.rows[0].avg_value)) : 0;
         
+      case 'exercise_minutes':
+        const minutesResult = await pool.query(
+          `SELECT AVG(daily_minutes) as avg_value FROM (
+            SELECT SUM(duration_minutes) as daily_minutes FROM exercise_tracker
+            WHERE user_id = $1 AND date >= $2 AND duration_minutes IS NOT NULL GROUP BY date
+          ) daily_totals`,
+          [userId, last30Days]
+        );
+        return minutesResult.rows[0].avg_value ? Math.round(parseFloat(minutesResult.rows[0].avg_value)) : 0;
+        
       case 'study_hours':
         const studyResult = await pool.query(
-          'SELECT AVG(hours) as avg_value FROM study_logs WHERE user_id = $1 AND date >= $2',
+          'SELECT AVG(study_hours) as avg_value FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND study_hours > 0',
           [userId, last30Days]
         );
         return studyResult.rows[0].avg_value ? Math.round(parseFloat(studyResult.rows[0].avg_value)) : 0;
         
+      case 'sleep_hours':
+        // Half hours matter for sleep, so keep one decimal
+        const sleepResult = await pool.query(
+          'SELECT AVG(sleep_hours) as avg_value FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND sleep_hours IS NOT NULL',
+          [userId, last30Days]
+        );
+        return sleepResult.rows[0].avg_value ? Math.round(parseFloat(sleepResult.rows[0].avg_value) * 10) / 10 : 0;
+        
       case 'kriya_sessions':
         const kriyaResult = await pool.query(
           'SELECT COUNT(*) as total FROM shambhavi_kriya WHERE user_id = $1 AND date >= $2',
@@ -754,6 +1372,20 @@ class AnalyticsService {
         );
         return typingResult.rows[0].avg_rate ? Math.round(parseFloat(typingResult.rows[0].avg_rate)) : 0;
         
+      case 'typing_wpm':
+        const wpmResult = await pool.query(
+          'SELECT AVG(wpm) as avg_value FROM typing_sessions WHERE user_id = $1 AND date >= $2',
+          [userId, last30Days]
+        );
+        return wpmResult.rows[0].avg_value ? Math.round(parseFloat(wpmResult.rows[0].avg_value)) : 0;
+        
+      case 'typing_accuracy':
+        const accuracyResult = await pool.query(
+          'SELECT AVG(accuracy) as avg_value FROM typing_sessions WHERE user_id = $1 AND date >= $2',
+          [userId, last30Days]
+        );
+        return accuracyResult.rows[0].avg_value ? Math.round(parseFloat(accuracyResult.rows[0].avg_value) * 10) / 10 : 0;
+        
       case 'constipation_positive_rate':
         const constipationResult = await pool.query(
           'SELECT AVG(CASE WHEN status THEN 100 ELSE 0 END) as avg_rate FROM constipation_tracker WHERE user_id = $1 AND date >= $2',
@@ -773,6 +1405,35 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Current value of a custom habit goal: days done for yes/no habits,
+   * otherwise the average checked-in value
+   * @param {number} userId - User ID
+   * @param {number} habitId - Habit ID
+   * @param {Date} startDate - Start of the period
+   * @returns {number} Current metric value
+   */
+  async getHabitMetricValue(userId, habitId, startDate) {
+    const result = await pool.query(
+      `SELECT h.kind, COUNT(c.id) FILTER (WHERE c.completed) as completed_days, AVG(c.value) as avg_value
+       FROM habits h
+       LEFT JOIN habit_checkins c ON c.habit_id = h.id AND c.date >= $3
+       WHERE h.id = $1 AND h.user_id = $2
+       GROUP BY h.id`,
+      [habitId, userId, startDate]
+    );
+    
+    if (result.rows.length === 0) {
+      return 0;
+    }
+    
+    const { kind, completed_days, avg_value } = result.rows[0];
+    if (kind === 'boolean') {
+      return parseInt(completed_days);
+    }
+    return avg_value ? Math.round(parseFloat(avg_value) * 10) / 10 : 0;
+  }
+
   /**
    * Get goal trend over the last 7 days
    * @param {number} userId - User ID
@@ -786,6 +1447,11 @@ class AnalyticsService {
     
     let values = [];
     
+    if (parseHabitKey(metric) !== null) {
+      const daily = await this.getDailyMetricValues(userId, metric, 7);
+      return this.calculateTrend(daily.map(day => day.value));
+    }
+    
     switch (metric) {
       case 'water_intake':
         const waterResult = await pool.query(
@@ -803,14 +1469,46 @@ class AnalyticsService {
         values = stepsResult.rows.map(row => row.footsteps);
         break;
         
+      case 'exercise_minutes':
+        const minutesResult = await pool.query(
+          'SELECT SUM(duration_minutes) as minutes FROM exercise_tracker WHERE user_id = $1 AND date >= $2 AND duration_minutes IS NOT NULL GROUP BY date ORDER BY date ASC',
+          [userId, last7Days]
+        );
+        values = minutesResult.rows.map(row => parseInt(row.minutes));
+        break;
+        
       case 'study_hours':
         const studyResult = await pool.query(
-          'SELECT hours FROM study_logs WHERE user_id = $1 AND date >= $2 ORDER BY date ASC',
+          'SELECT study_hours as hours FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND study_hours > 0 ORDER BY date ASC',
           [userId, last7Days]
         );
         values = studyResult.rows.map(row => parseFloat(row.hours));
         break;
         
+      case 'sleep_hours':
+        const sleepResult = await pool.query(
+          'SELECT sleep_hours as hours FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND sleep_hours IS NOT NULL ORDER BY date ASC',
+          [userId, last7Days]
+        );
+        values = sleepResult.rows.map(row => parseFloat(row.hours));
+        break;
+        
+      case 'typing_wpm':
+        const wpmResult = await pool.query(
+          'SELECT AVG(wpm) as wpm FROM typing_sessions WHERE user_id = $1 AND date >= $2 GROUP BY date ORDER BY date ASC',
+          [userId, last7Days]
+        );
+        values = wpmResult.rows.map(row => parseFloat(row.wpm));
+        break;
+        
+      case 'typing_accuracy':
+        const accuracyResult = await pool.query(
+          'SELECT AVG(accuracy) as accuracy FROM typing_sessions WHERE user_id = $1 AND date >= $2 GROUP BY date ORDER BY date ASC',
+          [userId, last7Days]
+        );
+        values = accuracyResult.rows.map(row => parseFloat(row.accuracy));
+        break;
+        
       default:
         values = [];
     }
@@ -942,6 +1640,7 @@ class AnalyticsService {
 
     let query = '';
     let valueColumn = '';
+    const params = [userId, startDate];
 
     switch (metric) {
       case 'water_intake':
@@ -950,17 +1649,33 @@ class AnalyticsService {
       case 'exercise_steps':
         query = 'SELECT DATE(date) as date, footsteps as value FROM exercise_tracker WHERE user_id = $1 AND date >= $2 ORDER BY date ASC';
         break;
+      case 'exercise_minutes':
+        query = 'SELECT DATE(date) as date, SUM(duration_minutes) as value FROM exercise_tracker WHERE user_id = $1 AND date >= $2 AND duration_minutes IS NOT NULL GROUP BY DATE(date) ORDER BY date ASC';
+        break;
       case 'study_hours':
-        query = 'SELECT DATE(date) as date, hours as value FROM study_logs WHERE user_id = $1 AND date >= $2 ORDER BY date ASC';
+        query = 'SELECT DATE(date) as date, study_hours as value FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND study_hours > 0 ORDER BY date ASC';
+        break;
+      case 'sleep_hours':
+        query = 'SELECT DATE(date) as date, sleep_hours as value FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND sleep_hours IS NOT NULL ORDER BY date ASC';
         break;
       case 'kriya_sessions':
         query = 'SELECT DATE(date) as date, COUNT(*) as value FROM shambhavi_kriya WHERE user_id = $1 AND date >= $2 GROUP BY DATE(date) ORDER BY date ASC';
         break;
+      case 'typing_wpm':
+        query = 'SELECT DATE(date) as date, AVG(wpm) as value FROM typing_sessions WHERE user_id = $1 AND date >= $2 GROUP BY DATE(date) ORDER BY date ASC';
+        break;
+      case 'typing_accuracy':
+        query = 'SELECT DATE(date) as date, AVG(accuracy) as value FROM typing_sessions WHERE user_id = $1 AND date >= $2 GROUP BY DATE(date) ORDER BY date ASC';
+        break;
       default:
-        return [];
+        if (parseHabitKey(metric) === null) {
+          return [];
+        }
+        query = 'SELECT DATE(date) as date, value FROM habit_checkins WHERE user_id = $1 AND date >= $2 AND habit_id = $3 ORDER BY date ASC';
+        params.push(parseHabitKey(metric));
     }
 
-    const result = await pool.query(query, [userId, startDate]);
+    const result = await pool.query(query, params);
     return result.rows.map(row => ({
       date: row.date,
       value: parseFloat(row.value) || 0
@@ -1154,14 +1869,19 @@ class AnalyticsService {
     previousEndDate.setDate(previousEndDate.getDate() - 1);
     
     let dateColumn = 'date';
+    let valueFilter = '';
     if (tableName === 'period_tracker') {
       dateColumn = 'pain_start_date';
     }
+    if (tableName === 'study_sleep_logs') {
+      // Rows may hold only sleep, or a day logged with no study
+      valueFilter = ` AND ${valueColumn} > 0`;
+    }
     
     const result = await pool.query(
       `SELECT AVG(${valueColumn}) as avg_value, COUNT(*) as count 
        FROM ${tableName} 
-       WHERE user_id = $1 AND ${dateColumn} >= $2 AND ${dateColumn} <= $3`,
+       WHERE user_id = $1 AND ${dateColumn} >= $2 AND ${dateColumn} <= $3${valueFilter}`,
       [userId, previousStartDate, previousEndDate]
     );
     
@@ -1267,21 +1987,40 @@ class AnalyticsService {
   }
 
   /**
-   * Get subject progress analytics
+   * Build the subject conditions shared by the education queries, adding their
+   * values to params
+   * @param {string} subjects - Comma-separated subject codes, or 'all'
+   * @param {number} termId - Academic term (optional)
+   * @param {Array} params - Query params to append to
+   * @returns {string} SQL conditions on the subjects alias s
+   */
+  buildSubjectFilter(subjects, termId, params) {
+    const conditions = [];
+    
+    if (subjects !== 'all') {
+      params.push(subjects.split(',').map(s => s.trim()));
+      conditions.push(`AND s.code = ANY($${params.length})`);
+    }
+    if (termId) {
+      params.push(termId);
+      conditions.push(`AND s.term_id = $${params.length}`);
+    }
+    
+    return conditions.join(' ');
+  }
+
+  /**
+   * Get subject progress analytics. Study hours are the subject's completed
+   * study sessions in the period.
    * @param {number} userId - User ID
    * @param {Date} startDate - Start date for analysis
    * @param {string} subjects - Subject filter
+   * @param {number} termId - Academic term filter (optional)
    * @returns {Array} Subject progress data
    */
-  async getSubjectProgress(userId, startDate, subjects) {
-    let subjectFilter = '';
-    let params = [userId, startDate];
-    
-    if (subjects !== 'all') {
-      const subjectCodes = subjects.split(',').map(s => s.trim());
-      subjectFilter = `AND s.code = ANY($3)`;
-      params.push(subjectCodes);
-    }
+  async getSubjectProgress(userId, startDate, subjects, termId = null) {
+    const params = [userId, startDate];
+    const subjectFilter = this.buildSubjectFilter(subjects, termId, params);
     
     const result = await pool.query(`
       SELECT 
@@ -1294,17 +2033,22 @@ class AnalyticsService {
         COUNT(DISTINCT nt.id) as total_nptel_tasks,
         COUNT(DISTINCT CASE WHEN nt.completed = true THEN nt.id END) as completed_nptel_tasks,
         COUNT(DISTINCT rp.id) as total_research_projects,
-        COALESCE(AVG(sl.hours), 0) as avg_daily_study_hours,
-        SUM(sl.hours) as total_study_hours
+        COALESCE(MAX(ss.minutes) / 60.0 / NULLIF(MAX(ss.study_days), 0), 0) as avg_daily_study_hours,
+        MAX(ss.minutes) / 60.0 as total_study_hours
       FROM subjects s
       LEFT JOIN units u ON s.id = u.subject_id
       LEFT JOIN tasks t ON u.id = t.unit_id AND t.user_id = $1
       LEFT JOIN nptel_tasks nt ON s.id = nt.subject_id AND nt.user_id = $1
       LEFT JOIN research_projects rp ON s.id = rp.subject_id AND rp.user_id = $1
-      LEFT JOIN study_logs sl ON sl.user_id = $1 AND sl.date >= $2
-      WHERE 1=1 ${subjectFilter}
+      LEFT JOIN (
+        SELECT subject_id, SUM(duration_minutes) as minutes, COUNT(DISTINCT date) as study_days
+        FROM study_sessions
+        WHERE user_id = $1 AND date >= $2 AND status = 'completed'
+        GROUP BY subject_id
+      ) ss ON ss.subject_id = s.id
+      WHERE s.user_id = $1 ${subjectFilter}
       GROUP BY s.id, s.code, s.name
-      ORDER BY s.code
+      ORDER BY s.position, s.code
     `, params);
     
     return result.rows.map(row => ({
@@ -1334,10 +2078,10 @@ class AnalyticsService {
     const result = await pool.query(`
       SELECT 
         DATE(date) as date,
-        hours,
-        created_at
-      FROM study_logs 
-      WHERE user_id = $1 AND date >= $2 
+        study_hours as hours,
+        updated_at as created_at
+      FROM study_sleep_logs 
+      WHERE user_id = $1 AND date >= $2 AND study_hours > 0
       ORDER BY date ASC
     `, [userId, startDate]);
     
@@ -1350,7 +2094,7 @@ class AnalyticsService {
     
     // Previous period comparison
     const previousPeriodData = await this.getPreviousPeriodComparison(
-      userId, 'study_logs', 'hours', startDate
+      userId, 'study_sleep_logs', 'study_hours', startDate
     );
     
     // Weekly breakdown
@@ -1382,21 +2126,14 @@ class AnalyticsService {
    * @param {number} userId - User ID
    * @param {Date} startDate - Start date for analysis
    * @param {string} subjects - Subject filter
+   * @param {number} termId - Academic term filter (optional)
    * @returns {Object} Task completion analytics data
    */
-  async getTaskCompletionAnalytics(userId, startDate, subjects) {
-    let subjectFilter = '';
-    let overallSubjectFilter = '';
-    let params = [userId, startDate];
-    let overallParams = [userId];
-    
-    if (subjects !== 'all') {
-      const subjectCodes = subjects.split(',').map(s => s.trim());
-      subjectFilter = `AND s.code = ANY($3)`;
-      overallSubjectFilter = `AND s.code = ANY($2)`;
-      params.push(subjectCodes);
-      overallParams.push(subjectCodes);
-    }
+  async getTaskCompletionAnalytics(userId, startDate, subjects, termId = null) {
+    const params = [userId, startDate];
+    const overallParams = [userId];
+    const subjectFilter = this.buildSubjectFilter(subjects, termId, params);
+    const overallSubjectFilter = this.buildSubjectFilter(subjects, termId, overallParams);
     
     // Get task completion data over time
     const taskCompletionResult = await pool.query(`
@@ -1438,7 +2175,7 @@ class AnalyticsService {
       LEFT JOIN units u ON s.id = u.subject_id
       LEFT JOIN tasks t ON u.id = t.unit_id AND t.user_id = $1
       LEFT JOIN nptel_tasks nt ON s.id = nt.subject_id AND nt.user_id = $1
-      WHERE 1=1 ${overallSubjectFilter}
+      WHERE s.user_id = $1 ${overallSubjectFilter}
     `, overallParams);
     
     const stats = overallStatsResult.rows[0];
@@ -1462,17 +2199,12 @@ class AnalyticsService {
    * @param {number} userId - User ID
    * @param {Date} startDate - Start date for analysis
    * @param {string} subjects - Subject filter
+   * @param {number} termId - Academic term filter (optional)
    * @returns {Array} Unit progress data
    */
-  async getUnitProgress(userId, startDate, subjects) {
-    let subjectFilter = '';
-    let params = [userId];
-    
-    if (subjects !== 'all') {
-      const subjectCodes = subjects.split(',').map(s => s.trim());
-      subjectFilter = `AND s.code = ANY($2)`;
-      params.push(subjectCodes);
-    }
+  async getUnitProgress(userId, startDate, subjects, termId = null) {
+    const params = [userId];
+    const subjectFilter = this.buildSubjectFilter(subjects, termId, params);
     
     const result = await pool.query(`
       SELECT 
@@ -1486,9 +2218,9 @@ class AnalyticsService {
       FROM subjects s
       JOIN units u ON s.id = u.subject_id
       LEFT JOIN tasks t ON u.id = t.unit_id AND t.user_id = $1
-      WHERE 1=1 ${subjectFilter}
-      GROUP BY s.code, s.name, u.id, u.unit_number, u.title
-      ORDER BY s.code, u.unit_number
+      WHERE s.user_id = $1 ${subjectFilter}
+      GROUP BY s.id, s.position, s.code, s.name, u.id, u.position, u.unit_number, u.title
+      ORDER BY s.position, s.code, u.position, u.unit_number
     `, params);
     
     return result.rows.map(row => ({
@@ -1511,17 +2243,12 @@ class AnalyticsService {
    * @param {number} userId - User ID
    * @param {Date} startDate - Start date for analysis
    * @param {string} subjects - Subject filter
+   * @param {number} termId - Academic term filter (optional)
    * @returns {Object} Education summary data
    */
-  async getEducationSummary(userId, startDate, subjects) {
-    let subjectFilter = '';
-    let params = [userId, startDate];
-    
-    if (subjects !== 'all') {
-      const subjectCodes = subjects.split(',').map(s => s.trim());
-      subjectFilter = `AND s.code = ANY($3)`;
-      params.push(subjectCodes);
-    }
+  async getEducationSummary(userId, startDate, subjects, termId = null) {
+    const params = [userId, startDate];
+    const subjectFilter = this.buildSubjectFilter(subjects, termId, params);
     
     // Get overall statistics
     const statsResult = await pool.query(`
@@ -1533,15 +2260,15 @@ class AnalyticsService {
         COUNT(DISTINCT nt.id) as total_nptel_tasks,
         COUNT(DISTINCT CASE WHEN nt.completed = true THEN nt.id END) as completed_nptel_tasks,
         COUNT(DISTINCT rp.id) as total_research_projects,
-        COALESCE(SUM(sl.hours), 0) as total_study_hours,
+        COALESCE(SUM(sl.study_hours), 0) as total_study_hours,
         COUNT(DISTINCT sl.date) as days_studied
       FROM subjects s
       LEFT JOIN units u ON s.id = u.subject_id
       LEFT JOIN tasks t ON u.id = t.unit_id AND t.user_id = $1
       LEFT JOIN nptel_tasks nt ON s.id = nt.subject_id AND nt.user_id = $1
       LEFT JOIN research_projects rp ON s.id = rp.subject_id AND rp.user_id = $1
-      LEFT JOIN study_logs sl ON sl.user_id = $1 AND sl.date >= $2
-      WHERE 1=1 ${subjectFilter}
+      LEFT JOIN study_sleep_logs sl ON sl.user_id = $1 AND sl.date >= $2 AND sl.study_hours > 0
+      WHERE s.user_id = $1 ${subjectFilter}
     `, params);
     
     const stats = statsResult.rows[0];
@@ -1572,18 +2299,19 @@ class AnalyticsService {
    * Get study pattern analysis
    * @param {number} userId - User ID
    * @param {Date} startDate - Start date for analysis
+   * @param {number} termId - Academic term filter for subject comparisons (optional)
    * @returns {Object} Study pattern analysis data
    */
-  async getStudyPatternAnalysis(userId, startDate) {
+  async getStudyPatternAnalysis(userId, startDate, termId = null) {
     // Get daily study patterns
     const dailyPatternResult = await pool.query(`
       SELECT 
         EXTRACT(DOW FROM date) as day_of_week,
-        AVG(hours) as avg_hours,
+        AVG(study_hours) as avg_hours,
         COUNT(*) as study_days,
-        SUM(hours) as total_hours
-      FROM study_logs 
-      WHERE user_id = $1 AND date >= $2 
+        SUM(study_hours) as total_hours
+      FROM study_sleep_logs 
+      WHERE user_id = $1 AND date >= $2 AND study_hours > 0
       GROUP BY EXTRACT(DOW FROM date)
       ORDER BY day_of_week
     `, [userId, startDate]);
@@ -1602,7 +2330,7 @@ class AnalyticsService {
     const productivityAnalysis = this.calculateProductivityPatterns(dailyPatterns);
     
     // Get subject performance comparison
-    const subjectPerformance = await this.getSubjectPerformanceComparison(userId, startDate);
+    const subjectPerformance = await this.getSubjectPerformanceComparison(userId, startDate, termId);
     
     // Calculate study consistency patterns
     const consistencyPatterns = await this.calculateStudyConsistencyPatterns(userId, startDate);
@@ -1681,9 +2409,13 @@ class AnalyticsService {
    * Get subject performance comparison
    * @param {number} userId - User ID
    * @param {Date} startDate - Start date for analysis
+   * @param {number} termId - Academic term filter (optional)
    * @returns {Array} Subject performance comparison data
    */
-  async getSubjectPerformanceComparison(userId, startDate) {
+  async getSubjectPerformanceComparison(userId, startDate, termId = null) {
+    const params = [userId, startDate];
+    const termFilter = this.buildSubjectFilter('all', termId, params);
+
     const result = await pool.query(`
       SELECT 
         s.code as subject_code,
@@ -1695,20 +2427,30 @@ class AnalyticsService {
         AVG(CASE WHEN t.completed = true THEN 
           EXTRACT(EPOCH FROM (t.updated_at - t.created_at)) / 86400 
         END) as avg_task_completion_days,
-        COUNT(DISTINCT CASE WHEN t.completed = true AND DATE(t.updated_at) >= $2 THEN t.id END) as recent_completions
+        COUNT(DISTINCT CASE WHEN t.completed = true AND DATE(t.updated_at) >= $2 THEN t.id END) as recent_completions,
+        COALESCE(MAX(ss.minutes), 0) as study_minutes
       FROM subjects s
       LEFT JOIN units u ON s.id = u.subject_id
       LEFT JOIN tasks t ON u.id = t.unit_id AND t.user_id = $1
       LEFT JOIN nptel_tasks nt ON s.id = nt.subject_id AND nt.user_id = $1
+      LEFT JOIN (
+        SELECT subject_id, SUM(duration_minutes) as minutes
+        FROM study_sessions
+        WHERE user_id = $1 AND date >= $2 AND status = 'completed'
+        GROUP BY subject_id
+      ) ss ON ss.subject_id = s.id
+      WHERE s.user_id = $1 ${termFilter}
       GROUP BY s.id, s.code, s.name
-      HAVING COUNT(DISTINCT t.id) > 0 OR COUNT(DISTINCT nt.id) > 0
-      ORDER BY s.code
-    `, [userId, startDate]);
+      HAVING COUNT(DISTINCT t.id) > 0 OR COUNT(DISTINCT nt.id) > 0 OR MAX(ss.minutes) > 0
+      ORDER BY s.position, s.code
+    `, params);
     
     return result.rows.map(row => {
       const totalTasks = parseInt(row.total_tasks) + parseInt(row.total_nptel_tasks);
       const completedTasks = parseInt(row.completed_tasks) + parseInt(row.completed_nptel_tasks);
       const completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+      // Timed study sessions in the period, so effort can be weighed against results
+      const studyHours = Math.round((parseInt(row.study_minutes) || 0) / 60 * 10) / 10;
       
       return {
         subjectCode: row.subject_code,
@@ -1716,6 +2458,9 @@ class AnalyticsService {
         totalTasks,
         completedTasks,
         completionRate,
+        studyHours,
+        studyHoursPerCompletedTask: completedTasks > 0 && studyHours > 0 ?
+          parseFloat((studyHours / completedTasks).toFixed(1)) : null,
         averageTaskCompletionDays: row.avg_task_completion_days ? 
           parseFloat(row.avg_task_completion_days).toFixed(1) : null,
         recentCompletions: parseInt(row.recent_completions),
@@ -1737,9 +2482,9 @@ class AnalyticsService {
     const studyDaysResult = await pool.query(`
       SELECT 
         DATE(date) as study_date,
-        hours
-      FROM study_logs 
-      WHERE user_id = $1 AND date >= $2 
+        study_hours as hours
+      FROM study_sleep_logs 
+      WHERE user_id = $1 AND date >= $2 AND study_hours > 0
       ORDER BY date ASC
     `, [userId, startDate]);
     
@@ -1978,6 +2723,57 @@ class AnalyticsService {
       });
     }
     
+    // Active minutes against the weekly guideline (only once durations are being logged)
+    if (exerciseData.totalMinutes > 0) {
+      const { weeklyActiveMinutes, intensityBreakdown } = exerciseData;
+      
+      if (weeklyActiveMinutes >= WEEKLY_ACTIVE_MINUTES_TARGET) {
+        insights.push({
+          type: 'health',
+          category: 'exercise',
+          message: `You average ${weeklyActiveMinutes} active minutes a week, meeting the ${WEEKLY_ACTIVE_MINUTES_TARGET}-minute guideline`,
+          severity: 'positive',
+          actionable: false,
+          icon: '⏱️',
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        insights.push({
+          type: 'health',
+          category: 'exercise',
+          message: `You average ${weeklyActiveMinutes} active minutes a week, short of the ${WEEKLY_ACTIVE_MINUTES_TARGET}-minute guideline`,
+          severity: weeklyActiveMinutes < WEEKLY_ACTIVE_MINUTES_TARGET / 2 ? 'warning' : 'info',
+          actionable: true,
+          icon: '⏱️',
+          timestamp: new Date().toISOString()
+        });
+        
+        recommendations.push({
+          type: 'health',
+          category: 'exercise',
+          message: `Add about ${Math.ceil((WEEKLY_ACTIVE_MINUTES_TARGET - weeklyActiveMinutes) / 5)} minutes of brisk activity on five days a week`,
+          actionable: true,
+          priority: 'medium',
+          estimatedImpact: 'high',
+          icon: '🏃'
+        });
+      }
+      
+      // Mostly light sessions: suggest some higher-intensity work
+      const ratedMinutes = intensityBreakdown.light + intensityBreakdown.moderate + intensityBreakdown.vigorous;
+      if (ratedMinutes >= 60 && intensityBreakdown.light / ratedMinutes >= 0.8) {
+        recommendations.push({
+          type: 'health',
+          category: 'exercise',
+          message: 'Most of your sessions are light - try including a couple of moderate or vigorous workouts each week',
+          actionable: true,
+          priority: 'low',
+          estimatedImpact: 'medium',
+          icon: '🔥'
+        });
+      }
+    }
+    
     // Activity variety analysis
     const activityCount = Object.keys(activityTypes).length;
     if (activityCount === 1) {
@@ -2005,6 +2801,143 @@ class AnalyticsService {
     return { insights, recommendations, milestones };
   }
 
+  /**
+   * Analyze sleep duration, timing and debt and generate insights
+   * @param {Object} sleepData - Sleep analytics data
+   * @returns {Object} Sleep insights and recommendations
+   */
+  analyzeSleepPatterns(sleepData) {
+    const insights = [];
+    const recommendations = [];
+    const milestones = [];
+    
+    const { nightsLogged, averageHours, targetHours, sleepDebt, bedtime, socialJetlag, consistencyScore, naps } = sleepData;
+    
+    if (!nightsLogged) {
+      return { insights, recommendations, milestones };
+    }
+    
+    // Duration against the user's target
+    if (averageHours >= targetHours) {
+      insights.push({
+        type: 'health',
+        category: 'sleep',
+        message: `You're averaging ${averageHours}h of sleep, meeting your ${targetHours}h target`,
+        severity: 'positive',
+        actionable: false,
+        icon: '😴',
+        timestamp: new Date().toISOString()
+      });
+    } else if (targetHours - averageHours >= 1) {
+      insights.push({
+        type: 'health',
+        category: 'sleep',
+        message: `You're averaging ${averageHours}h of sleep, ${(targetHours - averageHours).toFixed(1)}h short of your ${targetHours}h target`,
+        severity: 'warning',
+        actionable: true,
+        icon: '⚠️',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Rolling sleep debt
+    if (sleepDebt && sleepDebt.hours >= SLEEP_DEBT_WARNING_HOURS) {
+      const minutesPerNight = Math.ceil((sleepDebt.hours * 60) / 7 / 15) * 15;
+      insights.push({
+        type: 'health',
+        category: 'sleep',
+        message: `You've built up ${sleepDebt.hours}h of sleep debt over the last ${sleepDebt.windowDays} days`,
+        severity: 'warning',
+        actionable: true,
+        icon: '🔋',
+        timestamp: new Date().toISOString()
+      });
+      
+      recommendations.push({
+        type: 'health',
+        category: 'sleep',
+        message: `Going to bed about ${minutesPerNight} minutes earlier for a week would pay back your sleep debt`,
+        actionable: true,
+        priority: 'high',
+        estimatedImpact: 'high',
+        icon: '🛏️'
+      });
+    }
+    
+    // Bedtime regularity
+    if (bedtime && bedtime.variabilityMinutes !== null && bedtime.variabilityMinutes > IRREGULAR_BEDTIME_MINUTES) {
+      insights.push({
+        type: 'health',
+        category: 'sleep',
+        message: `Your bedtime varies by about ±${bedtime.variabilityMinutes} minutes from night to night`,
+        severity: 'warning',
+        actionable: true,
+        icon: '🕰️',
+        timestamp: new Date().toISOString()
+      });
+      
+      recommendations.push({
+        type: 'health',
+        category: 'sleep',
+        message: `Try to go to bed within 30 minutes of ${bedtime.average} every night, weekends included`,
+        actionable: true,
+        priority: 'medium',
+        estimatedImpact: 'high',
+        icon: '⏰'
+      });
+    }
+    
+    // Weekend shift in sleep timing
+    if (socialJetlag && socialJetlag.minutes >= SOCIAL_JETLAG_WARNING_MINUTES) {
+      const hours = Math.floor(socialJetlag.minutes / 60);
+      const minutes = socialJetlag.minutes % 60;
+      insights.push({
+        type: 'health',
+        category: 'sleep',
+        message: `Your sleep shifts by ${hours}h${minutes > 0 ? ` ${minutes}m` : ''} on weekends (social jetlag), which can leave Mondays feeling groggy`,
+        severity: 'info',
+        actionable: true,
+        icon: '🌍',
+        timestamp: new Date().toISOString()
+      });
+      
+      recommendations.push({
+        type: 'health',
+        category: 'sleep',
+        message: 'Keep weekend wake-up times within an hour of your weekday alarm',
+        actionable: true,
+        priority: 'medium',
+        estimatedImpact: 'medium',
+        icon: '📅'
+      });
+    }
+    
+    // Long naps
+    if (naps && naps.count > 0 && naps.averageMinutes > 60) {
+      recommendations.push({
+        type: 'health',
+        category: 'sleep',
+        message: `Your naps average ${naps.averageMinutes} minutes - keeping them to 20-30 minutes avoids grogginess and protects night sleep`,
+        actionable: true,
+        priority: 'low',
+        estimatedImpact: 'medium',
+        icon: '💤'
+      });
+    }
+    
+    if (consistencyScore !== null && consistencyScore >= 80 && averageHours >= targetHours) {
+      milestones.push({
+        type: 'achievement',
+        category: 'sleep',
+        message: 'You\'re getting enough sleep on a steady schedule',
+        icon: '🏆',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return { insights, recommendations, milestones };
+  }
+
   /**
    * Analyze constipation patterns and generate insights
    * @param {Object} constipationData - Constipation analytics data
@@ -2095,7 +3028,7 @@ class AnalyticsService {
     const recommendations = [];
     const milestones = [];
     
-    const { totalSessions, consistencyRate, daysTracked } = kriyaData;
+    const { totalSessions, consistencyRate, daysTracked, timeOfDay, calm, effects } = kriyaData;
     
     // Consistency analysis
     if (consistencyRate >= 80) {
@@ -2149,6 +3082,67 @@ class AnalyticsService {
       });
     }
     
+    // Time-of-day routine, once a few sessions have start times
+    if (timeOfDay && timeOfDay.timedSessions >= MIN_CORRELATION_DAYS) {
+      if (timeOfDay.steady) {
+        insights.push({
+          type: 'health',
+          category: 'kriya',
+          message: `You keep a steady routine, usually starting around ${timeOfDay.averageStartTime}`,
+          severity: 'positive',
+          actionable: false,
+          icon: '🕰️',
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        recommendations.push({
+          type: 'health',
+          category: 'kriya',
+          message: `Your start time varies by about ${timeOfDay.variabilityMinutes} minutes - practising at the same time each day helps the habit stick`,
+          actionable: true,
+          priority: 'low',
+          estimatedImpact: 'medium',
+          icon: '⏰'
+        });
+      }
+    }
+    
+    if (calm && calm.ratedSessions >= MIN_CORRELATION_DAYS && calm.averageChange > 0) {
+      insights.push({
+        type: 'health',
+        category: 'kriya',
+        message: `Your sessions raise your calm by ${calm.averageChange} points on average (${calm.averageBefore} to ${calm.averageAfter})`,
+        severity: 'positive',
+        actionable: false,
+        icon: '🌿',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Same-day mood and the following night's sleep
+    if (effects && effects.mood && effects.mood.difference >= PRACTICE_MOOD_EFFECT) {
+      insights.push({
+        type: 'correlation',
+        category: 'kriya',
+        message: `Your mood averages ${effects.mood.practiceDays}/5 on days you practise, against ${effects.mood.otherDays}/5 on days you don't`,
+        severity: 'info',
+        actionable: false,
+        icon: '😊',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (effects && effects.sleep && effects.sleep.difference >= PRACTICE_SLEEP_EFFECT_HOURS) {
+      insights.push({
+        type: 'correlation',
+        category: 'kriya',
+        message: `You sleep ${effects.sleep.difference}h longer after a day with practice (${effects.sleep.practiceDays}h vs ${effects.sleep.otherDays}h)`,
+        severity: 'info',
+        actionable: false,
+        icon: '😴',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     return { insights, recommendations, milestones };
   }
 
@@ -2229,6 +3223,36 @@ class AnalyticsService {
       });
     }
     
+    // Speed and accuracy, when typing tests were logged
+    const { speed, weakestKeys = [] } = typingData;
+    if (speed && speed.sessions > 0) {
+      if (speed.wpmTrend === 'increasing' && speed.wpmTrendPercentage > 10) {
+        insights.push({
+          type: 'health',
+          category: 'typing',
+          message: `Your typing speed is up ${speed.wpmTrendPercentage}%, averaging ${speed.averageWpm} WPM`,
+          severity: 'positive',
+          actionable: false,
+          icon: '🚀',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (speed.averageAccuracy < TYPING_ACCURACY_TARGET) {
+        const keys = weakestKeys.slice(0, 3).map(entry => `"${entry.key}"`).join(', ');
+        recommendations.push({
+          type: 'health',
+          category: 'typing',
+          message: `Your accuracy averages ${speed.averageAccuracy}% - slow down a little and aim for ${TYPING_ACCURACY_TARGET}%` +
+            (keys ? `, drilling the keys you miss most (${keys})` : ''),
+          actionable: true,
+          priority: 'medium',
+          estimatedImpact: 'medium',
+          icon: '🎯'
+        });
+      }
+    }
+    
     return { insights, recommendations, milestones };
   }
 
@@ -2601,6 +3625,195 @@ class AnalyticsService {
     return null;
   }
 
+  /**
+   * Correlate journal symptoms and low mood with study hours, sleep and cycle phase
+   * @param {Object} symptomData - Symptom analytics data
+   * @param {Object} cycleData - Cycle analytics data (optional)
+   * @param {Object} studyHours - Study hours analytics data (optional)
+   * @returns {Object} Symptom insights and recommendations
+   */
+  analyzeSymptomCorrelations(symptomData, cycleData, studyHours) {
+    const insights = [];
+    const recommendations = [];
+    const daily = symptomData.daily || [];
+    const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    
+    // Flare-up conditions to compare against the rest of the journal
+    const conditions = (symptomData.topSymptoms || [])
+      .filter(symptom => symptom.highSeverityDays >= MIN_CORRELATION_DAYS)
+      .map(symptom => ({
+        label: `high-${symptom.name.toLowerCase()}`,
+        name: symptom.name,
+        matches: day => (day.symptoms[symptom.name] || 0) >= HIGH_SYMPTOM_SEVERITY
+      }));
+    conditions.push({ label: 'low-mood', name: 'low mood', matches: day => day.mood !== null && day.mood <= 2 });
+    
+    // Study hours on flare-up days vs other journal days (no study log means no study)
+    if (studyHours && studyHours.daily) {
+      const studyByDate = {};
+      studyHours.daily.forEach(entry => {
+        studyByDate[toDateString(entry.date)] = parseFloat(entry.hours) || 0;
+      });
+      
+      for (const condition of conditions) {
+        const flareDays = daily.filter(condition.matches);
+        const otherDays = daily.filter(day => !condition.matches(day));
+        if (flareDays.length < MIN_CORRELATION_DAYS || otherDays.length < MIN_CORRELATION_DAYS) continue;
+        
+        const flareHours = average(flareDays.map(day => studyByDate[day.date] || 0));
+        const otherHours = average(otherDays.map(day => studyByDate[day.date] || 0));
+        const drop = otherHours > 0 ? Math.round(((otherHours - flareHours) / otherHours) * 100) : 0;
+        
+        if (drop >= 20) {
+          insights.push({
+            type: 'correlation',
+            category: 'symptom_study',
+            message: `Study hours drop ${drop}% on ${condition.label} days (${flareHours.toFixed(1)}h vs ${otherHours.toFixed(1)}h)`,
+            severity: 'warning',
+            actionable: true,
+            icon: '📉',
+            timestamp: new Date().toISOString()
+          });
+          recommendations.push({
+            type: 'correlation',
+            category: 'symptom_study',
+            message: `Keep a lighter review plan ready for ${condition.name} days and schedule demanding study when you feel well`,
+            actionable: true,
+            priority: drop >= 40 ? 'high' : 'medium',
+            estimatedImpact: 'medium',
+            icon: '🗓️'
+          });
+        }
+      }
+    }
+    
+    // Sleep logged on flare-up days vs other days
+    const sleepDays = daily.filter(day => day.sleepHours !== null);
+    for (const condition of conditions) {
+      const flareDays = sleepDays.filter(condition.matches);
+      const otherDays = sleepDays.filter(day => !condition.matches(day));
+      if (flareDays.length < MIN_CORRELATION_DAYS || otherDays.length < MIN_CORRELATION_DAYS) continue;
+      
+      const difference = average(otherDays.map(day => day.sleepHours)) - average(flareDays.map(day => day.sleepHours));
+      if (difference >= 1) {
+        insights.push({
+          type: 'correlation',
+          category: 'symptom_sleep',
+          message: `You sleep ${difference.toFixed(1)}h less on ${condition.label} days`,
+          severity: 'info',
+          actionable: true,
+          icon: '😴',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    // Symptom severity by cycle phase
+    if (cycleData && cycleData.history && cycleData.history.length > 0) {
+      for (const symptom of symptomData.topSymptoms || []) {
+        const byPhase = {};
+        daily.forEach(day => {
+          if (day.symptoms[symptom.name] === undefined) return;
+          const phase = getPhaseOnDate(cycleData, day.date);
+          if (!phase) return;
+          if (!byPhase[phase]) byPhase[phase] = [];
+          byPhase[phase].push(day.symptoms[symptom.name]);
+        });
+        
+        const peak = Object.entries(byPhase)
+          .filter(([, severities]) => severities.length >= MIN_CORRELATION_DAYS)
+          .map(([phase, severities]) => ({ phase, severity: average(severities) }))
+          .sort((a, b) => b.severity - a.severity)[0];
+        if (!peak || peak.severity < 2) continue;
+        
+        const otherSeverities = Object.entries(byPhase)
+          .filter(([phase]) => phase !== peak.phase)
+          .reduce((all, [, severities]) => all.concat(severities), []);
+        if (otherSeverities.length < MIN_CORRELATION_DAYS) continue;
+        
+        const otherSeverity = average(otherSeverities);
+        if (peak.severity >= otherSeverity * 1.5) {
+          insights.push({
+            type: 'correlation',
+            category: 'symptom_cycle',
+            message: `${symptom.name} peaks in your ${peak.phase} phase (${peak.severity.toFixed(1)}/5 vs ${otherSeverity.toFixed(1)}/5 otherwise)`,
+            severity: 'info',
+            actionable: true,
+            icon: '🌙',
+            timestamp: new Date().toISOString()
+          });
+          
+          if (peak.phase === 'menstrual' && cycleData.prediction) {
+            recommendations.push({
+              type: 'correlation',
+              category: 'symptom_cycle',
+              message: `Your next period is expected around ${cycleData.prediction.nextPeriodStart} - plan lighter study and rest for ${symptom.name.toLowerCase()} then`,
+              actionable: true,
+              priority: 'medium',
+              estimatedImpact: 'medium',
+              icon: '📅'
+            });
+          }
+        }
+      }
+    }
+    
+    return { insights, recommendations };
+  }
+
+  /**
+   * Compare study hours on days after a full night's sleep with days after a short one
+   * @param {Object} sleepData - Sleep analytics data
+   * @param {Object} studyHours - Study hours analytics data
+   * @returns {Object} Sleep-study insights and recommendations
+   */
+  analyzeSleepStudyCorrelation(sleepData, studyHours) {
+    const insights = [];
+    const recommendations = [];
+    const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    
+    // Sleep is logged against the day the user woke up, so it lines up with that day's study
+    const studyByDate = {};
+    (studyHours.daily || []).forEach(entry => {
+      studyByDate[toDateString(entry.date)] = parseFloat(entry.hours) || 0;
+    });
+    
+    const nights = (sleepData.daily || []).filter(day => day.date in studyByDate);
+    const rested = nights.filter(day => day.hours >= sleepData.targetHours);
+    const short = nights.filter(day => day.hours < sleepData.targetHours);
+    if (rested.length < MIN_CORRELATION_DAYS || short.length < MIN_CORRELATION_DAYS) {
+      return { insights, recommendations };
+    }
+    
+    const restedHours = average(rested.map(day => studyByDate[day.date]));
+    const shortHours = average(short.map(day => studyByDate[day.date]));
+    const difference = restedHours - shortHours;
+    
+    if (difference >= 0.5) {
+      insights.push({
+        type: 'correlation',
+        category: 'sleep_study',
+        message: `You study ${difference.toFixed(1)}h more after a full night's sleep (${restedHours.toFixed(1)}h vs ${shortHours.toFixed(1)}h)`,
+        severity: 'info',
+        actionable: true,
+        icon: '🧠',
+        timestamp: new Date().toISOString()
+      });
+      
+      recommendations.push({
+        type: 'correlation',
+        category: 'sleep_study',
+        message: `Protect your ${sleepData.targetHours}h of sleep before heavy study days instead of staying up late`,
+        actionable: true,
+        priority: difference >= 1.5 ? 'high' : 'medium',
+        estimatedImpact: 'high',
+        icon: '🛏️'
+      });
+    }
+    
+    return { insights, recommendations };
+  }
+
   /**
    * Analyze overall wellness-productivity correlation
    * @param {Object} healthData - Health analytics data
@@ -2664,7 +3877,15 @@ class AnalyticsService {
     }
     
     if (healthData.exercise) {
-      score += Math.min((healthData.exercise.averageSteps / 8000) * 100, 100);
+      const stepsScore = Math.min((healthData.exercise.averageSteps / 8000) * 100, 100);
+      const minutesScore = healthData.exercise.totalMinutes > 0 ?
+        Math.min((healthData.exercise.weeklyActiveMinutes / WEEKLY_ACTIVE_MINUTES_TARGET) * 100, 100) : 0;
+      score += Math.max(stepsScore, minutesScore);
+      metrics++;
+    }
+    
+    if (healthData.sleep && healthData.sleep.nightsLogged > 0) {
+      score += Math.min((healthData.sleep.averageHours / healthData.sleep.targetHours) * 100, 100);
       metrics++;
     }
     
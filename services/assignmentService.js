@@ -0,0 +1,174 @@
+const { pool } = require('../config/database');
+const { createInboxItem } = require('./inboxService');
+const { toDateString, daysBetween } = require('../utils/helpers');
+
+const ASSIGNMENT_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const ASSIGNMENT_STATUSES = ['not_started', 'in_progress', 'submitted', 'graded'];
+const DONE_STATUSES = ['submitted', 'graded'];
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+const MAX_ESTIMATED_MINUTES = 10000;
+const MAX_REMINDER_DAYS = 30;
+const DEFAULT_REMINDER_DAYS = 2;
+
+// Deadline reminders go out from this local hour on the reminder day
+const ASSIGNMENT_REMINDER_HOUR = 9;
+
+/**
+ * Validate the deadline-engine fields of an assignment
+ * @param {Object} body - { priority, estimated_minutes, status, reminder_days_before }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateAssignmentFields = ({ priority, estimated_minutes, status, reminder_days_before }) => {
+  if (priority !== undefined && !ASSIGNMENT_PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${ASSIGNMENT_PRIORITIES.join(', ')}`;
+  }
+  if (status !== undefined && !ASSIGNMENT_STATUSES.includes(status)) {
+    return `status must be one of: ${ASSIGNMENT_STATUSES.join(', ')}`;
+  }
+  if (estimated_minutes !== undefined && estimated_minutes !== null &&
+      !(Number.isInteger(estimated_minutes) && estimated_minutes > 0 && estimated_minutes <= MAX_ESTIMATED_MINUTES)) {
+    return `estimated_minutes must be a whole number from 1 to ${MAX_ESTIMATED_MINUTES}`;
+  }
+  if (reminder_days_before !== undefined && reminder_days_before !== null &&
+      !(Number.isInteger(reminder_days_before) && reminder_days_before >= 0 && reminder_days_before <= MAX_REMINDER_DAYS)) {
+    return `reminder_days_before must be a whole number from 0 to ${MAX_REMINDER_DAYS}, or null for no reminder`;
+  }
+  return null;
+};
+
+/**
+ * Work out status and completed together. A status wins; otherwise completed
+ * moves an open assignment to submitted or a done one back to in progress.
+ * @param {Object} current - Current row (status, completed, submitted_at)
+ * @param {Object} changes - { status, completed } from the request
+ * @returns {Object} - { status, completed, submittedAt }
+ */
+const resolveAssignmentStatus = (current, { status, completed }) => {
+  let nextStatus = current.status || 'not_started';
+  if (status !== undefined) {
+    nextStatus = status;
+  } else if (completed === true && !DONE_STATUSES.includes(nextStatus)) {
+    nextStatus = 'submitted';
+  } else if (completed === false && DONE_STATUSES.includes(nextStatus)) {
+    nextStatus = 'in_progress';
+  }
+
+  const done = DONE_STATUSES.includes(nextStatus);
+  return {
+    status: nextStatus,
+    completed: done,
+    submittedAt: done ? (current.submitted_at || new Date()) : null
+  };
+};
+
+/**
+ * Order open assignments by urgency: earliest deadline first, then priority,
+ * then the bigger piece of work
+ */
+const compareUrgency = (a, b) =>
+  a.daysUntilDue - b.daysUntilDue ||
+  PRIORITY_RANK[a.priority || 'medium'] - PRIORITY_RANK[b.priority || 'medium'] ||
+  (b.estimated_minutes || 0) - (a.estimated_minutes || 0);
+
+/**
+ * Group open assignments into overdue, due today, due in the next six days and later
+ * @param {Array} assignments - Assignment rows
+ * @param {string} today - The user's local date (YYYY-MM-DD)
+ * @returns {Object} - { today, overdue, dueToday, thisWeek, later, counts, plannedMinutesThisWeek }
+ */
+const buildAgenda = (assignments, today) => {
+  const open = assignments
+    .filter(assignment => !DONE_STATUSES.includes(assignment.status))
+    .map(assignment => {
+      const deadline = toDateString(assignment.deadline);
+      return { ...assignment, deadline, daysUntilDue: daysBetween(today, deadline) };
+    })
+    .sort(compareUrgency);
+
+  const overdue = open.filter(assignment => assignment.daysUntilDue < 0);
+  const dueToday = open.filter(assignment => assignment.daysUntilDue === 0);
+  const thisWeek = open.filter(assignment => assignment.daysUntilDue > 0 && assignment.daysUntilDue < 7);
+  const later = open.filter(assignment => assignment.daysUntilDue >= 7);
+
+  return {
+    today,
+    overdue,
+    dueToday,
+    thisWeek,
+    later,
+    counts: {
+      overdue: overdue.length,
+      dueToday: dueToday.length,
+      thisWeek: thisWeek.length,
+      later: later.length
+    },
+    // Estimated work due before the week is out, overdue items included
+    plannedMinutesThisWeek: [...overdue, ...dueToday, ...thisWeek]
+      .reduce((sum, assignment) => sum + (assignment.estimated_minutes || 0), 0)
+  };
+};
+
+const buildReminderMessage = (assignment) => {
+  if (assignment.days_until_due === 0) return `"${assignment.title}" is due today`;
+  if (assignment.days_until_due === 1) return `"${assignment.title}" is due tomorrow`;
+  return `"${assignment.title}" is due in ${assignment.days_until_due} days`;
+};
+
+/**
+ * Add an inbox reminder for every open assignment whose reminder day has come in
+ * the user's timezone. Each assignment is reminded once per deadline, so moving
+ * the deadline brings a fresh reminder.
+ * @param {Date} now - Current instant
+ * @returns {Object} - Counts of delivered and failed reminders
+ */
+const processAssignmentReminders = async (now = new Date()) => {
+  const result = { delivered: 0, failed: 0 };
+
+  const due = await pool.query(
+    `SELECT a.id, a.user_id, a.title, a.deadline, a.priority, a.reminder_days_before,
+            a.deadline - local.today as days_until_due
+     FROM assignments a
+     LEFT JOIN user_profiles p ON p.user_id = a.user_id
+     CROSS JOIN LATERAL (
+       SELECT ($1::TIMESTAMPTZ AT TIME ZONE COALESCE(p.timezone, 'UTC')) as local_time
+     ) zoned
+     CROSS JOIN LATERAL (SELECT zoned.local_time::DATE as today) local
+     WHERE a.status NOT IN ('submitted', 'graded')
+       AND a.reminder_days_before IS NOT NULL
+       AND a.deadline >= local.today
+       AND a.deadline - a.reminder_days_before <= local.today
+       AND EXTRACT(HOUR FROM zoned.local_time) >= $2`,
+    [now, ASSIGNMENT_REMINDER_HOUR]
+  );
+
+  for (const assignment of due.rows) {
+    try {
+      const deadline = toDateString(assignment.deadline);
+      const item = await createInboxItem(assignment.user_id, {
+        type: 'reminder',
+        title: 'Assignment due soon',
+        message: buildReminderMessage(assignment),
+        data: { assignmentId: assignment.id, deadline, daysUntilDue: assignment.days_until_due },
+        priority: ['high', 'urgent'].includes(assignment.priority) ? 'high' : 'medium',
+        dedupeKey: `assignment:${assignment.id}:due:${deadline}`
+      });
+      if (item) result.delivered += 1;
+    } catch (error) {
+      console.error(`Assignment ${assignment.id} reminder error:`, error);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  ASSIGNMENT_PRIORITIES,
+  ASSIGNMENT_STATUSES,
+  DEFAULT_REMINDER_DAYS,
+  validateAssignmentFields,
+  resolveAssignmentStatus,
+  buildAgenda,
+  processAssignmentReminders
+};
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('./sessionService');
+const { getUpcomingPeriods, getCycleOverview } = require('./cycleService');
+const {
+  DAY_MS,
+  toDateString,
+  addDays,
+  getZonedParts,
+  getUserLocalDate,
+  getTimezoneOffset,
+  zonedTimeToUtc
+} = require('../utils/helpers');
+
+// Deadlines further back than this are left out of the feed
+const FEED_HISTORY_DAYS = 90;
+const PREDICTED_PERIODS = 3;
+const REMINDER_DURATION = 'PT15M';
+// Offset changes are listed this far ahead; the feed is refetched hourly
+const TIMEZONE_YEARS_AHEAD = 2;
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets, continuing on lines that start with a space
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const formatDate = (dateString) => dateString.replace(/-/g, '');
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatOffset = (offsetMs) => {
+  const minutes = Math.abs(offsetMs) / 60000;
+  const hhmm = `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+  return `${offsetMs < 0 ? '-' : '+'}${hhmm}`;
+};
+
+/**
+ * Lines for the VTIMEZONE that timed events refer to (RFC 5545 section 3.6.5).
+ * The offset in effect at from is the first observance; every change of the
+ * zone's UTC offset up to until follows as its own observance, so no
+ * recurrence rules for DST have to be derived.
+ * @param {string} timezone - IANA timezone
+ * @param {number} from - First instant covered (ms)
+ * @param {number} until - Last instant covered (ms)
+ * @returns {Array} - Content lines
+ */
+const buildTimezone = (timezone, from, until) => {
+  const offsetAt = (instant) => getTimezoneOffset(instant, timezone);
+  const start = Math.floor(from / 60000) * 60000;
+  const observances = [{ start, offsetFrom: offsetAt(start), offsetTo: offsetAt(start) }];
+
+  let previous = observances[0].offsetTo;
+  for (let day = start; day < until; day += DAY_MS) {
+    const next = offsetAt(day + DAY_MS);
+    if (next !== previous) {
+      // Narrow the change down to the minute
+      let low = day;
+      let high = day + DAY_MS;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (offsetAt(middle) === previous) low = middle; else high = middle;
+      }
+      observances.push({ start: high, offsetFrom: previous, offsetTo: next });
+      previous = next;
+    }
+  }
+
+  const standardOffset = Math.min(...observances.map(observance => observance.offsetTo));
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  observances.forEach(({ start: onset, offsetFrom, offsetTo }) => {
+    const kind = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      // Onsets are local time before the change
+      `DTSTART:${formatUtc(new Date(onset + offsetFrom)).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Lines for one VEVENT. All-day events carry a start date and an exclusive
+ * end date; timed events a local start time in the calendar's timezone,
+ * defined by the calendar's VTIMEZONE.
+ * @param {Object} event - { uid, summary, description, date, endDate, time, rrule, status, alarm }
+ * @param {string} timezone - IANA timezone for timed events
+ * @param {Date} now - DTSTAMP
+ * @returns {Array} - Content lines
+ */
+const buildEvent = (event, timezone, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(now)}`
+  ];
+
+  if (event.time) {
+    lines.push(`DTSTART;TZID=${timezone}:${formatDate(event.date)}T${event.time.replace(/:/g, '').padEnd(6, '0')}`);
+    lines.push(`DURATION:${REMINDER_DURATION}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(event.endDate || event.date, 1))}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+
+  if (event.alarm) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.summary)}`, 'TRIGGER:PT0M', 'END:VALARM');
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render events as an iCalendar document
+ * @param {Array} events - Events for buildEvent
+ * @param {Object} options - { name, timezone, now }
+ * @returns {string} - text/calendar body with CRLF line endings
+ */
+const buildCalendar = (events, { name = 'HerSphere', timezone = 'UTC', now = new Date() } = {}) => {
+  // Timed events need the definition of the TZID they use
+  const timedDates = events.filter(event => event.time).map(event => event.date).sort();
+  const timezoneLines = timedDates.length > 0 ? buildTimezone(
+    timezone,
+    zonedTimeToUtc(timedDates[0], 0, timezone).getTime() - DAY_MS,
+    now.getTime() + TIMEZONE_YEARS_AHEAD * 365 * DAY_MS
+  ) : [];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//HerSphere//Calendar Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...timezoneLines,
+    ...events.flatMap(event => buildEvent(event, timezone, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Create the user's feed token, or replace it so the previous URL stops working
+ * @param {number} userId - User ID
+ * @returns {string} - Raw token (only its hash is stored)
+ */
+const issueFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(
+    `INSERT INTO calendar_feeds (user_id, token_hash) VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET token_hash = $2, created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL`,
+    [userId, hashToken(token)]
+  );
+
+  return token;
+};
+
+/**
+ * Look up the owner of a feed token, recording the access
+ * @param {string} token - Raw token from the feed URL
+ * @returns {number|null} - User ID, or null for an unknown token
+ */
+const findFeedUser = async (token) => {
+  const result = await pool.query(
+    'UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE token_hash = $1 RETURNING user_id',
+    [hashToken(token || '')]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+const describeAssignment = (assignment) => [
+  assignment.subject ? `Subject: ${assignment.subject}` : null,
+  `Priority: ${assignment.priority}`,
+  `Status: ${assignment.status.replace(/_/g, ' ')}`,
+  assignment.estimated_minutes ? `Estimated effort: ${assignment.estimated_minutes} min` : null,
+  assignment.description || null
+].filter(Boolean).join('\n');
+
+/**
+ * Everything the feed shows: assignment deadlines, NPTEL task and weekly
+ * assignment due dates and NPTEL exams as all-day events, active notifications
+ * as timed events repeating daily, and the next predicted periods as tentative
+ * all-day events.
+ *
+ * Notifications repeat daily on purpose: a notification is a reminder
+ * template with a time of day (scheduled_time) but no date or recurrence of
+ * its own, so it stands for a reminder at that time every day. Turning it
+ * off (is_active = false) or deleting it removes the series from the feed.
+ * @param {number} userId - User ID
+ * @param {Date} now - Reference instant
+ * @returns {Object} - { timezone, events }
+ */
+const getCalendarEvents = async (userId, now = new Date()) => {
+  const { timezone, today } = await getUserLocalDate(userId, now);
+  const since = addDays(today, -FEED_HISTORY_DAYS);
+
+  const assignments = await pool.query(
+    `SELECT id, title, description, subject, deadline, priority, status, estimated_minutes
+     FROM assignments WHERE user_id = $1 AND deadline >= $2 ORDER BY deadline`,
+    [userId, since]
+  );
+  const courseTasks = await pool.query(
+    `SELECT t.id, t.title, t.description, t.due_date, t.completed, c.title as course_title
+     FROM nptel_course_tasks t
+     JOIN nptel_courses c ON c.id = t.course_id
+     WHERE c.user_id = $1 AND t.due_date >= $2
+     ORDER BY t.due_date`,
+    [userId, since]
+  );
+  const courseWeeks = await pool.query(
+    `SELECT w.id, w.week_number, w.title, w.assignment_due_date, w.assignment_submitted, w.assignment_score,
+            c.title as course_title
+     FROM nptel_course_weeks w
+     JOIN nptel_courses c ON c.id = w.course_id
+     WHERE c.user_id = $1 AND w.has_assignment AND w.assignment_due_date >= $2
+     ORDER BY w.assignment_due_date`,
+    [userId, since]
+  );
+  const exams = await pool.query(
+    'SELECT id, title, exam_date, exam_registered FROM nptel_courses WHERE user_id = $1 AND exam_date >= $2',
+    [userId, since]
+  );
+  const notifications = await pool.query(
+    `SELECT id, type, title, message, scheduled_time, created_at
+     FROM notifications WHERE user_id = $1 AND is_active = true AND scheduled_time IS NOT NULL`,
+    [userId]
+  );
+  const cycles = await getCycleOverview(userId, today);
+
+  const events = [
+    ...assignments.rows.map(assignment => ({
+      uid: `assignment-${assignment.id}@hersphere`,
+      summary: `${['submitted', 'graded'].includes(assignment.status) ? '✓ ' : ''}Due: ${assignment.title}`,
+      description: describeAssignment(assignment),
+      date: toDateString(assignment.deadline)
+    })),
+    ...courseTasks.rows.map(task => ({
+      uid: `nptel-task-${task.id}@hersphere`,
+      summary: `${task.completed ? '✓ ' : ''}${task.course_title}: ${task.title}`,
+      description: task.description,
+      date: toDateString(task.due_date)
+    })),
+    ...courseWeeks.rows.map(week => ({
+      uid: `nptel-week-${week.id}@hersphere`,
+      summary: `${week.assignment_submitted ? '✓ ' : ''}${week.course_title}: Week ${week.week_number} assignment`,
+      description: [
+        week.title,
+        week.assignment_score === null ? null : `Score: ${parseFloat(week.assignment_score)}%`
+      ].filter(Boolean).join('\n'),
+      date: toDateString(week.assignment_due_date)
+    })),
+    ...exams.rows.map(course => ({
+      uid: `nptel-exam-${course.id}@hersphere`,
+      summary: `${course.title}: NPTEL exam`,
+      description: course.exam_registered ? 'Registered' : 'Not registered yet',
+      date: toDateString(course.exam_date)
+    })),
+    ...notifications.rows.map(notification => ({
+      uid: `notification-${notification.id}@hersphere`,
+      summary: notification.title,
+      description: notification.message,
+      // Every day from the day it was set up, at its local time (see above)
+      date: getZonedParts(new Date(notification.created_at), timezone).date,
+      time: String(notification.scheduled_time).slice(0, 8),
+      rrule: 'FREQ=DAILY',
+      alarm: true
+    })),
+    // Keyed by position so a revised prediction moves the event rather than adding one
+    ...getUpcomingPeriods(cycles, PREDICTED_PERIODS).map((period, index) => ({
+      uid: `predicted-period-${userId}-${index + 1}@hersphere`,
+      summary: 'Predicted period',
+      date: period.startDate,
+      endDate: period.endDate,
+      status: 'TENTATIVE'
+    }))
+  ];
+
+  return { timezone, events };
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+  issueFeedToken,
+  findFeedUser,
+  getCalendarEvents
+};
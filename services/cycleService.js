@@ -0,0 +1,232 @@
+const { pool } = require('../config/database');
+const { toDateString, daysBetween, addDays, round1, mean, standardDeviation } = require('../utils/helpers');
+
+const FLOW_LEVELS = ['none', 'spotting', 'light', 'medium', 'heavy'];
+const BLEEDING_FLOWS = ['light', 'medium', 'heavy'];
+
+// Typical values used until the user has logged enough cycles
+const DEFAULT_CYCLE_LENGTH = 28;
+const DEFAULT_PERIOD_LENGTH = 5;
+const LUTEAL_PHASE_LENGTH = 14;
+
+// Cycle lengths outside this range are almost always a missed log, not a real cycle
+const MIN_CYCLE_LENGTH = 15;
+const MAX_CYCLE_LENGTH = 90;
+const CYCLES_FOR_AVERAGE = 12;
+
+/**
+ * Work out how many days a period lasted from its end date, or from consecutive
+ * bleeding days in the day logs when no end date was recorded
+ */
+const getPeriodLength = (cycle, flowByDate) => {
+  if (cycle.endDate) {
+    return daysBetween(cycle.startDate, cycle.endDate) + 1;
+  }
+
+  let length = 0;
+  while (BLEEDING_FLOWS.includes(flowByDate[addDays(cycle.startDate, length)])) {
+    length++;
+  }
+  return length > 0 ? length : null;
+};
+
+const getConfidence = (sampleSize, variability) => {
+  if (sampleSize < 3 || variability > 7) return 'low';
+  if (sampleSize < 6 || variability > 3) return 'medium';
+  return 'high';
+};
+
+/**
+ * Analyse logged cycles: averages, variability, current phase, next period and fertile window.
+ * Phases use the standard model of a ~14 day luteal phase counted back from the next period.
+ * @param {Array} cycles - Rows with start_date and end_date
+ * @param {Array} dayLogs - Rows with date and flow
+ * @param {Date|string} today - Reference date
+ * @returns {Object} - Cycle analysis
+ */
+const analyzeCycles = (cycles, dayLogs = [], today = new Date()) => {
+  const todayString = toDateString(today);
+  const flowByDate = {};
+  dayLogs.forEach(log => {
+    flowByDate[toDateString(log.date)] = log.flow;
+  });
+
+  const sorted = cycles
+    .map(cycle => ({ id: cycle.id, startDate: toDateString(cycle.start_date), endDate: toDateString(cycle.end_date) }))
+    .filter(cycle => cycle.startDate <= todayString)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const history = sorted.map((cycle, index) => {
+    const next = sorted[index + 1];
+    const cycleLength = next ? daysBetween(cycle.startDate, next.startDate) : null;
+    // The running cycle's period may still be in progress, so only completed ones count
+    const periodLength = next || cycle.endDate ? getPeriodLength(cycle, flowByDate) : null;
+    return {
+      id: cycle.id,
+      startDate: cycle.startDate,
+      endDate: cycle.endDate,
+      cycleLength,
+      periodLength,
+      excluded: cycleLength !== null && (cycleLength < MIN_CYCLE_LENGTH || cycleLength > MAX_CYCLE_LENGTH)
+    };
+  });
+
+  const cycleLengths = history
+    .filter(c => c.cycleLength !== null && !c.excluded)
+    .map(c => c.cycleLength)
+    .slice(-CYCLES_FOR_AVERAGE);
+  const periodLengths = history
+    .filter(c => c.periodLength !== null)
+    .map(c => c.periodLength)
+    .slice(-CYCLES_FOR_AVERAGE);
+
+  const averageCycleLength = cycleLengths.length > 0 ? round1(mean(cycleLengths)) : null;
+  const averagePeriodLength = periodLengths.length > 0 ? round1(mean(periodLengths)) : null;
+  const variability = round1(standardDeviation(cycleLengths));
+
+  const analysis = {
+    cyclesTracked: sorted.length,
+    averageCycleLength,
+    averagePeriodLength,
+    variability: {
+      standardDeviation: variability,
+      shortestCycle: cycleLengths.length > 0 ? Math.min(...cycleLengths) : null,
+      longestCycle: cycleLengths.length > 0 ? Math.max(...cycleLengths) : null,
+      // Cycles varying by 7 days or less are considered regular
+      isRegular: cycleLengths.length >= 2 ? Math.max(...cycleLengths) - Math.min(...cycleLengths) <= 7 : null
+    },
+    currentCycle: null,
+    prediction: null,
+    history: history.reverse()
+  };
+
+  if (sorted.length === 0) {
+    return analysis;
+  }
+
+  const cycleLength = Math.round(averageCycleLength || DEFAULT_CYCLE_LENGTH);
+  const periodLength = Math.round(averagePeriodLength || DEFAULT_PERIOD_LENGTH);
+  const current = sorted[sorted.length - 1];
+  const cycleDay = daysBetween(current.startDate, todayString) + 1;
+
+  const ovulationDay = Math.max(cycleLength - LUTEAL_PHASE_LENGTH, periodLength + 1);
+  const fertileStartDay = Math.max(ovulationDay - 5, 1);
+  const fertileEndDay = ovulationDay + 1;
+
+  const periodEnded = current.endDate ? todayString > current.endDate : cycleDay > periodLength && !BLEEDING_FLOWS.includes(flowByDate[todayString]);
+
+  let phase;
+  if (!periodEnded) phase = 'menstrual';
+  else if (cycleDay > cycleLength + 1) phase = 'late';
+  else if (cycleDay < fertileStartDay) phase = 'follicular';
+  else if (cycleDay <= fertileEndDay) phase = 'ovulatory';
+  else phase = 'luteal';
+
+  const nextPeriodStart = addDays(current.startDate, cycleLength);
+  const daysUntilNextPeriod = daysBetween(todayString, nextPeriodStart);
+  const margin = Math.max(1, Math.round(variability));
+
+  // Show this cycle's fertile window until it has passed, then the next one
+  const windowCycleStart = cycleDay <= fertileEndDay ? current.startDate : nextPeriodStart;
+
+  analysis.currentCycle = {
+    startDate: current.startDate,
+    endDate: current.endDate,
+    day: cycleDay,
+    phase,
+    isFertile: cycleDay >= fertileStartDay && cycleDay <= fertileEndDay,
+    daysUntilNextPeriod,
+    daysLate: Math.max(0, -daysUntilNextPeriod)
+  };
+
+  analysis.prediction = {
+    nextPeriodStart,
+    nextPeriodRange: {
+      earliest: addDays(nextPeriodStart, -margin),
+      latest: addDays(nextPeriodStart, margin)
+    },
+    ovulationDate: addDays(windowCycleStart, ovulationDay - 1),
+    fertileWindow: {
+      start: addDays(windowCycleStart, fertileStartDay - 1),
+      end: addDays(windowCycleStart, fertileEndDay - 1)
+    },
+    basedOnCycles: cycleLengths.length,
+    usesDefaults: cycleLengths.length === 0,
+    confidence: getConfidence(cycleLengths.length, variability)
+  };
+
+  return analysis;
+};
+
+/**
+ * Estimate which cycle phase a past or present date fell in, using the
+ * recorded cycle lengths where known and the user's averages otherwise
+ * @param {Object} analysis - Result of analyzeCycles
+ * @param {Date|string} date - Date to look up
+ * @returns {string|null} - Phase, or null when no cycle covers the date
+ */
+const getPhaseOnDate = (analysis, date) => {
+  const dateString = toDateString(date);
+  const cycle = (analysis.history || []).find(c => c.startDate <= dateString);
+  if (!cycle) return null;
+
+  const cycleLength = cycle.cycleLength && !cycle.excluded ?
+    cycle.cycleLength :
+    Math.round(analysis.averageCycleLength || DEFAULT_CYCLE_LENGTH);
+  const periodLength = cycle.periodLength || Math.round(analysis.averagePeriodLength || DEFAULT_PERIOD_LENGTH);
+  const cycleDay = daysBetween(cycle.startDate, dateString) + 1;
+
+  if (cycle.cycleLength && cycleDay > cycle.cycleLength) return null;
+
+  const ovulationDay = Math.max(cycleLength - LUTEAL_PHASE_LENGTH, periodLength + 1);
+
+  if (cycleDay <= periodLength) return 'menstrual';
+  if (cycleDay > cycleLength + 1) return 'late';
+  if (cycleDay < ovulationDay - 5) return 'follicular';
+  if (cycleDay <= ovulationDay + 1) return 'ovulatory';
+  return 'luteal';
+};
+
+/**
+ * Project the next few periods from the prediction, a cycle length apart
+ * @param {Object} analysis - Result of analyzeCycles
+ * @param {number} count - Number of periods to project
+ * @returns {Array} - [{ startDate, endDate }], empty without any tracked cycle
+ */
+const getUpcomingPeriods = (analysis, count = 3) => {
+  if (!analysis.prediction) return [];
+
+  const cycleLength = Math.round(analysis.averageCycleLength || DEFAULT_CYCLE_LENGTH);
+  const periodLength = Math.round(analysis.averagePeriodLength || DEFAULT_PERIOD_LENGTH);
+
+  return Array.from({ length: count }, (_, index) => {
+    const startDate = addDays(analysis.prediction.nextPeriodStart, index * cycleLength);
+    return { startDate, endDate: addDays(startDate, periodLength - 1) };
+  });
+};
+
+/**
+ * Load a user's cycles and day logs and analyse them
+ * @param {number} userId - User ID
+ * @param {Date} today - Reference date
+ * @returns {Object} - Cycle analysis plus recent day logs
+ */
+const getCycleOverview = async (userId, today = new Date()) => {
+  const [cycles, dayLogs] = await Promise.all([
+    pool.query('SELECT id, start_date, end_date, notes FROM menstrual_cycles WHERE user_id = $1 ORDER BY start_date ASC', [userId]),
+    pool.query('SELECT id, cycle_id, date, flow, symptoms, mood, notes FROM period_day_logs WHERE user_id = $1 ORDER BY date ASC', [userId])
+  ]);
+
+  return {
+    ...analyzeCycles(cycles.rows, dayLogs.rows, today),
+    recentDayLogs: dayLogs.rows.slice(-31).reverse()
+  };
+};
+
+module.exports = {
+  FLOW_LEVELS,
+  analyzeCycles,
+  getPhaseOnDate,
+  getUpcomingPeriods,
+  getCycleOverview
+};
@@ -0,0 +1,137 @@
+// MET values for a moderate effort, from the Compendium of Physical Activities
+const ACTIVITY_METS = {
+  walking: 3.5,
+  running: 9.8,
+  jogging: 7.0,
+  cycling: 7.5,
+  swimming: 6.0,
+  yoga: 2.5,
+  pilates: 3.0,
+  strength_training: 5.0,
+  hiit: 8.0,
+  dancing: 5.0,
+  hiking: 6.0,
+  elliptical: 5.0,
+  rowing: 7.0,
+  skipping: 11.0,
+  sports: 7.0,
+  other: 4.0
+};
+
+const ACTIVITY_ALIASES = {
+  walk: 'walking',
+  run: 'running',
+  jog: 'jogging',
+  bike: 'cycling',
+  biking: 'cycling',
+  swim: 'swimming',
+  gym: 'strength_training',
+  weights: 'strength_training',
+  weight_training: 'strength_training',
+  dance: 'dancing',
+  hike: 'hiking',
+  jump_rope: 'skipping'
+};
+
+// Scale the moderate-effort MET by heart-rate zone (1-5); RPE 1-10 maps onto zones
+const ZONE_MET_FACTORS = { 1: 0.6, 2: 0.8, 3: 1.0, 4: 1.2, 5: 1.4 };
+
+// Typical cadence used to turn a steps-only entry into a duration
+const STEPS_PER_MINUTE = { walking: 100, hiking: 90, jogging: 150, running: 160 };
+const DEFAULT_STEPS_PER_MINUTE = 100;
+
+// Used for calorie estimates until the user sets a weight on their profile
+const DEFAULT_WEIGHT_KG = 65;
+
+const MAX_FOOTSTEPS = 100000;
+const MAX_DURATION_MINUTES = 1440;
+
+/**
+ * Map a free-text activity type onto a key of ACTIVITY_METS
+ * @param {string} activityType - Activity type as entered
+ * @returns {string} - Known activity key, or 'other'
+ */
+const normalizeActivityType = (activityType) => {
+  const key = String(activityType || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const resolved = ACTIVITY_ALIASES[key] || key;
+  return ACTIVITY_METS[resolved] ? resolved : 'other';
+};
+
+/**
+ * Effective heart-rate zone, preferring a measured zone over perceived exertion
+ * @param {Object} intensity - { rpe, heartRateZone }
+ * @returns {number|null} - Zone 1-5
+ */
+const getIntensityZone = ({ rpe, heartRateZone }) => {
+  if (heartRateZone) return Number(heartRateZone);
+  if (rpe) return Math.ceil(Number(rpe) / 2);
+  return null;
+};
+
+/**
+ * Classify intensity as light, moderate or vigorous
+ * @param {Object} intensity - { rpe, heartRateZone }
+ * @returns {string|null} - Intensity level
+ */
+const getIntensityLevel = (intensity) => {
+  const zone = getIntensityZone(intensity);
+  if (zone === null) return null;
+  if (zone <= 2) return 'light';
+  if (zone === 3) return 'moderate';
+  return 'vigorous';
+};
+
+/**
+ * Estimate MET and calories for an exercise entry (kcal = MET x kg x hours)
+ * @param {Object} entry - { activityType, durationMinutes, footsteps, rpe, heartRateZone, weightKg }
+ * @returns {Object} - { met, durationMinutes, calories }
+ */
+const estimateExercise = ({ activityType, durationMinutes, footsteps, rpe, heartRateZone, weightKg }) => {
+  const activity = normalizeActivityType(activityType);
+  const zone = getIntensityZone({ rpe, heartRateZone });
+  const met = Math.round(ACTIVITY_METS[activity] * (zone ? ZONE_MET_FACTORS[zone] : 1) * 10) / 10;
+
+  let minutes = durationMinutes ? Number(durationMinutes) : null;
+  if (!minutes && footsteps) {
+    minutes = Math.round(Number(footsteps) / (STEPS_PER_MINUTE[activity] || DEFAULT_STEPS_PER_MINUTE));
+  }
+
+  const calories = minutes ? Math.round(met * (Number(weightKg) || DEFAULT_WEIGHT_KG) * (minutes / 60)) : null;
+
+  return { met, durationMinutes: minutes, calories };
+};
+
+const isWholeNumberInRange = (value, min, max) => Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max;
+
+/**
+ * Validate exercise fields. Only fields that are present are checked.
+ * @param {Object} fields - Request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateExerciseFields = ({ footsteps, duration_minutes, distance_km, rpe, heart_rate_zone }) => {
+  if (footsteps !== undefined && footsteps !== null && !isWholeNumberInRange(footsteps, 1, MAX_FOOTSTEPS)) {
+    return `Footsteps must be between 1 and ${MAX_FOOTSTEPS.toLocaleString('en-US')}`;
+  }
+  if (duration_minutes !== undefined && duration_minutes !== null && !isWholeNumberInRange(duration_minutes, 1, MAX_DURATION_MINUTES)) {
+    return `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`;
+  }
+  if (distance_km !== undefined && distance_km !== null && !(Number(distance_km) >= 0 && Number(distance_km) < 10000)) {
+    return 'Distance must be a non-negative number of kilometres';
+  }
+  if (rpe !== undefined && rpe !== null && !isWholeNumberInRange(rpe, 1, 10)) {
+    return 'RPE must be a whole number from 1 to 10';
+  }
+  if (heart_rate_zone !== undefined && heart_rate_zone !== null && !isWholeNumberInRange(heart_rate_zone, 1, 5)) {
+    return 'Heart rate zone must be a whole number from 1 to 5';
+  }
+  return null;
+};
+
+module.exports = {
+  ACTIVITY_METS,
+  DEFAULT_WEIGHT_KG,
+  normalizeActivityType,
+  getIntensityLevel,
+  estimateExercise,
+  validateExerciseFields
+};
@@ -0,0 +1,471 @@
+const JSZip = require('jszip');
+const puppeteer = require('puppeteer');
+const AnalyticsService = require('./analyticsService');
+
+const SUPPORTED_FORMATS = ['pdf', 'csv', 'json'];
+
+// Health metrics map onto the keys produced by AnalyticsService.aggregateHealthData
+const HEALTH_METRICS = {
+  water: {
+    title: 'Water Intake',
+    dataKey: 'waterIntake',
+    rows: data => data.daily,
+    chart: { field: 'amount_ml', unit: 'ml' }
+  },
+  exercise: {
+    title: 'Exercise',
+    dataKey: 'exercise',
+    rows: data => data.daily,
+    chart: { field: 'footsteps', unit: 'steps' }
+  },
+  sleep: {
+    title: 'Sleep',
+    dataKey: 'sleep',
+    rows: data => data.daily,
+    chart: { field: 'hours', unit: 'h' }
+  },
+  period: {
+    title: 'Period Tracking',
+    dataKey: 'periodTracking',
+    rows: data => data.entries
+  },
+  cycle: {
+    title: 'Menstrual Cycle',
+    dataKey: 'cycle',
+    rows: data => data.cyclesInRange
+      .map(cycle => ({ date: cycle.startDate, endDate: cycle.endDate, cycleLength: cycle.cycleLength, periodLength: cycle.periodLength }))
+      .reverse(),
+    chart: { field: 'cycleLength', unit: 'days' }
+  },
+  symptoms: {
+    title: 'Symptoms & Mood',
+    dataKey: 'symptoms',
+    rows: data => data.daily.map(({ symptoms, ...day }) => ({
+      ...day,
+      symptoms: Object.entries(symptoms).map(([name, severity]) => `${name} (${severity})`).join('; ')
+    })),
+    chart: { field: 'maxSeverity', unit: '' }
+  },
+  constipation: {
+    title: 'Digestive Health',
+    dataKey: 'constipation',
+    rows: data => data.daily
+  },
+  kriya: {
+    title: 'Shambhavi Kriya',
+    dataKey: 'kriya',
+    rows: data => data.daily
+  },
+  typing: {
+    title: 'Typing Practice',
+    dataKey: 'typing',
+    rows: data => data.daily
+  },
+  habits: {
+    title: 'Custom Habits',
+    dataKey: 'habits',
+    rows: data => data.checkins
+  }
+};
+
+const EXPORT_METRICS = [...Object.keys(HEALTH_METRICS), 'education'];
+
+/**
+ * Parse the metrics query parameter into a list of export metrics
+ * @param {string} metrics - Comma-separated metrics or 'all'
+ * @returns {Object} Requested metrics and any unknown metric names
+ */
+const parseExportMetrics = (metrics = 'all') => {
+  if (metrics === 'all') {
+    return { requested: [...EXPORT_METRICS], invalid: [] };
+  }
+
+  const requested = metrics.split(',').map(m => m.trim()).filter(Boolean);
+  return {
+    requested: requested.filter(m => EXPORT_METRICS.includes(m)),
+    invalid: requested.filter(m => !EXPORT_METRICS.includes(m))
+  };
+};
+
+class ExportService {
+  constructor(analyticsService = new AnalyticsService()) {
+    this.analyticsService = analyticsService;
+  }
+
+  /**
+   * Build an analytics report and render it in the requested format
+   * @param {number} userId - User ID
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'pdf', 'csv' or 'json'
+   * @param {number} options.timeRange - Time range in days
+   * @param {Array} options.metrics - Metrics to include (see EXPORT_METRICS)
+   * @returns {Object} File content, content type and filename
+   */
+  async exportReport(userId, { format = 'pdf', timeRange = 90, metrics = EXPORT_METRICS } = {}) {
+    const report = await this.buildReport(userId, timeRange, metrics);
+    const baseName = `hersphere-report-${report.endDate}`;
+
+    switch (format) {
+      case 'json':
+        return {
+          content: JSON.stringify(report, null, 2),
+          contentType: 'application/json',
+          filename: `${baseName}.json`
+        };
+
+      case 'csv': {
+        const sheets = this.buildCSVSheets(report);
+
+        // A single sheet is served as a plain CSV, several are bundled into a zip
+        if (sheets.length === 1) {
+          return {
+            content: sheets[0].content,
+            contentType: 'text/csv; charset=utf-8',
+            filename: `${baseName}-${sheets[0].name}`
+          };
+        }
+
+        return {
+          content: await createZip(sheets),
+          contentType: 'application/zip',
+          filename: `${baseName}-csv.zip`
+        };
+      }
+
+      case 'pdf':
+        return {
+          content: await this.generatePDF(report),
+          contentType: 'application/pdf',
+          filename: `${baseName}.pdf`
+        };
+
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Collect health, education and insight data for the report
+   * @param {number} userId - User ID
+   * @param {number} timeRange - Time range in days
+   * @param {Array} metrics - Metrics to include
+   * @returns {Object} Report data
+   */
+  async buildReport(userId, timeRange, metrics) {
+    const healthMetrics = metrics.filter(m => HEALTH_METRICS[m]);
+    const includeEducation = metrics.includes('education');
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - timeRange);
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      timeRange,
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0],
+      metrics,
+      health: null,
+      education: null,
+      insights: null
+    };
+
+    if (healthMetrics.length > 0) {
+      report.health = await this.analyticsService.aggregateHealthData(
+        userId, String(timeRange), healthMetrics.join(',')
+      );
+    }
+
+    if (includeEducation) {
+      report.education = await this.analyticsService.calculateEducationProgress(
+        userId, String(timeRange), 'all'
+      );
+    }
+
+    report.insights = await this.analyticsService.generateInsights(userId);
+
+    return report;
+  }
+
+  /**
+   * Build one CSV sheet per exported metric, plus one for insights
+   * @param {Object} report - Report data
+   * @returns {Array} Array of { name, content } sheets
+   */
+  buildCSVSheets(report) {
+    const sheets = [];
+
+    for (const metric of report.metrics) {
+      const definition = HEALTH_METRICS[metric];
+      if (!definition || !report.health || !report.health[definition.dataKey]) {
+        continue;
+      }
+
+      sheets.push({
+        name: `${metric}.csv`,
+        content: rowsToCSV(definition.rows(report.health[definition.dataKey]) || [])
+      });
+    }
+
+    if (report.education) {
+      sheets.push({
+        name: 'study_hours.csv',
+        content: rowsToCSV(report.education.studyHours ? report.education.studyHours.daily : [])
+      });
+      sheets.push({
+        name: 'subject_progress.csv',
+        content: rowsToCSV(report.education.subjectProgress || [])
+      });
+    }
+
+    if (report.insights) {
+      sheets.push({
+        name: 'insights.csv',
+        content: rowsToCSV(report.insights.insights.map(insight => ({
+          type: insight.type,
+          category: insight.category,
+          severity: insight.severity,
+          actionable: insight.actionable,
+          message: insight.message
+        })))
+      });
+    }
+
+    return sheets;
+  }
+
+  /**
+   * Render the report to a PDF using headless Chrome
+   * @param {Object} report - Report data
+   * @returns {Buffer} PDF file contents
+   */
+  async generatePDF(report) {
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(this.renderReportHTML(report), { waitUntil: 'load' });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '20mm', bottom: '20mm', left: '15mm', right: '15mm' }
+      });
+      return Buffer.from(pdf);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Render the report as a self-contained HTML document with inline SVG charts
+   * @param {Object} report - Report data
+   * @returns {string} HTML document
+   */
+  renderReportHTML(report) {
+    const sections = [];
+
+    for (const metric of report.metrics) {
+      const definition = HEALTH_METRICS[metric];
+      const data = definition && report.health ? report.health[definition.dataKey] : null;
+      if (!data) continue;
+
+      const rows = definition.rows(data) || [];
+      const chart = definition.chart ?
+        renderBarChart(rows.map(row => ({ label: formatDate(row.date), value: Number(row[definition.chart.field]) || 0 })), definition.chart.unit) :
+        '';
+
+      sections.push(`
+        <section>
+          <h2>${escapeHTML(definition.title)}</h2>
+          ${renderStatList(data)}
+          ${chart}
+        </section>`);
+    }
+
+    if (report.education) {
+      const studyHours = report.education.studyHours || { daily: [] };
+      const subjects = report.education.subjectProgress || [];
+
+      sections.push(`
+        <section>
+          <h2>Study Hours</h2>
+          ${renderStatList(studyHours)}
+          ${renderBarChart(studyHours.daily.map(row => ({ label: formatDate(row.date), value: parseFloat(row.hours) || 0 })), 'h')}
+        </section>
+        <section>
+          <h2>Subject Progress</h2>
+          ${renderBarChart(subjects.map(s => ({ label: s.subjectCode, value: s.taskCompletionRate })), '%')}
+        </section>`);
+    }
+
+    if (report.insights) {
+      sections.push(renderInsightSections(report.insights));
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>HerSphere Analytics Report</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #2d2d2d; font-size: 12px; }
+    h1 { color: #8e3b72; margin-bottom: 4px; }
+    h2 { color: #8e3b72; border-bottom: 1px solid #e4c6da; padding-bottom: 4px; }
+    section { page-break-inside: avoid; margin-bottom: 24px; }
+    .meta { color: #777; }
+    .stats { display: flex; flex-wrap: wrap; gap: 12px; margin: 8px 0; }
+    .stat { background: #f8eef4; border-radius: 6px; padding: 6px 10px; }
+    .stat b { display: block; font-size: 14px; }
+    .insight { border-left: 4px solid #ccc; padding: 4px 8px; margin: 6px 0; }
+    .insight.critical { border-color: #d93025; }
+    .insight.warning { border-color: #f9ab00; }
+    .insight.info { border-color: #1a73e8; }
+    .insight.positive { border-color: #188038; }
+    .empty { color: #999; font-style: italic; }
+  </style>
+</head>
+<body>
+  <h1>HerSphere Analytics Report</h1>
+  <p class="meta">${report.startDate} to ${report.endDate} (${report.timeRange} days) &middot; generated ${escapeHTML(report.generatedAt)}</p>
+  ${sections.join('\n')}
+</body>
+</html>`;
+  }
+}
+
+// Scalar statistics (averages, totals, rates) shown above each chart
+const renderStatList = (data) => {
+  const stats = Object.entries(data)
+    .filter(([, value]) => typeof value === 'number' || (typeof value === 'string' && value.length < 30))
+    .map(([key, value]) => `<div class="stat">${escapeHTML(humanize(key))}<b>${escapeHTML(String(value))}</b></div>`);
+
+  return stats.length > 0 ? `<div class="stats">${stats.join('')}</div>` : '';
+};
+
+const renderInsightSections = (insights) => {
+  const renderItems = (items, className) => items.length === 0 ?
+    '<p class="empty">Nothing to report for this period.</p>' :
+    items.map(item => `<div class="insight ${className(item)}">${escapeHTML(item.icon || '')} ${escapeHTML(item.message)}</div>`).join('');
+
+  return `
+    <section>
+      <h2>Insights</h2>
+      ${renderItems(insights.insights, item => item.severity)}
+    </section>
+    <section>
+      <h2>Recommendations</h2>
+      ${renderItems(insights.recommendations, () => 'info')}
+    </section>
+    <section>
+      <h2>Milestones</h2>
+      ${renderItems(insights.milestones || [], () => 'positive')}
+    </section>`;
+};
+
+/**
+ * Render a simple vertical bar chart as inline SVG
+ * @param {Array} points - Array of { label, value }
+ * @param {string} unit - Unit shown next to the max value
+ * @returns {string} SVG markup
+ */
+const renderBarChart = (points, unit) => {
+  if (points.length === 0) {
+    return '<p class="empty">No data recorded for this period.</p>';
+  }
+
+  const width = 680;
+  const height = 180;
+  const padding = 24;
+  const max = Math.max(...points.map(p => p.value), 1);
+  const barWidth = (width - padding * 2) / points.length;
+  const labelEvery = Math.ceil(points.length / 10);
+
+  const bars = points.map((point, index) => {
+    const barHeight = (point.value / max) * (height - padding * 2);
+    const x = padding + index * barWidth;
+    const y = height - padding - barHeight;
+    const label = index % labelEvery === 0 ?
+      `<text x="${x + barWidth / 2}" y="${height - 8}" font-size="8" text-anchor="middle">${escapeHTML(point.label)}</text>` :
+      '';
+    return `<rect x="${x + 1}" y="${y}" width="${Math.max(barWidth - 2, 1)}" height="${barHeight}" fill="#c2649a"></rect>${label}`;
+  }).join('');
+
+  return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#999"></line>
+    <text x="${padding}" y="12" font-size="9">max ${Math.round(max * 100) / 100} ${escapeHTML(unit)}</text>
+    ${bars}
+  </svg>`;
+};
+
+const formatDate = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  return value ? String(value).split('T')[0] : '';
+};
+
+const formatCSVValue = (key, value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return key === 'date' || key.endsWith('_date') ? formatDate(value) : value.toISOString();
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const escapeCSV = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Convert an array of row objects to CSV, using the union of keys as columns
+ * @param {Array} rows - Row objects
+ * @returns {string} CSV content
+ */
+const rowsToCSV = (rows) => {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [columns.map(escapeCSV).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCSV(formatCSVValue(column, row[column]))).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const humanize = (key) => key
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/_/g, ' ')
+  .replace(/^./, c => c.toUpperCase());
+
+/**
+ * Bundle files into a zip archive (deflate compression)
+ * @param {Array} files - Array of { name, content }
+ * @returns {Promise<Buffer>} Zip archive
+ */
+const createZip = (files) => {
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.name, file.content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  ExportService,
+  SUPPORTED_FORMATS,
+  EXPORT_METRICS,
+  parseExportMetrics,
+  rowsToCSV,
+  createZip
+};
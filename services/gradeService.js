@@ -0,0 +1,300 @@
+const { pool } = require('../config/database');
+const { isValidDate } = require('../utils/helpers');
+
+const ASSESSMENT_TYPES = ['exam', 'quiz', 'assignment', 'project', 'lab', 'other'];
+
+// 10-point scale used until a user sets their own. Bands are checked from the top.
+const DEFAULT_GRADING_SCALE = {
+  name: '10-point',
+  maxPoints: 10,
+  bands: [
+    { grade: 'O', minPercent: 90, points: 10 },
+    { grade: 'A+', minPercent: 80, points: 9 },
+    { grade: 'A', minPercent: 70, points: 8 },
+    { grade: 'B+', minPercent: 60, points: 7 },
+    { grade: 'B', minPercent: 50, points: 6 },
+    { grade: 'C', minPercent: 40, points: 5 },
+    { grade: 'F', minPercent: 0, points: 0 }
+  ]
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Validate a grading scale
+ * @param {Object} scale - { name, maxPoints, bands: [{ grade, minPercent, points }] }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateGradingScale = ({ name, maxPoints, bands }) => {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    return 'name is required and must be at most 100 characters';
+  }
+  if (typeof maxPoints !== 'number' || maxPoints <= 0 || maxPoints > 100) {
+    return 'max_points must be a number above 0 and at most 100';
+  }
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return 'bands must be a non-empty list';
+  }
+
+  const grades = new Set();
+  for (const band of bands) {
+    if (!band || typeof band.grade !== 'string' || !band.grade.trim() || band.grade.length > 5) {
+      return 'Each band needs a grade of at most 5 characters';
+    }
+    if (typeof band.minPercent !== 'number' || band.minPercent < 0 || band.minPercent > 100) {
+      return 'Each band needs a min_percent from 0 to 100';
+    }
+    if (typeof band.points !== 'number' || band.points < 0 || band.points > maxPoints) {
+      return 'Each band needs points from 0 to max_points';
+    }
+    grades.add(band.grade.trim().toUpperCase());
+  }
+  if (grades.size !== bands.length) {
+    return 'Grades must be unique';
+  }
+  if (!bands.some(band => band.minPercent === 0)) {
+    return 'One band must start at 0 percent';
+  }
+  return null;
+};
+
+/**
+ * Validate assessment fields. With partial, only the fields present are checked.
+ * @param {Object} body - { title, type, weight, max_marks, score, is_final, date }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateAssessment = (body, partial = false) => {
+  const { title, type, weight, max_marks, score, is_final, date } = body;
+
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > 200) {
+      return 'title is required and must be at most 200 characters';
+    }
+  }
+  if (type !== undefined && !ASSESSMENT_TYPES.includes(type)) {
+    return `type must be one of: ${ASSESSMENT_TYPES.join(', ')}`;
+  }
+  if (!partial || weight !== undefined) {
+    if (typeof weight !== 'number' || weight <= 0 || weight > 100) {
+      return 'weight must be a percentage above 0 and at most 100';
+    }
+  }
+  if (!partial || max_marks !== undefined) {
+    if (typeof max_marks !== 'number' || max_marks <= 0 || max_marks > 9999) {
+      return 'max_marks must be a positive number';
+    }
+  }
+  if (score !== undefined && score !== null) {
+    if (typeof score !== 'number' || score < 0) {
+      return 'score must be a number from 0';
+    }
+    if (typeof max_marks === 'number' && score > max_marks) {
+      return 'score cannot be more than max_marks';
+    }
+  }
+  if (is_final !== undefined && typeof is_final !== 'boolean') {
+    return 'is_final must be true or false';
+  }
+  if (date !== undefined && date !== null && !isValidDate(date)) {
+    return 'date must be a YYYY-MM-DD date';
+  }
+  return null;
+};
+
+const sortBands = (bands) => [...bands].sort((a, b) => b.minPercent - a.minPercent);
+
+/**
+ * Grade band for a percentage
+ * @param {number} percent - Percentage score
+ * @param {Object} scale - Grading scale
+ * @returns {Object} - { grade, minPercent, points }
+ */
+const gradeForPercent = (percent, scale) => {
+  const bands = sortBands(scale.bands);
+  return bands.find(band => percent >= band.minPercent) || bands[bands.length - 1];
+};
+
+const isGraded = (assessment) => assessment.score !== null && assessment.score !== undefined;
+
+/**
+ * Total weight, weight graded so far and weighted percentage points earned
+ */
+const weighScores = (assessments) => {
+  const weight = (a) => parseFloat(a.weight);
+  const graded = assessments.filter(isGraded);
+  return {
+    totalWeight: assessments.reduce((sum, a) => sum + weight(a), 0),
+    gradedWeight: graded.reduce((sum, a) => sum + weight(a), 0),
+    earned: graded.reduce((sum, a) => sum + (parseFloat(a.score) / parseFloat(a.max_marks)) * weight(a), 0)
+  };
+};
+
+/**
+ * Project a subject's grade from its assessments. Weights are shares of the
+ * subject grade; when they don't add up to 100 they are scaled to.
+ * The projection assumes ungraded assessments go as well as the graded ones so far.
+ * @param {Array} assessments - Rows with weight, max_marks and score (null until graded)
+ * @param {Object} scale - Grading scale
+ * @returns {Object} - Percentages so far, the lowest and highest still possible, and the projected grade
+ */
+const projectSubjectGrade = (assessments, scale) => {
+  const { totalWeight, gradedWeight, earned } = weighScores(assessments);
+
+  if (gradedWeight === 0) {
+    return {
+      totalWeight: round(totalWeight),
+      gradedWeight: 0,
+      currentPercent: null,
+      minimumPercent: 0,
+      maximumPercent: totalWeight > 0 ? 100 : null,
+      projectedPercent: null,
+      projectedGrade: null,
+      projectedPoints: null
+    };
+  }
+
+  const currentPercent = (earned / gradedWeight) * 100;
+  const projected = gradeForPercent(currentPercent, scale);
+
+  return {
+    totalWeight: round(totalWeight),
+    gradedWeight: round(gradedWeight),
+    currentPercent: round(currentPercent),
+    minimumPercent: round((earned / totalWeight) * 100),
+    maximumPercent: round(((earned + totalWeight - gradedWeight) / totalWeight) * 100),
+    projectedPercent: round(currentPercent),
+    projectedGrade: projected.grade,
+    projectedPoints: projected.points
+  };
+};
+
+/**
+ * Score needed in one ungraded assessment (usually the final) to reach a grade.
+ * Other ungraded assessments are assumed to go as well as the graded ones so far.
+ * @param {Array} assessments - The subject's assessments
+ * @param {Object} target - The ungraded assessment to solve for
+ * @param {string} grade - Grade to reach
+ * @param {Object} scale - Grading scale
+ * @returns {Object|null} - Required percent and marks, or null for an unknown grade
+ */
+const requiredScoreForGrade = (assessments, target, grade, scale) => {
+  const band = scale.bands.find(b => b.grade.toUpperCase() === String(grade).toUpperCase());
+  if (!band) {
+    return null;
+  }
+
+  const { totalWeight, gradedWeight, earned } = weighScores(assessments);
+  const averageSoFar = gradedWeight > 0 ? earned / gradedWeight : 0;
+
+  const targetWeight = parseFloat(target.weight);
+  const otherPendingWeight = totalWeight - gradedWeight - targetWeight;
+  const expectedOther = averageSoFar * otherPendingWeight;
+
+  // (earned + expectedOther + needed * targetWeight) / totalWeight >= minPercent / 100
+  const needed = ((band.minPercent / 100) * totalWeight - earned - expectedOther) / targetWeight;
+  const requiredPercent = round(Math.max(0, needed * 100));
+
+  return {
+    grade: band.grade,
+    minPercent: band.minPercent,
+    assessmentId: target.id,
+    requiredPercent,
+    requiredMarks: round((requiredPercent / 100) * parseFloat(target.max_marks)),
+    maxMarks: parseFloat(target.max_marks),
+    achievable: needed <= 1,
+    alreadySecured: needed <= 0
+  };
+};
+
+/**
+ * Credit-weighted grade point average. Subjects without credits count as one credit.
+ * @param {Array} subjects - [{ credits, points }] for subjects with a grade
+ * @returns {number|null} - GPA, or null with no graded subjects
+ */
+const calculateGpa = (subjects) => {
+  const counted = subjects.filter(subject => subject.points !== null && subject.points !== undefined);
+  if (counted.length === 0) {
+    return null;
+  }
+  const credits = (subject) => (subject.credits === null || subject.credits === undefined ? 1 : parseFloat(subject.credits));
+  const totalCredits = counted.reduce((sum, subject) => sum + credits(subject), 0);
+  if (totalCredits === 0) {
+    return null;
+  }
+  return round(counted.reduce((sum, subject) => sum + subject.points * credits(subject), 0) / totalCredits);
+};
+
+/**
+ * The user's grading scale, or the default one
+ * @param {number} userId - User ID
+ * @returns {Object} - { name, maxPoints, bands, isDefault }
+ */
+const getGradingScale = async (userId) => {
+  const result = await pool.query('SELECT name, max_points, bands FROM grading_scales WHERE user_id = $1', [userId]);
+  if (result.rows.length === 0) {
+    return { ...DEFAULT_GRADING_SCALE, isDefault: true };
+  }
+  const row = result.rows[0];
+  return { name: row.name, maxPoints: parseFloat(row.max_points), bands: sortBands(row.bands), isDefault: false };
+};
+
+/**
+ * Projected grades for each of the user's assessed subjects, the GPA of one
+ * term and the cumulative GPA over all terms
+ * @param {number} userId - User ID
+ * @param {number|null} termId - Term for the term GPA and subject list (all subjects when null)
+ * @returns {Object} - { scale, subjects, termGpa, cgpa }
+ */
+const getGradeReport = async (userId, termId) => {
+  const scale = await getGradingScale(userId);
+
+  const subjectsResult = await pool.query(
+    'SELECT id, code, name, credits, term_id FROM subjects WHERE user_id = $1 ORDER BY position, code',
+    [userId]
+  );
+  const assessmentsResult = await pool.query(
+    'SELECT * FROM assessments WHERE user_id = $1 ORDER BY date NULLS LAST, id',
+    [userId]
+  );
+
+  const subjects = subjectsResult.rows.map(subject => {
+    const assessments = assessmentsResult.rows.filter(a => a.subject_id === subject.id);
+    return {
+      subjectId: subject.id,
+      code: subject.code,
+      name: subject.name,
+      credits: subject.credits === null ? null : parseFloat(subject.credits),
+      termId: subject.term_id,
+      ...projectSubjectGrade(assessments, scale),
+      assessments
+    };
+  }).filter(subject => subject.assessments.length > 0);
+
+  const inTerm = termId ? subjects.filter(subject => subject.termId === termId) : subjects;
+  const toGpaInput = subject => ({ credits: subject.credits, points: subject.projectedPoints });
+
+  return {
+    scale,
+    subjects: inTerm,
+    termGpa: termId ? calculateGpa(inTerm.map(toGpaInput)) : null,
+    cgpa: calculateGpa(subjects.map(toGpaInput))
+  };
+};
+
+module.exports = {
+  ASSESSMENT_TYPES,
+  DEFAULT_GRADING_SCALE,
+  validateGradingScale,
+  validateAssessment,
+  isGraded,
+  gradeForPercent,
+  projectSubjectGrade,
+  requiredScoreForGrade,
+  calculateGpa,
+  getGradingScale,
+  getGradeReport
+};
@@ -0,0 +1,200 @@
+const { pool } = require('../config/database');
+const { isValidDate } = require('../utils/helpers');
+
+const HABIT_KINDS = ['boolean', 'count', 'duration'];
+const MAX_NAME_LENGTH = 100;
+const MAX_ICON_LENGTH = 20;
+const MAX_UNIT_LENGTH = 30;
+const MAX_VALUE = 100000;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Streaks and goals refer to a habit as 'habit:<id>'
+const HABIT_KEY_PATTERN = /^habit:([1-9]\d*)$/;
+
+/**
+ * The streak activity type and goal metric of a habit
+ * @param {number} habitId - Habit ID
+ * @returns {string} - 'habit:<id>'
+ */
+const habitKey = (habitId) => `habit:${habitId}`;
+
+/**
+ * The habit ID in a streak activity type or goal metric
+ * @param {string} key - e.g. 'habit:12'
+ * @returns {number|null} - Habit ID, or null when the key is not a habit's
+ */
+const parseHabitKey = (key) => {
+  const match = HABIT_KEY_PATTERN.exec(typeof key === 'string' ? key : '');
+  return match ? parseInt(match[1]) : null;
+};
+
+const isOptionalText = (value, maxLength) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim().length <= maxLength);
+
+/**
+ * Validate habit fields. With partial, only the fields present are checked.
+ * @param {Object} body - { name, icon, kind, target, unit, schedule_days, archived }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateHabit = (body, partial = false) => {
+  const { name, icon, kind, target, unit, schedule_days, archived } = body;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (!partial || kind !== undefined) {
+    if (!HABIT_KINDS.includes(kind)) {
+      return `kind must be one of: ${HABIT_KINDS.join(', ')}`;
+    }
+  }
+  if (target !== undefined && target !== null &&
+      !(typeof target === 'number' && target > 0 && target <= MAX_VALUE)) {
+    return `target must be a number above 0 and at most ${MAX_VALUE}`;
+  }
+  if (!isOptionalText(icon, MAX_ICON_LENGTH)) {
+    return `icon must be at most ${MAX_ICON_LENGTH} characters`;
+  }
+  if (!isOptionalText(unit, MAX_UNIT_LENGTH)) {
+    return `unit must be at most ${MAX_UNIT_LENGTH} characters`;
+  }
+  if (schedule_days !== undefined && schedule_days !== null) {
+    if (!Array.isArray(schedule_days) || schedule_days.length === 0 ||
+        !schedule_days.every(day => ALL_DAYS.includes(day)) || new Set(schedule_days).size !== schedule_days.length) {
+      return 'schedule_days must be a list of distinct weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    return 'archived must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Validate a check-in. Boolean habits take completed; count and duration
+ * habits take the day's value.
+ * @param {Object} habit - habits row
+ * @param {Object} body - { date, completed, value, notes }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateCheckin = (habit, body) => {
+  const { date, completed, value, notes } = body;
+
+  if (!isValidDate(date)) {
+    return 'date is required in YYYY-MM-DD format';
+  }
+  if (habit.kind === 'boolean') {
+    if (completed !== undefined && typeof completed !== 'boolean') {
+      return 'completed must be true or false';
+    }
+  } else if (typeof value !== 'number' || value < 0 || value > MAX_VALUE) {
+    return `value is required and must be a number from 0 to ${MAX_VALUE}`;
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'notes must be text';
+  }
+  return null;
+};
+
+/**
+ * The stored value of a check-in and whether it meets the habit's target
+ * @param {Object} habit - habits row
+ * @param {Object} body - Validated check-in
+ * @returns {Object} - { value, completed }
+ */
+const resolveCheckin = (habit, body) => {
+  if (habit.kind === 'boolean') {
+    const done = body.completed !== false;
+    return { value: done ? 1 : 0, completed: done };
+  }
+  return { value: body.value, completed: body.value >= parseFloat(habit.target) };
+};
+
+/**
+ * Whether a habit is due on a day
+ * @param {Array<number>} scheduleDays - Weekdays, 0 = Sunday
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+const isScheduledOn = (scheduleDays, date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return scheduleDays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+};
+
+const toHabit = (row) => ({
+  id: row.id,
+  key: habitKey(row.id),
+  name: row.name,
+  icon: row.icon,
+  kind: row.kind,
+  target: parseFloat(row.target),
+  unit: row.unit,
+  scheduleDays: row.schedule_days,
+  archived: row.archived,
+  createdAt: row.created_at
+});
+
+/**
+ * One of the user's habits
+ * @param {number} userId - User ID
+ * @param {number} habitId - Habit ID
+ * @returns {Object|null} - habits row, or null when not theirs
+ */
+const findHabit = async (userId, habitId) => {
+  const result = await pool.query('SELECT * FROM habits WHERE id = $1 AND user_id = $2', [habitId, userId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * The user's habits with today's check-in
+ * @param {number} userId - User ID
+ * @param {string} today - The user's local date (YYYY-MM-DD)
+ * @param {boolean} includeArchived - Whether to list archived habits too
+ * @returns {Array} - Habits
+ */
+const getHabits = async (userId, today, includeArchived = false) => {
+  const result = await pool.query(
+    `SELECT h.*, c.value as today_value, c.completed as today_completed
+     FROM habits h
+     LEFT JOIN habit_checkins c ON c.habit_id = h.id AND c.date = $2
+     WHERE h.user_id = $1${includeArchived ? '' : ' AND h.archived = false'}
+     ORDER BY h.created_at, h.id`,
+    [userId, today]
+  );
+
+  return result.rows.map(row => ({
+    ...toHabit(row),
+    scheduledToday: isScheduledOn(row.schedule_days, today),
+    today: row.today_value === null ? null : { value: parseFloat(row.today_value), completed: row.today_completed }
+  }));
+};
+
+/**
+ * The streak activity types of the user's active habits
+ * @param {number} userId - User ID
+ * @returns {Array<string>} - 'habit:<id>' keys
+ */
+const getActiveHabitKeys = async (userId) => {
+  const result = await pool.query(
+    'SELECT id FROM habits WHERE user_id = $1 AND archived = false ORDER BY created_at, id',
+    [userId]
+  );
+  return result.rows.map(row => habitKey(row.id));
+};
+
+module.exports = {
+  HABIT_KINDS,
+  ALL_DAYS,
+  habitKey,
+  parseHabitKey,
+  validateHabit,
+  validateCheckin,
+  resolveCheckin,
+  isScheduledOn,
+  toHabit,
+  findHabit,
+  getHabits,
+  getActiveHabitKeys
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { buildListClauses, buildPage } = require('./paginationService');
+const { getUserLocalDate } = require('../utils/helpers');
+
+const INBOX_TYPES = ['achievement', 'milestone', 'streak', 'reminder'];
+const INBOX_STATUSES = ['active', 'unread', 'read', 'archived', 'all'];
+
+const STATUS_FILTERS = {
+  active: 'archived_at IS NULL',
+  unread: 'archived_at IS NULL AND read_at IS NULL',
+  read: 'archived_at IS NULL AND read_at IS NOT NULL',
+  archived: 'archived_at IS NOT NULL',
+  all: 'TRUE'
+};
+
+/**
+ * Add an item to a user's inbox
+ * @param {number} userId - User ID
+ * @param {Object} item - { type, title, message, data, priority, dedupeKey }
+ * @returns {Object|null} - Created item, or null if the dedupe key was already recorded
+ */
+const createInboxItem = async (userId, { type, title, message = null, data = null, priority = 'medium', dedupeKey = null }) => {
+  if (!INBOX_TYPES.includes(type)) {
+    throw new Error(`Invalid inbox item type: ${type}`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO inbox_notifications (user_id, type, title, message, data, priority, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id, dedupe_key) DO NOTHING
+     RETURNING *`,
+    [userId, type, title, message, data ? JSON.stringify(data) : null, priority, dedupeKey]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Persist goal achievement notifications built by AnalyticsService.generateAchievementNotifications
+ * @param {number} userId - User ID
+ * @param {Array} notifications - Notification objects
+ * @param {Date} now - Current instant
+ * @returns {Array} - Created inbox items
+ */
+const recordAchievementNotifications = async (userId, notifications, now = new Date()) => {
+  const created = [];
+  if (notifications.length === 0) return created;
+
+  // Keyed by the user's local day, like the rest of the inbox
+  const { today } = await getUserLocalDate(userId, now);
+
+  for (const notification of notifications) {
+    const isAchievement = notification.type === 'goal_achievement';
+    const item = await createInboxItem(userId, {
+      type: isAchievement ? 'achievement' : 'milestone',
+      title: notification.title,
+      message: notification.message,
+      data: isAchievement ? { goalId: notification.goalId, ...notification.data } : null,
+      priority: notification.priority,
+      dedupeKey: isAchievement
+        ? `goal:${notification.goalId}:achieved:${today}`
+        : `milestone:${notification.title}:${today}`
+    });
+    if (item) created.push(item);
+  }
+
+  return created;
+};
+
+/**
+ * Persist milestones surfaced by insight generation. Insights are recomputed on
+ * every request, so each distinct milestone message is only recorded once.
+ * @param {number} userId - User ID
+ * @param {Array} milestones - Milestone objects from generateInsights
+ * @returns {Array} - Created inbox items
+ */
+const recordInsightMilestones = async (userId, milestones) => {
+  const created = [];
+
+  for (const milestone of milestones) {
+    const fingerprint = crypto
+      .createHash('sha1')
+      .update(`${milestone.category}|${milestone.type}|${milestone.message}`)
+      .digest('hex')
+      .slice(0, 16);
+
+    const item = await createInboxItem(userId, {
+      type: 'milestone',
+      title: `${milestone.icon ? `${milestone.icon} ` : ''}Milestone reached`,
+      message: milestone.message,
+      data: { category: milestone.category, kind: milestone.type },
+      dedupeKey: `insight:${milestone.category}:${fingerprint}`
+    });
+    if (item) created.push(item);
+  }
+
+  return created;
+};
+
+/**
+ * List a page of inbox items, newest first by default
+ * @param {number} userId - User ID
+ * @param {Object} list - From parseListQuery on created_at
+ * @param {Object} filters - { status, type }
+ * @returns {Object} - { items, pagination }
+ */
+const listInboxItems = async (userId, list, { status = 'active', type } = {}) => {
+  let filters = ` AND ${STATUS_FILTERS[status] || STATUS_FILTERS.active}`;
+  const params = [userId];
+
+  if (type) {
+    params.push(type);
+    filters += ` AND type = $${params.length}`;
+  }
+
+  const { conditions, orderBy, cursorColumn } = buildListClauses(list, params);
+  const result = await pool.query(
+    `SELECT *${cursorColumn} FROM inbox_notifications
+     WHERE user_id = $1${filters}${conditions} ${orderBy}`,
+    params
+  );
+
+  return buildPage(list, result.rows);
+};
+
+/**
+ * Count unread, unarchived inbox items
+ * @param {number} userId - User ID
+ * @returns {number} - Unread count
+ */
+const getUnreadCount = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*) AS count FROM inbox_notifications WHERE user_id = $1 AND read_at IS NULL AND archived_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Mark a single inbox item as read
+ * @param {number} userId - User ID
+ * @param {number} itemId - Inbox item ID
+ * @returns {Object|null} - Updated item, or null if not found
+ */
+const markAsRead = async (userId, itemId) => {
+  const result = await pool.query(
+    'UPDATE inbox_notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = $1 AND user_id = $2 RETURNING *',
+    [itemId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Mark every unread inbox item as read
+ * @param {number} userId - User ID
+ * @returns {number} - Number of items updated
+ */
+const markAllAsRead = async (userId) => {
+  const result = await pool.query(
+    'UPDATE inbox_notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL AND archived_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Archive an inbox item; archived items also count as read
+ * @param {number} userId - User ID
+ * @param {number} itemId - Inbox item ID
+ * @returns {Object|null} - Updated item, or null if not found
+ */
+const archiveItem = async (userId, itemId) => {
+  const result = await pool.query(
+    `UPDATE inbox_notifications
+     SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [itemId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  INBOX_TYPES,
+  INBOX_STATUSES,
+  createInboxItem,
+  recordAchievementNotifications,
+  recordInsightMilestones,
+  listInboxItems,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  archiveItem
+};
@@ -0,0 +1,56 @@
+const { isValidDate } = require('../utils/helpers');
+
+const PRACTICE_TYPES = ['kriya', 'pranayama', 'meditation'];
+
+const MAX_DURATION_MINUTES = 300;
+
+const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Validate meditation session fields. Only fields that are present are
+ * checked; a new session also needs a date or a start time.
+ * @param {Object} fields - Request body
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateKriyaSession = (fields, partial = false) => {
+  const { date, started_at, duration_minutes, practice_type, calm_before, calm_after, empty_stomach, notes } = fields;
+
+  if (!partial && !date && !started_at) {
+    return 'Date or started_at is required';
+  }
+  if (date !== undefined && date !== null && !isValidDate(date)) {
+    return 'date must be a YYYY-MM-DD date';
+  }
+  if (partial && date === null) {
+    return 'date cannot be removed';
+  }
+  if (started_at !== undefined && started_at !== null && isNaN(new Date(started_at).getTime())) {
+    return 'started_at must be a valid timestamp';
+  }
+  if (duration_minutes !== undefined && duration_minutes !== null &&
+      !(Number.isInteger(duration_minutes) && duration_minutes >= 1 && duration_minutes <= MAX_DURATION_MINUTES)) {
+    return `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`;
+  }
+  if (practice_type !== undefined && !PRACTICE_TYPES.includes(practice_type)) {
+    return `practice_type must be one of: ${PRACTICE_TYPES.join(', ')}`;
+  }
+  if (calm_before !== undefined && calm_before !== null && !isRating(calm_before)) {
+    return 'calm_before must be a whole number from 1 to 5';
+  }
+  if (calm_after !== undefined && calm_after !== null && !isRating(calm_after)) {
+    return 'calm_after must be a whole number from 1 to 5';
+  }
+  if (empty_stomach !== undefined && empty_stomach !== null && typeof empty_stomach !== 'boolean') {
+    return 'empty_stomach must be true or false';
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'notes must be text';
+  }
+  return null;
+};
+
+module.exports = {
+  PRACTICE_TYPES,
+  validateKriyaSession
+};
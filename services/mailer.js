@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * A transport is any object with `send({ to, subject, text, html })` returning a promise.
+ * SMTP is picked up from the environment and is the only built-in transport
+ * allowed in production; the console and file transports are stand-ins for
+ * local development and tests.
+ */
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    // Bodies carry reset and verification tokens, so they stay out of the logs
+    console.log(`📧 Mail to ${message.to}: ${message.subject} (body not logged; set MAIL_TRANSPORT=file to read it)`);
+    return { accepted: [message.to] };
+  }
+};
+
+/**
+ * Create a transport that writes each message to a JSON file
+ * @param {string} directory - Directory to write messages into
+ * @returns {Object} - File transport
+ */
+const createFileTransport = (directory) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { accepted: [message.to], path: filePath };
+  }
+});
+
+/**
+ * Create a transport that sends through an SMTP server
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} - SMTP transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await smtp.sendMail(message);
+      return { accepted: info.accepted, messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * The transport named by MAIL_TRANSPORT, or SMTP whenever SMTP_HOST is set.
+ * Throws in production unless mail can actually be delivered.
+ * @returns {Object} - Mail transport
+ */
+const createDefaultTransport = () => {
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  if (kind === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+    }
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+  if (kind !== 'console' && kind !== 'file') {
+    throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (expected smtp, file or console)`);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`The ${kind} mail transport cannot deliver mail in production; set SMTP_HOST to send through SMTP`);
+  }
+  if (kind === 'file') {
+    return createFileTransport(process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail'));
+  }
+  return consoleTransport;
+};
+
+let transport = null;
+
+/**
+ * Replace the active mail transport
+ * @param {Object} nextTransport - Object with a send(message) method
+ */
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = nextTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+/**
+ * Fail fast at startup when mail is misconfigured instead of on the first
+ * password reset
+ * @returns {string} - Name of the active transport
+ */
+const assertMailConfigured = () => getTransport().name;
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} - Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and subject');
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'HerSphere <no-reply@hersphere.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  consoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createDefaultTransport,
+  setTransport,
+  getTransport,
+  assertMailConfigured,
+  sendMail
+};
@@ -0,0 +1,316 @@
+const { pool } = require('../config/database');
+const { evaluateBadges } = require('./achievementService');
+const { isValidDate, toDateString, addDays } = require('../utils/helpers');
+
+const MAX_WEEKS = 52;
+const MAX_LECTURE_MINUTES = 1000;
+
+const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+const isWeekCount = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_WEEKS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate the week structure, exam and certificate-rule fields of a course
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateCourseFields = (body) => {
+  const {
+    total_weeks, start_date, exam_registered, exam_date, exam_score,
+    best_of, assignment_weight, min_assignment_percent, min_exam_percent
+  } = body;
+
+  if (total_weeks !== undefined && total_weeks !== null && !isWeekCount(total_weeks)) {
+    return `total_weeks must be a whole number from 1 to ${MAX_WEEKS}`;
+  }
+  if (start_date !== undefined && start_date !== null && !isValidDate(start_date)) {
+    return 'start_date must be a YYYY-MM-DD date';
+  }
+  if (exam_registered !== undefined && typeof exam_registered !== 'boolean') {
+    return 'exam_registered must be true or false';
+  }
+  if (exam_date !== undefined && exam_date !== null && !isValidDate(exam_date)) {
+    return 'exam_date must be a YYYY-MM-DD date';
+  }
+  if (exam_score !== undefined && exam_score !== null && !isPercent(exam_score)) {
+    return 'exam_score must be a percentage from 0 to 100';
+  }
+  if (best_of !== undefined && best_of !== null && !isWeekCount(best_of)) {
+    return `best_of must be a whole number from 1 to ${MAX_WEEKS}`;
+  }
+  if (assignment_weight !== undefined && !(typeof assignment_weight === 'number' && assignment_weight > 0 && assignment_weight < 100)) {
+    return 'assignment_weight must be a percentage above 0 and below 100';
+  }
+  if (min_assignment_percent !== undefined && !isPercent(min_assignment_percent)) {
+    return 'min_assignment_percent must be a percentage from 0 to 100';
+  }
+  if (min_exam_percent !== undefined && !isPercent(min_exam_percent)) {
+    return 'min_exam_percent must be a percentage from 0 to 100';
+  }
+  return null;
+};
+
+/**
+ * Validate week fields. With partial, only the fields present are checked.
+ * @param {Object} body - { week_number, title, has_assignment, assignment_due_date, assignment_submitted, assignment_score }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateWeek = (body, partial = false) => {
+  const { week_number, title, has_assignment, assignment_due_date, assignment_submitted, assignment_score } = body;
+
+  if (!partial || week_number !== undefined) {
+    if (!isWeekCount(week_number)) {
+      return `week_number must be a whole number from 1 to ${MAX_WEEKS}`;
+    }
+  }
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.trim().length > 200)) {
+    return 'title must be at most 200 characters';
+  }
+  if (has_assignment !== undefined && typeof has_assignment !== 'boolean') {
+    return 'has_assignment must be true or false';
+  }
+  if (assignment_due_date !== undefined && assignment_due_date !== null && !isValidDate(assignment_due_date)) {
+    return 'assignment_due_date must be a YYYY-MM-DD date';
+  }
+  if (assignment_submitted !== undefined && typeof assignment_submitted !== 'boolean') {
+    return 'assignment_submitted must be true or false';
+  }
+  if (assignment_score !== undefined && assignment_score !== null && !isPercent(assignment_score)) {
+    return 'assignment_score must be a percentage from 0 to 100';
+  }
+  return null;
+};
+
+/**
+ * Validate lecture fields. With partial, only the fields present are checked.
+ * @param {Object} body - { title, duration_minutes, completed, position }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateLecture = (body, partial = false) => {
+  const { title, duration_minutes, completed, position } = body;
+
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > 200) {
+      return 'title is required and must be at most 200 characters';
+    }
+  }
+  if (duration_minutes !== undefined && duration_minutes !== null &&
+      !(Number.isInteger(duration_minutes) && duration_minutes > 0 && duration_minutes <= MAX_LECTURE_MINUTES)) {
+    return `duration_minutes must be a whole number from 1 to ${MAX_LECTURE_MINUTES}`;
+  }
+  if (completed !== undefined && typeof completed !== 'boolean') {
+    return 'completed must be true or false';
+  }
+  if (position !== undefined && !(Number.isInteger(position) && position >= 0)) {
+    return 'position must be a whole number from 0';
+  }
+  return null;
+};
+
+/**
+ * Weekly assignment due dates for a course: each week's assignment is due on
+ * the last day of that week
+ * @param {number} totalWeeks - Number of weeks
+ * @param {string|null} startDate - First day of week 1
+ * @returns {Array} - [{ weekNumber, assignmentDueDate }]
+ */
+const buildWeekSchedule = (totalWeeks, startDate) => Array.from({ length: totalWeeks }, (_, index) => ({
+  weekNumber: index + 1,
+  assignmentDueDate: startDate ? addDays(startDate, (index + 1) * 7 - 1) : null
+}));
+
+/**
+ * Average of the best N scores, counting missing scores as zero
+ */
+const bestOfAverage = (scores, bestOf) => {
+  if (bestOf === 0) return 0;
+  const best = [...scores].sort((a, b) => b - a).slice(0, bestOf);
+  return best.reduce((sum, score) => sum + score, 0) / bestOf;
+};
+
+/**
+ * Work out certificate eligibility. The assignment average is over the best N
+ * of the course's weekly assignments; a scored assignment counts as scored, one
+ * past its due date without a score counts as zero, and the rest are pending.
+ * @param {Object} course - Course row with exam and certificate-rule columns
+ * @param {Array} weeks - The course's weeks
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {Object} - Averages, weighted scores, what is still needed and a status of
+ *   'eligible', 'not_eligible' or 'pending'
+ */
+const calculateEligibility = (course, weeks, today) => {
+  const assignmentWeight = parseFloat(course.assignment_weight || 25);
+  const minAssignment = course.min_assignment_percent === undefined || course.min_assignment_percent === null ?
+    40 : parseFloat(course.min_assignment_percent);
+  const minExam = course.min_exam_percent === undefined || course.min_exam_percent === null ?
+    40 : parseFloat(course.min_exam_percent);
+
+  const assignmentWeeks = weeks.filter(week => week.has_assignment !== false);
+  const totalAssignments = assignmentWeeks.length;
+  const bestOf = Math.min(course.best_of || totalAssignments, totalAssignments);
+
+  const known = [];
+  let pending = 0;
+  assignmentWeeks.forEach(week => {
+    const dueDate = toDateString(week.assignment_due_date);
+    if (week.assignment_score !== null && week.assignment_score !== undefined) {
+      known.push(parseFloat(week.assignment_score));
+    } else if (dueDate && dueDate < today && !week.assignment_submitted) {
+      known.push(0);
+    } else {
+      pending += 1;
+    }
+  });
+
+  const withPending = (score) => [...known, ...Array(pending).fill(score)];
+  const assignmentAverage = totalAssignments > 0 ? bestOfAverage(known, bestOf) : null;
+  const maxAssignmentAverage = totalAssignments > 0 ? bestOfAverage(withPending(100), bestOf) : null;
+  const assignmentMet = assignmentAverage !== null && assignmentAverage >= minAssignment;
+  const assignmentPossible = maxAssignmentAverage !== null && maxAssignmentAverage >= minAssignment;
+
+  // Lowest score on each pending assignment that still reaches the minimum average
+  let neededAssignmentPercent = null;
+  if (assignmentMet) {
+    neededAssignmentPercent = 0;
+  } else if (assignmentPossible && pending > 0) {
+    let low = 0;
+    let high = 100;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (bestOfAverage(withPending(mid), bestOf) >= minAssignment) high = mid;
+      else low = mid;
+    }
+    neededAssignmentPercent = Math.ceil(high * 100) / 100;
+  }
+
+  const examScore = course.exam_score === null || course.exam_score === undefined ? null : parseFloat(course.exam_score);
+  const examMet = examScore !== null && examScore >= minExam;
+  const examDate = toDateString(course.exam_date);
+  const examMissed = examScore === null && Boolean(examDate) && examDate < today && !course.exam_registered;
+
+  const weightedAssignment = assignmentAverage === null ? null : round((assignmentAverage * assignmentWeight) / 100);
+  const weightedExam = examScore === null ? null : round((examScore * (100 - assignmentWeight)) / 100);
+
+  let status = 'pending';
+  if ((totalAssignments > 0 && !assignmentPossible) || (examScore !== null && !examMet) || examMissed) {
+    status = 'not_eligible';
+  } else if (assignmentMet && examMet) {
+    status = 'eligible';
+  }
+
+  return {
+    status,
+    bestOf,
+    totalAssignments,
+    scoredAssignments: known.length,
+    pendingAssignments: pending,
+    assignmentAverage: assignmentAverage === null ? null : round(assignmentAverage),
+    maxAssignmentAverage: maxAssignmentAverage === null ? null : round(maxAssignmentAverage),
+    minAssignmentPercent: minAssignment,
+    assignmentRequirementMet: assignmentMet,
+    neededAssignmentPercent,
+    examRegistered: Boolean(course.exam_registered),
+    examDate,
+    examScore,
+    minExamPercent: minExam,
+    examRequirementMet: examMet,
+    neededExamPercent: examScore === null ? minExam : null,
+    assignmentScore: weightedAssignment,
+    examWeightedScore: weightedExam,
+    finalScore: weightedAssignment !== null && weightedExam !== null ? round(weightedAssignment + weightedExam) : null
+  };
+};
+
+/**
+ * Load the weeks, with their lectures, of several courses in one query
+ * @param {Array} courseIds - Course IDs
+ * @returns {Object} - Weeks keyed by course ID
+ */
+const getCourseWeeks = async (courseIds) => {
+  const weeksByCourse = {};
+  courseIds.forEach(id => {
+    weeksByCourse[id] = [];
+  });
+  if (courseIds.length === 0) return weeksByCourse;
+
+  const result = await pool.query(
+    `SELECT w.*,
+       COALESCE(json_agg(l ORDER BY l.position, l.id) FILTER (WHERE l.id IS NOT NULL), '[]') as lectures
+     FROM nptel_course_weeks w
+     LEFT JOIN nptel_week_lectures l ON l.week_id = w.id
+     WHERE w.course_id = ANY($1)
+     GROUP BY w.id
+     ORDER BY w.course_id, w.week_number`,
+    [courseIds]
+  );
+
+  result.rows.forEach(week => {
+    weeksByCourse[week.course_id].push(week);
+  });
+  return weeksByCourse;
+};
+
+/**
+ * Create weeks 1..totalWeeks for a course, keeping any that already exist
+ * @param {number} courseId - Course ID
+ * @param {number} totalWeeks - Number of weeks
+ * @param {string|null} startDate - First day of week 1, for assignment due dates
+ */
+const createCourseWeeks = async (courseId, totalWeeks, startDate) => {
+  const schedule = buildWeekSchedule(totalWeeks, startDate);
+  await pool.query(
+    `INSERT INTO nptel_course_weeks (course_id, week_number, assignment_due_date)
+     SELECT $1, week_number, due_date FROM unnest($2::INTEGER[], $3::DATE[]) AS w(week_number, due_date)
+     ON CONFLICT (course_id, week_number) DO NOTHING`,
+    [courseId, schedule.map(week => week.weekNumber), schedule.map(week => week.assignmentDueDate)]
+  );
+};
+
+/**
+ * Recompute a course's progress from its completed lectures, submitted weekly
+ * assignments and completed tasks. Finishing a course can earn a badge.
+ * @param {number} courseId - Course ID
+ * @returns {number} - Progress percentage
+ */
+const recalculateCourseProgress = async (courseId) => {
+  const result = await pool.query(
+    `WITH items AS (
+       SELECT l.completed as done
+       FROM nptel_week_lectures l JOIN nptel_course_weeks w ON w.id = l.week_id
+       WHERE w.course_id = $1
+       UNION ALL
+       SELECT (w.assignment_submitted OR w.assignment_score IS NOT NULL)
+       FROM nptel_course_weeks w WHERE w.course_id = $1 AND w.has_assignment
+       UNION ALL
+       SELECT t.completed FROM nptel_course_tasks t WHERE t.course_id = $1
+     )
+     UPDATE nptel_courses SET
+       progress = COALESCE((SELECT ROUND(100.0 * COUNT(*) FILTER (WHERE done) / NULLIF(COUNT(*), 0)) FROM items), 0),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING progress, user_id`,
+    [courseId]
+  );
+  if (result.rows.length === 0) return 0;
+
+  const { progress, user_id: userId } = result.rows[0];
+  if (progress >= 100) {
+    await evaluateBadges(userId);
+  }
+  return progress;
+};
+
+module.exports = {
+  validateCourseFields,
+  validateWeek,
+  validateLecture,
+  buildWeekSchedule,
+  calculateEligibility,
+  getCourseWeeks,
+  createCourseWeeks,
+  recalculateCourseProgress
+};
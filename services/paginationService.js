@@ -0,0 +1,179 @@
+const { isValidDate, toDateString } = require('../utils/helpers');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Timestamp cursors carry the column's exact value, down to the microsecond
+const CURSOR_FORMATS = {
+  timestamp: {
+    select: (column) => `to_char(${column}, 'YYYY-MM-DD"T"HH24:MI:SS.US')`,
+    pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/
+  },
+  timestamptz: {
+    select: (column) => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`,
+    pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}Z$/
+  }
+};
+
+const listQueryError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_LIST_QUERY';
+  error.status = 400;
+  return error;
+};
+
+const isValidTimestampCursor = (value, type) =>
+  CURSOR_FORMATS[type].pattern.test(value) && !isNaN(Date.parse(`${value.slice(0, 19)}Z`));
+
+// Cursor values are kept as YYYY-MM-DD for DATE columns. Timestamps are
+// formatted by Postgres (see cursorColumn), since a JS Date drops microseconds
+const toCursorValue = (row, column, type) => {
+  if (type === 'date') return toDateString(row[column]);
+  if (row.list_cursor === undefined) {
+    throw new Error('Timestamp lists must select the cursorColumn from buildListClauses');
+  }
+  return row.list_cursor;
+};
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor, type) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+  const [value, id] = decoded;
+  if (!Number.isInteger(id) || id < 1 || typeof value !== 'string') return null;
+  if (type === 'date' ? !isValidDate(value) : !isValidTimestampCursor(value, type)) return null;
+  return { value, id };
+};
+
+/**
+ * Parse the shared list query parameters: limit, sort, cursor, start_date and end_date
+ * @param {Object} query - req.query
+ * @param {Object} options - { column, type: 'date' | 'timestamp' | 'timestamptz', defaultSort, idColumn }
+ * @returns {Object} - The parsed list query, passed on to buildListClauses and buildPage
+ * @throws {Error} - INVALID_LIST_QUERY when a parameter is malformed
+ */
+const parseListQuery = (query, { column, type = 'date', defaultSort = 'desc', idColumn = 'id' }) => {
+  const { limit, sort, cursor, start_date, end_date } = query;
+
+  if (type !== 'date' && !CURSOR_FORMATS[type]) {
+    throw new Error(`Unknown list column type: ${type}`);
+  }
+
+  let parsedLimit = DEFAULT_LIMIT;
+  if (limit !== undefined) {
+    parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+      throw listQueryError(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (sort !== undefined && !SORT_ORDERS.includes(sort)) {
+    throw listQueryError(`sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  if (start_date !== undefined && !isValidDate(start_date)) {
+    throw listQueryError('start_date must be a YYYY-MM-DD date');
+  }
+  if (end_date !== undefined && !isValidDate(end_date)) {
+    throw listQueryError('end_date must be a YYYY-MM-DD date');
+  }
+  if (start_date && end_date && end_date < start_date) {
+    throw listQueryError('end_date must not be before start_date');
+  }
+
+  let after = null;
+  if (cursor !== undefined) {
+    after = decodeCursor(String(cursor), type);
+    if (!after) throw listQueryError('cursor is not valid');
+  }
+
+  return {
+    column,
+    type,
+    idColumn,
+    limit: parsedLimit,
+    sort: sort || defaultSort,
+    after,
+    startDate: start_date || null,
+    endDate: end_date || null
+  };
+};
+
+/**
+ * Build the date range, cursor, ordering and limit clauses for a list query.
+ * Ties on the sort column are broken by id so pages never overlap. Timestamp
+ * lists must also select cursorColumn, the exact sort value for the cursor.
+ * @param {Object} list - From parseListQuery
+ * @param {Array} params - Query params, appended to in place
+ * @returns {Object} - { conditions: ' AND ...' or '', orderBy: 'ORDER BY ... LIMIT n', cursorColumn: ', ... AS list_cursor' or '' }
+ */
+const buildListClauses = (list, params) => {
+  const { column, type, idColumn, sort, after, startDate, endDate, limit } = list;
+  const conditions = [];
+
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`${column} >= $${params.length}${type === 'date' ? '' : '::date'}`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    // Timestamps run up to the end of the last day
+    conditions.push(type === 'date'
+      ? `${column} <= $${params.length}`
+      : `${column} < $${params.length}::date + 1`);
+  }
+  if (after) {
+    params.push(after.value, after.id);
+    const value = `$${params.length - 1}${type === 'date' ? '' : `::${type}`}`;
+    conditions.push(`(${column}, ${idColumn}) ${sort === 'desc' ? '<' : '>'} (${value}, $${params.length})`);
+  }
+
+  const direction = sort.toUpperCase();
+  return {
+    conditions: conditions.map(condition => ` AND ${condition}`).join(''),
+    // One extra row tells us whether there is another page
+    orderBy: `ORDER BY ${column} ${direction}, ${idColumn} ${direction} LIMIT ${limit + 1}`,
+    cursorColumn: type === 'date' ? '' : `, ${CURSOR_FORMATS[type].select(column)} AS list_cursor`
+  };
+};
+
+/**
+ * Trim the extra row fetched by buildListClauses and describe the next page
+ * @param {Object} list - From parseListQuery
+ * @param {Array} rows - Query result rows, at most limit + 1
+ * @returns {Object} - { items, pagination: { limit, sort, hasMore, nextCursor } }
+ */
+const buildPage = (list, rows) => {
+  const hasMore = rows.length > list.limit;
+  const page = hasMore ? rows.slice(0, list.limit) : rows;
+  const last = page[page.length - 1];
+  // Rows carry the sort column without its table alias
+  const nextCursor = hasMore ? encodeCursor(toCursorValue(last, list.column.split('.').pop(), list.type), last.id) : null;
+
+  return {
+    // list_cursor only exists to build the cursor
+    items: list.type === 'date' ? page : page.map(({ list_cursor, ...item }) => item),
+    pagination: {
+      limit: list.limit,
+      sort: list.sort,
+      hasMore,
+      nextCursor
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  buildListClauses,
+  buildPage
+};
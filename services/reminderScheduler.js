@@ -0,0 +1,263 @@
+const { pool } = require('../config/database');
+const AnalyticsService = require('./analyticsService');
+const { createInboxItem } = require('./inboxService');
+const { processAssignmentReminders } = require('./assignmentService');
+const { addDays, resolveTimezone, getZonedParts, zonedTimeToUtc } = require('../utils/helpers');
+
+const REMINDER_FREQUENCIES = ['daily', 'weekdays', 'weekends', 'weekly'];
+const DEFAULT_REMINDER_TIME = '09:00';
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+let isProcessing = false;
+
+/**
+ * Parse a reminder time ('HH:MM' or 'HH:MM:SS') into minutes after midnight
+ * @param {string} time - Reminder time
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+const parseReminderTime = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/.exec(time || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+/**
+ * Check whether a reminder fires on a given local weekday
+ * @param {Object} reminder - Reminder row with frequency and day_of_week
+ * @param {number} weekday - Local weekday (0 = Sunday)
+ * @returns {boolean} - Whether the reminder is scheduled that day
+ */
+const isScheduledOn = (reminder, weekday) => {
+  switch (reminder.frequency) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return weekday >= 1 && weekday <= 5;
+    case 'weekends':
+      return weekday === 0 || weekday === 6;
+    case 'weekly':
+      return reminder.day_of_week !== null && reminder.day_of_week !== undefined && parseInt(reminder.day_of_week) === weekday;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Work out whether a reminder is due at an instant in the user's timezone.
+ * A reminder stays due for the rest of its local day, so missed ticks catch up.
+ * @param {Object} reminder - Reminder row with frequency, time, day_of_week and last_period_key
+ * @param {string} timezone - User's IANA timezone
+ * @param {Date} now - Current instant
+ * @returns {Object|null} - { periodKey, scheduledFor } or null if not due
+ */
+const getDueOccurrence = (reminder, timezone, now = new Date()) => {
+  const zone = resolveTimezone(timezone);
+  const local = getZonedParts(now, zone);
+  const reminderMinutes = parseReminderTime(reminder.time) ?? parseReminderTime(DEFAULT_REMINDER_TIME);
+
+  if (!isScheduledOn(reminder, local.weekday) || local.minutes < reminderMinutes) {
+    return null;
+  }
+
+  if (reminder.last_period_key && reminder.last_period_key >= local.date) {
+    return null;
+  }
+
+  return {
+    periodKey: local.date,
+    scheduledFor: zonedTimeToUtc(local.date, reminderMinutes, zone)
+  };
+};
+
+const buildReminderMessage = (reminder) => {
+  if (reminder.message) return reminder.message;
+  const goalName = reminder.description || reminder.metric.replace(/_/g, ' ');
+  return `Time to work on your goal: ${goalName}`;
+};
+
+const ACTIVE_REMINDERS_QUERY = `
+  SELECT r.*, g.type, g.metric, g.target, g.description, g.created_at AS goal_created_at,
+         COALESCE(p.timezone, 'UTC') AS timezone,
+         (SELECT MAX(d.period_key) FROM goal_reminder_deliveries d WHERE d.reminder_id = r.id) AS last_period_key
+  FROM goal_reminders r
+  JOIN user_goals g ON g.id = r.goal_id
+  LEFT JOIN user_profiles p ON p.user_id = r.user_id
+  WHERE r.enabled = true AND g.status = 'active'
+`;
+
+/**
+ * Evaluate every enabled reminder and record a delivery for each one that is due.
+ * Reminders whose goal is already met are recorded as skipped instead.
+ * @param {Date} now - Current instant
+ * @param {AnalyticsService} analyticsService - Used to check goal progress
+ * @returns {Object} - Counts of delivered, skipped and failed reminders
+ */
+const processDueReminders = async (now = new Date(), analyticsService = new AnalyticsService()) => {
+  const result = { delivered: 0, skipped: 0, failed: 0 };
+  const reminders = await pool.query(ACTIVE_REMINDERS_QUERY);
+
+  for (const reminder of reminders.rows) {
+    const occurrence = getDueOccurrence(reminder, reminder.timezone, now);
+    if (!occurrence) continue;
+
+    try {
+      const { progress } = await analyticsService.calculateDetailedGoalProgress(reminder.user_id, {
+        id: reminder.goal_id,
+        type: reminder.type,
+        metric: reminder.metric,
+        target: reminder.target,
+        created_at: reminder.goal_created_at
+      });
+      const status = progress >= 100 ? 'skipped' : 'delivered';
+
+      // The unique (reminder_id, period_key) key makes concurrent runs deliver at most once
+      const insertResult = await pool.query(
+        `INSERT INTO goal_reminder_deliveries (reminder_id, user_id, goal_id, period_key, scheduled_for, status, title, message, progress)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (reminder_id, period_key) DO NOTHING
+         RETURNING id`,
+        [
+          reminder.id,
+          reminder.user_id,
+          reminder.goal_id,
+          occurrence.periodKey,
+          occurrence.scheduledFor,
+          status,
+          'Goal reminder',
+          buildReminderMessage(reminder),
+          progress
+        ]
+      );
+
+      if (insertResult.rows.length === 0) continue;
+
+      if (status === 'delivered') {
+        await createInboxItem(reminder.user_id, {
+          type: 'reminder',
+          title: 'Goal reminder',
+          message: buildReminderMessage(reminder),
+          data: { reminderId: reminder.id, goalId: reminder.goal_id, deliveryId: insertResult.rows[0].id, progress },
+          dedupeKey: `reminder:${reminder.id}:${occurrence.periodKey}`
+        });
+      }
+      result[status] += 1;
+    } catch (error) {
+      console.error(`Reminder ${reminder.id} processing error:`, error);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get a user's upcoming reminder occurrences and past deliveries
+ * @param {number} userId - User ID
+ * @param {Object} options - { days: upcoming window in days, limit: max past deliveries }
+ * @param {Date} now - Current instant
+ * @returns {Object} - { upcoming, past }
+ */
+const getReminderDeliveries = async (userId, { days = 7, limit = 50 } = {}, now = new Date()) => {
+  const [reminders, past] = await Promise.all([
+    pool.query(`${ACTIVE_REMINDERS_QUERY} AND r.user_id = $1`, [userId]),
+    pool.query(
+      `SELECT d.id, d.reminder_id, d.goal_id, d.period_key, d.scheduled_for, d.status, d.title, d.message,
+              d.progress, d.created_at, g.metric, g.description AS goal_description,
+              i.id AS inbox_notification_id, i.read_at
+       FROM goal_reminder_deliveries d
+       JOIN user_goals g ON g.id = d.goal_id
+       LEFT JOIN inbox_notifications i
+         ON i.user_id = d.user_id AND i.dedupe_key = 'reminder:' || d.reminder_id || ':' || d.period_key
+       WHERE d.user_id = $1
+       ORDER BY d.scheduled_for DESC
+       LIMIT $2`,
+      [userId, limit]
+    )
+  ]);
+
+  const upcoming = [];
+  reminders.rows.forEach(reminder => {
+    const zone = resolveTimezone(reminder.timezone);
+    const today = getZonedParts(now, zone).date;
+    const reminderMinutes = parseReminderTime(reminder.time) ?? parseReminderTime(DEFAULT_REMINDER_TIME);
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = addDays(today, offset);
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      if (!isScheduledOn(reminder, weekday)) continue;
+      if (reminder.last_period_key && reminder.last_period_key >= date) continue;
+
+      const scheduledFor = zonedTimeToUtc(date, reminderMinutes, zone);
+      if (scheduledFor <= now) continue;
+
+      upcoming.push({
+        reminderId: reminder.id,
+        goalId: reminder.goal_id,
+        metric: reminder.metric,
+        goalDescription: reminder.description,
+        frequency: reminder.frequency,
+        timezone: zone,
+        periodKey: date,
+        scheduledFor: scheduledFor.toISOString(),
+        message: buildReminderMessage(reminder)
+      });
+    }
+  });
+
+  upcoming.sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+
+  return { upcoming, past: past.rows };
+};
+
+/**
+ * Start evaluating reminders on an interval (long-running server only;
+ * serverless deployments use the /cron/reminders endpoint instead)
+ * @param {number} intervalMs - Tick interval in milliseconds
+ */
+const startReminderScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  if (schedulerTimer) return;
+
+  const analyticsService = new AnalyticsService();
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (isProcessing) return;
+    isProcessing = true;
+    try {
+      const result = await processDueReminders(new Date(), analyticsService);
+      if (result.delivered || result.skipped || result.failed) {
+        console.log(`⏰ Reminders processed: ${result.delivered} delivered, ${result.skipped} skipped, ${result.failed} failed`);
+      }
+
+      const assignments = await processAssignmentReminders(new Date());
+      if (assignments.delivered || assignments.failed) {
+        console.log(`⏰ Assignment reminders processed: ${assignments.delivered} delivered, ${assignments.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    } finally {
+      isProcessing = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, intervalMs);
+  schedulerTimer.unref();
+  tick();
+};
+
+const stopReminderScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  REMINDER_FREQUENCIES,
+  parseReminderTime,
+  isScheduledOn,
+  getDueOccurrence,
+  processDueReminders,
+  getReminderDeliveries,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const getAccessTokenExpiry = () => process.env.JWT_EXPIRES_IN || '15m';
+const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const sessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 401;
+  return error;
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {string} - Signed JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpiry()
+  });
+};
+
+const buildTokenResponse = (userId, sessionId, refreshToken) => ({
+  token: generateAccessToken(userId, sessionId),
+  refreshToken,
+  expiresIn: getAccessTokenExpiry(),
+  sessionId
+});
+
+/**
+ * Start a new device session and issue its first token pair
+ * @param {number} userId - User ID
+ * @param {Object} device - { deviceName, userAgent, ipAddress }
+ * @returns {Object} - { token, refreshToken, expiresIn, sessionId }
+ */
+const createSession = async (userId, { deviceName = null, userAgent = null, ipAddress = null } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  // Session and first refresh token are created in one statement
+  const result = await pool.query(
+    `WITH session AS (
+       INSERT INTO user_sessions (user_id, device_name, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id
+     )
+     INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     SELECT id, $6, $5 FROM session
+     RETURNING session_id`,
+    [userId, deviceName || userAgent, userAgent, ipAddress, expiresAt, hashToken(refreshToken)]
+  );
+
+  return buildTokenResponse(userId, result.rows[0].session_id, refreshToken);
+};
+
+/**
+ * Revoke a session so its access and refresh tokens stop working
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked
+ * @param {number} [userId] - Restrict to sessions owned by this user
+ * @returns {boolean} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL AND ($3::INTEGER IS NULL OR user_id = $3)
+     RETURNING id`,
+    [sessionId, reason, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke every active session for a user, optionally keeping one
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {number} [exceptSessionId] - Session to keep (usually the current one)
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::INTEGER IS NULL OR id <> $3)`,
+    [userId, reason, exceptSessionId]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Each refresh token works once;
+ * presenting a used one means it was stolen or replayed, so the whole session
+ * is revoked.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} device - { userAgent, ipAddress }
+ * @returns {Object} - { token, refreshToken, expiresIn, sessionId }
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent = null, ipAddress = null } = {}) => {
+  const result = await pool.query(
+    `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at, s.user_id, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON s.id = rt.session_id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken || '')]
+  );
+
+  if (result.rows.length === 0) {
+    throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    throw sessionError('SESSION_REVOKED', 'Session has been revoked');
+  }
+
+  if (stored.used_at) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token reuse detected; session revoked');
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw sessionError('REFRESH_TOKEN_EXPIRED', 'Refresh token expired');
+  }
+
+  // Claim the token; losing this race to a concurrent request is also reuse
+  const claim = await pool.query(
+    'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING id',
+    [stored.id]
+  );
+
+  if (claim.rows.length === 0) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token reuse detected; session revoked');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  await pool.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [stored.session_id, hashToken(nextRefreshToken), expiresAt]
+  );
+
+  await pool.query(
+    `UPDATE user_sessions
+     SET last_used_at = CURRENT_TIMESTAMP, expires_at = $2,
+         user_agent = COALESCE($3, user_agent), ip_address = COALESCE($4, ip_address)
+     WHERE id = $1`,
+    [stored.session_id, expiresAt, userAgent, ipAddress]
+  );
+
+  return buildTokenResponse(stored.user_id, stored.session_id, nextRefreshToken);
+};
+
+/**
+ * List a user's active sessions
+ * @param {number} userId - User ID
+ * @param {number} currentSessionId - Session making the request
+ * @returns {Array} - Sessions, flagged with `current`
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const result = await pool.query(
+    `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map(session => ({
+    ...session,
+    current: session.id === currentSessionId
+  }));
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
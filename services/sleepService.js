@@ -0,0 +1,317 @@
+const { pool } = require('../config/database');
+const { toDateString, addDays, round1, mean, standardDeviation } = require('../utils/helpers');
+const { setSessionSleepHours } = require('./studySleepService');
+
+// Used until the user sets a sleep target on their profile
+const DEFAULT_SLEEP_TARGET_HOURS = 8;
+
+// Sleep debt is the shortfall against the target over this many days
+const SLEEP_DEBT_WINDOW_DAYS = 14;
+
+// A short session that starts in the daytime is treated as a nap unless told otherwise
+const NAP_MAX_MINUTES = 180;
+const NAP_EARLIEST_START = 10 * 60;
+const NAP_LATEST_START = 20 * 60;
+
+// Bed/wake time spread (standard deviation) that scores 0 for consistency
+const INCONSISTENT_SPREAD_MINUTES = 120;
+
+// Nights needed on both work days and free days before social jetlag is reported
+const MIN_NIGHTS_PER_GROUP = 2;
+
+const MAX_AWAKENINGS = 50;
+const MAX_SESSION_HOURS = 24;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Bedtimes straddle midnight, so they are averaged as minutes after noon
+const toNoonAxis = (minutes) => (minutes + MINUTES_PER_DAY / 2) % MINUTES_PER_DAY;
+const fromNoonAxis = (minutes) => (Math.round(minutes) + MINUTES_PER_DAY / 2) % MINUTES_PER_DAY;
+
+const formatClock = (minutes) => {
+  const normalized = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+};
+
+const isFreeDay = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday === 0 || weekday === 6;
+};
+
+/**
+ * Decide whether a session is a nap when the user didn't say
+ * @param {number} durationMinutes - Session length
+ * @param {number} startMinutes - Local minute of day the session started
+ * @returns {boolean} - Whether the session looks like a nap
+ */
+const isLikelyNap = (durationMinutes, startMinutes) =>
+  durationMinutes <= NAP_MAX_MINUTES && startMinutes >= NAP_EARLIEST_START && startMinutes < NAP_LATEST_START;
+
+/**
+ * Validate sleep session fields. Only fields that are present are checked.
+ * @param {Object} fields - Request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateSleepSession = ({ sleep_start, sleep_end, quality, awakenings }) => {
+  const start = new Date(sleep_start);
+  const end = new Date(sleep_end);
+
+  if (!sleep_start || !sleep_end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return 'sleep_start and sleep_end must be valid timestamps';
+  }
+  if (end <= start) {
+    return 'sleep_end must be after sleep_start';
+  }
+  if (end - start > MAX_SESSION_HOURS * 60 * 60 * 1000) {
+    return `A sleep session can't be longer than ${MAX_SESSION_HOURS} hours`;
+  }
+  if (end > new Date(Date.now() + 60 * 60 * 1000)) {
+    return "sleep_end can't be in the future";
+  }
+  if (quality !== undefined && quality !== null && !(Number.isInteger(Number(quality)) && quality >= 1 && quality <= 5)) {
+    return 'Quality must be a whole number from 1 to 5';
+  }
+  if (awakenings !== undefined && awakenings !== null && !(Number.isInteger(Number(awakenings)) && awakenings >= 0 && awakenings <= MAX_AWAKENINGS)) {
+    return `Awakenings must be a whole number from 0 to ${MAX_AWAKENINGS}`;
+  }
+  return null;
+};
+
+/**
+ * Average and spread (standard deviation) of a set of clock times
+ * @param {Array} minutes - Local minutes of day
+ * @param {boolean} aroundMidnight - Average on a noon-to-noon axis, for times that straddle midnight
+ * @returns {Object} - { average: 'HH:MM', variabilityMinutes }
+ */
+const summarizeClockTimes = (minutes, aroundMidnight) => {
+  if (minutes.length === 0) {
+    return { average: null, variabilityMinutes: null };
+  }
+  const values = aroundMidnight ? minutes.map(toNoonAxis) : minutes;
+  const average = mean(values);
+  return {
+    average: formatClock(aroundMidnight ? fromNoonAxis(average) : average),
+    variabilityMinutes: values.length >= 2 ? Math.round(standardDeviation(values)) : null
+  };
+};
+
+/**
+ * Analyse sleep sessions and daily sleep totals
+ * @param {Object} input - Sleep data
+ * @param {Array} input.sessions - Sessions with date, is_nap, quality, awakenings,
+ *   duration_minutes and local bedtime_minutes / wake_minutes
+ * @param {Array} input.dailyHours - { date, hours } daily totals (includes days logged without sessions)
+ * @param {number} input.targetHours - Nightly sleep target
+ * @param {Date|string} input.today - Reference date for the sleep debt window
+ * @returns {Object} - Durations, timing consistency, social jetlag and sleep debt
+ */
+const analyzeSleep = ({ sessions = [], dailyHours = [], targetHours = DEFAULT_SLEEP_TARGET_HOURS, today = new Date() }) => {
+  const target = parseFloat(targetHours) || DEFAULT_SLEEP_TARGET_HOURS;
+  const todayString = toDateString(today);
+
+  const hoursByDate = {};
+  dailyHours.forEach(row => {
+    if (row.hours !== null && row.hours !== undefined) {
+      hoursByDate[toDateString(row.date)] = parseFloat(row.hours);
+    }
+  });
+
+  // Per-day session details. The longest main sleep of a day sets its bed and wake time.
+  const days = {};
+  sessions.forEach(session => {
+    const date = toDateString(session.date);
+    const day = days[date] || (days[date] = { sessionMinutes: 0, napMinutes: 0, mainSleep: null, qualities: [], awakenings: null });
+    const minutes = Number(session.duration_minutes);
+
+    day.sessionMinutes += minutes;
+    if (session.is_nap) {
+      day.napMinutes += minutes;
+    } else if (!day.mainSleep || minutes > Number(day.mainSleep.duration_minutes)) {
+      day.mainSleep = session;
+    }
+    if (session.quality) day.qualities.push(Number(session.quality));
+    if (session.awakenings !== null && session.awakenings !== undefined) {
+      day.awakenings = (day.awakenings || 0) + Number(session.awakenings);
+    }
+  });
+
+  // Sessions are synced into the daily totals, but fall back to them if a total is missing
+  Object.keys(days).forEach(date => {
+    if (!(date in hoursByDate)) {
+      hoursByDate[date] = round1(days[date].sessionMinutes / 60);
+    }
+  });
+
+  const dates = Object.keys(hoursByDate).sort();
+
+  // Rolling debt: shortfall (less any surplus) over the window, counting only days with data
+  const debtOn = (date) => {
+    const windowStart = addDays(date, -(SLEEP_DEBT_WINDOW_DAYS - 1));
+    const windowDates = dates.filter(d => d >= windowStart && d <= date);
+    const shortfall = windowDates.reduce((sum, d) => sum + (target - hoursByDate[d]), 0);
+    return { hours: round1(Math.max(0, shortfall)), nightsCounted: windowDates.length };
+  };
+
+  const daily = dates.map(date => {
+    const day = days[date];
+    const main = day && day.mainSleep;
+    return {
+      date,
+      hours: hoursByDate[date],
+      napMinutes: day ? day.napMinutes : 0,
+      quality: day && day.qualities.length > 0 ? round1(mean(day.qualities)) : null,
+      awakenings: day ? day.awakenings : null,
+      bedtime: main ? formatClock(main.bedtime_minutes) : null,
+      wakeTime: main ? formatClock(main.wake_minutes) : null,
+      sleepDebt: debtOn(date).hours
+    };
+  });
+
+  const mainSleeps = Object.keys(days).sort()
+    .filter(date => days[date].mainSleep)
+    .map(date => ({ date, ...days[date].mainSleep }));
+  const bedtime = summarizeClockTimes(mainSleeps.map(s => Number(s.bedtime_minutes)), true);
+  const wakeTime = summarizeClockTimes(mainSleeps.map(s => Number(s.wake_minutes)), false);
+
+  const consistencyScore = mainSleeps.length >= 2 ?
+    Math.max(0, Math.round(100 - ((bedtime.variabilityMinutes + wakeTime.variabilityMinutes) / 2 / INCONSISTENT_SPREAD_MINUTES) * 100)) :
+    null;
+
+  // Social jetlag: shift in mid-sleep between work days and free days (nights before Sat/Sun)
+  const midSleep = (s) => toNoonAxis(Number(s.bedtime_minutes) + Number(s.duration_minutes) / 2);
+  const freeNights = mainSleeps.filter(s => isFreeDay(s.date)).map(midSleep);
+  const workNights = mainSleeps.filter(s => !isFreeDay(s.date)).map(midSleep);
+  const socialJetlag = freeNights.length >= MIN_NIGHTS_PER_GROUP && workNights.length >= MIN_NIGHTS_PER_GROUP ? {
+    minutes: Math.round(Math.abs(mean(freeNights) - mean(workNights))),
+    workdayMidSleep: formatClock(fromNoonAxis(mean(workNights))),
+    freeDayMidSleep: formatClock(fromNoonAxis(mean(freeNights)))
+  } : null;
+
+  const allSessions = Object.values(days);
+  const napCount = sessions.filter(s => s.is_nap).length;
+  const napMinutes = allSessions.reduce((sum, day) => sum + day.napMinutes, 0);
+  const qualities = allSessions.reduce((all, day) => all.concat(day.qualities), []);
+  const awakenings = allSessions.filter(day => day.awakenings !== null).map(day => day.awakenings);
+  const hours = dates.map(date => hoursByDate[date]);
+  const currentDebt = debtOn(todayString);
+
+  return {
+    targetHours: target,
+    daily,
+    nightsLogged: dates.length,
+    averageHours: hours.length > 0 ? round1(mean(hours)) : 0,
+    nightsBelowTarget: hours.filter(h => h < target).length,
+    averageQuality: qualities.length > 0 ? round1(mean(qualities)) : null,
+    averageAwakenings: awakenings.length > 0 ? round1(mean(awakenings)) : null,
+    naps: {
+      count: napCount,
+      totalMinutes: napMinutes,
+      averageMinutes: napCount > 0 ? Math.round(napMinutes / napCount) : 0
+    },
+    bedtime,
+    wakeTime,
+    consistencyScore,
+    socialJetlag,
+    sleepDebt: {
+      hours: currentDebt.hours,
+      windowDays: SLEEP_DEBT_WINDOW_DAYS,
+      nightsCounted: currentDebt.nightsCounted
+    }
+  };
+};
+
+/**
+ * Get a user's timezone and nightly sleep target
+ * @param {number} userId - User ID
+ * @returns {Object} - { timezone, targetHours }
+ */
+const getSleepSettings = async (userId) => {
+  const result = await pool.query('SELECT timezone, sleep_target_hours FROM user_profiles WHERE user_id = $1', [userId]);
+  const profile = result.rows[0] || {};
+  return {
+    timezone: profile.timezone || 'UTC',
+    targetHours: profile.sleep_target_hours ? parseFloat(profile.sleep_target_hours) : DEFAULT_SLEEP_TARGET_HOURS
+  };
+};
+
+/**
+ * Load a user's sleep sessions and daily totals since a date and analyse them.
+ * Bed and wake times are converted to the user's timezone in the query.
+ * @param {number} userId - User ID
+ * @param {Date|string} startDate - First date to include
+ * @param {Date} today - Reference date
+ * @returns {Object} - Sleep analysis plus the sessions
+ */
+const getSleepOverview = async (userId, startDate, today = new Date()) => {
+  // The debt window may reach further back than the requested range
+  const debtStart = addDays(toDateString(today), -(SLEEP_DEBT_WINDOW_DAYS - 1));
+  const rangeStart = toDateString(startDate);
+  const earliest = debtStart < rangeStart ? debtStart : rangeStart;
+
+  const [settings, sessions, dailyHours] = await Promise.all([
+    getSleepSettings(userId),
+    pool.query(
+      `SELECT s.id, s.date, s.sleep_start, s.sleep_end, s.is_nap, s.quality, s.awakenings, s.notes,
+        ROUND(EXTRACT(EPOCH FROM (s.sleep_end - s.sleep_start)) / 60)::INTEGER as duration_minutes,
+        (EXTRACT(HOUR FROM s.sleep_start AT TIME ZONE COALESCE(p.timezone, 'UTC')) * 60 +
+          EXTRACT(MINUTE FROM s.sleep_start AT TIME ZONE COALESCE(p.timezone, 'UTC')))::INTEGER as bedtime_minutes,
+        (EXTRACT(HOUR FROM s.sleep_end AT TIME ZONE COALESCE(p.timezone, 'UTC')) * 60 +
+          EXTRACT(MINUTE FROM s.sleep_end AT TIME ZONE COALESCE(p.timezone, 'UTC')))::INTEGER as wake_minutes
+      FROM sleep_sessions s
+      LEFT JOIN user_profiles p ON p.user_id = s.user_id
+      WHERE s.user_id = $1 AND s.date >= $2
+      ORDER BY s.sleep_start ASC`,
+      [userId, earliest]
+    ),
+    pool.query(
+      'SELECT date, sleep_hours as hours FROM study_sleep_logs WHERE user_id = $1 AND date >= $2 AND sleep_hours IS NOT NULL ORDER BY date ASC',
+      [userId, earliest]
+    )
+  ]);
+
+  const analysis = analyzeSleep({
+    sessions: sessions.rows,
+    dailyHours: dailyHours.rows,
+    targetHours: settings.targetHours,
+    today
+  });
+
+  // The debt window rows were only needed for the debt figures
+  const inRange = (row) => toDateString(row.date) >= rangeStart;
+  return {
+    ...analysis,
+    daily: analysis.daily.filter(inRange),
+    sessions: sessions.rows.filter(inRange).reverse()
+  };
+};
+
+/**
+ * Copy the total sleep of a day's sessions into study_sleep_logs, so readers of
+ * daily sleep hours (the journal, /logs, education) see it. Hours the user
+ * logged by hand for that day are left alone.
+ * @param {number} userId - User ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} - The day's sleep hours, or null when none are logged
+ */
+const syncDailySleepHours = async (userId, date) => {
+  const result = await pool.query(
+    'SELECT SUM(EXTRACT(EPOCH FROM (sleep_end - sleep_start))) / 3600 as hours FROM sleep_sessions WHERE user_id = $1 AND date = $2',
+    [userId, date]
+  );
+
+  const hours = result.rows[0].hours ? Math.min(round1(parseFloat(result.rows[0].hours)), MAX_SESSION_HOURS) : null;
+  return setSessionSleepHours(userId, date, hours);
+};
+
+module.exports = {
+  DEFAULT_SLEEP_TARGET_HOURS,
+  SLEEP_DEBT_WINDOW_DAYS,
+  isLikelyNap,
+  validateSleepSession,
+  summarizeClockTimes,
+  analyzeSleep,
+  getSleepSettings,
+  getSleepOverview,
+  syncDailySleepHours
+};
@@ -1,181 +1,248 @@
 const { pool } = require('../config/database');
+const { createInboxItem } = require('./inboxService');
+const { addDays, getUserLocalDate } = require('../utils/helpers');
+const { evaluateBadges } = require('./achievementService');
+const { parseHabitKey, isScheduledOn } = require('./habitService');
+
+// Streak lengths (in days) that earn an inbox notification
+const STREAK_MILESTONES = [3, 7, 14, 30, 50, 100, 200, 365];
+
+// Days with at least one row count towards the streak
+const ACTIVITY_SOURCES = {
+  water: 'SELECT DISTINCT date::text AS date FROM water_intake_entries WHERE user_id = $1',
+  exercise: 'SELECT DISTINCT date::text AS date FROM exercise_tracker WHERE user_id = $1',
+  kriya: 'SELECT DISTINCT date::text AS date FROM shambhavi_kriya WHERE user_id = $1',
+  typing: 'SELECT DISTINCT date::text AS date FROM typing_practice WHERE user_id = $1 AND completed = true'
+};
+const STREAK_ACTIVITY_TYPES = Object.keys(ACTIVITY_SOURCES);
+// Custom habits ('habit:<id>') count days whose check-in met the target
+const HABIT_ACTIVITY_SOURCE =
+  'SELECT DISTINCT date::text AS date FROM habit_checkins WHERE user_id = $1 AND habit_id = $2 AND completed = true';
+
+const MAX_GRACE_DAYS = 3;
+// A freeze is earned every FREEZE_EARN_DAYS days of a streak, up to MAX_FREEZES banked
+const FREEZE_EARN_DAYS = 7;
+const MAX_FREEZES = 2;
 
 /**
- * Update user streak for a specific activity
- * @param {number} userId - User ID
- * @param {string} activityType - Type of activity ('typing', 'kriya', 'water', 'exercise')
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {boolean} completed - Whether the activity was completed
- * @returns {Object} - Updated streak information
+ * Whether a streak can be kept for an activity type: a built-in tracker or a
+ * custom habit
+ * @param {string} activityType - Activity type
+ * @returns {boolean}
  */
-const updateUserStreak = async (userId, activityType, date, completed) => {
-  try {
-    const activityDate = new Date(date);
-    activityDate.setHours(0, 0, 0, 0);
-
-    // Get current streak data
-    const streakResult = await pool.query(
-      'SELECT * FROM user_streaks WHERE user_id = $1 AND activity_type = $2',
-      [userId, activityType]
-    );
-
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let lastActivityDate = null;
-
-    if (streakResult.rows.length > 0) {
-      const streak = streakResult.rows[0];
-      currentStreak = streak.current_streak;
-      longestStreak = streak.longest_streak;
-      lastActivityDate = streak.last_activity_date ? new Date(streak.last_activity_date) : null;
-    }
+const isStreakActivityType = (activityType) =>
+  STREAK_ACTIVITY_TYPES.includes(activityType) || parseHabitKey(activityType) !== null;
 
-    if (completed) {
-      // Activity was completed
-      if (lastActivityDate) {
-        lastActivityDate.setHours(0, 0, 0, 0);
-        const daysDiff = Math.floor((activityDate - lastActivityDate) / (1000 * 60 * 60 * 24));
-        
-        if (daysDiff === 1) {
-          // Consecutive day - increment streak
-          currentStreak += 1;
-        } else if (daysDiff === 0) {
-          // Same day - don't change streak count, just update date
-          // This handles multiple updates on the same day
-        } else {
-          // Gap in days - reset streak to 1
-          currentStreak = 1;
-        }
-      } else {
-        // First activity
-        currentStreak = 1;
-      }
-
-      // Update longest streak if current is higher
-      if (currentStreak > longestStreak) {
-        longestStreak = currentStreak;
-      }
+/**
+ * Where a streak's active days come from. Habits must be the user's own, and
+ * bring their schedule and name.
+ * @param {number} userId - User ID
+ * @param {string} activityType - Activity type
+ * @returns {Object|null} - { sql, params, scheduleDays, label }, or null for a missing habit
+ */
+const loadActivitySource = async (userId, activityType) => {
+  if (ACTIVITY_SOURCES[activityType]) {
+    return { sql: ACTIVITY_SOURCES[activityType], params: [userId], scheduleDays: null, label: activityType };
+  }
 
-      // Update or insert streak record
-      if (streakResult.rows.length > 0) {
-        await pool.query(
-          'UPDATE user_streaks SET current_streak = $1, longest_streak = $2, last_activity_date = $3, updated_at = CURRENT_TIMESTAMP WHERE user_id = $4 AND activity_type = $5',
-          [currentStreak, longestStreak, date, userId, activityType]
-        );
-      } else {
-        await pool.query(
-          'INSERT INTO user_streaks (user_id, activity_type, current_streak, longest_streak, last_activity_date) VALUES ($1, $2, $3, $4, $5)',
-          [userId, activityType, currentStreak, longestStreak, date]
-        );
-      }
-    } else {
-      // Activity was not completed - check if we need to reset streak
-      if (lastActivityDate) {
-        lastActivityDate.setHours(0, 0, 0, 0);
-        const daysDiff = Math.floor((activityDate - lastActivityDate) / (1000 * 60 * 60 * 24));
-        
-        if (daysDiff > 1) {
-          // Gap detected - reset streak to 0
-          currentStreak = 0;
-          
-          if (streakResult.rows.length > 0) {
-            await pool.query(
-              'UPDATE user_streaks SET current_streak = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2 AND activity_type = $3',
-              [currentStreak, userId, activityType]
-            );
-          }
-        }
-      }
-    }
+  const habitId = parseHabitKey(activityType);
+  const habit = await pool.query('SELECT name, schedule_days FROM habits WHERE id = $1 AND user_id = $2', [habitId, userId]);
+  if (habit.rows.length === 0) return null;
 
-    return {
-      success: true,
-      data: {
-        currentStreak,
-        longestStreak,
-        lastActivityDate: date
-      }
-    };
+  return {
+    sql: HABIT_ACTIVITY_SOURCE,
+    params: [userId, habitId],
+    scheduleDays: habit.rows[0].schedule_days,
+    label: habit.rows[0].name
+  };
+};
 
-  } catch (error) {
-    console.error('Error updating streak:', error);
-    return {
-      success: false,
-      error: 'Failed to update streak'
-    };
+/**
+ * Validate streak settings
+ * @param {Object} body - { grace_days }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateStreakSettings = (body) => {
+  const { grace_days } = body;
+  if (!Number.isInteger(grace_days) || grace_days < 0 || grace_days > MAX_GRACE_DAYS) {
+    return `grace_days must be a whole number from 0 to ${MAX_GRACE_DAYS}`;
   }
+  return null;
 };
 
 /**
- * Get user streak for a specific activity
- * @param {number} userId - User ID
- * @param {string} activityType - Type of activity
- * @returns {Object} - Streak information
+ * Walk a habit's history day by day. A missed day first uses one of the
+ * habit's grace days (reset by every active day), then a banked freeze, and
+ * otherwise breaks the streak. Today never breaks a streak, as it can still
+ * be logged, and neither do days off a habit's schedule.
+ * @param {Array<string>} dates - Active days in YYYY-MM-DD format, in any order
+ * @param {Object} options - { graceDays, today, scheduleDays } (scheduleDays are weekdays, 0 = Sunday; all when omitted)
+ * @returns {Object} - Current and longest streak, freezes and frozen days
  */
-const getUserStreak = async (userId, activityType) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM user_streaks WHERE user_id = $1 AND activity_type = $2',
-      [userId, activityType]
-    );
-
-    if (result.rows.length > 0) {
-      const streak = result.rows[0];
-      return {
-        success: true,
-        data: {
-          currentStreak: streak.current_streak,
-          longestStreak: streak.longest_streak,
-          lastActivityDate: streak.last_activity_date
-        }
-      };
-    } else {
-      return {
-        success: true,
-        data: {
-          currentStreak: 0,
-          longestStreak: 0,
-          lastActivityDate: null
-        }
-      };
+const calculateStreak = (dates, { graceDays = 0, today, scheduleDays = null }) => {
+  const active = new Set(dates.filter(date => date <= today));
+  const sorted = [...active].sort();
+
+  let currentStreak = 0;
+  let longestStreak = 0;
+  let streakStartDate = null;
+  let missedInRow = 0;
+  let freezesAvailable = 0;
+  let frozenDates = [];
+
+  const firstDate = sorted.length > 0 ? sorted[0] : today;
+  for (let day = firstDate; day <= today; day = addDays(day, 1)) {
+    if (active.has(day)) {
+      if (currentStreak === 0) streakStartDate = day;
+      currentStreak += 1;
+      missedInRow = 0;
+      if (currentStreak % FREEZE_EARN_DAYS === 0 && freezesAvailable < MAX_FREEZES) {
+        freezesAvailable += 1;
+      }
+      longestStreak = Math.max(longestStreak, currentStreak);
+      continue;
     }
-  } catch (error) {
-    console.error('Error getting streak:', error);
-    return {
-      success: false,
-      error: 'Failed to get streak'
-    };
+
+    // Without a streak there is nothing to lose
+    if (currentStreak === 0 || day === today) continue;
+    if (scheduleDays && !isScheduledOn(scheduleDays, day)) continue;
+
+    missedInRow += 1;
+    if (missedInRow <= graceDays) continue;
+
+    if (freezesAvailable > 0) {
+      freezesAvailable -= 1;
+      frozenDates.push(day);
+      continue;
+    }
+
+    currentStreak = 0;
+    streakStartDate = null;
+    missedInRow = 0;
+    frozenDates = [];
   }
+
+  return {
+    currentStreak,
+    longestStreak,
+    lastActivityDate: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    streakStartDate,
+    freezesAvailable,
+    frozenDates
+  };
 };
 
+const toStreakData = (row, streak) => ({
+  currentStreak: row.current_streak,
+  longestStreak: row.longest_streak,
+  lastActivityDate: streak.lastActivityDate,
+  streakStartDate: streak.streakStartDate,
+  graceDays: row.grace_days,
+  freezesAvailable: row.freezes_available,
+  freezesUsed: row.freezes_used,
+  frozenDates: streak.frozenDates
+});
+
 /**
- * Reset user streak for a specific activity
+ * Recompute a streak from the tracker table behind it. Recomputes of the same
+ * streak run one at a time, so backfilled or deleted days are always reflected.
  * @param {number} userId - User ID
- * @param {string} activityType - Type of activity
- * @returns {Object} - Result of reset operation
+ * @param {string} activityType - One of STREAK_ACTIVITY_TYPES, or 'habit:<id>'
+ * @param {Object} settings - Optional { graceDays } to store before recomputing
+ * @param {Date} now - Current instant
+ * @returns {Object} - { success, data } with the streak, or { success: false, error, status }
  */
-const resetUserStreak = async (userId, activityType) => {
+const recomputeStreak = async (userId, activityType, settings = {}, now = new Date()) => {
+  if (!isStreakActivityType(activityType)) {
+    return { success: false, error: 'Invalid activity type', status: 400 };
+  }
+
   try {
-    await pool.query(
-      'UPDATE user_streaks SET current_streak = 0, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND activity_type = $2',
-      [userId, activityType]
-    );
+    const source = await loadActivitySource(userId, activityType);
+    if (!source) {
+      return { success: false, error: 'Habit not found', status: 404 };
+    }
 
-    return {
-      success: true,
-      message: 'Streak reset successfully'
-    };
+    const { today } = await getUserLocalDate(userId, now);
+    const client = await pool.connect();
+
+    let previousStreak;
+    let row;
+    let streak;
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO user_streaks (user_id, activity_type, grace_days) VALUES ($1, $2, COALESCE($3, 0))
+         ON CONFLICT (user_id, activity_type) DO UPDATE SET grace_days = COALESCE($3, user_streaks.grace_days)`,
+        [userId, activityType, settings.graceDays === undefined ? null : settings.graceDays]
+      );
+
+      // The row lock holds back other recomputes until this one commits
+      const existing = await client.query(
+        'SELECT * FROM user_streaks WHERE user_id = $1 AND activity_type = $2 FOR UPDATE',
+        [userId, activityType]
+      );
+      previousStreak = existing.rows[0].current_streak;
+
+      const activity = await client.query(source.sql, source.params);
+      streak = calculateStreak(activity.rows.map(activityRow => activityRow.date), {
+        graceDays: existing.rows[0].grace_days,
+        today,
+        scheduleDays: source.scheduleDays
+      });
+
+      const result = await client.query(
+        `UPDATE user_streaks SET current_streak = $1, longest_streak = $2, last_activity_date = $3, streak_start_date = $4,
+           freezes_available = $5, freezes_used = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7 RETURNING *`,
+        [
+          streak.currentStreak, streak.longestStreak, streak.lastActivityDate, streak.streakStartDate,
+          streak.freezesAvailable, streak.frozenDates.length, existing.rows[0].id
+        ]
+      );
+      row = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // A backfill can jump past several milestones; only the highest is announced
+    const milestone = STREAK_MILESTONES.filter(days => days > previousStreak && days <= streak.currentStreak).pop();
+    if (milestone) {
+      await createInboxItem(userId, {
+        type: 'streak',
+        title: `${milestone}-day ${source.label} streak! 🔥`,
+        message: `You've kept up your ${source.label} habit for ${milestone} days in a row. Keep it going!`,
+        data: { activityType, streak: milestone, date: streak.lastActivityDate },
+        dedupeKey: `streak:${activityType}:${milestone}:${streak.streakStartDate}`
+      });
+    }
+
+    await evaluateBadges(userId);
+
+    return { success: true, data: toStreakData(row, streak) };
   } catch (error) {
-    console.error('Error resetting streak:', error);
+    console.error('Error recomputing streak:', error);
     return {
       success: false,
-      error: 'Failed to reset streak'
+      error: 'Failed to update streak',
+      status: 500
     };
   }
 };
 
 module.exports = {
-  updateUserStreak,
-  getUserStreak,
-  resetUserStreak
-};
\ No newline at end of file
+  STREAK_ACTIVITY_TYPES,
+  MAX_GRACE_DAYS,
+  FREEZE_EARN_DAYS,
+  MAX_FREEZES,
+  isStreakActivityType,
+  validateStreakSettings,
+  calculateStreak,
+  recomputeStreak
+};
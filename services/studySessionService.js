@@ -0,0 +1,244 @@
+const { pool } = require('../config/database');
+const { setSessionStudyHours } = require('./studySleepService');
+
+const MAX_PLANNED_MINUTES = 240;
+
+// A session left running (e.g. a forgotten timer) counts for at most this long
+const MAX_SESSION_MINUTES = 12 * 60;
+
+const ACTIVE_STATUSES = ['running', 'paused'];
+
+const sessionError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Focused time in a session so far: time since it started, less time spent paused
+ * @param {Object} session - study_sessions row
+ * @param {Date} now - Reference time
+ * @returns {number} - Focused seconds
+ */
+const getFocusedSeconds = (session, now = new Date()) => {
+  if (session.status === 'completed') {
+    return (session.duration_minutes || 0) * 60;
+  }
+
+  const until = session.status === 'paused' && session.paused_at ? new Date(session.paused_at) : now;
+  const seconds = Math.floor((until - new Date(session.started_at)) / 1000) - (session.paused_seconds || 0);
+  return Math.min(Math.max(0, seconds), MAX_SESSION_MINUTES * 60);
+};
+
+/**
+ * Add live timer fields to a session
+ * @param {Object} session - study_sessions row (with subject/unit/course labels if joined)
+ * @param {Date} now - Reference time
+ * @returns {Object} - Session with elapsedSeconds, and remainingSeconds for pomodoros
+ */
+const withTimer = (session, now = new Date()) => {
+  const elapsedSeconds = getFocusedSeconds(session, now);
+  return {
+    ...session,
+    elapsedSeconds,
+    remainingSeconds: session.planned_minutes ? Math.max(0, session.planned_minutes * 60 - elapsedSeconds) : null
+  };
+};
+
+/**
+ * Resolve what a session is attached to: a subject (and optionally one of its
+ * units) or one of the user's NPTEL courses
+ * @param {number} userId - User ID
+ * @param {Object} target - { subjectCode, unitId, unitNumber, nptelCourseId }
+ * @returns {Object} - { subjectId, unitId, nptelCourseId }
+ */
+const resolveTarget = async (userId, { subjectCode, unitId, unitNumber, nptelCourseId }) => {
+  if (nptelCourseId) {
+    if (subjectCode) {
+      throw sessionError('INVALID_TARGET', 'Attach a session to a subject or an NPTEL course, not both');
+    }
+    const course = await pool.query('SELECT id FROM nptel_courses WHERE id = $1 AND user_id = $2', [nptelCourseId, userId]);
+    if (course.rows.length === 0) {
+      throw sessionError('COURSE_NOT_FOUND', 'NPTEL course not found', 404);
+    }
+    return { subjectId: null, unitId: null, nptelCourseId: course.rows[0].id };
+  }
+
+  if (!subjectCode) {
+    throw sessionError('INVALID_TARGET', 'A subject_code or nptel_course_id is required');
+  }
+
+  const subject = await pool.query('SELECT id FROM subjects WHERE code = $1 AND user_id = $2', [subjectCode, userId]);
+  if (subject.rows.length === 0) {
+    throw sessionError('SUBJECT_NOT_FOUND', 'Subject not found', 404);
+  }
+  const subjectId = subject.rows[0].id;
+
+  if (!unitId && !unitNumber) {
+    return { subjectId, unitId: null, nptelCourseId: null };
+  }
+
+  const unit = unitId ?
+    await pool.query('SELECT id FROM units WHERE id = $1 AND subject_id = $2', [unitId, subjectId]) :
+    await pool.query('SELECT id FROM units WHERE unit_number = $1 AND subject_id = $2', [unitNumber, subjectId]);
+  if (unit.rows.length === 0) {
+    throw sessionError('UNIT_NOT_FOUND', 'Unit not found for this subject', 404);
+  }
+
+  return { subjectId, unitId: unit.rows[0].id, nptelCourseId: null };
+};
+
+/**
+ * Start a study session. Only one session can be running or paused at a time.
+ * @param {number} userId - User ID
+ * @param {Object} options - { subjectCode, unitId, unitNumber, nptelCourseId, plannedMinutes, notes, date }
+ * @returns {Object} - The new session
+ */
+const startStudySession = async (userId, { subjectCode, unitId, unitNumber, nptelCourseId, plannedMinutes, notes, date }) => {
+  if (plannedMinutes !== undefined && plannedMinutes !== null &&
+      !(Number.isInteger(Number(plannedMinutes)) && plannedMinutes >= 1 && plannedMinutes <= MAX_PLANNED_MINUTES)) {
+    throw sessionError('INVALID_PLANNED_MINUTES', `planned_minutes must be a whole number from 1 to ${MAX_PLANNED_MINUTES}`);
+  }
+
+  const target = await resolveTarget(userId, { subjectCode, unitId, unitNumber, nptelCourseId });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO study_sessions (user_id, subject_id, unit_id, nptel_course_id, date, planned_minutes, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [userId, target.subjectId, target.unitId, target.nptelCourseId, date, plannedMinutes || null, notes || null]
+    );
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw sessionError('SESSION_IN_PROGRESS', 'A study session is already in progress', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply a state change to a session, telling a missing session apart from one
+ * in the wrong state
+ */
+const transitionSession = async (userId, sessionId, setClause, fromStatuses, params = []) => {
+  const result = await pool.query(
+    `UPDATE study_sessions SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [sessionId, userId, fromStatuses, ...params]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  const existing = await pool.query('SELECT status FROM study_sessions WHERE id = $1 AND user_id = $2', [sessionId, userId]);
+  if (existing.rows.length === 0) {
+    throw sessionError('SESSION_NOT_FOUND', 'Study session not found', 404);
+  }
+  throw sessionError('INVALID_SESSION_STATE', `Study session is ${existing.rows[0].status}`, 409);
+};
+
+const pauseStudySession = (userId, sessionId) =>
+  transitionSession(userId, sessionId, "status = 'paused', paused_at = CURRENT_TIMESTAMP", ['running']);
+
+const resumeStudySession = (userId, sessionId) =>
+  transitionSession(
+    userId, sessionId,
+    "status = 'running', paused_seconds = paused_seconds + EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - paused_at))::INTEGER, paused_at = NULL",
+    ['paused']
+  );
+
+/**
+ * Stop a running or paused session and add its focused time to the day's study hours
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Object} - { session, dailyStudyHours }
+ */
+const stopStudySession = async (userId, sessionId) => {
+  const session = await transitionSession(
+    userId, sessionId,
+    `status = 'completed',
+     ended_at = CURRENT_TIMESTAMP,
+     paused_at = NULL,
+     paused_seconds = paused_seconds + COALESCE(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - paused_at))::INTEGER, 0),
+     duration_minutes = LEAST($4, GREATEST(0, ROUND((
+       EXTRACT(EPOCH FROM (COALESCE(paused_at, CURRENT_TIMESTAMP) - started_at)) - paused_seconds
+     ) / 60)))::INTEGER`,
+    ACTIVE_STATUSES,
+    [MAX_SESSION_MINUTES]
+  );
+
+  const dailyStudyHours = await syncDailyStudyHours(userId, session.date);
+  return { session, dailyStudyHours };
+};
+
+/**
+ * Copy the day's completed session time into study_sleep_logs, where it adds
+ * to any study hours the user logged by hand
+ * @param {number} userId - User ID
+ * @param {Date|string} date - Session date
+ * @returns {number|null} - Study hours that day, or null when none are logged
+ */
+const syncDailyStudyHours = async (userId, date) => {
+  const result = await pool.query(
+    "SELECT SUM(duration_minutes) as minutes FROM study_sessions WHERE user_id = $1 AND date = $2 AND status = 'completed'",
+    [userId, date]
+  );
+
+  const minutes = parseInt(result.rows[0].minutes) || 0;
+  const hours = minutes > 0 ? Math.min(Math.round((minutes / 60) * 10) / 10, 24) : null;
+  return setSessionStudyHours(userId, date, hours);
+};
+
+/**
+ * Total completed study time, split by subject, unit and NPTEL course
+ * @param {Array} sessions - Sessions joined with subject_code, unit_number and course_title
+ * @returns {Object} - { totalMinutes, sessionCount, bySubject, byUnit, byNptelCourse }
+ */
+const summarizeStudySessions = (sessions) => {
+  const completed = sessions.filter(session => session.status === 'completed');
+  const addTo = (groups, key, fields, minutes) => {
+    if (!groups[key]) groups[key] = { ...fields, minutes: 0, sessions: 0 };
+    groups[key].minutes += minutes;
+    groups[key].sessions += 1;
+  };
+
+  const bySubject = {};
+  const byUnit = {};
+  const byNptelCourse = {};
+  completed.forEach(session => {
+    const minutes = session.duration_minutes || 0;
+    if (session.subject_code) {
+      addTo(bySubject, session.subject_code, { subjectCode: session.subject_code }, minutes);
+      if (session.unit_id) {
+        addTo(byUnit, session.unit_id, { subjectCode: session.subject_code, unitId: session.unit_id, unitNumber: session.unit_number }, minutes);
+      }
+    }
+    if (session.nptel_course_id) {
+      addTo(byNptelCourse, session.nptel_course_id, { courseId: session.nptel_course_id, title: session.course_title }, minutes);
+    }
+  });
+
+  const sorted = (groups) => Object.values(groups).sort((a, b) => b.minutes - a.minutes);
+  return {
+    totalMinutes: completed.reduce((sum, session) => sum + (session.duration_minutes || 0), 0),
+    sessionCount: completed.length,
+    bySubject: sorted(bySubject),
+    byUnit: sorted(byUnit),
+    byNptelCourse: sorted(byNptelCourse)
+  };
+};
+
+module.exports = {
+  getFocusedSeconds,
+  withTimer,
+  startStudySession,
+  pauseStudySession,
+  resumeStudySession,
+  stopStudySession,
+  syncDailyStudyHours,
+  summarizeStudySessions
+};
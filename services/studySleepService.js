@@ -0,0 +1,156 @@
+const { pool } = require('../config/database');
+const { evaluateBadges } = require('./achievementService');
+
+/**
+ * Create or update the study/sleep log for a day. Fields left undefined keep
+ * their stored value, so study and sleep can be logged separately. Study hours
+ * written here are the manual part of the day's study hours, which also count
+ * the study timer; sleep hours are manual and take precedence over sleep sessions.
+ * @param {number} userId - User ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} values - { studyHours, sleepHours, studyNotes, sleepNotes }
+ * @returns {Object} - { log, created }
+ */
+const upsertStudySleepLog = async (userId, date, { studyHours, sleepHours, studyNotes, sleepNotes }) => {
+  const valueOrNull = (value) => (value === undefined ? null : value);
+
+  // study_hours is generated from manual_study_hours and session_study_hours
+  const result = await pool.query(
+    `INSERT INTO study_sleep_logs (user_id, date, manual_study_hours, sleep_hours, study_notes, sleep_notes, sleep_hours_source)
+     VALUES ($1, $2, $3, $4, $5, $6, $11)
+     ON CONFLICT (user_id, date) DO UPDATE SET
+       manual_study_hours = CASE WHEN $7 THEN EXCLUDED.manual_study_hours ELSE study_sleep_logs.manual_study_hours END,
+       sleep_hours = CASE WHEN $8 THEN EXCLUDED.sleep_hours ELSE study_sleep_logs.sleep_hours END,
+       sleep_hours_source = CASE WHEN $8 THEN EXCLUDED.sleep_hours_source ELSE study_sleep_logs.sleep_hours_source END,
+       study_notes = CASE WHEN $9 THEN EXCLUDED.study_notes ELSE study_sleep_logs.study_notes END,
+       sleep_notes = CASE WHEN $10 THEN EXCLUDED.sleep_notes ELSE study_sleep_logs.sleep_notes END,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *, (xmax = 0) AS inserted`,
+    [
+      userId, date,
+      valueOrNull(studyHours), valueOrNull(sleepHours), valueOrNull(studyNotes), valueOrNull(sleepNotes),
+      studyHours !== undefined, sleepHours !== undefined, studyNotes !== undefined, sleepNotes !== undefined,
+      sleepHours === undefined || sleepHours === null ? null : 'manual'
+    ]
+  );
+
+  const { inserted, ...log } = result.rows[0];
+  if (studyHours !== undefined) {
+    await evaluateBadges(userId);
+  }
+  return { log, created: inserted };
+};
+
+/**
+ * Store the day's completed study timer time in session_study_hours. The
+ * manual hours are left alone; study_hours follows from both.
+ * @param {number} userId - User ID
+ * @param {Date|string} date - Date
+ * @param {number|null} hours - Timer hours, or null when no completed sessions remain
+ * @returns {number|null} - The day's study hours afterwards
+ */
+const setSessionStudyHours = async (userId, date, hours) => {
+  // Without sessions there is nothing to insert, only the timer part to take out
+  const result = hours === null
+    ? await pool.query(
+      `UPDATE study_sleep_logs SET session_study_hours = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND date = $2
+       RETURNING study_hours`,
+      [userId, date]
+    )
+    : await pool.query(
+      `INSERT INTO study_sleep_logs (user_id, date, session_study_hours)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, date) DO UPDATE SET
+         session_study_hours = EXCLUDED.session_study_hours,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING study_hours`,
+      [userId, date, hours]
+    );
+
+  await evaluateBadges(userId);
+
+  const stored = result.rows.length > 0 ? result.rows[0].study_hours : null;
+  return stored === null ? null : parseFloat(stored);
+};
+
+/**
+ * Store the day's total from sleep sessions as its sleep hours, unless the
+ * user logged that day's sleep by hand
+ * @param {number} userId - User ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number|null} hours - Total session hours, or null when none remain
+ * @returns {number|null} - The day's sleep hours afterwards
+ */
+const setSessionSleepHours = async (userId, date, hours) => {
+  // Without sessions there is nothing to insert, only a synced value to clear
+  const result = hours === null
+    ? await pool.query(
+      `UPDATE study_sleep_logs SET sleep_hours = NULL, sleep_hours_source = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND date = $2 AND sleep_hours_source = 'sessions'
+       RETURNING sleep_hours`,
+      [userId, date]
+    )
+    : await pool.query(
+      `INSERT INTO study_sleep_logs (user_id, date, sleep_hours, sleep_hours_source)
+       VALUES ($1, $2, $3, 'sessions')
+       ON CONFLICT (user_id, date) DO UPDATE SET
+         sleep_hours = EXCLUDED.sleep_hours,
+         sleep_hours_source = 'sessions',
+         updated_at = CURRENT_TIMESTAMP
+       WHERE study_sleep_logs.sleep_hours_source IS DISTINCT FROM 'manual'
+       RETURNING sleep_hours`,
+      [userId, date, hours]
+    );
+
+  if (result.rows.length > 0) {
+    return result.rows[0].sleep_hours === null ? null : parseFloat(result.rows[0].sleep_hours);
+  }
+
+  // Nothing changed: a manual value (or no row at all) stands
+  const current = await pool.query(
+    'SELECT sleep_hours FROM study_sleep_logs WHERE user_id = $1 AND date = $2',
+    [userId, date]
+  );
+  const stored = current.rows.length > 0 ? current.rows[0].sleep_hours : null;
+  return stored === null ? null : parseFloat(stored);
+};
+
+const hoursOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Shape a study_sleep_logs row like a legacy study_logs row. hours is the
+ * day's total; manual_hours is what /logs/study writes.
+ * @param {Object} row - study_sleep_logs row
+ * @returns {Object} - { id, user_id, date, hours, manual_hours, session_hours, created_at }
+ */
+const toStudyLog = (row) => ({
+  id: row.id,
+  user_id: row.user_id,
+  date: row.date,
+  hours: parseFloat(row.study_hours),
+  manual_hours: hoursOrNull(row.manual_study_hours),
+  session_hours: hoursOrNull(row.session_study_hours),
+  created_at: row.updated_at
+});
+
+/**
+ * Shape a study_sleep_logs row like a legacy sleep_logs row
+ * @param {Object} row - study_sleep_logs row
+ * @returns {Object} - { id, user_id, date, hours, created_at }
+ */
+const toSleepLog = (row) => ({
+  id: row.id,
+  user_id: row.user_id,
+  date: row.date,
+  hours: parseFloat(row.sleep_hours),
+  created_at: row.updated_at
+});
+
+module.exports = {
+  upsertStudySleepLog,
+  setSessionStudyHours,
+  setSessionSleepHours,
+  toStudyLog,
+  toSleepLog
+};
@@ -0,0 +1,185 @@
+const { pool } = require('../config/database');
+const { isValidDate } = require('../utils/helpers');
+
+const MAX_CODE_LENGTH = 20;
+const MAX_NAME_LENGTH = 200;
+const MAX_UNIT_TITLE_LENGTH = 300;
+const MAX_CREDITS = 40;
+const MAX_UNIT_WEIGHT = 100;
+
+const checkExamDate = (value) => {
+  if (value !== undefined && value !== null && !isValidDate(value)) {
+    return 'exam_date must be a YYYY-MM-DD date';
+  }
+  return null;
+};
+
+/**
+ * Validate subject fields. With partial, only the fields present are checked.
+ * @param {Object} body - { code, name, credits, exam_date }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateSubject = (body, partial = false) => {
+  const { code, name, credits, exam_date } = body;
+
+  if (!partial || code !== undefined) {
+    if (typeof code !== 'string' || !code.trim() || code.trim().length > MAX_CODE_LENGTH) {
+      return `code is required and must be at most ${MAX_CODE_LENGTH} characters`;
+    }
+  }
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (credits !== undefined && credits !== null &&
+      !(typeof credits === 'number' && credits >= 0 && credits <= MAX_CREDITS)) {
+    return `credits must be a number from 0 to ${MAX_CREDITS}`;
+  }
+  return checkExamDate(exam_date);
+};
+
+/**
+ * Validate unit fields. With partial, only the fields present are checked.
+ * @param {Object} body - { title, unit_number, weight, exam_date }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateUnit = (body, partial = false) => {
+  const { title, unit_number, weight, exam_date } = body;
+
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_UNIT_TITLE_LENGTH) {
+      return `title is required and must be at most ${MAX_UNIT_TITLE_LENGTH} characters`;
+    }
+  }
+  if (unit_number !== undefined && unit_number !== null && !(Number.isInteger(unit_number) && unit_number >= 1)) {
+    return 'unit_number must be a positive whole number';
+  }
+  if (weight !== undefined && weight !== null &&
+      !(typeof weight === 'number' && weight > 0 && weight <= MAX_UNIT_WEIGHT)) {
+    return `weight must be a number above 0 and at most ${MAX_UNIT_WEIGHT}`;
+  }
+  return checkExamDate(exam_date);
+};
+
+const toUnit = (row) => {
+  const totalTasks = parseInt(row.total_tasks) || 0;
+  const completedTasks = parseInt(row.completed_tasks) || 0;
+  return {
+    id: row.id,
+    unitNumber: row.unit_number,
+    title: row.title,
+    position: row.position,
+    weight: parseFloat(row.weight),
+    examDate: row.exam_date,
+    totalTasks,
+    completedTasks,
+    completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0
+  };
+};
+
+/**
+ * The user's subjects with their units in display order. Each unit carries the
+ * user's task counts for it; a subject's completion weights its units by weight.
+ * @param {number} userId - User ID
+ * @param {number} termId - Only subjects in this term (optional)
+ * @returns {Array} - Subjects with nested units
+ */
+const getSubjectTree = async (userId, termId) => {
+  const params = [userId];
+  if (termId) params.push(termId);
+
+  const subjects = await pool.query(
+    `SELECT id, code, name, credits, exam_date, term_id, position
+     FROM subjects WHERE user_id = $1${termId ? ' AND term_id = $2' : ''}
+     ORDER BY position, code`,
+    params
+  );
+
+  const units = await pool.query(
+    `SELECT u.id, u.subject_id, u.unit_number, u.title, u.position, u.weight, u.exam_date,
+            COUNT(et.id) as total_tasks,
+            COUNT(et.id) FILTER (WHERE et.completed = true) as completed_tasks
+     FROM units u
+     JOIN subjects s ON s.id = u.subject_id
+     LEFT JOIN education_tasks et ON et.user_id = s.user_id AND et.subject_code = s.code AND et.unit_id = u.id
+     WHERE s.user_id = $1${termId ? ' AND s.term_id = $2' : ''}
+     GROUP BY u.id
+     ORDER BY u.position, u.unit_number`,
+    params
+  );
+
+  return subjects.rows.map(subject => {
+    const subjectUnits = units.rows.filter(unit => unit.subject_id === subject.id).map(toUnit);
+    const totalTasks = subjectUnits.reduce((sum, unit) => sum + unit.totalTasks, 0);
+    const completedTasks = subjectUnits.reduce((sum, unit) => sum + unit.completedTasks, 0);
+    const weighted = subjectUnits.filter(unit => unit.totalTasks > 0);
+    const totalWeight = weighted.reduce((sum, unit) => sum + unit.weight, 0);
+
+    return {
+      id: subject.id,
+      code: subject.code,
+      name: subject.name,
+      credits: subject.credits === null ? null : parseFloat(subject.credits),
+      examDate: subject.exam_date,
+      termId: subject.term_id,
+      position: subject.position,
+      totalTasks,
+      completedTasks,
+      completionRate: totalWeight > 0 ?
+        Math.round(weighted.reduce((sum, unit) => sum + unit.completionRate * unit.weight, 0) / totalWeight) : 0,
+      units: subjectUnits
+    };
+  });
+};
+
+/**
+ * Reorder the user's subjects. Nothing changes unless every id is one of theirs.
+ * @param {number} userId - User ID
+ * @param {Array<number>} subjectIds - Subject ids in display order
+ * @returns {number} - Number of subjects reordered (0 when rejected)
+ */
+const reorderSubjects = async (userId, subjectIds) => {
+  const result = await pool.query(
+    `UPDATE subjects s SET position = ordered.position - 1, updated_at = CURRENT_TIMESTAMP
+     FROM unnest($2::int[]) WITH ORDINALITY as ordered(id, position)
+     WHERE s.id = ordered.id AND s.user_id = $1
+       AND (SELECT COUNT(*) FROM subjects WHERE user_id = $1 AND id = ANY($2)) = cardinality($2::int[])`,
+    [userId, subjectIds]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Reorder the units of one of the user's subjects. Nothing changes unless every
+ * id is a unit of that subject.
+ * @param {number} userId - User ID
+ * @param {number} subjectId - Subject ID
+ * @param {Array<number>} unitIds - Unit ids in display order
+ * @returns {number} - Number of units reordered (0 when rejected)
+ */
+const reorderUnits = async (userId, subjectId, unitIds) => {
+  const result = await pool.query(
+    `UPDATE units u SET position = ordered.position - 1, updated_at = CURRENT_TIMESTAMP
+     FROM unnest($3::int[]) WITH ORDINALITY as ordered(id, position), subjects s
+     WHERE u.id = ordered.id AND u.subject_id = $2 AND s.id = u.subject_id AND s.user_id = $1
+       AND (SELECT COUNT(*) FROM units WHERE subject_id = $2 AND id = ANY($3)) = cardinality($3::int[])`,
+    [userId, subjectId, unitIds]
+  );
+  return result.rowCount;
+};
+
+// A non-empty list of distinct ids, as sent to the reorder endpoints
+const isIdList = (ids) => Array.isArray(ids) && ids.length > 0 && ids.every(id => Number.isInteger(id) && id > 0) &&
+  new Set(ids).size === ids.length;
+
+module.exports = {
+  validateSubject,
+  validateUnit,
+  getSubjectTree,
+  reorderSubjects,
+  reorderUnits,
+  isIdList
+};
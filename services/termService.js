@@ -0,0 +1,151 @@
+const { pool } = require('../config/database');
+const { isValidDate } = require('../utils/helpers');
+
+const MAX_NAME_LENGTH = 100;
+
+const termError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validate term fields. With partial, only the fields present are checked.
+ * @param {Object} body - { name, start_date, end_date, is_active }
+ * @param {boolean} partial - Whether this is an update
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateTerm = (body, partial = false) => {
+  const { name, start_date, end_date, is_active } = body;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      return `name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (!partial || start_date !== undefined) {
+    if (!isValidDate(start_date)) return 'start_date must be a YYYY-MM-DD date';
+  }
+  if (!partial || end_date !== undefined) {
+    if (!isValidDate(end_date)) return 'end_date must be a YYYY-MM-DD date';
+  }
+  if (start_date !== undefined && end_date !== undefined && end_date < start_date) {
+    return 'end_date must not be before start_date';
+  }
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return 'is_active must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Parse a term filter from a query string
+ * @param {string} value - Query value
+ * @returns {number|null|undefined} - Term ID, null when invalid, undefined when absent
+ */
+const parseTermId = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const termId = Number(value);
+  return Number.isInteger(termId) && termId > 0 ? termId : null;
+};
+
+/**
+ * Work out which term a new or moved item belongs to. An explicit term must be
+ * one of the user's; null leaves the item outside any term; when no term is
+ * given, the user's active term is used.
+ * @param {number} userId - User ID
+ * @param {number|null|undefined} termId - Requested term
+ * @returns {number|null} - Term ID to store
+ */
+const resolveTermId = async (userId, termId) => {
+  if (termId === null) {
+    return null;
+  }
+
+  if (termId === undefined) {
+    const active = await pool.query('SELECT id FROM academic_terms WHERE user_id = $1 AND is_active = true', [userId]);
+    return active.rows.length > 0 ? active.rows[0].id : null;
+  }
+
+  const term = await pool.query('SELECT id FROM academic_terms WHERE id = $1 AND user_id = $2', [termId, userId]);
+  if (term.rows.length === 0) {
+    throw termError('TERM_NOT_FOUND', 'Term not found', 404);
+  }
+  return term.rows[0].id;
+};
+
+/**
+ * Make a term the user's only active term
+ * @param {number} userId - User ID
+ * @param {number} termId - Term ID
+ */
+const deactivateOtherTerms = async (userId, termId) => {
+  await pool.query(
+    'UPDATE academic_terms SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND is_active = true AND id <> $2',
+    [userId, termId || 0]
+  );
+};
+
+/**
+ * Terms that have ended, newest first, with what was done in each
+ * @param {number} userId - User ID
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Array} - Past terms with subject, task, assignment, NPTEL and research totals
+ */
+const getTermArchive = async (userId, today) => {
+  const result = await pool.query(
+    `SELECT at.*,
+       (SELECT COUNT(*) FROM subjects s WHERE s.term_id = at.id) as subjects,
+       (SELECT COALESCE(SUM(s.credits), 0) FROM subjects s WHERE s.term_id = at.id) as credits,
+       (SELECT COUNT(*) FROM education_tasks et JOIN subjects s ON s.user_id = et.user_id AND s.code = et.subject_code
+        WHERE s.term_id = at.id) as total_tasks,
+       (SELECT COUNT(*) FROM education_tasks et JOIN subjects s ON s.user_id = et.user_id AND s.code = et.subject_code
+        WHERE s.term_id = at.id AND et.completed = true) as completed_tasks,
+       (SELECT COUNT(*) FROM assignments a WHERE a.term_id = at.id) as total_assignments,
+       (SELECT COUNT(*) FROM assignments a WHERE a.term_id = at.id AND a.completed = true) as completed_assignments,
+       (SELECT COUNT(*) FROM nptel_courses c WHERE c.term_id = at.id) as nptel_courses,
+       (SELECT COUNT(*) FROM research_tasks rt WHERE rt.term_id = at.id) as total_research_tasks,
+       (SELECT COUNT(*) FROM research_tasks rt WHERE rt.term_id = at.id AND rt.completed = true) as completed_research_tasks
+     FROM academic_terms at
+     WHERE at.user_id = $1 AND at.end_date < $2
+     ORDER BY at.end_date DESC`,
+    [userId, today]
+  );
+
+  const rate = (done, total) => (total > 0 ? Math.round((done / total) * 100) : 0);
+  return result.rows.map(row => {
+    const totalTasks = parseInt(row.total_tasks);
+    const completedTasks = parseInt(row.completed_tasks);
+    const totalAssignments = parseInt(row.total_assignments);
+    const completedAssignments = parseInt(row.completed_assignments);
+    const totalResearchTasks = parseInt(row.total_research_tasks);
+    const completedResearchTasks = parseInt(row.completed_research_tasks);
+
+    return {
+      id: row.id,
+      name: row.name,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      subjects: parseInt(row.subjects),
+      credits: parseFloat(row.credits),
+      totalTasks,
+      completedTasks,
+      taskCompletionRate: rate(completedTasks, totalTasks),
+      totalAssignments,
+      completedAssignments,
+      assignmentCompletionRate: rate(completedAssignments, totalAssignments),
+      nptelCourses: parseInt(row.nptel_courses),
+      totalResearchTasks,
+      completedResearchTasks
+    };
+  });
+};
+
+module.exports = {
+  validateTerm,
+  parseTermId,
+  resolveTermId,
+  deactivateOtherTerms,
+  getTermArchive
+};
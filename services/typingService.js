@@ -0,0 +1,73 @@
+const { isValidDate } = require('../utils/helpers');
+
+// Test modes offered by common typing trainers: a timed test, a fixed word
+// count, a quote, or custom text
+const TEST_MODES = ['time', 'words', 'quote', 'custom'];
+
+const MAX_WPM = 300;
+const MAX_DURATION_SECONDS = 7200;
+const MAX_KEY_LENGTH = 20;
+
+const isNumberInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+/**
+ * Validate a typing session
+ * @param {Object} body - { date, wpm, raw_wpm, accuracy, duration_seconds, test_mode, key_errors, notes }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateTypingSession = ({ date, wpm, raw_wpm, accuracy, duration_seconds, test_mode, key_errors, notes }) => {
+  if (!isValidDate(date)) {
+    return 'date is required in YYYY-MM-DD format';
+  }
+  if (!isNumberInRange(wpm, 0, MAX_WPM)) {
+    return `wpm is required and must be a number from 0 to ${MAX_WPM}`;
+  }
+  if (raw_wpm !== undefined && raw_wpm !== null && !isNumberInRange(raw_wpm, 0, MAX_WPM)) {
+    return `raw_wpm must be a number from 0 to ${MAX_WPM}`;
+  }
+  if (!isNumberInRange(accuracy, 0, 100)) {
+    return 'accuracy is required and must be a percentage from 0 to 100';
+  }
+  if (!Number.isInteger(duration_seconds) || duration_seconds < 1 || duration_seconds > MAX_DURATION_SECONDS) {
+    return `duration_seconds is required and must be a whole number from 1 to ${MAX_DURATION_SECONDS}`;
+  }
+  if (test_mode !== undefined && !TEST_MODES.includes(test_mode)) {
+    return `test_mode must be one of: ${TEST_MODES.join(', ')}`;
+  }
+  if (key_errors !== undefined && key_errors !== null) {
+    if (typeof key_errors !== 'object' || Array.isArray(key_errors)) {
+      return 'key_errors must map each key to its error count';
+    }
+    for (const [key, count] of Object.entries(key_errors)) {
+      if (!key || key.length > MAX_KEY_LENGTH || !Number.isInteger(count) || count < 0) {
+        return 'key_errors must map each key to its error count';
+      }
+    }
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'notes must be text';
+  }
+  return null;
+};
+
+/**
+ * Key error counts as stored: letters lower-cased so 'A' and 'a' add up,
+ * keys without errors dropped
+ * @param {Object} keyErrors - Key to error count, as sent
+ * @returns {Object} - Key to error count
+ */
+const normalizeKeyErrors = (keyErrors) => {
+  const normalized = {};
+  Object.entries(keyErrors || {}).forEach(([key, count]) => {
+    if (count === 0) return;
+    const name = key.length === 1 ? key.toLowerCase() : key;
+    normalized[name] = (normalized[name] || 0) + count;
+  });
+  return normalized;
+};
+
+module.exports = {
+  TEST_MODES,
+  validateTypingSession,
+  normalizeKeyErrors
+};
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const AnalyticsService = require('../services/analyticsService');
+const { validateTerm, resolveTermId, getTermArchive } = require('../services/termService');
+const educationRouter = require('../routes/education');
+
+describe('Academic terms', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('termService', () => {
+    it('should validate term dates', () => {
+      expect(validateTerm({ name: 'Spring 2025', start_date: '2025-01-06', end_date: '2025-05-30' })).toBeNull();
+      expect(validateTerm({ name: 'Spring 2025', start_date: '2025-05-30', end_date: '2025-01-06' })).toMatch(/end_date/);
+      expect(validateTerm({ name: '', start_date: '2025-01-06', end_date: '2025-05-30' })).toMatch(/name/);
+      expect(validateTerm({ is_active: 'yes' }, true)).toMatch(/is_active/);
+    });
+
+    it('should default new items to the active term', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 4 }] });
+      await expect(resolveTermId(1, undefined)).resolves.toBe(4);
+      expect(pool.query.mock.calls[0][0]).toContain('is_active = true');
+
+      await expect(resolveTermId(1, null)).resolves.toBeNull();
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject another user\'s term', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(resolveTermId(1, 9)).rejects.toMatchObject({ code: 'TERM_NOT_FOUND', status: 404 });
+    });
+
+    it('should summarise past terms', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{
+        id: 2, name: 'Autumn 2024', start_date: '2024-08-01', end_date: '2024-12-15',
+        subjects: '5', credits: '18.0', total_tasks: '40', completed_tasks: '30',
+        total_assignments: '8', completed_assignments: '8', nptel_courses: '1',
+        total_research_tasks: '3', completed_research_tasks: '2'
+      }] });
+
+      const [term] = await getTermArchive(1, '2025-01-10');
+
+      expect(pool.query.mock.calls[0][1]).toEqual([1, '2025-01-10']);
+      expect(term.credits).toBe(18);
+      expect(term.taskCompletionRate).toBe(75);
+      expect(term.assignmentCompletionRate).toBe(100);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/education', educationRouter);
+    });
+
+    it('should make a new active term the only active one', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, name: 'Spring 2025', is_active: true }] });
+
+      await request(app)
+        .post('/education/terms')
+        .send({ name: 'Spring 2025', start_date: '2025-01-06', end_date: '2025-05-30', is_active: true })
+        .expect(201);
+
+      expect(pool.query.mock.calls[0][0]).toContain('SET is_active = false');
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 'Spring 2025', '2025-01-06', '2025-05-30', true]);
+    });
+
+    it('should filter assignments by term', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/education/assignments?term_id=5')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('AND term_id = $2');
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 5]);
+
+      await request(app)
+        .get('/education/assignments?term_id=spring')
+        .expect(400);
+    });
+
+    it('should file new assignments under the active term', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 12, term_id: 5 }] });
+
+      await request(app)
+        .post('/education/assignment')
+        .send({ title: 'Problem set 3', deadline: '2025-02-01' })
+        .expect(201);
+
+      expect(pool.query.mock.calls[1][1][5]).toBe(5);
+    });
+
+    it('should move an assignment out of its term only when term_id is null', async () => {
+      const assignment = { id: 12, term_id: 5, completed: false, status: 'todo' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [assignment] })
+        .mockResolvedValueOnce({ rows: [{ ...assignment, term_id: null }] })
+        .mockResolvedValueOnce({ rows: [assignment] })
+        .mockResolvedValueOnce({ rows: [assignment] });
+
+      await request(app)
+        .put('/education/assignment/12')
+        .send({ term_id: null })
+        .expect(200);
+
+      await request(app)
+        .put('/education/assignment/12')
+        .send({ title: 'Problem set 4' })
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][1][7]).toBeNull();
+      expect(pool.query.mock.calls[3][1][7]).toBe(5);
+    });
+
+    it('should move a research task out of its term when term_id is null', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 3, term_id: null }] });
+
+      await request(app)
+        .put('/education/research/subject/ECO525/task/3')
+        .send({ title: 'Survey', term_id: null })
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][1].slice(7)).toEqual([null, true]);
+    });
+  });
+
+  describe('analytics', () => {
+    it('should scope subject analytics to a term', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await new AnalyticsService().getSubjectProgress(1, new Date('2025-01-01'), 'ECO525', 5);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('AND s.code = ANY($3) AND s.term_id = $4');
+      expect(params.slice(2)).toEqual([['ECO525'], 5]);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    req.sessionId = 9;
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { setTransport, createFileTransport, createDefaultTransport, consoleTransport, sendMail } = require('../services/mailer');
+const { hashToken } = require('../services/sessionService');
+const authRouter = require('../routes/auth');
+const profileRouter = require('../routes/profile');
+
+// Pull the raw token out of a sent message
+const tokenFrom = (message) => /token: (\S+)/.exec(message.text)[1];
+
+describe('Password reset and email verification', () => {
+  let app;
+  let sentMail;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+    app.use('/profile', profileRouter);
+
+    jest.clearAllMocks();
+    sentMail = [];
+    setTransport({ send: async (message) => { sentMail.push(message); } });
+  });
+
+  describe('mailer', () => {
+    it('should write messages to disk with the file transport', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hersphere-mail-'));
+      setTransport(createFileTransport(directory));
+
+      const result = await sendMail({ to: 'asha@example.com', subject: 'Hello', text: 'Hi there' });
+      const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+
+      expect(saved).toMatchObject({ to: 'asha@example.com', subject: 'Hello', text: 'Hi there' });
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should reject transports without send()', () => {
+      expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+    });
+
+    describe('default transport', () => {
+      const originalEnv = process.env;
+
+      afterEach(() => {
+        process.env = originalEnv;
+      });
+
+      it('should send through SMTP when SMTP_HOST is set', () => {
+        process.env = { ...originalEnv, NODE_ENV: 'production', MAIL_TRANSPORT: '', SMTP_HOST: 'smtp.example.com' };
+
+        expect(createDefaultTransport().name).toBe('smtp');
+      });
+
+      it('should refuse console or file mail in production', () => {
+        process.env = { ...originalEnv, NODE_ENV: 'production', MAIL_TRANSPORT: '', SMTP_HOST: '' };
+        expect(() => createDefaultTransport()).toThrow('cannot deliver mail in production');
+
+        process.env.MAIL_TRANSPORT = 'file';
+        expect(() => createDefaultTransport()).toThrow('cannot deliver mail in production');
+      });
+
+      it('should keep message bodies out of the console log', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await consoleTransport.send({ to: 'asha@example.com', subject: 'Reset', text: 'Reset token: secret123' });
+
+        expect(log.mock.calls[0][0]).toContain('asha@example.com');
+        expect(log.mock.calls[0][0]).not.toContain('secret123');
+        log.mockRestore();
+      });
+    });
+  });
+
+  describe('POST /auth/forgot-password', () => {
+    it('should email a reset token whose hash is stored', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'asha@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'Asha@Example.com' })
+        .expect(200);
+
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('asha@example.com');
+      const insertParams = pool.query.mock.calls[2][1];
+      expect(insertParams[1]).toBe('password_reset');
+      expect(insertParams[2]).toBe(hashToken(tokenFrom(sentMail[0])));
+    });
+
+    it('should respond the same way for unknown addresses', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If an account exists');
+      expect(sentMail).toHaveLength(0);
+    });
+  });
+
+  describe('POST /auth/reset-password', () => {
+    it('should update the password and revoke every session', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1, email: 'asha@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', password: 'new-password' })
+        .expect(200);
+
+      const [consumeSql, consumeParams] = pool.query.mock.calls[0];
+      expect(consumeSql).toContain('used_at IS NULL AND expires_at > CURRENT_TIMESTAMP');
+      expect(consumeParams).toEqual([hashToken('reset-token'), 'password_reset']);
+      expect(pool.query.mock.calls[1][1][0]).not.toBe('new-password');
+      expect(pool.query.mock.calls[2][1]).toEqual([1, 'password_reset', null]);
+    });
+
+    it('should reject a used or expired token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', password: 'new-password' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should enforce the password length', async () => {
+      await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', password: '123' })
+        .expect(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /auth/verify-email', () => {
+    it('should apply a pending email change once verified', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1, email: 'new@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'old@example.com', pending_email: 'new@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'new@example.com', email_verified_at: new Date() }] });
+
+      const response = await request(app)
+        .post('/auth/verify-email')
+        .send({ token: 'verify-token' })
+        .expect(200);
+
+      expect(response.body.user.email).toBe('new@example.com');
+      expect(pool.query.mock.calls[3][1]).toEqual([1, 'new@example.com']);
+    });
+
+    it('should reject a token for an address no longer on the account', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1, email: 'older@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'old@example.com', pending_email: null }] });
+
+      const response = await request(app)
+        .post('/auth/verify-email')
+        .send({ token: 'verify-token' })
+        .expect(400);
+
+      expect(response.body.code).toBe('STALE_TOKEN');
+    });
+  });
+
+  describe('POST /auth/resend-verification', () => {
+    it('should refuse when the email is already verified', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ email: 'asha@example.com', pending_email: null, email_verified_at: new Date() }] });
+
+      await request(app)
+        .post('/auth/resend-verification')
+        .expect(400);
+    });
+
+    it('should resend to the pending address', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'old@example.com', pending_email: 'new@example.com', email_verified_at: new Date() }] })
+        .mockResolvedValue({ rows: [] });
+
+      const response = await request(app)
+        .post('/auth/resend-verification')
+        .expect(200);
+
+      expect(response.body.email).toBe('new@example.com');
+      expect(sentMail[0].to).toBe('new@example.com');
+    });
+  });
+
+  describe('PUT /profile email change', () => {
+    it('should hold a new email as pending and send verification to it', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'old@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValue({ rows: [{ user_id: 1 }] });
+
+      const response = await request(app)
+        .put('/profile')
+        .send({ email: 'new@example.com' })
+        .expect(200);
+
+      expect(response.body.pending_email).toBe('new@example.com');
+      expect(pool.query.mock.calls[2][0]).toContain('SET pending_email = $1');
+      expect(pool.query.mock.calls.some(([sql]) => /UPDATE users SET email/.test(sql))).toBe(false);
+      expect(sentMail[0].to).toBe('new@example.com');
+    });
+  });
+});
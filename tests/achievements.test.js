@@ -0,0 +1,138 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { BADGES, getBadgeProgress, getLevel, evaluateBadges } = require('../services/achievementService');
+const achievementsRouter = require('../routes/achievements');
+
+const metrics = {
+  streaks: { kriya: 30, water: 4 },
+  exercise_sessions: 0,
+  water_goal_days: 12,
+  study_hours: 40.5,
+  on_time_assignments: 10,
+  completed_nptel_courses: 1
+};
+
+const findBadge = (key) => BADGES.find(badge => badge.key === key);
+
+describe('Achievements', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('achievementService', () => {
+    it('should have a unique key for every badge', () => {
+      const keys = BADGES.map(badge => badge.key);
+      expect(new Set(keys).size).toBe(keys.length);
+    });
+
+    it('should measure progress against each badge\'s criteria', () => {
+      expect(getBadgeProgress(findBadge('kriya_streak_30'), metrics)).toEqual({ current: 30, target: 30, earned: true });
+      expect(getBadgeProgress(findBadge('water_streak_7'), metrics)).toEqual({ current: 4, target: 7, earned: false });
+      expect(getBadgeProgress(findBadge('typing_streak_7'), metrics).current).toBe(0);
+      expect(getBadgeProgress(findBadge('assignments_on_time_10'), metrics).earned).toBe(true);
+      expect(getBadgeProgress(findBadge('first_nptel_complete'), metrics).earned).toBe(true);
+    });
+
+    it('should need more XP for each level', () => {
+      expect(getLevel(0)).toEqual({ level: 1, xp: 0, levelStartXp: 0, nextLevelXp: 100, progress: 0 });
+      expect(getLevel(100).level).toBe(2);
+      expect(getLevel(299)).toMatchObject({ level: 2, levelStartXp: 100, nextLevelXp: 300, progress: 100 });
+      expect(getLevel(300).level).toBe(3);
+    });
+
+    it('should award met badges once and announce only the new ones', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [metrics] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, user_id: 1, badge_key: 'kriya_streak_30', xp: 200 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 21 }] });
+
+      const awarded = await evaluateBadges(1);
+
+      const [insertSql, insertParams] = pool.query.mock.calls[1];
+      expect(insertSql).toContain('ON CONFLICT (user_id, badge_key) DO NOTHING');
+      expect(insertParams[1]).toEqual(['kriya_streak_7', 'kriya_streak_30', 'first_assignment_on_time', 'assignments_on_time_10', 'first_nptel_complete']);
+      expect(awarded).toHaveLength(1);
+
+      expect(pool.query).toHaveBeenCalledTimes(3);
+      expect(pool.query.mock.calls[2][1]).toContain('badge:kriya_streak_30');
+    });
+
+    it("should judge on-time submissions by the user's local date", async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [metrics] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await evaluateBadges(1);
+
+      expect(pool.query.mock.calls[0][0]).toContain(
+        "(a.submitted_at::timestamptz AT TIME ZONE COALESCE(p.timezone, 'UTC'))::date <= a.deadline"
+      );
+    });
+
+    it('should not throw when badges cannot be evaluated', async () => {
+      pool.query.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(evaluateBadges(1)).resolves.toEqual([]);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/achievements', achievementsRouter);
+    });
+
+    it('should return earned badges with XP and level', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...metrics, on_time_assignments: 0, completed_nptel_courses: 0, streaks: {} }] })
+        .mockResolvedValueOnce({ rows: [
+          { badge_key: 'kriya_streak_30', xp: 200, awarded_at: '2025-03-10T06:30:00Z' },
+          { badge_key: 'retired_badge', xp: 20, awarded_at: '2025-01-01T00:00:00Z' }
+        ] });
+
+      const response = await request(app)
+        .get('/achievements')
+        .expect(200);
+
+      expect(response.body.xp).toBe(220);
+      expect(response.body.level).toMatchObject({ level: 2, nextLevelXp: 300 });
+      expect(response.body.badges).toHaveLength(1);
+      expect(response.body.badges[0]).toMatchObject({ key: 'kriya_streak_30', name: 'Kriya Devotee', awardedAt: '2025-03-10T06:30:00Z' });
+    });
+
+    it('should list the catalog with progress and award dates', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [metrics] })
+        .mockResolvedValueOnce({ rows: [{ badge_key: 'kriya_streak_30', awarded_at: '2025-03-10T06:30:00Z' }] });
+
+      const response = await request(app)
+        .get('/achievements/catalog')
+        .expect(200);
+
+      expect(response.body.badges).toHaveLength(BADGES.length);
+      const water = response.body.badges.find(badge => badge.key === 'water_goal_30');
+      expect(water).toMatchObject({ earned: false, awardedAt: null, progress: { current: 12, target: 30 } });
+      expect(response.body.badges.find(badge => badge.key === 'kriya_streak_30').earned).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const {
+  validateAssignmentFields,
+  resolveAssignmentStatus,
+  buildAgenda,
+  processAssignmentReminders
+} = require('../services/assignmentService');
+const educationRouter = require('../routes/education');
+
+describe('Assignment deadlines', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('assignmentService', () => {
+    it('should validate priority, status, effort and reminder days', () => {
+      expect(validateAssignmentFields({ priority: 'high', status: 'in_progress', estimated_minutes: 90, reminder_days_before: 0 })).toBeNull();
+      expect(validateAssignmentFields({ reminder_days_before: null })).toBeNull();
+      expect(validateAssignmentFields({ priority: 'critical' })).toMatch(/^priority/);
+      expect(validateAssignmentFields({ status: 'done' })).toMatch(/^status/);
+      expect(validateAssignmentFields({ estimated_minutes: 0 })).toMatch(/^estimated_minutes/);
+      expect(validateAssignmentFields({ reminder_days_before: 31 })).toMatch(/^reminder_days_before/);
+    });
+
+    it('should keep completed in step with the status', () => {
+      expect(resolveAssignmentStatus({ status: 'in_progress' }, { completed: true })).toMatchObject({ status: 'submitted', completed: true });
+      expect(resolveAssignmentStatus({ status: 'graded' }, { completed: false })).toMatchObject({ status: 'in_progress', completed: false, submittedAt: null });
+      expect(resolveAssignmentStatus({ status: 'submitted', submitted_at: 'then' }, { status: 'graded' }).submittedAt).toBe('then');
+      expect(resolveAssignmentStatus({}, {})).toMatchObject({ status: 'not_started', completed: false });
+    });
+
+    it('should group open assignments by due date and urgency', () => {
+      const agenda = buildAgenda([
+        { id: 1, deadline: '2025-03-08', priority: 'low', status: 'not_started', estimated_minutes: 60 },
+        { id: 2, deadline: '2025-03-10', priority: 'low', status: 'in_progress', estimated_minutes: 30 },
+        { id: 3, deadline: '2025-03-10', priority: 'urgent', status: 'not_started', estimated_minutes: 30 },
+        { id: 4, deadline: '2025-03-16', priority: 'medium', status: 'not_started' },
+        { id: 5, deadline: '2025-03-17', priority: 'high', status: 'not_started' },
+        { id: 6, deadline: '2025-03-09', priority: 'high', status: 'submitted' }
+      ], '2025-03-10');
+
+      expect(agenda.overdue.map(a => a.id)).toEqual([1]);
+      expect(agenda.overdue[0].daysUntilDue).toBe(-2);
+      expect(agenda.dueToday.map(a => a.id)).toEqual([3, 2]);
+      expect(agenda.thisWeek.map(a => a.id)).toEqual([4]);
+      expect(agenda.later.map(a => a.id)).toEqual([5]);
+      expect(agenda.plannedMinutesThisWeek).toBe(120);
+    });
+
+    it('should send one inbox reminder per assignment deadline', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 4, user_id: 1, title: 'Lab report', deadline: '2025-03-12', priority: 'urgent', days_until_due: 2 },
+          { id: 5, user_id: 1, title: 'Essay', deadline: '2025-03-10', priority: 'low', days_until_due: 0 }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 30 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const now = new Date('2025-03-10T04:00:00Z');
+      const result = await processAssignmentReminders(now);
+
+      expect(pool.query.mock.calls[0][1]).toEqual([now, 9]);
+      expect(pool.query.mock.calls[1][1]).toEqual(expect.arrayContaining([
+        '"Lab report" is due in 2 days', 'high', 'assignment:4:due:2025-03-12'
+      ]));
+      expect(pool.query.mock.calls[2][1]).toEqual(expect.arrayContaining(['"Essay" is due today']));
+      // The second reminder was already in the inbox
+      expect(result).toEqual({ delivered: 1, failed: 0 });
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/education', educationRouter);
+    });
+
+    it('should return the agenda for the user\'s local day', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, deadline: '2000-01-01', priority: 'high', status: 'in_progress' }] });
+
+      const response = await request(app)
+        .get('/education/assignments/agenda?term_id=5')
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 5]);
+      expect(response.body.agenda.counts.overdue).toBe(1);
+    });
+
+    it('should mark a completed assignment as submitted', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, title: 'Essay', deadline: '2025-03-10', status: 'in_progress', priority: 'medium', reminder_days_before: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, status: 'submitted' }] });
+
+      await request(app)
+        .put('/education/assignment/3')
+        .send({ completed: true })
+        .expect(200);
+
+      const params = pool.query.mock.calls[1][1];
+      expect(params[0]).toBe('Essay');
+      expect(params[4]).toBe(true);
+      expect(params[10]).toBe('submitted');
+      expect(params[11]).toBeInstanceOf(Date);
+    });
+
+    it('should reject an unknown priority', async () => {
+      const response = await request(app)
+        .post('/education/assignment')
+        .send({ title: 'Essay', deadline: '2025-03-10', priority: 'asap' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/^priority/);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should only delete the user\'s own attachments', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/education/assignment/3/attachments/8')
+        .expect(404);
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['8', '3', 1]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { hashToken } = require('../services/sessionService');
+const { escapeText, foldLine, buildCalendar } = require('../services/calendarService');
+const calendarRouter = require('../routes/calendar');
+
+const now = new Date('2025-03-10T06:30:00Z');
+
+describe('Calendar feed', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calendarService', () => {
+    it('should escape text and fold long lines', () => {
+      expect(escapeText('Read ch. 3; notes, summary\nthen quiz')).toBe('Read ch. 3\\; notes\\, summary\\nthen quiz');
+
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+      const lines = folded.split('\r\n');
+      expect(lines.length).toBe(2);
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(lines[1].startsWith(' ')).toBe(true);
+    });
+
+    it('should write all-day events with an exclusive end date and timed events in the user timezone', () => {
+      const ics = buildCalendar([
+        { uid: 'assignment-1@hersphere', summary: 'Due: Essay', date: '2025-03-31' },
+        { uid: 'period@hersphere', summary: 'Predicted period', date: '2025-03-20', endDate: '2025-03-24', status: 'TENTATIVE' },
+        { uid: 'notification-2@hersphere', summary: 'Drink water', date: '2025-03-01', time: '08:30:00', rrule: 'FREQ=DAILY', alarm: true }
+      ], { timezone: 'Asia/Kolkata', now });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('DTSTAMP:20250310T063000Z');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20250331\r\nDTEND;VALUE=DATE:20250401');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20250320\r\nDTEND;VALUE=DATE:20250325');
+      expect(ics).toContain('STATUS:TENTATIVE');
+      expect(ics).toContain('DTSTART;TZID=Asia/Kolkata:20250301T083000\r\nDURATION:PT15M\r\nRRULE:FREQ=DAILY');
+      expect(ics).toContain('BEGIN:VALARM');
+      expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:Asia/Kolkata\r\nBEGIN:STANDARD\r\nDTSTART:20250228T000000\r\nTZOFFSETFROM:+0530\r\nTZOFFSETTO:+0530');
+    });
+
+    it('should define every offset change of a DST timezone in its VTIMEZONE', () => {
+      const ics = buildCalendar([
+        { uid: 'notification-2@hersphere', summary: 'Drink water', date: '2025-03-01', time: '08:30:00', rrule: 'FREQ=DAILY' }
+      ], { timezone: 'America/New_York', now });
+
+      expect(ics).toContain('BEGIN:DAYLIGHT\r\nDTSTART:20250309T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\nEND:DAYLIGHT');
+      expect(ics).toContain('BEGIN:STANDARD\r\nDTSTART:20251102T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\nEND:STANDARD');
+      expect(ics.indexOf('END:VTIMEZONE')).toBeLessThan(ics.indexOf('BEGIN:VEVENT'));
+    });
+
+    it('should leave out VTIMEZONE when every event is all-day', () => {
+      const ics = buildCalendar([{ uid: 'assignment-1@hersphere', summary: 'Due: Essay', date: '2025-03-31' }], { now });
+
+      expect(ics).not.toContain('VTIMEZONE');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/calendar', calendarRouter);
+    });
+
+    it('should store only a hash of a new feed token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/calendar/feed')
+        .expect(201);
+
+      const token = response.body.url.match(/\/calendar\/([\w-]+)\.ics$/)[1];
+      expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (user_id) DO UPDATE');
+      expect(pool.query.mock.calls[0][1]).toEqual([1, hashToken(token)]);
+    });
+
+    it('should not serve a feed for an unknown token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/calendar/not-a-token.ics')
+        .expect(404);
+
+      expect(pool.query.mock.calls[0][1]).toEqual([hashToken('not-a-token')]);
+    });
+
+    it('should serve deadlines, NPTEL weeks and exams, reminders and predicted periods', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata' }] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 4, title: 'Lab report', subject: 'CS101', deadline: '2099-03-12', priority: 'high', status: 'in_progress', estimated_minutes: 120 }
+        ] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 9, title: 'Week 3 assignment', due_date: '2099-03-14', completed: false, course_title: 'Deep Learning' }
+        ] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 11, week_number: 3, title: 'Backpropagation', assignment_due_date: '2099-03-16', assignment_submitted: true, assignment_score: '80.00', course_title: 'Deep Learning' }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 6, title: 'Deep Learning', exam_date: '2099-04-20', exam_registered: true }] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 2, title: 'Drink water', message: null, scheduled_time: '08:30:00', created_at: '2025-03-01T00:00:00Z' }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, start_date: '2025-02-20', end_date: '2025-02-24' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/calendar/secret.ics')
+        .expect('Content-Type', /text\/calendar/)
+        .expect(200);
+
+      const ics = response.text;
+      expect(ics).toContain('SUMMARY:Due: Lab report');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20990312');
+      expect(ics).toContain('SUMMARY:Deep Learning: Week 3 assignment');
+      expect(ics).toContain('SUMMARY:✓ Deep Learning: Week 3 assignment');
+      expect(ics).toContain('DESCRIPTION:Backpropagation\\nScore: 80%');
+      expect(ics).toContain('SUMMARY:Deep Learning: NPTEL exam');
+      expect(ics).toContain('DTSTART;TZID=Asia/Kolkata:20250301T083000');
+      expect(ics.match(/SUMMARY:Predicted period/g).length).toBe(3);
+      expect(ics).toContain('DTSTART;VALUE=DATE:20250320');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { analyzeCycles } = require('../services/cycleService');
+const healthRouter = require('../routes/health');
+
+const cycle = (id, start_date, end_date = null) => ({ id, start_date, end_date });
+
+describe('Menstrual cycle tracking', () => {
+  describe('analyzeCycles', () => {
+    it('should return empty stats with no cycles', () => {
+      const analysis = analyzeCycles([], [], '2024-03-01');
+
+      expect(analysis.cyclesTracked).toBe(0);
+      expect(analysis.currentCycle).toBeNull();
+      expect(analysis.prediction).toBeNull();
+    });
+
+    it('should fall back to a 28 day cycle after a single start', () => {
+      const analysis = analyzeCycles([cycle(1, '2024-03-01')], [], '2024-03-03');
+
+      expect(analysis.currentCycle).toMatchObject({ day: 3, phase: 'menstrual' });
+      expect(analysis.prediction).toMatchObject({
+        nextPeriodStart: '2024-03-29',
+        ovulationDate: '2024-03-14',
+        usesDefaults: true,
+        confidence: 'low'
+      });
+    });
+
+    it('should average cycle and period lengths and predict the next period', () => {
+      const cycles = [
+        cycle(1, '2024-01-01', '2024-01-05'),
+        cycle(2, '2024-01-31', '2024-02-04'),
+        cycle(3, '2024-03-01', '2024-03-05'),
+        cycle(4, '2024-03-31')
+      ];
+      const analysis = analyzeCycles(cycles, [], '2024-04-12');
+
+      expect(analysis.averageCycleLength).toBe(30);
+      expect(analysis.averagePeriodLength).toBe(5);
+      expect(analysis.variability).toMatchObject({ shortestCycle: 30, longestCycle: 30, isRegular: true });
+      expect(analysis.currentCycle).toMatchObject({ day: 13, phase: 'ovulatory', isFertile: true });
+      expect(analysis.prediction).toMatchObject({
+        nextPeriodStart: '2024-04-30',
+        ovulationDate: '2024-04-15',
+        fertileWindow: { start: '2024-04-10', end: '2024-04-16' },
+        basedOnCycles: 3,
+        confidence: 'medium'
+      });
+      expect(analysis.history[0].startDate).toBe('2024-03-31');
+    });
+
+    it('should use bleeding day logs when a period has no end date', () => {
+      const cycles = [cycle(1, '2024-01-01'), cycle(2, '2024-01-29')];
+      const dayLogs = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04']
+        .map((date, i) => ({ date, flow: i === 3 ? 'spotting' : 'medium' }));
+
+      const analysis = analyzeCycles(cycles, dayLogs, '2024-02-02');
+
+      expect(analysis.history[1].periodLength).toBe(3);
+      expect(analysis.averagePeriodLength).toBe(3);
+    });
+
+    it('should flag a late period', () => {
+      const cycles = [cycle(1, '2024-01-01', '2024-01-05'), cycle(2, '2024-01-29', '2024-02-02')];
+      const analysis = analyzeCycles(cycles, [], '2024-03-01');
+
+      expect(analysis.currentCycle).toMatchObject({ phase: 'late', daysLate: 4, daysUntilNextPeriod: -4 });
+    });
+
+    it('should leave implausible cycle lengths out of the averages', () => {
+      const cycles = [cycle(1, '2024-01-01'), cycle(2, '2024-01-29'), cycle(3, '2024-02-02')];
+      const analysis = analyzeCycles(cycles, [], '2024-02-05');
+
+      expect(analysis.history.find(c => c.id === 2).excluded).toBe(true);
+      expect(analysis.averageCycleLength).toBe(28);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/health', healthRouter);
+      jest.clearAllMocks();
+    });
+
+    it('should reject an unknown flow level', async () => {
+      const response = await request(app)
+        .post('/health/cycle/days')
+        .send({ date: '2024-03-01', flow: 'gushing' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Flow must be one of');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should start a new cycle on a bleeding day long after the last start', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, start_date: '2024-02-01' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, cycle_id: 4, date: '2024-03-01', flow: 'heavy' }] });
+
+      const response = await request(app)
+        .post('/health/cycle/days')
+        .send({ date: '2024-03-01', flow: 'heavy', symptoms: ['cramps'] })
+        .expect(201);
+
+      expect(response.body.cycleStarted).toBe(true);
+      expect(pool.query.mock.calls[1][1]).toEqual([1, '2024-03-01']);
+      expect(pool.query.mock.calls[2][1]).toEqual([1, 4, '2024-03-01', 'heavy', ['cramps'], null, null]);
+    });
+
+    it('should attach a mid-cycle day to the running cycle', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, start_date: '2024-02-25' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, cycle_id: 3 }] });
+
+      const response = await request(app)
+        .post('/health/cycle/days')
+        .send({ date: '2024-03-01', flow: 'light' })
+        .expect(201);
+
+      expect(response.body.cycleStarted).toBe(false);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      expect(pool.query.mock.calls[1][1][1]).toBe(3);
+    });
+
+    it('should refuse an end date before the start date', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ start_date: '2024-03-01' }] });
+
+      await request(app)
+        .put('/health/cycle/4')
+        .send({ end_date: '2024-02-28' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+// Mock streak updates
+jest.mock('../services/streakService', () => ({
+  STREAK_ACTIVITY_TYPES: ['water', 'exercise', 'kriya', 'typing'],
+  recomputeStreak: jest.fn().mockResolvedValue(null)
+}));
+
+const { pool } = require('../config/database');
+const AnalyticsService = require('../services/analyticsService');
+const {
+  normalizeActivityType,
+  getIntensityLevel,
+  estimateExercise,
+  validateExerciseFields
+} = require('../services/exerciseService');
+const healthRouter = require('../routes/health');
+
+describe('Exercise tracking', () => {
+  describe('exerciseService', () => {
+    it('should map free-text activities onto known types', () => {
+      expect(normalizeActivityType('Cycling')).toBe('cycling');
+      expect(normalizeActivityType(' Weight training ')).toBe('strength_training');
+      expect(normalizeActivityType('Underwater basket weaving')).toBe('other');
+    });
+
+    it('should estimate calories from MET, weight and duration', () => {
+      // 7.5 MET x 60 kg x 0.5 h
+      expect(estimateExercise({ activityType: 'cycling', durationMinutes: 30, weightKg: 60 }))
+        .toEqual({ met: 7.5, durationMinutes: 30, calories: 225 });
+    });
+
+    it('should scale MET with intensity, preferring heart rate zone over RPE', () => {
+      expect(estimateExercise({ activityType: 'yoga', durationMinutes: 60, rpe: 9, weightKg: 50 }).met).toBe(3.5);
+      expect(estimateExercise({ activityType: 'yoga', durationMinutes: 60, rpe: 9, heartRateZone: 1, weightKg: 50 }).met).toBe(1.5);
+    });
+
+    it('should derive a duration from steps when none is given', () => {
+      const estimate = estimateExercise({ activityType: 'walking', footsteps: 15000, weightKg: 70 });
+      expect(estimate.durationMinutes).toBe(150);
+      expect(estimate.calories).toBe(613);
+    });
+
+    it('should classify intensity levels', () => {
+      expect(getIntensityLevel({ rpe: 3 })).toBe('light');
+      expect(getIntensityLevel({ heartRateZone: 3 })).toBe('moderate');
+      expect(getIntensityLevel({ rpe: 8 })).toBe('vigorous');
+      expect(getIntensityLevel({})).toBeNull();
+    });
+
+    it('should allow big step counts but reject out-of-range fields', () => {
+      expect(validateExerciseFields({ footsteps: 15000 })).toBeNull();
+      expect(validateExerciseFields({ rpe: 11 })).toContain('RPE');
+      expect(validateExerciseFields({ heart_rate_zone: 0 })).toContain('Heart rate zone');
+      expect(validateExerciseFields({ duration_minutes: 0 })).toContain('Duration');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/health', healthRouter);
+      jest.clearAllMocks();
+    });
+
+    it('should record a duration-only session with estimated calories', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ weight_kg: '60.0' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+      await request(app)
+        .post('/health/exercise')
+        .send({ date: '2024-03-01', activity_type: 'Yoga', duration_minutes: 45, rpe: 4 })
+        .expect(201);
+
+      // yoga 2.5 MET x 0.8 (zone 2) = 2.0 MET; 2.0 x 60 kg x 0.75 h = 90 kcal
+      expect(pool.query.mock.calls[1][1]).toEqual([1, '2024-03-01', 'Yoga', null, 45, null, 4, null, 2, 90, null]);
+    });
+
+    it('should require steps or a duration', async () => {
+      await request(app)
+        .post('/health/exercise')
+        .send({ date: '2024-03-01', activity_type: 'yoga' })
+        .expect(400);
+    });
+
+    it('should edit an entry and re-estimate calories', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, date: '2024-03-01', activity_type: 'running', footsteps: null, duration_minutes: 30, distance_km: null, rpe: null, heart_rate_zone: null, notes: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, duration_minutes: 40 }] });
+
+      const response = await request(app)
+        .put('/health/exercise/5')
+        .send({ duration_minutes: 40, distance_km: 6.2 })
+        .expect(200);
+
+      const params = pool.query.mock.calls[2][1];
+      expect(params.slice(0, 5)).toEqual(['2024-03-01', 'running', null, 40, 6.2]);
+      // running 9.8 MET x 65 kg default x 40/60 h
+      expect(params[8]).toBe(425);
+      expect(response.body.entry.duration_minutes).toBe(40);
+    });
+
+    it('should return 404 when editing a missing entry', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .put('/health/exercise/99')
+        .send({ duration_minutes: 40 })
+        .expect(404);
+    });
+  });
+
+  describe('analyzeExercisePatterns', () => {
+    it('should compare active minutes with the weekly guideline', () => {
+      const analyticsService = new AnalyticsService();
+      const result = analyticsService.analyzeExercisePatterns({
+        averageSteps: 7000,
+        trend: 'stable',
+        trendPercentage: 0,
+        activityTypes: { yoga: 4, cycling: 2 },
+        daysTracked: 6,
+        totalMinutes: 240,
+        weeklyActiveMinutes: 60,
+        intensityBreakdown: { light: 200, moderate: 40, vigorous: 0, unrated: 0 },
+        goalProgress: null
+      });
+
+      const minutesInsight = result.insights.find(i => i.message.includes('active minutes'));
+      expect(minutesInsight.severity).toBe('warning');
+      expect(result.recommendations.some(r => r.message.includes('Add about 18 minutes'))).toBe(true);
+      expect(result.recommendations.some(r => r.message.includes('Most of your sessions are light'))).toBe(true);
+    });
+  });
+});
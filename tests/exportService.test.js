@@ -0,0 +1,179 @@
+const JSZip = require('jszip');
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+// Mock puppeteer so no browser is launched
+const mockPdf = jest.fn();
+const mockSetContent = jest.fn();
+const mockClose = jest.fn();
+jest.mock('puppeteer', () => ({
+  launch: jest.fn(() => Promise.resolve({
+    newPage: () => Promise.resolve({ setContent: mockSetContent, pdf: mockPdf }),
+    close: mockClose
+  }))
+}));
+
+const {
+  ExportService,
+  parseExportMetrics,
+  rowsToCSV,
+  createZip
+} = require('../services/exportService');
+
+// Read entry names and contents back with a zip reader, checking each entry's CRC
+const readZip = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer, { checkCRC32: true });
+  const files = {};
+  for (const name of Object.keys(zip.files)) {
+    files[name] = await zip.file(name).async('string');
+  }
+  return files;
+};
+
+describe('ExportService', () => {
+  let analyticsService;
+  let exportService;
+
+  const mockHealthData = {
+    waterIntake: {
+      daily: [
+        { date: new Date('2025-01-01T00:00:00Z'), amount_ml: 1800 },
+        { date: new Date('2025-01-02T00:00:00Z'), amount_ml: 2200 }
+      ],
+      average: 2000
+    },
+    exercise: {
+      daily: [{ date: new Date('2025-01-01T00:00:00Z'), activity_type: 'walking, brisk', footsteps: 6000 }],
+      averageSteps: 6000
+    }
+  };
+
+  const mockEducationData = {
+    studyHours: { daily: [{ date: '2025-01-01', hours: '3.5' }], averageHours: 3.5 },
+    subjectProgress: [{ subjectCode: 'ECO525', taskCompletionRate: 70 }]
+  };
+
+  const mockInsights = {
+    insights: [{ type: 'health', category: 'water_intake', severity: 'positive', actionable: false, message: 'Great "hydration"' }],
+    recommendations: [],
+    milestones: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analyticsService = {
+      aggregateHealthData: jest.fn().mockResolvedValue(mockHealthData),
+      calculateEducationProgress: jest.fn().mockResolvedValue(mockEducationData),
+      generateInsights: jest.fn().mockResolvedValue(mockInsights)
+    };
+    exportService = new ExportService(analyticsService);
+  });
+
+  describe('parseExportMetrics', () => {
+    it('should expand all into every export metric', () => {
+      const { requested, invalid } = parseExportMetrics('all');
+      expect(requested).toEqual(['water', 'exercise', 'sleep', 'period', 'cycle', 'symptoms', 'constipation', 'kriya', 'typing', 'habits', 'education']);
+      expect(invalid).toEqual([]);
+    });
+
+    it('should separate unknown metrics', () => {
+      const { requested, invalid } = parseExportMetrics('water, sleepless');
+      expect(requested).toEqual(['water']);
+      expect(invalid).toEqual(['sleepless']);
+    });
+  });
+
+  describe('rowsToCSV', () => {
+    it('should quote values containing commas and quotes', () => {
+      const csv = rowsToCSV([{ date: new Date('2025-01-01T00:00:00Z'), note: 'a, "b"' }]);
+      expect(csv).toBe('date,note\r\n2025-01-01,"a, ""b"""\r\n');
+    });
+
+    it('should use the union of row keys as columns', () => {
+      const csv = rowsToCSV([{ a: 1 }, { b: 2 }]);
+      expect(csv).toBe('a,b\r\n1,\r\n,2\r\n');
+    });
+  });
+
+  describe('createZip', () => {
+    it('should produce an archive that round-trips its entries', async () => {
+      const zip = await createZip([
+        { name: 'water.csv', content: 'date,amount_ml\r\n' },
+        { name: 'insights.csv', content: 'message\r\nhello\r\n' }
+      ]);
+
+      expect(await readZip(zip)).toEqual({
+        'water.csv': 'date,amount_ml\r\n',
+        'insights.csv': 'message\r\nhello\r\n'
+      });
+    });
+  });
+
+  describe('exportReport', () => {
+    it('should build the report from health, education and insight data', async () => {
+      const file = await exportService.exportReport(1, { format: 'json', timeRange: 30, metrics: ['water', 'education'] });
+      const report = JSON.parse(file.content);
+
+      expect(analyticsService.aggregateHealthData).toHaveBeenCalledWith(1, '30', 'water');
+      expect(analyticsService.calculateEducationProgress).toHaveBeenCalledWith(1, '30', 'all');
+      expect(analyticsService.generateInsights).toHaveBeenCalledWith(1);
+      expect(file.contentType).toBe('application/json');
+      expect(report.timeRange).toBe(30);
+      expect(report.health.waterIntake.average).toBe(2000);
+      expect(report.insights.insights).toHaveLength(1);
+    });
+
+    it('should skip health aggregation when only education is requested', async () => {
+      await exportService.exportReport(1, { format: 'json', timeRange: 30, metrics: ['education'] });
+      expect(analyticsService.aggregateHealthData).not.toHaveBeenCalled();
+    });
+
+    it('should return a plain CSV when there is a single sheet', async () => {
+      analyticsService.generateInsights.mockResolvedValue(null);
+
+      const file = await exportService.exportReport(1, { format: 'csv', timeRange: 30, metrics: ['water'] });
+
+      expect(file.contentType).toBe('text/csv; charset=utf-8');
+      expect(file.filename).toMatch(/water\.csv$/);
+      expect(file.content).toBe('date,amount_ml\r\n2025-01-01,1800\r\n2025-01-02,2200\r\n');
+    });
+
+    it('should zip one CSV sheet per metric', async () => {
+      const file = await exportService.exportReport(1, { format: 'csv', timeRange: 30, metrics: ['water', 'exercise', 'education'] });
+      const files = await readZip(file.content);
+
+      expect(file.contentType).toBe('application/zip');
+      expect(Object.keys(files)).toEqual(['water.csv', 'exercise.csv', 'study_hours.csv', 'subject_progress.csv', 'insights.csv']);
+      expect(files['exercise.csv']).toContain('"walking, brisk"');
+      expect(files['insights.csv']).toContain('"Great ""hydration"""');
+    });
+
+    it('should render a PDF with charts and insight sections', async () => {
+      mockPdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      const file = await exportService.exportReport(1, { format: 'pdf', timeRange: 30, metrics: ['water', 'education'] });
+      const html = mockSetContent.mock.calls[0][0];
+
+      expect(file.contentType).toBe('application/pdf');
+      expect(file.content.toString()).toBe('%PDF');
+      expect(html).toContain('<h2>Water Intake</h2>');
+      expect(html).toContain('<svg');
+      expect(html).toContain('<h2>Insights</h2>');
+      expect(html).toContain('Great &quot;hydration&quot;');
+      expect(mockClose).toHaveBeenCalled();
+    });
+
+    it('should close the browser when PDF rendering fails', async () => {
+      mockPdf.mockRejectedValue(new Error('render failed'));
+
+      await expect(exportService.exportReport(1, { format: 'pdf', timeRange: 30, metrics: ['water'] }))
+        .rejects.toThrow('render failed');
+      expect(mockClose).toHaveBeenCalled();
+    });
+  });
+});
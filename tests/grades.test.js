@@ -0,0 +1,143 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const {
+  DEFAULT_GRADING_SCALE,
+  projectSubjectGrade,
+  requiredScoreForGrade,
+  calculateGpa
+} = require('../services/gradeService');
+const educationRouter = require('../routes/education');
+
+const assessments = [
+  { id: 1, title: 'Midterm', weight: '30.00', max_marks: '50.00', score: '40.00', is_final: false },
+  { id: 2, title: 'Quiz', weight: '20.00', max_marks: '10.00', score: '7.00', is_final: false },
+  { id: 3, title: 'Final', weight: '50.00', max_marks: '100.00', score: null, is_final: true }
+];
+
+describe('Grades', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('gradeService', () => {
+    it('should project a subject grade from the scores so far', () => {
+      const projection = projectSubjectGrade(assessments, DEFAULT_GRADING_SCALE);
+
+      expect(projection.currentPercent).toBe(76);
+      expect(projection.minimumPercent).toBe(38);
+      expect(projection.maximumPercent).toBe(88);
+      expect(projection.projectedGrade).toBe('A');
+      expect(projection.projectedPoints).toBe(8);
+    });
+
+    it('should not project a grade before anything is scored', () => {
+      const projection = projectSubjectGrade([assessments[2]], DEFAULT_GRADING_SCALE);
+
+      expect(projection.projectedGrade).toBeNull();
+      expect(projection.maximumPercent).toBe(100);
+    });
+
+    it('should work out the final score needed for a grade', () => {
+      const aPlus = requiredScoreForGrade(assessments, assessments[2], 'a+', DEFAULT_GRADING_SCALE);
+      expect(aPlus.requiredPercent).toBe(84);
+      expect(aPlus.requiredMarks).toBe(84);
+      expect(aPlus.achievable).toBe(true);
+
+      expect(requiredScoreForGrade(assessments, assessments[2], 'O', DEFAULT_GRADING_SCALE).achievable).toBe(false);
+      expect(requiredScoreForGrade(assessments, assessments[2], 'F', DEFAULT_GRADING_SCALE).alreadySecured).toBe(true);
+      expect(requiredScoreForGrade(assessments, assessments[2], 'Z', DEFAULT_GRADING_SCALE)).toBeNull();
+    });
+
+    it('should weight the GPA by credits', () => {
+      expect(calculateGpa([
+        { credits: 4, points: 8 },
+        { credits: 2, points: 10 },
+        { credits: null, points: 6 },
+        { credits: 3, points: null }
+      ])).toBe(8.29);
+      expect(calculateGpa([])).toBeNull();
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/education', educationRouter);
+    });
+
+    it('should report the term GPA and CGPA', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 7, code: 'ECO601', name: 'Econometrics', credits: '4.0', term_id: 5 },
+          { id: 3, code: 'ECO525', name: 'Microeconomics', credits: '2.0', term_id: 2 }
+        ] })
+        .mockResolvedValueOnce({ rows: [
+          ...assessments.map(a => ({ ...a, subject_id: 7 })),
+          { id: 9, subject_id: 3, weight: '100.00', max_marks: '100.00', score: '95.00' }
+        ] });
+
+      const response = await request(app)
+        .get('/education/grades')
+        .expect(200);
+
+      expect(response.body.termId).toBe(5);
+      expect(response.body.scale.isDefault).toBe(true);
+      expect(response.body.subjects.map(subject => subject.code)).toEqual(['ECO601']);
+      expect(response.body.termGpa).toBe(8);
+      expect(response.body.cgpa).toBe(8.67);
+    });
+
+    it('should reject a grading scale without a bottom band', async () => {
+      const response = await request(app)
+        .put('/education/grades/scale')
+        .send({ name: '4-point', max_points: 4, bands: [{ grade: 'A', min_percent: 90, points: 4 }] })
+        .expect(400);
+
+      expect(response.body.error).toBe('One band must start at 0 percent');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should answer what the final needs for a grade', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: assessments })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/education/subjects/7/required-score?grade=A%2B')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['7', 1]);
+      expect(response.body.required.assessmentId).toBe(3);
+      expect(response.body.required.requiredMarks).toBe(84);
+    });
+
+    it('should refuse a score above the maximum marks', async () => {
+      await request(app)
+        .post('/education/subjects/7/assessments')
+        .send({ title: 'Quiz 2', weight: 10, max_marks: 10, score: 12 })
+        .expect(400);
+    });
+  });
+});
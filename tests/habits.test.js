@@ -0,0 +1,211 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+// Mock the streak engine and the user's local date
+jest.mock('../services/streakService', () => ({
+  recomputeStreak: jest.fn().mockResolvedValue({ success: true, data: { currentStreak: 4 } })
+}));
+jest.mock('../utils/helpers', () => ({
+  ...jest.requireActual('../utils/helpers'),
+  getUserLocalDate: jest.fn().mockResolvedValue({ timezone: 'UTC', today: '2025-03-10' })
+}));
+
+const { pool } = require('../config/database');
+const { recomputeStreak } = require('../services/streakService');
+const { parseHabitKey, validateHabit, isScheduledOn } = require('../services/habitService');
+const AnalyticsService = require('../services/analyticsService');
+const habitsRouter = require('../routes/habits');
+
+const habit = (overrides) => ({
+  id: 12,
+  user_id: 1,
+  name: 'Read',
+  icon: '📖',
+  kind: 'count',
+  target: '20.00',
+  unit: 'pages',
+  schedule_days: [1, 2, 3, 4, 5],
+  archived: false,
+  created_at: '2025-03-01T08:00:00.000Z',
+  ...overrides
+});
+
+describe('Custom habits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('habitService', () => {
+    it('should only read habit keys with a habit ID', () => {
+      expect(parseHabitKey('habit:12')).toBe(12);
+      expect(parseHabitKey('habit:0')).toBeNull();
+      expect(parseHabitKey('habit:abc')).toBeNull();
+      expect(parseHabitKey('kriya')).toBeNull();
+    });
+
+    it('should validate kinds and schedule days', () => {
+      expect(validateHabit({ name: 'Skincare', kind: 'boolean' })).toBeNull();
+      expect(validateHabit({ name: 'Skincare', kind: 'daily' })).toContain('kind must be one of');
+      expect(validateHabit({ name: 'Skincare', kind: 'boolean', schedule_days: [1, 1] })).toContain('schedule_days');
+      expect(validateHabit({ schedule_days: [7] }, true)).toContain('schedule_days');
+      expect(validateHabit({ target: 0 }, true)).toContain('target');
+    });
+
+    it('should find the weekday of a date', () => {
+      // 2025-03-10 is a Monday
+      expect(isScheduledOn([1], '2025-03-10')).toBe(true);
+      expect(isScheduledOn([0, 6], '2025-03-10')).toBe(false);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/habits', habitsRouter);
+    });
+
+    it('should create a yes/no habit due every day', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [habit({ kind: 'boolean', target: '1.00', unit: null, schedule_days: [0, 1, 2, 3, 4, 5, 6] })] });
+
+      const response = await request(app)
+        .post('/habits')
+        .send({ name: '  Skincare ', kind: 'boolean', target: 5 })
+        .expect(201);
+
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 'Skincare', null, 'boolean', 1, null, [0, 1, 2, 3, 4, 5, 6]]);
+      expect(response.body.habit).toMatchObject({ key: 'habit:12', kind: 'boolean', target: 1 });
+    });
+
+    it('should reject a duplicate habit name', async () => {
+      pool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await request(app)
+        .post('/habits')
+        .send({ name: 'Read', kind: 'count', target: 20 })
+        .expect(409);
+    });
+
+    it('should mark a check-in against the target and recompute the streak', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [habit()] })
+        .mockResolvedValueOnce({ rows: [{ id: 40, habit_id: 12, date: '2025-03-10', value: '25.00', completed: true, inserted: true }] });
+
+      const response = await request(app)
+        .post('/habits/12/checkins')
+        .send({ date: '2025-03-10', value: 25 })
+        .expect(201);
+
+      expect(pool.query.mock.calls[1][1]).toEqual([12, 1, '2025-03-10', 25, true, null]);
+      expect(response.body.checkin).not.toHaveProperty('inserted');
+      expect(recomputeStreak).toHaveBeenCalledWith(1, 'habit:12');
+      expect(response.body.streak.currentStreak).toBe(4);
+    });
+
+    it('should require a value for count habits', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [habit()] });
+
+      const response = await request(app)
+        .post('/habits/12/checkins')
+        .send({ date: '2025-03-10', completed: true })
+        .expect(400);
+
+      expect(response.body.error).toContain('value is required');
+      expect(recomputeStreak).not.toHaveBeenCalled();
+    });
+
+    it('should re-mark past check-ins when the target changes', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [habit()] })
+        .mockResolvedValueOnce({ rows: [habit({ target: '30.00' })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .put('/habits/12')
+        .send({ target: 30 })
+        .expect(200);
+
+      expect(pool.query.mock.calls[2][0]).toContain('SET completed = value >= $1');
+      expect(pool.query.mock.calls[2][1]).toEqual([30, '12']);
+      expect(recomputeStreak).toHaveBeenCalledWith(1, 'habit:12');
+    });
+
+    it('should not change a habit\'s kind', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [habit()] });
+
+      await request(app)
+        .put('/habits/12')
+        .send({ kind: 'duration' })
+        .expect(400);
+    });
+
+    it('should drop the streak with the habit', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/habits/12')
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 'habit:12']);
+    });
+  });
+
+  describe('goals and analytics', () => {
+    it('should count done days for a yes/no habit goal', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ kind: 'boolean', completed_days: '18', avg_value: '0.9' }] });
+
+      const value = await new AnalyticsService().getCurrentMetricValue(1, 'habit:12', 'health');
+
+      expect(value).toBe(18);
+      expect(pool.query.mock.calls[0][1].slice(0, 2)).toEqual([12, 1]);
+    });
+
+    it('should average the day\'s value for a count habit goal', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ kind: 'count', completed_days: '3', avg_value: '22.45' }] });
+
+      expect(await new AnalyticsService().getCurrentMetricValue(1, 'habit:12', 'health')).toBe(22.5);
+    });
+
+    it('should rate completion over scheduled days only', async () => {
+      const service = new AnalyticsService();
+      const created = new Date();
+      created.setDate(created.getDate() - 6);
+      pool.query
+        .mockResolvedValueOnce({ rows: [habit({ kind: 'boolean', target: '1.00', schedule_days: [0, 1, 2, 3, 4, 5, 6], created_at: created })] })
+        .mockResolvedValueOnce({ rows: [
+          { habit_id: 12, date: '2025-03-08', value: '1.00', completed: true },
+          { habit_id: 12, date: '2025-03-09', value: '1.00', completed: true },
+          { habit_id: 99, date: '2025-03-09', value: '1.00', completed: true }
+        ] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - 30);
+      const analytics = await service.getHabitAnalytics(1, startDate);
+
+      // Seven days since the habit was created, counting today
+      expect(analytics.habits[0]).toMatchObject({ key: 'habit:12', completedDays: 2, scheduledDays: 7, completionRate: 29 });
+      expect(analytics.checkins).toHaveLength(2);
+      expect(pool.query.mock.calls[2][1]).toEqual([1, 'habit:12', 'active']);
+    });
+  });
+});
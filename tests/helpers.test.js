@@ -0,0 +1,92 @@
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const {
+  isValidDate,
+  toDateString,
+  daysBetween,
+  addDays,
+  round1,
+  standardDeviation,
+  isValidTimezone,
+  getZonedParts,
+  getLocalDate,
+  getUserLocalDate,
+  zonedTimeToUtc
+} = require('../utils/helpers');
+
+describe('Shared helpers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('dates', () => {
+    it('should accept only real YYYY-MM-DD strings', () => {
+      expect(isValidDate('2024-02-29')).toBe(true);
+      expect(isValidDate('2024-13-01')).toBe(false);
+      expect(isValidDate('2024-3-1')).toBe(false);
+      expect(isValidDate(undefined)).toBe(false);
+      expect(isValidDate(20240301)).toBe(false);
+    });
+
+    it('should normalise DATE values to YYYY-MM-DD', () => {
+      expect(toDateString(new Date(2024, 2, 1))).toBe('2024-03-01');
+      expect(toDateString('2024-03-01T00:00:00.000Z')).toBe('2024-03-01');
+      expect(toDateString(null)).toBeNull();
+    });
+
+    it('should count and move days across month ends and DST changes', () => {
+      expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+      expect(addDays('2025-03-09', -1)).toBe('2025-03-08');
+      expect(daysBetween('2025-03-01', '2025-04-01')).toBe(31);
+      expect(daysBetween('2025-04-01', '2025-03-31')).toBe(-1);
+    });
+  });
+
+  describe('statistics', () => {
+    it('should round to one decimal and give the sample standard deviation', () => {
+      expect(round1(2.345)).toBe(2.3);
+      expect(standardDeviation([5])).toBe(0);
+      expect(round1(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]))).toBe(2.1);
+    });
+  });
+
+  describe('timezones', () => {
+    it('should validate IANA timezone names', () => {
+      expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+
+    it('should convert instants to local date parts', () => {
+      // 2025-03-02 20:00 UTC is 2025-03-03 01:30 (Monday) in Kolkata
+      const parts = getZonedParts(new Date('2025-03-02T20:00:00Z'), 'Asia/Kolkata');
+      expect(parts).toEqual({ date: '2025-03-03', weekday: 1, minutes: 90 });
+    });
+
+    it('should convert local wall-clock time to UTC across DST changes', () => {
+      expect(zonedTimeToUtc('2025-01-15', 9 * 60, 'America/New_York').toISOString()).toBe('2025-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc('2025-07-15', 9 * 60, 'America/New_York').toISOString()).toBe('2025-07-15T13:00:00.000Z');
+    });
+
+    it('should give the local date, falling back to UTC', () => {
+      const now = new Date('2025-03-02T20:00:00Z');
+      expect(getLocalDate('Asia/Kolkata', now)).toBe('2025-03-03');
+      expect(getLocalDate(null, now)).toBe('2025-03-02');
+    });
+
+    it("should use the user's profile timezone", async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata' }] });
+
+      const local = await getUserLocalDate(7, new Date('2025-03-02T20:00:00Z'));
+
+      expect(local).toEqual({ timezone: 'Asia/Kolkata', today: '2025-03-03' });
+      expect(pool.query.mock.calls[0][1]).toEqual([7]);
+    });
+  });
+});
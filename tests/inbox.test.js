@@ -0,0 +1,198 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const notificationsRouter = require('../routes/notifications');
+const {
+  createInboxItem,
+  recordAchievementNotifications,
+  recordInsightMilestones
+} = require('../services/inboxService');
+
+describe('Notification Inbox', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/notifications', notificationsRouter);
+
+    jest.clearAllMocks();
+  });
+
+  describe('inboxService', () => {
+    it('should return null when the dedupe key was already recorded', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const item = await createInboxItem(1, { type: 'streak', title: '7-day streak', dedupeKey: 'streak:water:7:2025-03-03' });
+
+      expect(item).toBeNull();
+      expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (user_id, dedupe_key) DO NOTHING');
+    });
+
+    it('should reject unknown item types', async () => {
+      await expect(createInboxItem(1, { type: 'spam', title: 'Hi' })).rejects.toThrow('Invalid inbox item type');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should map achievement notifications to inbox item types', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ timezone: 'UTC' }] })
+        .mockResolvedValue({ rows: [{ id: 1 }] });
+
+      await recordAchievementNotifications(1, [
+        { type: 'goal_achievement', goalId: 5, title: 'Goal Achieved! 🎉', message: 'Done', data: { metric: 'water_intake' }, priority: 'high' },
+        { type: 'milestone', title: 'Hydration Hero! 💧', message: 'Nice', priority: 'medium' }
+      ]);
+
+      const [achievementParams, milestoneParams] = pool.query.mock.calls.slice(1).map(call => call[1]);
+      expect(achievementParams[1]).toBe('achievement');
+      expect(JSON.parse(achievementParams[4])).toEqual({ goalId: 5, metric: 'water_intake' });
+      expect(achievementParams[6]).toMatch(/^goal:5:achieved:/);
+      expect(milestoneParams[1]).toBe('milestone');
+    });
+
+    it("should key achievement notifications by the user's local day", async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Pacific/Auckland' }] })
+        .mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // 20:00 UTC on 2 March is already 3 March in Auckland
+      await recordAchievementNotifications(1, [
+        { type: 'goal_achievement', goalId: 5, title: 'Goal Achieved! 🎉', message: 'Done', priority: 'high' }
+      ], new Date('2025-03-02T20:00:00Z'));
+
+      expect(pool.query.mock.calls[1][1][6]).toBe('goal:5:achieved:2025-03-03');
+    });
+
+    it('should give the same insight milestone the same dedupe key', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      const milestone = { type: 'achievement', category: 'water_intake', message: 'Meeting hydration goals', icon: '🎉' };
+
+      await recordInsightMilestones(1, [milestone]);
+      await recordInsightMilestones(1, [milestone]);
+
+      expect(pool.query.mock.calls[0][1][6]).toBe(pool.query.mock.calls[1][1][6]);
+    });
+  });
+
+  describe('GET /notifications/inbox', () => {
+    it('should return a page of items with pagination and unread count', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 3, type: 'reminder', title: 'Goal reminder', list_cursor: '2025-03-03T10:00:00.123456Z' },
+          { id: 2, type: 'streak', title: '7-day streak', list_cursor: '2025-03-02T10:00:00.000000Z' }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ count: '4' }] });
+
+      const response = await request(app)
+        .get('/notifications/inbox?limit=1&status=unread')
+        .expect(200);
+
+      expect(response.body.items).toEqual([{ id: 3, type: 'reminder', title: 'Goal reminder' }]);
+      expect(response.body.pagination).toMatchObject({ limit: 1, sort: 'desc', hasMore: true });
+      expect(response.body.unreadCount).toBe(4);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('read_at IS NULL');
+      expect(sql).toContain('ORDER BY created_at DESC, id DESC LIMIT 2');
+      expect(params).toEqual([1]);
+
+      // The next page starts after the exact created_at of the last item
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '4' }] });
+
+      await request(app)
+        .get(`/notifications/inbox?limit=1&status=unread&cursor=${response.body.pagination.nextCursor}`)
+        .expect(200);
+
+      const [nextSql, nextParams] = pool.query.mock.calls[2];
+      expect(nextSql).toContain('(created_at, id) < ($2::timestamptz, $3)');
+      expect(nextParams).toEqual([1, '2025-03-03T10:00:00.123456Z', 3]);
+    });
+
+    it('should reject an invalid inbox cursor', async () => {
+      await request(app)
+        .get('/notifications/inbox?cursor=page-2')
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown status filter', async () => {
+      const response = await request(app)
+        .get('/notifications/inbox?status=deleted')
+        .expect(400);
+
+      expect(response.body.error).toContain('Status must be one of');
+    });
+  });
+
+  describe('inbox actions', () => {
+    it('should return the unread count', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+      const response = await request(app)
+        .get('/notifications/inbox/unread-count')
+        .expect(200);
+
+      expect(response.body.unreadCount).toBe(2);
+    });
+
+    it('should mark an item as read', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 3, read_at: '2025-03-03T10:00:00Z' }] });
+
+      const response = await request(app)
+        .post('/notifications/inbox/3/read')
+        .expect(200);
+
+      expect(response.body.item.id).toBe(3);
+      expect(pool.query.mock.calls[0][1]).toEqual(['3', 1]);
+    });
+
+    it('should return 404 when marking another user\'s item', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/notifications/inbox/99/read')
+        .expect(404);
+    });
+
+    it('should mark all items as read', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 5 });
+
+      const response = await request(app)
+        .post('/notifications/inbox/read-all')
+        .expect(200);
+
+      expect(response.body.updated).toBe(5);
+    });
+
+    it('should archive an item', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 3, archived_at: '2025-03-03T10:00:00Z' }] });
+
+      const response = await request(app)
+        .post('/notifications/inbox/3/archive')
+        .expect(200);
+
+      expect(response.body.message).toBe('Inbox item archived');
+      expect(pool.query.mock.calls[0][0]).toContain('archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)');
+    });
+  });
+});
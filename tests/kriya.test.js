@@ -0,0 +1,171 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+// Mock the streak service
+jest.mock('../services/streakService', () => ({
+  recomputeStreak: jest.fn().mockResolvedValue(null)
+}));
+
+const { pool } = require('../config/database');
+const { recomputeStreak } = require('../services/streakService');
+const AnalyticsService = require('../services/analyticsService');
+const healthRouter = require('../routes/health');
+
+const session = (overrides) => ({
+  date: new Date(2025, 2, 10),
+  practice_type: 'kriya',
+  duration_minutes: 25,
+  calm_before: 2,
+  calm_after: 4,
+  empty_stomach: true,
+  start_minutes: 6 * 60,
+  notes: null,
+  created_at: '2025-03-10T01:00:00Z',
+  ...overrides
+});
+
+describe('Kriya sessions', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/health', healthRouter);
+  });
+
+  describe('routes', () => {
+    it('should log a second session on the same day', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 7, date: '2025-03-10', practice_type: 'pranayama' }] });
+
+      await request(app)
+        .post('/health/kriya')
+        .send({ date: '2025-03-10', practice_type: 'pranayama', duration_minutes: 15, calm_before: 3, calm_after: 4 })
+        .expect(201);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).not.toContain('ON CONFLICT');
+      expect(params).toEqual([1, '2025-03-10', null, 15, 'pranayama', 3, 4, null, null]);
+      expect(recomputeStreak).toHaveBeenCalledWith(1, 'kriya');
+    });
+
+    it('should date a session by its local start time', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 8 }] });
+
+      await request(app)
+        .post('/health/kriya')
+        .send({ started_at: '2025-03-09T23:30:00Z' })
+        .expect(201);
+
+      // 05:00 on 10 March in India
+      expect(pool.query.mock.calls[1][1][1]).toBe('2025-03-10');
+      expect(pool.query.mock.calls[1][1][4]).toBe('kriya');
+    });
+
+    it('should validate session details', async () => {
+      await request(app).post('/health/kriya').send({}).expect(400);
+      await request(app).post('/health/kriya').send({ date: '2025-03-10', practice_type: 'yoga' }).expect(400);
+      await request(app).post('/health/kriya').send({ date: '2025-03-10', calm_after: 6 }).expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should keep unspecified fields when editing a session', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, date: '2025-03-10', started_at: null, duration_minutes: 15, practice_type: 'pranayama', calm_before: 3, calm_after: 4, empty_stomach: null, notes: 'Evening' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, duration_minutes: 20 }] });
+
+      await request(app)
+        .put('/health/kriya/7')
+        .send({ duration_minutes: 20 })
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][1]).toEqual(['2025-03-10', null, 20, 'pranayama', 3, 4, null, 'Evening', '7', 1]);
+      expect(recomputeStreak).not.toHaveBeenCalled();
+    });
+
+    it('should recompute the streak when a session is deleted', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      await request(app)
+        .delete('/health/kriya/7')
+        .expect(200);
+
+      expect(recomputeStreak).toHaveBeenCalledWith(1, 'kriya');
+    });
+  });
+
+  describe('analytics', () => {
+    it('should summarize minutes, start times and calm ratings', () => {
+      const service = new AnalyticsService();
+
+      const times = service.summarizePracticeTimes([6 * 60, 6 * 60 + 20, 5 * 60 + 40, 19 * 60]);
+      expect(times.byPartOfDay).toEqual({ morning: 3, afternoon: 0, evening: 1, night: 0 });
+      expect(times.steady).toBe(false);
+      expect(service.summarizePracticeTimes([6 * 60, 6 * 60 + 20, 5 * 60 + 40]).steady).toBe(true);
+
+      const calm = service.summarizeCalmRatings([
+        session(),
+        session({ calm_before: 3, calm_after: 4, empty_stomach: false }),
+        session({ calm_before: null, empty_stomach: null })
+      ]);
+      expect(calm).toEqual({ ratedSessions: 2, averageBefore: 2.5, averageAfter: 4, averageChange: 1.5, emptyStomachRate: 50 });
+    });
+
+    it('should compare mood on practice days and sleep the night after', async () => {
+      const day = (n) => new Date(2025, 2, n);
+      pool.query
+        .mockResolvedValueOnce({ rows: [1, 2, 3, 4, 5, 6].map(n => ({ date: day(n), mood: n <= 3 ? 4 : 3 })) })
+        .mockResolvedValueOnce({ rows: [2, 3, 4, 5, 6, 7].map(n => ({ date: day(n), sleep_hours: n <= 4 ? '7.5' : '6.5' })) });
+
+      const effects = await new AnalyticsService().getKriyaEffects(1, day(1), new Set(['2025-03-01', '2025-03-02', '2025-03-03']));
+
+      expect(effects.mood).toEqual({ practiceDays: 4, otherDays: 3, difference: 1, daysCompared: 6 });
+      expect(effects.sleep).toEqual({ practiceDays: 7.5, otherDays: 6.5, difference: 1, daysCompared: 6 });
+    });
+
+    it('should leave out effects with too few days to compare', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ date: new Date(2025, 2, 1), mood: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const effects = await new AnalyticsService().getKriyaEffects(1, new Date(2025, 2, 1), new Set(['2025-03-01']));
+
+      expect(effects).toEqual({ mood: null, sleep: null });
+    });
+
+    it('should report a steady routine and a mood lift', () => {
+      const { insights, recommendations } = new AnalyticsService().analyzeKriyaPatterns({
+        totalSessions: 12,
+        consistencyRate: 60,
+        daysTracked: 10,
+        timeOfDay: { averageStartTime: '06:05', variabilityMinutes: 20, steady: true, timedSessions: 10 },
+        calm: { ratedSessions: 2, averageChange: 1.5 },
+        effects: { mood: { practiceDays: 4, otherDays: 3.2, difference: 0.8 }, sleep: null }
+      });
+
+      const messages = insights.map(insight => insight.message);
+      expect(messages.some(message => message.includes('06:05'))).toBe(true);
+      expect(messages.some(message => message.includes('4/5'))).toBe(true);
+      expect(messages.some(message => message.includes('calm'))).toBe(false);
+      expect(recommendations).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// Mock the database pool
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(() => Promise.resolve(mockClient))
+  }
+}));
+
+const { pool } = require('../config/database');
+const {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  assertSchemaUpToDate
+} = require('../config/migrate');
+
+// Answer schema_migrations reads with the given versions, everything else with no rows
+const mockAppliedVersions = (queryMock, versions) => {
+  queryMock.mockImplementation((sql) => {
+    if (/SELECT version, name, applied_at FROM schema_migrations/.test(sql)) {
+      return Promise.resolve({
+        rows: versions.map(version => ({ version, name: `migration_${version}`, applied_at: new Date() }))
+      });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+};
+
+const executedSql = (queryMock) => queryMock.mock.calls.map(([sql]) => sql.trim());
+
+describe('Migration runner', () => {
+  let latestVersion;
+
+  beforeAll(() => {
+    const migrations = loadMigrations();
+    latestVersion = migrations[migrations.length - 1].version;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  describe('loadMigrations', () => {
+    it('should load migrations in version order starting with the baseline', () => {
+      const migrations = loadMigrations();
+
+      expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline' });
+      migrations.forEach((migration, index) => {
+        expect(typeof migration.up).toBe('function');
+        expect(typeof migration.down).toBe('function');
+        if (index > 0) {
+          expect(migration.version).toBeGreaterThan(migrations[index - 1].version);
+        }
+      });
+    });
+  });
+
+  describe('migrateUp', () => {
+    it('should apply only pending migrations, each in its own transaction', async () => {
+      mockAppliedVersions(mockClient.query, [1]);
+
+      const applied = await migrateUp();
+      const sql = executedSql(mockClient.query);
+
+      expect(applied.map(m => m.version)).not.toContain(1);
+      expect(applied).toHaveLength(latestVersion - 1);
+      expect(sql.filter(q => q === 'BEGIN')).toHaveLength(applied.length);
+      expect(sql.filter(q => q === 'COMMIT')).toHaveLength(applied.length);
+      expect(sql[0]).toContain('pg_advisory_lock');
+      expect(sql[sql.length - 1]).toContain('pg_advisory_unlock');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should roll back and stop when a migration fails', async () => {
+      mockAppliedVersions(mockClient.query, []);
+      mockClient.query.mockImplementation((sql) => {
+        if (/CREATE TABLE IF NOT EXISTS users/.test(sql)) {
+          return Promise.reject(new Error('permission denied'));
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      await expect(migrateUp()).rejects.toThrow('permission denied');
+
+      const sql = executedSql(mockClient.query);
+      expect(sql).toContain('ROLLBACK');
+      expect(sql).not.toContain('COMMIT');
+      expect(sql.some(q => q.startsWith('INSERT INTO schema_migrations'))).toBe(false);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('migrateDown', () => {
+    it('should roll back the latest applied migration', async () => {
+      mockAppliedVersions(mockClient.query, [1, 2]);
+
+      const rolledBack = await migrateDown(1);
+
+      expect(rolledBack.map(m => m.version)).toEqual([2]);
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM schema_migrations WHERE version = $1', [2]);
+    });
+  });
+
+  describe('assertSchemaUpToDate', () => {
+    it('should throw when migrations are pending', async () => {
+      mockAppliedVersions(pool.query, [1]);
+
+      await expect(assertSchemaUpToDate()).rejects.toMatchObject({ code: 'SCHEMA_BEHIND' });
+    });
+
+    it('should resolve when every migration is applied', async () => {
+      const versions = loadMigrations().map(m => m.version);
+      mockAppliedVersions(pool.query, versions);
+
+      const status = await assertSchemaUpToDate();
+
+      expect(status.pending).toEqual([]);
+      expect(status.currentVersion).toBe(latestVersion);
+    });
+  });
+});
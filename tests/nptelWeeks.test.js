@@ -0,0 +1,163 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { buildWeekSchedule, calculateEligibility } = require('../services/nptelService');
+const educationRouter = require('../routes/education');
+
+const course = {
+  id: 6, title: 'Deep Learning', best_of: 8, assignment_weight: '25.00',
+  min_assignment_percent: '40.00', min_exam_percent: '40.00', exam_registered: true, exam_score: null
+};
+
+// Twelve weekly assignments, due a week apart from 2025-01-05
+const buildWeeks = (scores) => scores.map((score, index) => ({
+  id: index + 1,
+  week_number: index + 1,
+  has_assignment: true,
+  assignment_due_date: buildWeekSchedule(12, '2024-12-30')[index].assignmentDueDate,
+  assignment_submitted: score !== null,
+  assignment_score: score === null ? null : String(score)
+}));
+
+describe('NPTEL weeks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('nptelService', () => {
+    it('should make each week\'s assignment due on its last day', () => {
+      expect(buildWeekSchedule(3, '2025-01-06')).toEqual([
+        { weekNumber: 1, assignmentDueDate: '2025-01-12' },
+        { weekNumber: 2, assignmentDueDate: '2025-01-19' },
+        { weekNumber: 3, assignmentDueDate: '2025-01-26' }
+      ]);
+      expect(buildWeekSchedule(1, null)).toEqual([{ weekNumber: 1, assignmentDueDate: null }]);
+    });
+
+    it('should average the best N assignments and say what the exam needs', () => {
+      const weeks = buildWeeks([80, 60, 100, 0, 70, 90, 50, 40, 30, 100, 90, 80]);
+      const eligibility = calculateEligibility({ ...course, exam_score: null }, weeks, '2025-04-01');
+
+      // Best 8: 100, 100, 90, 90, 80, 80, 70, 60
+      expect(eligibility.assignmentAverage).toBe(83.75);
+      expect(eligibility.assignmentScore).toBe(20.94);
+      expect(eligibility.assignmentRequirementMet).toBe(true);
+      expect(eligibility.neededExamPercent).toBe(40);
+      expect(eligibility.status).toBe('pending');
+
+      const passed = calculateEligibility({ ...course, exam_score: '64.00' }, weeks, '2025-04-01');
+      expect(passed.status).toBe('eligible');
+      expect(passed.examWeightedScore).toBe(48);
+      expect(passed.finalScore).toBe(68.94);
+
+      expect(calculateEligibility({ ...course, exam_score: '35.00' }, weeks, '2025-04-01').status).toBe('not_eligible');
+    });
+
+    it('should count missed assignments as zero and work out the score still needed', () => {
+      // Four weeks gone by with two missed, eight still to come
+      const weeks = buildWeeks([50, null, 10, null, null, null, null, null, null, null, null, null]);
+      const eligibility = calculateEligibility(course, weeks, '2025-01-27');
+
+      expect(eligibility.scoredAssignments).toBe(4);
+      expect(eligibility.pendingAssignments).toBe(8);
+      expect(eligibility.assignmentAverage).toBe(7.5);
+      // The best 8 would be 50 and seven pending scores: 50 + 7x >= 40 * 8
+      expect(eligibility.neededAssignmentPercent).toBe(38.58);
+      expect(eligibility.status).toBe('pending');
+    });
+
+    it('should rule out a course whose assignments can no longer reach the minimum', () => {
+      // Week 11 is past due, leaving only week 12
+      const weeks = buildWeeks([0, 0, 0, 0, 0, 0, 0, 0, 0, 10, null, null]);
+      const eligibility = calculateEligibility(course, weeks, '2025-03-20');
+
+      expect(eligibility.maxAssignmentAverage).toBe(13.75);
+      expect(eligibility.neededAssignmentPercent).toBeNull();
+      expect(eligibility.status).toBe('not_eligible');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/education', educationRouter);
+    });
+
+    it('should create a course\'s weeks with assignment due dates', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 6, total_weeks: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/education/nptel/course')
+        .send({ title: 'Deep Learning', instructor: 'Prof. Khapra', total_weeks: 4, start_date: '2025-01-06', best_of: 3 })
+        .expect(201);
+
+      expect(pool.query.mock.calls[1][1][3]).toBe('4 weeks');
+      expect(pool.query.mock.calls[2][1]).toEqual([6, [1, 2, 3, 4], ['2025-01-12', '2025-01-19', '2025-01-26', '2025-02-02']]);
+    });
+
+    it('should reject a best_of that is not a week count', async () => {
+      await request(app)
+        .post('/education/nptel/course')
+        .send({ title: 'Deep Learning', instructor: 'Prof. Khapra', best_of: 0 })
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should mark a scored week as submitted and recompute progress', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, week_number: 3, title: null, has_assignment: true, assignment_due_date: '2025-01-26', assignment_submitted: false, assignment_score: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, assignment_score: '75.00' }] })
+        .mockResolvedValueOnce({ rows: [{ progress: 25 }] });
+
+      await request(app)
+        .put('/education/nptel/course/6/week/3')
+        .send({ assignment_score: 75 })
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['3', '6', 1]);
+      expect(pool.query.mock.calls[1][1]).toEqual([3, null, true, '2025-01-26', true, 75, 3]);
+      expect(pool.query.mock.calls[2][0]).toContain('UPDATE nptel_courses SET');
+    });
+
+    it('should return a course with its weeks and eligibility', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [course] })
+        .mockResolvedValueOnce({ rows: buildWeeks([80, 90, null]).map(week => ({
+          ...week, course_id: 6, assignment_due_date: week.assignment_score === null ? null : week.assignment_due_date, lectures: []
+        })) })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/education/nptel/course/6')
+        .expect(200);
+
+      expect(response.body.course.weeks).toHaveLength(3);
+      expect(response.body.course.eligibility.bestOf).toBe(3);
+      // Week 3 has no due date yet, so it is still pending
+      expect(response.body.course.eligibility.pendingAssignments).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { parseListQuery, buildListClauses, buildPage } = require('../services/paginationService');
+const healthRouter = require('../routes/health');
+const educationRouter = require('../routes/education');
+const notificationsRouter = require('../routes/notifications');
+
+const exerciseRows = [
+  { id: 9, date: '2024-03-05', activity_type: 'walking' },
+  { id: 8, date: '2024-03-04', activity_type: 'yoga' },
+  { id: 7, date: '2024-03-04', activity_type: 'running' }
+];
+
+describe('List pagination', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('paginationService', () => {
+    it('should default to the newest 50 items', () => {
+      const list = parseListQuery({}, { column: 'date' });
+      const params = [1];
+      const { conditions, orderBy } = buildListClauses(list, params);
+
+      expect(conditions).toBe('');
+      expect(orderBy).toBe('ORDER BY date DESC, id DESC LIMIT 51');
+      expect(params).toEqual([1]);
+    });
+
+    it('should filter timestamps by whole days and page past the cursor', () => {
+      const first = parseListQuery({ limit: '2' }, { column: 'created_at', type: 'timestamp' });
+      expect(buildListClauses(first, [1]).cursorColumn)
+        .toBe(`, to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS list_cursor`);
+
+      const page = buildPage(first, [
+        { id: 5, created_at: new Date('2024-03-05T10:00:00Z'), list_cursor: '2024-03-05T10:00:00.000000' },
+        { id: 4, created_at: new Date('2024-03-04T08:00:00Z'), list_cursor: '2024-03-04T08:00:00.123456' },
+        { id: 3, created_at: new Date('2024-03-03T08:00:00Z'), list_cursor: '2024-03-03T08:00:00.000000' }
+      ]);
+      expect(page.items).toHaveLength(2);
+      expect(page.items[1]).not.toHaveProperty('list_cursor');
+      expect(page.pagination.hasMore).toBe(true);
+
+      const next = parseListQuery(
+        { limit: '2', cursor: page.pagination.nextCursor, start_date: '2024-03-01', end_date: '2024-03-31' },
+        { column: 'created_at', type: 'timestamp' }
+      );
+      const params = [1];
+      const { conditions } = buildListClauses(next, params);
+
+      // The cursor keeps the microseconds a JS Date would drop
+      expect(conditions).toBe(' AND created_at >= $2::date AND created_at < $3::date + 1 AND (created_at, id) < ($4::timestamp, $5)');
+      expect(params).toEqual([1, '2024-03-01', '2024-03-31', '2024-03-04T08:00:00.123456', 4]);
+    });
+
+    it('should format timestamptz cursors in UTC', () => {
+      const list = parseListQuery({ sort: 'asc' }, { column: 'logged_at', type: 'timestamptz' });
+
+      expect(buildListClauses(list, [1]).cursorColumn)
+        .toBe(`, to_char(logged_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS list_cursor`);
+      expect(() => parseListQuery(
+        { cursor: Buffer.from(JSON.stringify(['2024-03-04T08:00:00.000Z', 4])).toString('base64url') },
+        { column: 'logged_at', type: 'timestamptz' }
+      )).toThrow('cursor is not valid');
+    });
+
+    it('should reject malformed list parameters', () => {
+      const options = { column: 'date' };
+      expect(() => parseListQuery({ limit: '0' }, options)).toThrow('limit must be a whole number between 1 and 200');
+      expect(() => parseListQuery({ limit: '500' }, options)).toThrow('limit');
+      expect(() => parseListQuery({ sort: 'newest' }, options)).toThrow('sort must be one of: asc, desc');
+      expect(() => parseListQuery({ start_date: '03/01/2024' }, options)).toThrow('start_date');
+      expect(() => parseListQuery({ start_date: '2024-03-10', end_date: '2024-03-01' }, options)).toThrow('end_date must not be before start_date');
+      expect(() => parseListQuery({ cursor: 'not-a-cursor' }, options)).toThrow('cursor is not valid');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/health', healthRouter);
+      app.use('/education', educationRouter);
+      app.use('/notifications', notificationsRouter);
+    });
+
+    it('should return a page of exercise entries with a cursor to the next', async () => {
+      pool.query.mockResolvedValueOnce({ rows: exerciseRows });
+
+      const response = await request(app)
+        .get('/health/exercise?limit=2')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY date DESC, id DESC LIMIT 3');
+      expect(response.body.entries).toHaveLength(2);
+      expect(response.body.pagination).toMatchObject({ limit: 2, sort: 'desc', hasMore: true });
+
+      pool.query.mockResolvedValueOnce({ rows: exerciseRows.slice(2) });
+
+      const next = await request(app)
+        .get(`/health/exercise?limit=2&cursor=${response.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][0]).toContain('AND (date, id) < ($2, $3)');
+      expect(pool.query.mock.calls[1][1]).toEqual([1, '2024-03-04', 8]);
+      expect(next.body.entries).toHaveLength(1);
+      expect(next.body.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+    });
+
+    it('should keep notification filters ahead of the date range', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/notifications?type=water&start_date=2024-03-01')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('WHERE user_id = $1 AND type = $2 AND created_at >= $3::date');
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 'water', '2024-03-01']);
+    });
+
+    it('should list assignments soonest deadline first', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/education/assignments')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY deadline ASC, id ASC LIMIT 51');
+    });
+
+    it('should reject a bad cursor without querying', async () => {
+      const response = await request(app)
+        .get('/health/water?cursor=abc')
+        .expect(400);
+
+      expect(response.body.error).toBe('cursor is not valid');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should load NPTEL courses and their tasks in one query', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 6, title: 'Deep Learning', created_at: '2024-03-02T00:00:00Z', tasks: [{ id: 1, title: 'Week 1 quiz' }] },
+          { id: 5, title: 'Data Science', created_at: '2024-03-01T00:00:00Z', tasks: [] }
+        ] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/education/nptel/courses')
+        .expect(200);
+
+      expect(pool.query).toHaveBeenCalledTimes(3);
+      expect(pool.query.mock.calls[0][0]).toContain('FROM nptel_course_tasks t');
+      expect(pool.query.mock.calls[1][1]).toEqual([[6, 5]]);
+      expect(response.body.courses[0].tasks).toHaveLength(1);
+      expect(response.body.pagination.nextCursor).toBeNull();
+    });
+  });
+});
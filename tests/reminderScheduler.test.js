@@ -0,0 +1,169 @@
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const {
+  parseReminderTime,
+  getDueOccurrence,
+  processDueReminders,
+  getReminderDeliveries
+} = require('../services/reminderScheduler');
+
+describe('Reminder Scheduler', () => {
+  const baseReminder = {
+    id: 1,
+    user_id: 7,
+    goal_id: 3,
+    frequency: 'daily',
+    time: '09:00:00',
+    day_of_week: null,
+    message: null,
+    enabled: true,
+    type: 'health',
+    metric: 'water_intake',
+    target: '2000',
+    description: null,
+    goal_created_at: new Date('2025-01-01T00:00:00Z'),
+    timezone: 'Asia/Kolkata',
+    last_period_key: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseReminderTime', () => {
+    it('should parse reminder times', () => {
+      expect(parseReminderTime('07:30')).toBe(450);
+      expect(parseReminderTime('23:59:00')).toBe(1439);
+      expect(parseReminderTime('24:00')).toBeNull();
+      expect(parseReminderTime('7pm')).toBeNull();
+    });
+  });
+
+  describe('getDueOccurrence', () => {
+    it('should be due once the local reminder time has passed', () => {
+      // 04:00 UTC is 09:30 in Kolkata
+      const occurrence = getDueOccurrence(baseReminder, 'Asia/Kolkata', new Date('2025-03-03T04:00:00Z'));
+      expect(occurrence).toEqual({
+        periodKey: '2025-03-03',
+        scheduledFor: new Date('2025-03-03T03:30:00Z')
+      });
+    });
+
+    it('should not be due before the local reminder time', () => {
+      expect(getDueOccurrence(baseReminder, 'Asia/Kolkata', new Date('2025-03-03T03:00:00Z'))).toBeNull();
+    });
+
+    it('should not be due again for a period already processed', () => {
+      const reminder = { ...baseReminder, last_period_key: '2025-03-03' };
+      expect(getDueOccurrence(reminder, 'Asia/Kolkata', new Date('2025-03-03T10:00:00Z'))).toBeNull();
+    });
+
+    it('should respect weekday, weekend and weekly frequencies', () => {
+      // 2025-03-08 is a Saturday
+      const saturday = new Date('2025-03-08T10:00:00Z');
+      expect(getDueOccurrence({ ...baseReminder, frequency: 'weekdays' }, 'UTC', saturday)).toBeNull();
+      expect(getDueOccurrence({ ...baseReminder, frequency: 'weekends' }, 'UTC', saturday)).not.toBeNull();
+      expect(getDueOccurrence({ ...baseReminder, frequency: 'weekly', day_of_week: 6 }, 'UTC', saturday)).not.toBeNull();
+      expect(getDueOccurrence({ ...baseReminder, frequency: 'weekly', day_of_week: 1 }, 'UTC', saturday)).toBeNull();
+    });
+
+    it('should fall back to UTC for an unknown timezone', () => {
+      const occurrence = getDueOccurrence(baseReminder, 'Not/AZone', new Date('2025-03-03T09:30:00Z'));
+      expect(occurrence.scheduledFor).toEqual(new Date('2025-03-03T09:00:00Z'));
+    });
+  });
+
+  describe('processDueReminders', () => {
+    const now = new Date('2025-03-03T04:00:00Z');
+
+    it('should deliver due reminders for goals that are not yet met', async () => {
+      const analyticsService = { calculateDetailedGoalProgress: jest.fn().mockResolvedValue({ progress: 40 }) };
+      pool.query
+        .mockResolvedValueOnce({ rows: [baseReminder] })
+        .mockResolvedValueOnce({ rows: [{ id: 11 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 21 }] });
+
+      const result = await processDueReminders(now, analyticsService);
+
+      expect(result).toEqual({ delivered: 1, skipped: 0, failed: 0 });
+      expect(analyticsService.calculateDetailedGoalProgress).toHaveBeenCalledWith(7, expect.objectContaining({
+        metric: 'water_intake',
+        target: '2000'
+      }));
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('ON CONFLICT (reminder_id, period_key) DO NOTHING');
+      expect(params).toEqual([1, 7, 3, '2025-03-03', new Date('2025-03-03T03:30:00Z'), 'delivered', 'Goal reminder', 'Time to work on your goal: water intake', 40]);
+
+      const [inboxSql, inboxParams] = pool.query.mock.calls[2];
+      expect(inboxSql).toContain('INSERT INTO inbox_notifications');
+      expect(inboxParams[1]).toBe('reminder');
+      expect(inboxParams[6]).toBe('reminder:1:2025-03-03');
+    });
+
+    it('should record reminders for met goals as skipped', async () => {
+      const analyticsService = { calculateDetailedGoalProgress: jest.fn().mockResolvedValue({ progress: 100 }) };
+      pool.query
+        .mockResolvedValueOnce({ rows: [baseReminder] })
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] });
+
+      const result = await processDueReminders(now, analyticsService);
+
+      expect(result).toEqual({ delivered: 0, skipped: 1, failed: 0 });
+      expect(pool.query.mock.calls[1][1][5]).toBe('skipped');
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not count a period another run already claimed', async () => {
+      const analyticsService = { calculateDetailedGoalProgress: jest.fn().mockResolvedValue({ progress: 10 }) };
+      pool.query
+        .mockResolvedValueOnce({ rows: [baseReminder] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await processDueReminders(now, analyticsService);
+
+      expect(result).toEqual({ delivered: 0, skipped: 0, failed: 0 });
+    });
+
+    it('should keep going when one reminder fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const analyticsService = {
+        calculateDetailedGoalProgress: jest.fn()
+          .mockRejectedValueOnce(new Error('metric query failed'))
+          .mockResolvedValueOnce({ progress: 20 })
+      };
+      pool.query
+        .mockResolvedValueOnce({ rows: [baseReminder, { ...baseReminder, id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 13 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 22 }] });
+
+      const result = await processDueReminders(now, analyticsService);
+
+      expect(result).toEqual({ delivered: 1, skipped: 0, failed: 1 });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getReminderDeliveries', () => {
+    it('should list upcoming occurrences in order alongside past deliveries', async () => {
+      const pastDelivery = { id: 11, status: 'delivered', period_key: '2025-03-03' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...baseReminder, last_period_key: '2025-03-03' }] })
+        .mockResolvedValueOnce({ rows: [pastDelivery] });
+
+      const { upcoming, past } = await getReminderDeliveries(7, { days: 3 }, new Date('2025-03-03T04:00:00Z'));
+
+      expect(past).toEqual([pastDelivery]);
+      expect(upcoming.map(u => u.scheduledFor)).toEqual([
+        '2025-03-04T03:30:00.000Z',
+        '2025-03-05T03:30:00.000Z'
+      ]);
+      expect(pool.query.mock.calls[0][1]).toEqual([7]);
+    });
+  });
+});
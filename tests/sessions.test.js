@@ -0,0 +1,232 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const authRouter = require('../routes/auth');
+const {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken
+} = require('../services/sessionService');
+
+describe('Sessions and refresh tokens', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+    app.get('/protected', authenticateToken, (req, res) => res.json({ userId: req.user.id, sessionId: req.sessionId }));
+
+    jest.clearAllMocks();
+  });
+
+  describe('createSession', () => {
+    it('should store only the hash of the refresh token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ session_id: 9 }] });
+
+      const tokens = await createSession(1, { userAgent: 'Pixel 8' });
+      const params = pool.query.mock.calls[0][1];
+
+      expect(tokens.sessionId).toBe(9);
+      expect(params).not.toContain(tokens.refreshToken);
+      expect(params[5]).toBe(hashToken(tokens.refreshToken));
+      expect(jwt.verify(tokens.token, 'test-secret')).toMatchObject({ userId: 1, sid: 9 });
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    const storedToken = {
+      id: 4,
+      session_id: 9,
+      user_id: 1,
+      used_at: null,
+      revoked_at: null,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    };
+
+    it('should issue a new token pair and mark the old token used', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [storedToken] })
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const tokens = await rotateRefreshToken('old-token');
+
+      expect(tokens.refreshToken).not.toBe('old-token');
+      expect(pool.query.mock.calls[0][1]).toEqual([hashToken('old-token')]);
+      expect(pool.query.mock.calls[1][0]).toContain('SET used_at = CURRENT_TIMESTAMP');
+      expect(pool.query.mock.calls[2][1][1]).toBe(hashToken(tokens.refreshToken));
+    });
+
+    it('should revoke the session when a used token is presented again', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...storedToken, used_at: new Date() }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+      await expect(rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED', status: 401 });
+      expect(pool.query.mock.calls[1][0]).toContain('UPDATE user_sessions SET revoked_at');
+      expect(pool.query.mock.calls[1][1]).toEqual([9, 'refresh_token_reuse', null]);
+    });
+
+    it('should treat losing a concurrent claim as reuse', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [storedToken] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+      await expect(rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    });
+
+    it('should reject tokens from a revoked session', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...storedToken, revoked_at: new Date() }] });
+
+      await expect(rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject expired tokens', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...storedToken, expires_at: new Date(Date.now() - 1000) }] });
+
+      await expect(rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+    });
+  });
+
+  describe('POST /auth/refresh', () => {
+    it('should require a refresh token', async () => {
+      await request(app).post('/auth/refresh').send({}).expect(400);
+    });
+
+    it('should return 401 for an unknown refresh token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'nope' })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('authenticateToken', () => {
+    it('should reject tokens without a session id', async () => {
+      const legacyToken = jwt.sign({ userId: 1 }, 'test-secret');
+
+      await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(401);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should answer an expired access token with 401 so the client refreshes', async () => {
+      const expiredToken = jwt.sign({ userId: 1, sid: 9 }, 'test-secret', { expiresIn: -10 });
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${expiredToken}`)
+        .expect(401);
+
+      expect(response.body).toEqual({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should answer a forged token with 403', async () => {
+      const forgedToken = jwt.sign({ userId: 1, sid: 9 }, 'another-secret');
+
+      await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${forgedToken}`)
+        .expect(403);
+    });
+
+    it('should reject tokens for a revoked session', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${generateAccessToken(1, 9)}`)
+        .expect(401);
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 9]);
+    });
+
+    it('should attach the user and session for an active session', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, username: 'asha', email: 'asha@example.com' }] });
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${generateAccessToken(1, 9)}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ userId: 1, sessionId: 9 });
+    });
+  });
+
+  describe('session management', () => {
+    const authorize = () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, username: 'asha', email: 'asha@example.com' }] });
+      return `Bearer ${generateAccessToken(1, 9)}`;
+    };
+
+    it('should list sessions and flag the current one', async () => {
+      const authHeader = authorize();
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 9, device_name: 'Pixel 8' }, { id: 10, device_name: 'Laptop' }] });
+
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.sessions.map(s => s.current)).toEqual([true, false]);
+    });
+
+    it('should revoke only sessions owned by the user', async () => {
+      const authHeader = authorize();
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/auth/sessions/42')
+        .set('Authorization', authHeader)
+        .expect(404);
+      expect(pool.query.mock.calls[1][1]).toEqual([42, 'user_revoked', 1]);
+    });
+
+    it('should reject a session ID that is not a number', async () => {
+      const authHeader = authorize();
+
+      const response = await request(app)
+        .delete('/auth/sessions/abc')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body.error).toBe('id must be a session ID');
+      // Only the auth middleware's session lookup ran
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should revoke the current session on logout', async () => {
+      const authHeader = authorize();
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(pool.query.mock.calls[1][1]).toEqual([9, 'logout', 1]);
+    });
+  });
+});
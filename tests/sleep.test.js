@@ -0,0 +1,228 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const AnalyticsService = require('../services/analyticsService');
+const { analyzeSleep, validateSleepSession } = require('../services/sleepService');
+const healthRouter = require('../routes/health');
+
+// A week waking Mon 11 - Sun 17 March 2024: 23:00-06:00 on work days, 01:00-10:00 at the weekend
+const weekOfSessions = () => {
+  const sessions = ['2024-03-11', '2024-03-12', '2024-03-13', '2024-03-14', '2024-03-15'].map(date => ({
+    date, is_nap: false, duration_minutes: 420, bedtime_minutes: 23 * 60, wake_minutes: 6 * 60, quality: 3, awakenings: 1
+  }));
+  ['2024-03-16', '2024-03-17'].forEach(date => sessions.push({
+    date, is_nap: false, duration_minutes: 540, bedtime_minutes: 60, wake_minutes: 10 * 60, quality: 5, awakenings: 0
+  }));
+  return sessions;
+};
+
+describe('Sleep sessions', () => {
+  describe('analyzeSleep', () => {
+    it('should average bedtimes across midnight and measure social jetlag', () => {
+      const result = analyzeSleep({ sessions: weekOfSessions(), targetHours: 8, today: '2024-03-17' });
+
+      expect(result.nightsLogged).toBe(7);
+      expect(result.averageHours).toBe(7.6);
+      expect(result.bedtime.average).toBe('23:34');
+      expect(result.wakeTime.average).toBe('07:09');
+      expect(result.socialJetlag).toEqual({ minutes: 180, workdayMidSleep: '02:30', freeDayMidSleep: '05:30' });
+      expect(result.averageQuality).toBe(3.6);
+    });
+
+    it('should keep a rolling sleep debt that naps and legacy daily hours count towards', () => {
+      const sessions = weekOfSessions();
+      sessions.push({ date: '2024-03-16', is_nap: true, duration_minutes: 30, bedtime_minutes: 14 * 60, wake_minutes: 14 * 60 + 30 });
+
+      const result = analyzeSleep({
+        sessions,
+        dailyHours: [{ date: '2024-03-01', hours: '4.0' }, { date: '2024-03-10', hours: '5.0' }],
+        targetHours: 8,
+        today: '2024-03-17'
+      });
+
+      // 5 x 1h short, weekend 1h + 1.5h over, 3h short on the 10th; the 1st is outside the window
+      expect(result.sleepDebt).toEqual({ hours: 5.5, windowDays: 14, nightsCounted: 8 });
+      expect(result.naps).toEqual({ count: 1, totalMinutes: 30, averageMinutes: 30 });
+      expect(result.daily.find(day => day.date === '2024-03-16')).toMatchObject({ hours: 9.5, napMinutes: 30, bedtime: '01:00' });
+      expect(result.daily.find(day => day.date === '2024-03-10')).toMatchObject({ hours: 5, bedtime: null });
+    });
+
+    it('should not report consistency or social jetlag without enough nights', () => {
+      const result = analyzeSleep({ sessions: weekOfSessions().slice(0, 1), today: '2024-03-17' });
+
+      expect(result.consistencyScore).toBeNull();
+      expect(result.socialJetlag).toBeNull();
+      expect(result.bedtime.variabilityMinutes).toBeNull();
+    });
+
+    it('should validate session times and ratings', () => {
+      expect(validateSleepSession({ sleep_start: '2024-03-02T06:00:00Z', sleep_end: '2024-03-01T23:00:00Z' })).toContain('after');
+      expect(validateSleepSession({ sleep_start: '2024-03-01T00:00:00Z', sleep_end: '2024-03-02T06:00:00Z' })).toContain('24 hours');
+      expect(validateSleepSession({ sleep_start: '2024-03-01T23:00:00Z', sleep_end: '2024-03-02T02:00:00Z', quality: 6 })).toContain('Quality');
+      expect(validateSleepSession({ sleep_start: '2024-03-01T23:00:00Z', sleep_end: '2024-03-02T02:00:00Z', quality: 2 })).toBeNull();
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/health', healthRouter);
+      jest.clearAllMocks();
+    });
+
+    it('should file a session under the local wake date and sync the daily total', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata', sleep_target_hours: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ hours: '7.5' }] })
+        .mockResolvedValueOnce({ rows: [{ sleep_hours: '7.5' }] });
+
+      const response = await request(app)
+        .post('/health/sleep')
+        .send({ sleep_start: '2024-03-01T17:30:00Z', sleep_end: '2024-03-02T01:00:00Z', quality: 4 })
+        .expect(201);
+
+      // 23:00-06:30 in India
+      const insertParams = pool.query.mock.calls[2][1];
+      expect(insertParams[1]).toBe('2024-03-02');
+      expect(insertParams.slice(4)).toEqual([false, 4, null, null]);
+
+      expect(pool.query.mock.calls[4][0]).toContain('INSERT INTO study_sleep_logs');
+      expect(pool.query.mock.calls[4][0]).toContain("IS DISTINCT FROM 'manual'");
+      expect(pool.query.mock.calls[4][1]).toEqual([1, '2024-03-02', 7.5]);
+      expect(response.body.dailyHours).toBe(7.5);
+    });
+
+    it('should keep manually logged hours when sessions change', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ timezone: 'UTC' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ hours: '6.0' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ sleep_hours: '8.0' }] });
+
+      const response = await request(app)
+        .post('/health/sleep')
+        .send({ sleep_start: '2024-03-01T23:00:00Z', sleep_end: '2024-03-02T05:00:00Z' })
+        .expect(201);
+
+      expect(response.body.dailyHours).toBe(8);
+    });
+
+    it('should only clear synced hours when the last session is deleted', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ date: new Date(2024, 2, 2) }] })
+        .mockResolvedValueOnce({ rows: [{ hours: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ sleep_hours: '8.0' }] });
+
+      const response = await request(app)
+        .delete('/health/sleep/7')
+        .expect(200);
+
+      expect(pool.query.mock.calls[2][0]).toContain('UPDATE study_sleep_logs SET sleep_hours = NULL');
+      expect(pool.query.mock.calls[2][0]).toContain("sleep_hours_source = 'sessions'");
+      expect(response.body.dailyHours).toBe(8);
+    });
+
+    it('should treat a short afternoon session as a nap', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 8 }] })
+        .mockResolvedValueOnce({ rows: [{ hours: '8.2' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, inserted: false }] });
+
+      await request(app)
+        .post('/health/sleep')
+        .send({ sleep_start: '2024-03-02T09:00:00Z', sleep_end: '2024-03-02T09:40:00Z' })
+        .expect(201);
+
+      expect(pool.query.mock.calls[2][1][4]).toBe(true);
+    });
+
+    it('should reject overlapping sessions', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+      await request(app)
+        .post('/health/sleep')
+        .send({ sleep_start: '2024-03-01T17:30:00Z', sleep_end: '2024-03-02T01:00:00Z' })
+        .expect(409);
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 when deleting a missing session', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/health/sleep/99')
+        .expect(404);
+    });
+  });
+
+  describe('insights', () => {
+    const analyticsService = new AnalyticsService();
+
+    it('should flag sleep debt, irregular bedtimes and social jetlag', () => {
+      const result = analyticsService.analyzeSleepPatterns({
+        nightsLogged: 10,
+        averageHours: 6.5,
+        targetHours: 8,
+        sleepDebt: { hours: 7, windowDays: 14, nightsCounted: 10 },
+        bedtime: { average: '00:15', variabilityMinutes: 75 },
+        socialJetlag: { minutes: 90 },
+        consistencyScore: 40,
+        naps: { count: 0, totalMinutes: 0, averageMinutes: 0 }
+      });
+
+      expect(result.insights.map(i => i.message)).toEqual([
+        'You\'re averaging 6.5h of sleep, 1.5h short of your 8h target',
+        'You\'ve built up 7h of sleep debt over the last 14 days',
+        'Your bedtime varies by about ±75 minutes from night to night',
+        'Your sleep shifts by 1h 30m on weekends (social jetlag), which can leave Mondays feeling groggy'
+      ]);
+      expect(result.recommendations[0].message).toContain('about 60 minutes earlier');
+      expect(result.milestones).toHaveLength(0);
+    });
+
+    it('should relate sleep to next-day study hours', () => {
+      const daily = ['01', '02', '03', '04', '05', '06'].map((day, index) => ({
+        date: `2024-03-${day}`,
+        hours: index < 3 ? 8.5 : 6
+      }));
+      const studyHours = {
+        daily: daily.map((day, index) => ({ date: new Date(`${day.date}T00:00:00`), hours: index < 3 ? '4.0' : '2.0' }))
+      };
+
+      const result = analyticsService.analyzeSleepStudyCorrelation({ daily, targetHours: 8 }, studyHours);
+
+      expect(result.insights[0]).toMatchObject({
+        category: 'sleep_study',
+        message: 'You study 2.0h more after a full night\'s sleep (4.0h vs 2.0h)'
+      });
+      expect(result.recommendations[0].priority).toBe('high');
+    });
+  });
+});
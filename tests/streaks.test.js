@@ -0,0 +1,184 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool and the transaction client
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+// Mock badge evaluation
+jest.mock('../services/achievementService', () => ({
+  evaluateBadges: jest.fn().mockResolvedValue([])
+}));
+
+const { pool } = require('../config/database');
+const { evaluateBadges } = require('../services/achievementService');
+const { calculateStreak, recomputeStreak } = require('../services/streakService');
+const streaksRouter = require('../routes/streaks');
+
+const now = new Date('2025-03-10T06:30:00Z');
+
+// The client queries of one recompute, given the stored row and the active days
+const mockRecompute = (row, dates) => {
+  mockClient.query.mockImplementation(async (sql) => {
+    if (sql.startsWith('SELECT * FROM user_streaks')) return { rows: [row] };
+    if (sql.startsWith('SELECT DISTINCT date')) return { rows: dates.map(date => ({ date })) };
+    if (sql.startsWith('UPDATE user_streaks')) {
+      const params = mockClient.query.mock.calls[mockClient.query.mock.calls.length - 1][1];
+      return { rows: [{ ...row, current_streak: params[0], longest_streak: params[1], freezes_available: params[4], freezes_used: params[5] }] };
+    }
+    return { rows: [] };
+  });
+};
+
+describe('Streak engine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient);
+  });
+
+  describe('calculateStreak', () => {
+    it('should give the same streak whatever order days were logged in', () => {
+      const inOrder = calculateStreak(['2025-03-07', '2025-03-08', '2025-03-09'], { today: '2025-03-10' });
+      const backfilled = calculateStreak(['2025-03-09', '2025-03-07', '2025-03-08'], { today: '2025-03-10' });
+
+      expect(inOrder).toEqual(backfilled);
+      expect(inOrder.currentStreak).toBe(3);
+      expect(inOrder.streakStartDate).toBe('2025-03-07');
+    });
+
+    it('should keep a streak alive through today but not through a missed yesterday', () => {
+      expect(calculateStreak(['2025-03-08', '2025-03-09'], { today: '2025-03-10' }).currentStreak).toBe(2);
+
+      const lapsed = calculateStreak(['2025-03-07', '2025-03-08'], { today: '2025-03-10' });
+      expect(lapsed.currentStreak).toBe(0);
+      expect(lapsed.longestStreak).toBe(2);
+    });
+
+    it('should let grace days cover short gaps', () => {
+      const dates = ['2025-03-05', '2025-03-06', '2025-03-08', '2025-03-09'];
+
+      expect(calculateStreak(dates, { today: '2025-03-09' }).currentStreak).toBe(2);
+      expect(calculateStreak(dates, { graceDays: 1, today: '2025-03-09' }).currentStreak).toBe(4);
+    });
+
+    it('should earn a freeze after a week and spend it on a missed day', () => {
+      // A week from 03-01, a missed day, then two more days
+      const dates = ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-09', '2025-03-10'];
+      const streak = calculateStreak(dates, { today: '2025-03-10' });
+
+      expect(streak.currentStreak).toBe(9);
+      expect(streak.frozenDates).toEqual(['2025-03-08']);
+      expect(streak.freezesAvailable).toBe(0);
+
+      // Without the freeze the week would have ended
+      expect(calculateStreak(dates.slice(1), { today: '2025-03-10' }).currentStreak).toBe(2);
+    });
+
+    it('should not break a habit\'s streak on days off its schedule', () => {
+      // Weekdays only; 2025-03-08 and 03-09 are a weekend
+      const dates = ['2025-03-06', '2025-03-07', '2025-03-10'];
+
+      expect(calculateStreak(dates, { today: '2025-03-10' }).currentStreak).toBe(1);
+      expect(calculateStreak(dates, { today: '2025-03-10', scheduleDays: [1, 2, 3, 4, 5] }).currentStreak).toBe(3);
+    });
+  });
+
+  describe('recomputeStreak', () => {
+    it('should recompute inside a locked transaction and announce a reached milestone', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      mockRecompute(
+        { id: 3, current_streak: 1, grace_days: 0 },
+        ['2025-03-08', '2025-03-09', '2025-03-10']
+      );
+
+      const result = await recomputeStreak(1, 'water', {}, now);
+
+      const sql = mockClient.query.mock.calls.map(call => call[0]);
+      expect(sql[0]).toBe('BEGIN');
+      expect(sql[2]).toContain('FOR UPDATE');
+      expect(sql[sql.length - 1]).toBe('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(result.data.currentStreak).toBe(3);
+
+      const inboxInsert = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO inbox_notifications'));
+      expect(inboxInsert[1]).toContain('streak:water:3:2025-03-08');
+      expect(evaluateBadges).toHaveBeenCalledWith(1);
+    });
+
+    it('should roll back when a step fails', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT DISTINCT date')) throw new Error('connection lost');
+        return { rows: [{ id: 3, current_streak: 0, grace_days: 0 }] };
+      });
+
+      const result = await recomputeStreak(1, 'typing', {}, now);
+
+      expect(result.success).toBe(false);
+      expect(mockClient.query.mock.calls.map(call => call[0])).toContain('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/streaks', streaksRouter);
+    });
+
+    it('should reject an activity type without a tracker', async () => {
+      await request(app)
+        .post('/streaks/meditation')
+        .send({ date: '2025-03-10' })
+        .expect(400);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should keep streaks for the user\'s own habits only', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/streaks/habit:12')
+        .expect(404);
+
+      expect(response.body.error).toBe('Habit not found');
+      expect(pool.query.mock.calls[0][1]).toEqual([12, 1]);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should validate and store grace days', async () => {
+      await request(app)
+        .put('/streaks/exercise')
+        .send({ grace_days: 5 })
+        .expect(400);
+
+      pool.query.mockResolvedValue({ rows: [] });
+      mockRecompute({ id: 4, current_streak: 0, grace_days: 2 }, []);
+
+      const response = await request(app)
+        .put('/streaks/exercise')
+        .send({ grace_days: 2 })
+        .expect(200);
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual([1, 'exercise', 2]);
+      expect(response.body.streak.grace_days).toBe(2);
+    });
+  });
+});
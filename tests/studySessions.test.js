@@ -0,0 +1,194 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const AnalyticsService = require('../services/analyticsService');
+const { getFocusedSeconds, withTimer, summarizeStudySessions } = require('../services/studySessionService');
+const educationRouter = require('../routes/education');
+
+describe('Study sessions', () => {
+  describe('timer', () => {
+    const now = new Date('2024-03-01T10:00:00Z');
+
+    it('should leave paused time out of the focused time', () => {
+      const running = { status: 'running', started_at: '2024-03-01T09:00:00Z', paused_seconds: 600 };
+      expect(getFocusedSeconds(running, now)).toBe(3000);
+
+      const paused = { status: 'paused', started_at: '2024-03-01T09:00:00Z', paused_at: '2024-03-01T09:30:00Z', paused_seconds: 0 };
+      expect(getFocusedSeconds(paused, now)).toBe(1800);
+    });
+
+    it('should count down a pomodoro', () => {
+      const session = withTimer({ status: 'running', started_at: '2024-03-01T09:50:00Z', paused_seconds: 0, planned_minutes: 25 }, now);
+      expect(session.elapsedSeconds).toBe(600);
+      expect(session.remainingSeconds).toBe(900);
+    });
+
+    it('should total completed time by subject, unit and course', () => {
+      const summary = summarizeStudySessions([
+        { status: 'completed', duration_minutes: 50, subject_code: 'ECO525', unit_id: 1, unit_number: 1 },
+        { status: 'completed', duration_minutes: 25, subject_code: 'ECO525', unit_id: 2, unit_number: 2 },
+        { status: 'completed', duration_minutes: 90, nptel_course_id: 4, course_title: 'Data Science' },
+        { status: 'running', duration_minutes: null, subject_code: 'QTT502' }
+      ]);
+
+      expect(summary.totalMinutes).toBe(165);
+      expect(summary.sessionCount).toBe(3);
+      expect(summary.bySubject).toEqual([{ subjectCode: 'ECO525', minutes: 75, sessions: 2 }]);
+      expect(summary.byUnit.map(unit => unit.unitNumber)).toEqual([1, 2]);
+      expect(summary.byNptelCourse).toEqual([{ courseId: 4, title: 'Data Science', minutes: 90, sessions: 1 }]);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/education', educationRouter);
+      jest.clearAllMocks();
+    });
+
+    it('should start a session on a subject unit', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ timezone: 'UTC' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 11 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, status: 'running', started_at: new Date().toISOString(), paused_seconds: 0, planned_minutes: 25 }] });
+
+      const response = await request(app)
+        .post('/education/study-sessions')
+        .send({ subject_code: 'ECO525', unit_number: 3, planned_minutes: 25 })
+        .expect(201);
+
+      expect(pool.query.mock.calls[2][1]).toEqual([3, 2]);
+      const insertParams = pool.query.mock.calls[3][1];
+      expect(insertParams.slice(0, 4)).toEqual([1, 2, 11, null]);
+      expect(insertParams[5]).toBe(25);
+      expect(response.body.session.remainingSeconds).toBeGreaterThan(1490);
+    });
+
+    it('should require a subject or NPTEL course', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/education/study-sessions')
+        .send({})
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_TARGET');
+    });
+
+    it('should refuse to start a second session', async () => {
+      const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockRejectedValueOnce(duplicate);
+
+      const response = await request(app)
+        .post('/education/study-sessions')
+        .send({ nptel_course_id: 4 })
+        .expect(409);
+
+      expect(response.body.code).toBe('SESSION_IN_PROGRESS');
+    });
+
+    it('should not pause a completed session', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+      const response = await request(app)
+        .post('/education/study-sessions/5/pause')
+        .expect(409);
+
+      expect(response.body.error).toBe('Study session is completed');
+    });
+
+    it('should add a stopped session to the day\'s study hours', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, status: 'completed', date: '2024-03-01', duration_minutes: 50 }] })
+        .mockResolvedValueOnce({ rows: [{ minutes: '95' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, study_hours: '1.6', inserted: false }] });
+
+      const response = await request(app)
+        .post('/education/study-sessions/5/stop')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['5', 1, ['running', 'paused'], 720]);
+      expect(pool.query.mock.calls[2][1].slice(0, 3)).toEqual([1, '2024-03-01', 1.6]);
+      expect(response.body.dailyStudyHours).toBe(1.6);
+      expect(response.body.session.elapsedSeconds).toBe(3000);
+    });
+
+    it('should page sessions and summarize the whole date range', async () => {
+      const session = (id, minutes) => ({ id, date: '2024-03-01', status: 'completed', duration_minutes: minutes, subject_code: 'ECO525' });
+      pool.query
+        .mockResolvedValueOnce({ rows: [session(9, 30), session(8, 45)] })
+        .mockResolvedValueOnce({ rows: [session(9, 30), session(8, 45), session(7, 60)] });
+
+      const response = await request(app)
+        .get('/education/study-sessions?limit=1&subject_code=ECO525&start_date=2024-03-01')
+        .expect(200);
+
+      const [pageSql, pageParams] = pool.query.mock.calls[0];
+      expect(pageSql).toContain('AND s.code = $2 AND ss.date >= $3 ORDER BY ss.date DESC, ss.id DESC LIMIT 2');
+      expect(pageParams).toEqual([1, 'ECO525', '2024-03-01']);
+      expect(pool.query.mock.calls[1][0]).not.toContain('LIMIT');
+      expect(response.body.sessions.map(item => item.id)).toEqual([9]);
+      expect(response.body.pagination.hasMore).toBe(true);
+      expect(response.body.summary.totalMinutes).toBe(135);
+    });
+
+    it('should keep hand-logged hours when the last session is deleted', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ date: '2024-03-01', status: 'completed' }] })
+        .mockResolvedValueOnce({ rows: [{ minutes: null }] })
+        .mockResolvedValueOnce({ rows: [{ study_hours: '2.0' }] });
+
+      const response = await request(app)
+        .delete('/education/study-sessions/5')
+        .expect(200);
+
+      const sql = pool.query.mock.calls[2][0];
+      expect(sql).toContain('UPDATE study_sleep_logs');
+      expect(sql).toContain('SET session_study_hours = NULL');
+      expect(sql).not.toContain('manual_study_hours');
+      expect(sql).not.toContain('INSERT');
+      expect(response.body.dailyStudyHours).toBe(2);
+    });
+  });
+
+  describe('analytics', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should take per-subject study time from sessions', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await new AnalyticsService().getSubjectProgress(1, new Date('2024-03-01'), 'all');
+
+      const sql = pool.query.mock.calls[0][0];
+      expect(sql).toContain('FROM study_sessions');
+      expect(sql).not.toContain('study_sleep_logs');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const AnalyticsService = require('../services/analyticsService');
+const logsRouter = require('../routes/logs');
+const educationRouter = require('../routes/education');
+
+const row = (overrides) => ({
+  id: 3,
+  user_id: 1,
+  date: '2024-03-01',
+  study_hours: null,
+  sleep_hours: null,
+  study_notes: null,
+  sleep_notes: null,
+  updated_at: '2024-03-01T22:00:00.000Z',
+  inserted: true,
+  ...overrides
+});
+
+describe('Unified study/sleep logs', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/logs', logsRouter);
+    app.use('/education', educationRouter);
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  describe('/logs compatibility', () => {
+    it('should write study hours to study_sleep_logs without touching sleep', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [row({ study_hours: '3.0', manual_study_hours: '3.0', sleep_hours: '7.5' })] });
+
+      const response = await request(app)
+        .post('/logs/study')
+        .send({ date: '2024-03-01', hours: 3 })
+        .expect(201);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO study_sleep_logs');
+      expect(params).toEqual([1, '2024-03-01', 3, null, null, null, true, false, false, false, null]);
+      expect(response.body.log).toEqual({
+        id: 3, user_id: 1, date: '2024-03-01', hours: 3, manual_hours: 3, session_hours: null, created_at: '2024-03-01T22:00:00.000Z'
+      });
+    });
+
+    it('should not count the study timer twice when the same hours are written again', async () => {
+      // 2 hours by hand and 1.5 from the study timer
+      const stored = row({ study_hours: '3.5', manual_study_hours: '2.0', session_study_hours: '1.5', inserted: false });
+      // Badge evaluation after each write finds nothing to award
+      pool.query.mockImplementation(async (sql) => ({ rows: sql.includes('study_sleep_logs') && !sql.includes('SUM(') ? [stored] : [] }));
+
+      await request(app)
+        .post('/logs/study')
+        .send({ date: '2024-03-01', hours: 2 })
+        .expect(201);
+
+      const read = await request(app)
+        .get('/logs?type=study')
+        .expect(200);
+
+      expect(read.body.study_logs[0]).toMatchObject({ hours: 3.5, manual_hours: 2, session_hours: 1.5 });
+
+      await request(app)
+        .post('/logs/study')
+        .send({ date: '2024-03-01', hours: read.body.study_logs[0].manual_hours })
+        .expect(201);
+
+      // Each write replaces the manual hours; the timer part is never added to them
+      const writes = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO study_sleep_logs'));
+      expect(writes).toHaveLength(2);
+      const [[firstSql, firstParams], [secondSql, secondParams]] = writes;
+      expect(firstSql).toContain('manual_study_hours = CASE WHEN $7 THEN EXCLUDED.manual_study_hours');
+      expect(firstSql).not.toContain('session_study_hours');
+      expect(secondSql).toBe(firstSql);
+      expect(secondParams).toEqual(firstParams);
+    });
+
+    it('should still enforce the legacy sleep range', async () => {
+      await request(app)
+        .post('/logs/sleep')
+        .send({ date: '2024-03-01', hours: 2 })
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should split canonical rows into study and sleep logs', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [
+        row({ id: 4, date: '2024-03-02', sleep_hours: '8.0' }),
+        row({ id: 3, study_hours: '2.5', sleep_hours: '6.5' })
+      ] });
+
+      const response = await request(app)
+        .get('/logs?start_date=2024-03-01')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('FROM study_sleep_logs');
+      expect(response.body.study_logs.map(log => log.id)).toEqual([3]);
+      expect(response.body.study_logs[0].hours).toBe(2.5);
+      expect(response.body.sleep_logs.map(log => log.hours)).toEqual([8, 6.5]);
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY date DESC, id DESC LIMIT 51');
+      expect(response.body.pagination).toEqual({ limit: 50, sort: 'desc', hasMore: false, nextCursor: null });
+    });
+
+    it('should page over the days with the requested log type', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [
+        row({ id: 5, date: '2024-03-03', sleep_hours: '7.0' }),
+        row({ id: 4, date: '2024-03-02', sleep_hours: '8.0' })
+      ] });
+
+      const response = await request(app)
+        .get('/logs?type=sleep&limit=1')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('AND sleep_hours IS NOT NULL');
+      expect(response.body.sleep_logs.map(log => log.id)).toEqual([5]);
+      expect(response.body.pagination.hasMore).toBe(true);
+    });
+  });
+
+  describe('POST /education/study-sleep-log', () => {
+    it('should report whether the day was created or updated', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [row({ sleep_hours: '7.0' })] })
+        .mockResolvedValueOnce({ rows: [row({ sleep_hours: '7.0', study_hours: '4.0', inserted: false })] });
+
+      await request(app)
+        .post('/education/study-sleep-log')
+        .send({ date: '2024-03-01', sleepHours: 7 })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/education/study-sleep-log')
+        .send({ date: '2024-03-01', studyHours: 4 })
+        .expect(200);
+
+      expect(response.body.log).not.toHaveProperty('inserted');
+      // Hand-logged sleep is marked so sleep sessions leave it alone
+      expect(pool.query.mock.calls[0][1][10]).toBe('manual');
+      // Sleep was not sent the second time, so it must be left alone
+      expect(pool.query.mock.calls[1][1].slice(6)).toEqual([true, false, false, false, null]);
+    });
+  });
+
+  describe('analytics', () => {
+    it('should read study hours for goals from study_sleep_logs', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ avg_value: '3.4' }] });
+
+      const value = await new AnalyticsService().getCurrentMetricValue(1, 'study_hours', 'education');
+
+      expect(value).toBe(3);
+      expect(pool.query.mock.calls[0][0]).toContain('FROM study_sleep_logs');
+      expect(pool.query.mock.calls[0][0]).toContain('study_hours > 0');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const { validateSubject, validateUnit, getSubjectTree } = require('../services/subjectService');
+const educationRouter = require('../routes/education');
+
+describe('Subjects', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validation', () => {
+    it('should require a code and name for new subjects only', () => {
+      expect(validateSubject({ name: 'Econometrics' })).toMatch(/code/);
+      expect(validateSubject({ code: 'ECO601', name: 'Econometrics', credits: 4 })).toBeNull();
+      expect(validateSubject({ credits: 3 }, true)).toBeNull();
+      expect(validateSubject({ credits: 50 }, true)).toMatch(/credits/);
+      expect(validateSubject({ exam_date: '12/05/2024' }, true)).toMatch(/exam_date/);
+    });
+
+    it('should check unit weights', () => {
+      expect(validateUnit({ title: 'Panel data', weight: 2 })).toBeNull();
+      expect(validateUnit({ title: 'Panel data', weight: 0 })).toMatch(/weight/);
+      expect(validateUnit({ unit_number: 0 }, true)).toMatch(/unit_number/);
+    });
+  });
+
+  describe('subject tree', () => {
+    it('should nest units with task completion under their subjects', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 7, code: 'ECO601', name: 'Econometrics', credits: '4.0', exam_date: null, position: 0 },
+          { id: 8, code: 'ECO602', name: 'Public Finance', credits: null, exam_date: null, position: 1 }
+        ] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 21, subject_id: 7, unit_number: 1, title: 'Regression', position: 0, weight: '1.00', total_tasks: '4', completed_tasks: '4' },
+          { id: 22, subject_id: 7, unit_number: 2, title: 'Panel data', position: 1, weight: '3.00', total_tasks: '2', completed_tasks: '0' },
+          { id: 23, subject_id: 7, unit_number: 3, title: 'Time series', position: 2, weight: '1.00', total_tasks: '0', completed_tasks: '0' }
+        ] });
+
+      const subjects = await getSubjectTree(1);
+
+      expect(pool.query.mock.calls[0][1]).toEqual([1]);
+      expect(subjects.map(subject => subject.code)).toEqual(['ECO601', 'ECO602']);
+      expect(subjects[0].credits).toBe(4);
+      expect(subjects[0].units.map(unit => unit.completionRate)).toEqual([100, 0, 0]);
+      expect(subjects[0].totalTasks).toBe(6);
+      expect(subjects[0].completedTasks).toBe(4);
+      // Units without tasks don't count, and the heavier unit pulls completion down
+      expect(subjects[0].completionRate).toBe(25);
+      expect(subjects[1].units).toEqual([]);
+      expect(subjects[1].completionRate).toBe(0);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/education', educationRouter);
+    });
+
+    it('should return the user\'s own subjects', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, code: 'ECO601', name: 'Econometrics', credits: null, exam_date: null, position: 0 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/education/subjects')
+        .expect(200);
+
+      expect(response.body.subjects).toHaveLength(1);
+      expect(response.body.subjects[0].code).toBe('ECO601');
+      expect(pool.query.mock.calls[0][0]).toContain('WHERE user_id = $1');
+    });
+
+    it('should add a subject with its units', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, code: 'ECO601', name: 'Econometrics' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 21 }, { id: 22 }] });
+
+      const response = await request(app)
+        .post('/education/subjects')
+        .send({ code: ' ECO601 ', name: 'Econometrics', credits: 4, units: [{ title: 'Regression' }, { title: 'Panel data', weight: 2 }] })
+        .expect(201);
+
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 'ECO601', 'Econometrics', 4, null, null]);
+      expect(pool.query.mock.calls[2][1]).toEqual([7, [null, null], ['Regression', 'Panel data'], [null, 2], [null, null]]);
+      expect(response.body.subject.units).toHaveLength(2);
+    });
+
+    it('should refuse a duplicate subject code', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      const response = await request(app)
+        .post('/education/subjects')
+        .send({ code: 'ECO601', name: 'Econometrics' })
+        .expect(409);
+
+      expect(response.body.error).toBe('You already have a subject with this code');
+    });
+
+    it('should carry a code change over to the subject\'s tasks', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, code: 'ECO601', name: 'Econometrics', credits: null, exam_date: null, term_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, code: 'ECO611' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .put('/education/subjects/7')
+        .send({ code: 'ECO611' })
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][1]).toEqual(['ECO611', 'Econometrics', null, null, 3, '7', 1]);
+      expect(pool.query.mock.calls[2][0]).toContain('UPDATE education_tasks');
+      expect(pool.query.mock.calls[2][1]).toEqual(['ECO611', 1, 'ECO601']);
+    });
+
+    it('should reorder subjects and reject ids that are not the user\'s', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 2 });
+      await request(app)
+        .put('/education/subjects/order')
+        .send({ subject_ids: [8, 7] })
+        .expect(200);
+      expect(pool.query.mock.calls[0][1]).toEqual([1, [8, 7]]);
+
+      pool.query.mockResolvedValueOnce({ rowCount: 0 });
+      await request(app)
+        .put('/education/subjects/order')
+        .send({ subject_ids: [8, 99] })
+        .expect(404);
+
+      await request(app)
+        .put('/education/subjects/order')
+        .send({ subject_ids: [8, 8] })
+        .expect(400);
+    });
+
+    it('should not add units to another user\'s subject', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/education/subjects/9/units')
+        .send({ title: 'Regression' })
+        .expect(404);
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['9', 1]);
+    });
+  });
+});
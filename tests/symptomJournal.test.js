@@ -0,0 +1,223 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+const { pool } = require('../config/database');
+const AnalyticsService = require('../services/analyticsService');
+const { analyzeCycles, getPhaseOnDate } = require('../services/cycleService');
+const healthRouter = require('../routes/health');
+
+// Build a journal day for the correlation engine
+const day = (date, symptoms = {}, extra = {}) => ({
+  date,
+  symptoms,
+  maxSeverity: Math.max(0, ...Object.values(symptoms)),
+  mood: null,
+  energy: null,
+  sleepHours: null,
+  ...extra
+});
+
+const dates = (from, count) => Array.from({ length: count }, (_, i) => {
+  const date = new Date(`${from}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + i);
+  return date.toISOString().split('T')[0];
+});
+
+describe('Symptom and mood journal', () => {
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/health', healthRouter);
+      jest.clearAllMocks();
+    });
+
+    it('should reject a severity outside 0-5', async () => {
+      await request(app)
+        .post('/health/symptoms')
+        .send({ date: '2024-03-01', symptom_type_id: 1, severity: 6 })
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should upsert a symptom for the day', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Cramps' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, symptom_type_id: 1, severity: 4 }] });
+
+      const response = await request(app)
+        .post('/health/symptoms')
+        .send({ date: '2024-03-01', symptom_type_id: 1, severity: 4 })
+        .expect(201);
+
+      expect(response.body.entry.name).toBe('Cramps');
+      expect(pool.query.mock.calls[1][0]).toContain('ON CONFLICT (user_id, symptom_type_id, date)');
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 1, '2024-03-01', 4, null]);
+    });
+
+    it('should refuse a custom type that shadows a built-in', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      await request(app)
+        .post('/health/symptoms/types')
+        .send({ name: 'cramps' })
+        .expect(409);
+    });
+
+    it('should group symptoms and mood into journal days', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ date: '2024-03-02', id: 1 }, { date: '2024-03-01', id: 1 }] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 1, date: '2024-03-02', severity: 3, notes: null, symptom_type_id: 1, name: 'Cramps', category: 'menstrual' },
+          { id: 2, date: '2024-03-01', severity: 1, notes: null, symptom_type_id: 5, name: 'Headache', category: 'pain' }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, date: '2024-03-02', mood: 2, energy: 3, notes: null }] });
+
+      const response = await request(app)
+        .get('/health/symptoms?start_date=2024-03-01')
+        .expect(200);
+
+      expect(response.body.days.map(d => d.date)).toEqual(['2024-03-02', '2024-03-01']);
+      expect(response.body.days[0].mood.mood).toBe(2);
+      expect(response.body.pagination).toMatchObject({ sort: 'desc', hasMore: false, nextCursor: null });
+      expect(pool.query.mock.calls[0][0]).toContain('date >= $2');
+      expect(pool.query.mock.calls[0][1]).toEqual([1, '2024-03-01']);
+      expect(pool.query.mock.calls[1][1]).toEqual([1, ['2024-03-02', '2024-03-01']]);
+    });
+
+    it('should page journal days and only load the page', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ date: '2024-03-01', id: 1 }, { date: '2024-03-02', id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, date: '2024-03-01', mood: 4, energy: 3, notes: null }] });
+
+      const response = await request(app)
+        .get('/health/symptoms?limit=1&sort=asc')
+        .expect(200);
+
+      expect(response.body.days).toEqual([{ date: '2024-03-01', symptoms: [], mood: { id: 4, mood: 4, energy: 3, notes: null } }]);
+      expect(response.body.pagination.hasMore).toBe(true);
+      expect(response.body.pagination.nextCursor).toEqual(expect.any(String));
+      expect(pool.query.mock.calls[1][1]).toEqual([1, ['2024-03-01']]);
+    });
+
+    it('should reject an invalid journal cursor', async () => {
+      await request(app)
+        .get('/health/symptoms?cursor=nope')
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should require a 1-5 mood', async () => {
+      await request(app)
+        .post('/health/symptoms/mood')
+        .send({ date: '2024-03-01', mood: 0 })
+        .expect(400);
+    });
+  });
+
+  describe('getPhaseOnDate', () => {
+    it('should place past dates in the phase of the cycle they fell in', () => {
+      const analysis = analyzeCycles([
+        { id: 1, start_date: '2024-01-01', end_date: '2024-01-05' },
+        { id: 2, start_date: '2024-01-29', end_date: '2024-02-02' }
+      ], [], '2024-02-10');
+
+      expect(getPhaseOnDate(analysis, '2024-01-03')).toBe('menstrual');
+      expect(getPhaseOnDate(analysis, '2024-01-08')).toBe('follicular');
+      expect(getPhaseOnDate(analysis, '2024-01-14')).toBe('ovulatory');
+      expect(getPhaseOnDate(analysis, '2024-01-22')).toBe('luteal');
+      expect(getPhaseOnDate(analysis, '2023-12-20')).toBeNull();
+    });
+  });
+
+  describe('analyzeSymptomCorrelations', () => {
+    let analyticsService;
+
+    beforeEach(() => {
+      analyticsService = new AnalyticsService();
+    });
+
+    it('should report lower study hours on high-severity days', () => {
+      const journalDates = dates('2024-03-01', 8);
+      const daily = journalDates.map((date, i) => day(date, { Cramps: i < 4 ? 4 : 0 }));
+      const studyHours = {
+        daily: journalDates.map((date, i) => ({ date, hours: i < 4 ? '2' : '4' }))
+      };
+
+      const result = analyticsService.analyzeSymptomCorrelations(
+        { daily, topSymptoms: [{ name: 'Cramps', daysReported: 4, averageSeverity: 4, highSeverityDays: 4 }] },
+        null,
+        studyHours
+      );
+
+      const insight = result.insights.find(i => i.category === 'symptom_study');
+      expect(insight.message).toBe('Study hours drop 50% on high-cramps days (2.0h vs 4.0h)');
+      expect(result.recommendations[0].priority).toBe('high');
+    });
+
+    it('should report less sleep on low-mood days', () => {
+      const daily = dates('2024-03-01', 6).map((date, i) => day(date, {}, { mood: i < 3 ? 1 : 4, sleepHours: i < 3 ? 6 : 8 }));
+
+      const result = analyticsService.analyzeSymptomCorrelations({ daily, topSymptoms: [] }, null, null);
+
+      expect(result.insights).toHaveLength(1);
+      expect(result.insights[0].message).toBe('You sleep 2.0h less on low-mood days');
+    });
+
+    it('should find the cycle phase where a symptom peaks', () => {
+      const cycle = analyzeCycles([
+        { id: 1, start_date: '2024-01-01', end_date: '2024-01-05' },
+        { id: 2, start_date: '2024-01-29', end_date: '2024-02-02' }
+      ], [], '2024-02-10');
+      const menstrualDays = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-29', '2024-01-30'];
+      const otherDays = ['2024-01-08', '2024-01-10', '2024-01-18', '2024-01-22', '2024-02-07'];
+      const daily = [
+        ...menstrualDays.map(date => day(date, { Cramps: 4 })),
+        ...otherDays.map(date => day(date, { Cramps: 1 }))
+      ];
+
+      const result = analyticsService.analyzeSymptomCorrelations(
+        { daily, topSymptoms: [{ name: 'Cramps', daysReported: 10, averageSeverity: 2.5, highSeverityDays: 5 }] },
+        cycle,
+        null
+      );
+
+      const insight = result.insights.find(i => i.category === 'symptom_cycle');
+      expect(insight.message).toBe('Cramps peaks in your menstrual phase (4.0/5 vs 1.0/5 otherwise)');
+      expect(result.recommendations[0].message).toContain(cycle.prediction.nextPeriodStart);
+    });
+
+    it('should stay quiet without enough days to compare', () => {
+      const daily = dates('2024-03-01', 3).map(date => day(date, { Cramps: 5 }, { mood: 1, sleepHours: 5 }));
+
+      const result = analyticsService.analyzeSymptomCorrelations(
+        { daily, topSymptoms: [{ name: 'Cramps', daysReported: 3, averageSeverity: 5, highSeverityDays: 3 }] },
+        null,
+        { daily: [] }
+      );
+
+      expect(result.insights).toEqual([]);
+      expect(result.recommendations).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+// Mock the streak service
+jest.mock('../services/streakService', () => ({
+  recomputeStreak: jest.fn().mockResolvedValue(null)
+}));
+
+const { pool } = require('../config/database');
+const { recomputeStreak } = require('../services/streakService');
+const { normalizeKeyErrors } = require('../services/typingService');
+const AnalyticsService = require('../services/analyticsService');
+const healthRouter = require('../routes/health');
+
+const session = {
+  date: '2025-03-10',
+  wpm: 62.4,
+  raw_wpm: 68,
+  accuracy: 96.5,
+  duration_seconds: 60,
+  test_mode: 'time',
+  key_errors: { E: 2, e: 1, ';': 3, q: 0 }
+};
+
+describe('Typing sessions', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/health', healthRouter);
+  });
+
+  it('should add up key errors case-insensitively', () => {
+    expect(normalizeKeyErrors(session.key_errors)).toEqual({ e: 3, ';': 3 });
+    expect(normalizeKeyErrors(undefined)).toEqual({});
+  });
+
+  it('should store a session and mark its day practised', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 5, user_id: 1, ...session }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(app)
+      .post('/health/typing/sessions')
+      .send(session)
+      .expect(201);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([1, '2025-03-10', 62.4, 68, 96.5, 60, 'time', '{"e":3,";":3}', null]);
+    expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO typing_practice');
+    expect(recomputeStreak).toHaveBeenCalledWith(1, 'typing');
+    expect(response.body.session.id).toBe(5);
+  });
+
+  it('should reject incomplete results', async () => {
+    const response = await request(app)
+      .post('/health/typing/sessions')
+      .send({ ...session, accuracy: 120 })
+      .expect(400);
+
+    expect(response.body.error).toContain('accuracy');
+
+    await request(app)
+      .post('/health/typing/sessions')
+      .send({ ...session, key_errors: { a: -1 } })
+      .expect(400);
+
+    await request(app)
+      .post('/health/typing/sessions')
+      .send({ ...session, test_mode: 'zen' })
+      .expect(400);
+
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should 404 when deleting another user\'s session', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await request(app)
+      .delete('/health/typing/sessions/9')
+      .expect(404);
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['9', 1]);
+  });
+
+  describe('analytics', () => {
+    it('should weight average speed by sessions and trend it', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [
+        { date: '2025-03-08', wpm: '50.0', raw_wpm: '55.0', accuracy: '94.0', best_wpm: '52.0', sessions: '1' },
+        { date: '2025-03-09', wpm: '60.0', raw_wpm: null, accuracy: '97.0', best_wpm: '64.0', sessions: '3' }
+      ] });
+
+      const speed = await new AnalyticsService().getTypingSpeedAnalytics(1, new Date('2025-03-01'));
+
+      expect(speed).toMatchObject({ sessions: 4, averageWpm: 57.5, averageAccuracy: 96.3, wpmTrend: 'increasing' });
+      expect(speed.daily[1]).toMatchObject({ wpm: 60, rawWpm: null, bestWpm: 64 });
+    });
+
+    it('should report each key\'s share of errors', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [
+        { key: ';', errors: '6', total_errors: '10' },
+        { key: 'e', errors: '3', total_errors: '10' }
+      ] });
+
+      const keys = await new AnalyticsService().getWeakestTypingKeys(1, new Date('2025-03-01'));
+
+      expect(keys).toEqual([{ key: ';', errors: 6, share: 60 }, { key: 'e', errors: 3, share: 30 }]);
+    });
+
+    it('should track a typing_wpm goal on the 30-day average', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ avg_value: '58.62' }] });
+
+      expect(await new AnalyticsService().getCurrentMetricValue(1, 'typing_wpm', 'health')).toBe(59);
+      expect(pool.query.mock.calls[0][0]).toContain('FROM typing_sessions');
+    });
+
+    it('should suggest drilling the weakest keys when accuracy is low', () => {
+      const { recommendations } = new AnalyticsService().analyzeTypingPatterns({
+        completionRate: 60,
+        completedCount: 10,
+        speed: { sessions: 8, averageWpm: 55, averageAccuracy: 91.2, wpmTrend: 'stable', wpmTrendPercentage: 2 },
+        weakestKeys: [{ key: ';', errors: 6, share: 60 }]
+      });
+
+      expect(recommendations[0].message).toContain('91.2%');
+      expect(recommendations[0].message).toContain('";"');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the auth middleware
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1 };
+    next();
+  }
+}));
+
+// Mock the database pool
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+// Mock streak updates
+jest.mock('../services/streakService', () => ({
+  STREAK_ACTIVITY_TYPES: ['water', 'exercise', 'kriya', 'typing'],
+  recomputeStreak: jest.fn().mockResolvedValue(null)
+}));
+
+const { pool } = require('../config/database');
+const { recomputeStreak } = require('../services/streakService');
+const AnalyticsService = require('../services/analyticsService');
+const healthRouter = require('../routes/health');
+
+describe('Water intake log', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/health', healthRouter);
+    jest.clearAllMocks();
+  });
+
+  describe('POST /health/water', () => {
+    it('should append a drink and return the daily total', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 12, date: '2024-03-01', amount_ml: 250, container: 'glass' }] })
+        .mockResolvedValueOnce({ rows: [{ amount_ml: 750, entry_count: 3 }] });
+
+      const response = await request(app)
+        .post('/health/water')
+        .send({ date: '2024-03-01', container: 'glass', logged_at: '2024-03-01T10:15:00Z' })
+        .expect(201);
+
+      const [insertSql, insertParams] = pool.query.mock.calls[0];
+      expect(insertSql).toContain('INSERT INTO water_intake_entries');
+      expect(insertSql).not.toContain('ON CONFLICT');
+      expect(insertParams).toEqual([1, '2024-03-01', new Date('2024-03-01T10:15:00Z'), 250, 'glass']);
+      expect(response.body.dailyTotal).toEqual({ amount_ml: 750, entry_count: 3 });
+      expect(recomputeStreak).toHaveBeenCalledWith(1, 'water');
+    });
+
+    it('should file the drink under the local day in the user timezone', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ timezone: 'Asia/Kolkata' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 13 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/health/water')
+        .send({ amount_ml: 300, logged_at: '2024-03-01T20:00:00Z' })
+        .expect(201);
+
+      expect(pool.query.mock.calls[1][1][1]).toBe('2024-03-02');
+      expect(pool.query.mock.calls[1][1][4]).toBe('custom');
+      expect(response.body.dailyTotal).toEqual({ amount_ml: 0, entry_count: 0 });
+    });
+
+    it('should reject unknown containers', async () => {
+      await request(app)
+        .post('/health/water')
+        .send({ date: '2024-03-01', container: 'bucket' })
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /health/water/last', () => {
+    it('should remove the most recently logged drink', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 12, date: '2024-03-01', amount_ml: 250 }] })
+        .mockResolvedValueOnce({ rows: [{ amount_ml: 500, entry_count: 2 }] });
+
+      const response = await request(app)
+        .delete('/health/water/last')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY created_at DESC, id DESC LIMIT 1');
+      expect(response.body.deletedEntry.id).toBe(12);
+      expect(response.body.dailyTotal.amount_ml).toBe(500);
+    });
+
+    it('should return 404 when there is nothing to undo', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/health/water/last')
+        .expect(404);
+    });
+  });
+
+  describe('buildHourlyDistribution', () => {
+    it('should fill all 24 hours with share of the total', () => {
+      const analyticsService = new AnalyticsService();
+      const slots = analyticsService.buildHourlyDistribution([
+        { hour: 9, amount_ml: 500, entries: 2 },
+        { hour: 15, amount_ml: 1500, entries: 3 }
+      ], 2000);
+
+      expect(slots).toHaveLength(24);
+      expect(slots[9]).toEqual({ hour: 9, amount_ml: 500, entries: 2, percentage: 25 });
+      expect(slots[15].percentage).toBe(75);
+      expect(slots[0].amount_ml).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { pool } = require('../config/database');
+
+// Date, timezone and statistics helpers shared by the services and controllers.
+// Dates are 'YYYY-MM-DD' strings and date arithmetic is done in UTC so that
+// DST changes never shift a calendar day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check that a value is a real 'YYYY-MM-DD' date
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a valid date string
+ */
+const isValidDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * Normalise a DATE value to 'YYYY-MM-DD'. pg returns DATE columns as local midnight.
+ * @param {Date|string} value - Date value
+ * @returns {string|null} - Date string
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const toUtcTime = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+/**
+ * Whole days from one date to another (negative when `to` is earlier)
+ * @param {string} from - Date (YYYY-MM-DD)
+ * @param {string} to - Date (YYYY-MM-DD)
+ * @returns {number} - Days
+ */
+const daysBetween = (from, to) => Math.round((toUtcTime(to) - toUtcTime(from)) / DAY_MS);
+
+/**
+ * Move a date by a number of days
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+const addDays = (dateString, days) => new Date(toUtcTime(dateString) + days * DAY_MS).toISOString().split('T')[0];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Sample standard deviation; 0 for fewer than two values
+ * @param {number[]} values - Values
+ * @returns {number} - Standard deviation
+ */
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+};
+
+/**
+ * Check whether a string is an IANA timezone name Intl understands
+ * @param {string} timezone - Timezone name, e.g. 'Asia/Kolkata'
+ * @returns {boolean} - Whether the timezone is valid
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const resolveTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : 'UTC');
+
+const zonedFormatters = new Map();
+
+/**
+ * Get the local calendar date, weekday and minute of day for an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', weekday: 0-6, minutes: 0-1439 }
+ */
+const getZonedParts = (date, timezone) => {
+  // Formatters are costly to build and calendar feeds convert many instants
+  if (!zonedFormatters.has(timezone)) {
+    zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  zonedFormatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+/**
+ * The local date in a timezone (UTC when unset or invalid)
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Current instant
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+const getLocalDate = (timezone, now = new Date()) => getZonedParts(now, resolveTimezone(timezone)).date;
+
+/**
+ * A user's profile timezone (UTC when unset or invalid) and their local date
+ * @param {number} userId - User ID
+ * @param {Date} now - Current instant
+ * @returns {Object} - { timezone, today }
+ */
+const getUserLocalDate = async (userId, now = new Date()) => {
+  const profile = await pool.query('SELECT timezone FROM user_profiles WHERE user_id = $1', [userId]);
+  const timezone = resolveTimezone(profile.rows.length > 0 ? profile.rows[0].timezone : null);
+  return { timezone, today: getLocalDate(timezone, now) };
+};
+
+/**
+ * The UTC offset of a timezone at an instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffset = (instant, timezone) => {
+  const local = getZonedParts(new Date(instant), timezone);
+  const [year, month, day] = local.date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, Math.floor(local.minutes / 60), local.minutes % 60) - Math.floor(instant / 60000) * 60000;
+};
+
+/**
+ * Convert a local date and minute of day in a timezone to a UTC instant
+ * @param {string} dateString - Local date in YYYY-MM-DD format
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - The matching instant
+ */
+const zonedTimeToUtc = (dateString, minutes, timezone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Two passes settle on the right offset either side of a DST change
+  let instant = wallClock - getTimezoneOffset(wallClock, timezone);
+  instant = wallClock - getTimezoneOffset(instant, timezone);
+  return new Date(instant);
+};
+
+module.exports = {
+  DAY_MS,
+  isValidDate,
+  toDateString,
+  daysBetween,
+  addDays,
+  round1,
+  mean,
+  standardDeviation,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getLocalDate,
+  getUserLocalDate,
+  getTimezoneOffset,
+  zonedTimeToUtc
+};